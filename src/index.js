@@ -142,6 +142,14 @@ function detectDataType(value) {
         return 'empty';
     }
     
+    // Typed values (e.g. Excel cells)
+    if (value instanceof Date) {
+        return 'date';
+    }
+    if (typeof value === 'number') {
+        return 'number';
+    }
+    
     // Check for number
     if (!isNaN(value) && !isNaN(parseFloat(value))) {
         return 'number';
@@ -168,7 +176,7 @@ function detectDataType(value) {
     
     // Check for image path
     const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.tif', '.tiff', '.psd', '.ai', '.eps'];
-    if (imageExtensions.some(ext => value.toLowerCase().endsWith(ext))) {
+    if (imageExtensions.some(ext => String(value).toLowerCase().endsWith(ext))) {
         return 'image';
     }
     
@@ -177,34 +185,352 @@ function detectDataType(value) {
 }
 
 /**
- * Parse CSV line (simple implementation)
+ * Streaming RFC 4180 CSV parser
+ *
+ * Feed text with push() in chunks of any size and call end() when done.
+ * Quoted fields may contain delimiters, escaped quotes ("") and newlines.
+ * Malformed input is parsed leniently and reported in `errors` with the
+ * line it occurred on.
  */
-function parseCSVLine(line, delimiter = ',') {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
-        
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-                current += '"';
-                i++; // Skip next quote
+class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.trim = options.trim !== false;
+        this.onRow = options.onRow || null;
+        this.rows = [];
+        this.errors = [];
+        
+        this.row = [];
+        this.field = '';
+        this.quoted = false;
+        this.inQuotes = false;
+        this.afterQuote = false;
+        this.skipLF = false;
+        this.started = false;
+        this.line = 1;
+        this.rowLine = 1;
+        this.rowCount = 0;
+    }
+
+    /**
+     * Parse the next chunk of text
+     */
+    push(chunk) {
+        let text = String(chunk);
+        
+        if (!this.started && text.length > 0) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+            }
+        }
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (this.skipLF) {
+                this.skipLF = false;
+                if (char === '\n') continue;
+            }
+            
+            if (this.inQuotes) {
+                if (this.afterQuote) {
+                    this.afterQuote = false;
+                    if (char === '"') {
+                        this.field += '"';
+                        continue;
+                    }
+                    // The previous quote closed the field
+                    this.inQuotes = false;
+                } else if (char === '"') {
+                    this.afterQuote = true;
+                    continue;
+                } else {
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                        this.line++;
+                    }
+                    this.field += char;
+                    continue;
+                }
+            }
+            
+            if (char === this.delimiter) {
+                this._endField();
+            } else if (char === '\r' || char === '\n') {
+                this._endRow();
+                this.line++;
+                this.rowLine = this.line;
+                this.skipLF = char === '\r';
+            } else if (char === '"') {
+                // Whitespace before an opening quote is tolerated
+                if (this.field.trim() === '' && !this.quoted) {
+                    this.field = '';
+                    this.inQuotes = true;
+                    this.quoted = true;
+                } else {
+                    this._error('Unexpected quote in unquoted field');
+                    this.field += char;
+                }
+            } else if (this.quoted) {
+                // Whitespace after a closing quote is dropped
+                if (!/\s/.test(char)) {
+                    this._error('Unexpected character after closing quote');
+                    this.field += char;
+                }
             } else {
-                inQuotes = !inQuotes;
+                this.field += char;
             }
-        } else if (char === delimiter && !inQuotes) {
-            result.push(current.trim());
-            current = '';
+        }
+    }
+
+    /**
+     * Flush the last row
+     */
+    end() {
+        if (this.inQuotes && !this.afterQuote) {
+            this._error('Unterminated quoted field');
+        }
+        this.inQuotes = false;
+        this.afterQuote = false;
+        
+        if (this.field !== '' || this.quoted || this.row.length > 0) {
+            this._endRow();
+        }
+        
+        return { rows: this.rows, errors: this.errors };
+    }
+
+    _endField() {
+        this.row.push(this.trim && !this.quoted ? this.field.trim() : this.field);
+        this.field = '';
+        this.quoted = false;
+    }
+
+    _endRow() {
+        this._endField();
+        
+        // Skip blank lines
+        if (this.row.length === 1 && this.row[0] === '') {
+            this.row = [];
+            return;
+        }
+        
+        const row = this.row;
+        this.row = [];
+        this.rowCount++;
+        
+        if (this.onRow) {
+            this.onRow(row, this.rowLine);
         } else {
-            current += char;
+            this.rows.push(row);
+        }
+    }
+
+    _error(message) {
+        this.errors.push({ row: this.rowCount + 1, line: this.line, message });
+    }
+}
+
+/**
+ * Guess the delimiter of CSV text (comma, semicolon, tab or pipe)
+ *
+ * Picks the candidate that splits the first lines into the most
+ * consistent number of fields, preferring more fields on a tie.
+ */
+function sniffDelimiter(sample, candidates = [',', ';', '\t', '|']) {
+    const text = String(sample).slice(0, 64 * 1024);
+    let best = ',';
+    let bestScore = 0;
+    
+    candidates.forEach(delimiter => {
+        const parser = new CSVParser({ delimiter });
+        parser.push(text);
+        // The last row may be cut off by the sample
+        const rows = parser.end().rows.slice(0, 20);
+        if (rows.length > 1) rows.pop();
+        if (rows.length === 0) return;
+        
+        const counts = {};
+        rows.forEach(row => {
+            counts[row.length] = (counts[row.length] || 0) + 1;
+        });
+        
+        const [width, frequency] = Object.entries(counts)
+            .map(([w, f]) => [parseInt(w, 10), f])
+            .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+        
+        if (width < 2) return;
+        
+        const score = (frequency / rows.length) * 1000 + width;
+        if (score > bestScore) {
+            bestScore = score;
+            best = delimiter;
         }
+    });
+    
+    return best;
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {Object} options - { delimiter: character or 'auto', trim }
+ * @returns {{ rows: Array<Array<string>>, errors: Array, delimiter: string }}
+ */
+function parseCSVText(content, options = {}) {
+    let delimiter = options.delimiter || 'auto';
+    if (delimiter === '\\t') {
+        delimiter = '\t';
     }
+    if (delimiter === 'auto') {
+        delimiter = sniffDelimiter(content);
+    }
+    
+    const parser = new CSVParser({ ...options, delimiter });
+    parser.push(content);
+    const { rows, errors } = parser.end();
     
-    result.push(current.trim());
-    return result;
+    return { rows, errors, delimiter };
+}
+
+/**
+ * Parse a single CSV line
+ */
+function parseCSVLine(line, delimiter = ',') {
+    const { rows } = parseCSVText(line, { delimiter });
+    return rows[0] || [''];
+}
+
+/**
+ * Decode file bytes to text
+ * Supports UTF-8, UTF-16 (LE/BE, BOM detected) and Windows-1252/ISO-8859-1.
+ */
+function decodeText(buffer, encoding = 'utf-8') {
+    return new TextChunkDecoder(encoding).decode(buffer, true);
+}
+
+/**
+ * Incremental decodeText for bytes read in chunks
+ *
+ * A character split between two chunks is kept back until the next one;
+ * pass final = true with the last chunk.
+ */
+class TextChunkDecoder {
+    constructor(encoding = 'utf-8') {
+        this.encoding = encoding;
+        this.label = null;
+        this.decoder = null;
+        this.pending = new Uint8Array(0);
+    }
+
+    /**
+     * Decode the next chunk of bytes
+     */
+    decode(buffer, final = false) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (this.label === null) {
+            this.start(bytes);
+        }
+        
+        if (this.decoder) {
+            return this.decoder.decode(bytes, { stream: !final });
+        }
+        
+        let all = bytes;
+        if (this.pending.length > 0) {
+            all = new Uint8Array(this.pending.length + bytes.length);
+            all.set(this.pending);
+            all.set(bytes, this.pending.length);
+        }
+        const end = final ? all.length : this.completeLength(all);
+        this.pending = all.slice(end);
+        return this.decodeBytes(all.subarray(0, end));
+    }
+
+    /**
+     * Pick the encoding from the option and the first bytes
+     */
+    start(bytes) {
+        let label = String(this.encoding).toLowerCase().replace(/_/g, '-');
+        
+        if (label === 'utf8') {
+            label = 'utf-8';
+        } else if (label === 'utf-16' || label === 'utf16' || label === 'ucs-2') {
+            label = bytes[0] === 0xFE && bytes[1] === 0xFF ? 'utf-16be' : 'utf-16le';
+        } else if (['windows-1252', 'cp1252', 'iso-8859-1', 'latin1', 'latin-1'].includes(label)) {
+            // Like browsers, treat ISO-8859-1 as its Windows-1252 superset
+            label = 'windows-1252';
+        }
+        this.label = label;
+        
+        // Some hosts decode windows-1252 as plain Latin-1, so it is always decoded by hand
+        if (typeof TextDecoder !== 'undefined' && label !== 'windows-1252') {
+            try {
+                this.decoder = new TextDecoder(label);
+            } catch (e) {
+                // Encoding not supported by this host - decode by hand
+            }
+        }
+        if (!this.decoder && !['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'].includes(label)) {
+            throw new Error('Unsupported encoding: ' + this.encoding);
+        }
+    }
+
+    /**
+     * Length of the bytes that end on a whole character
+     */
+    completeLength(bytes) {
+        if (this.label === 'utf-16le' || this.label === 'utf-16be') {
+            return bytes.length - (bytes.length % 2);
+        }
+        if (this.label === 'utf-8') {
+            // A lead byte among the last three may start an unfinished sequence
+            for (let i = bytes.length - 1; i >= 0 && i >= bytes.length - 3; i--) {
+                const byte = bytes[i];
+                if (byte < 0x80) break;
+                if (byte >= 0xC0) {
+                    const size = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : 2;
+                    return i + size > bytes.length ? i : bytes.length;
+                }
+            }
+        }
+        return bytes.length;
+    }
+
+    /**
+     * Decode whole characters by hand, for hosts without TextDecoder
+     */
+    decodeBytes(bytes) {
+        let text = '';
+        if (this.label === 'utf-16le' || this.label === 'utf-16be') {
+            const littleEndian = this.label === 'utf-16le';
+            for (let i = 0; i + 1 < bytes.length; i += 2) {
+                text += String.fromCharCode(littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+            }
+        } else if (this.label === 'windows-1252') {
+            const high = [
+                0x20AC, 0x81, 0x201A, 0x192, 0x201E, 0x2026, 0x2020, 0x2021, 0x2C6, 0x2030, 0x160, 0x2039, 0x152, 0x8D, 0x17D, 0x8F,
+                0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x2DC, 0x2122, 0x161, 0x203A, 0x153, 0x9D, 0x17E, 0x178
+            ];
+            for (let i = 0; i < bytes.length; i++) {
+                const byte = bytes[i];
+                text += String.fromCharCode(byte >= 0x80 && byte <= 0x9F ? high[byte - 0x80] : byte);
+            }
+        } else {
+            for (let i = 0; i < bytes.length; i++) {
+                const byte = bytes[i];
+                let codePoint = byte;
+                if (byte >= 0xF0) {
+                    codePoint = ((byte & 0x07) << 18) | ((bytes[++i] & 0x3F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F);
+                } else if (byte >= 0xE0) {
+                    codePoint = ((byte & 0x0F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F);
+                } else if (byte >= 0xC0) {
+                    codePoint = ((byte & 0x1F) << 6) | (bytes[++i] & 0x3F);
+                }
+                text += String.fromCodePoint(codePoint);
+            }
+        }
+        return text;
+    }
 }
 
 /**
@@ -253,6 +579,19 @@ function generateTimestampName() {
     return new Date().toISOString().replace(/[:.]/g, '-');
 }
 
+/**
+ * Hash a string (32-bit FNV-1a, hex)
+ * Used to fingerprint data snapshots, not for security.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
 /**
  * Sanitize filename
  */
@@ -288,6 +627,123 @@ function formatDate(value, format = 'short', locale = 'en-US') {
     }
 }
 
+/**
+ * Date input formats offered for imported data
+ */
+const DateFormats = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYY/MM/DD'];
+
+/**
+ * Parse a date value
+ * format is 'auto' or a pattern of YYYY, YY, MM, M, DD and D with any
+ * separators, e.g. 'DD/MM/YYYY'; a time after the date is ignored. 'auto'
+ * reads Date values, ISO dates and dates with month names, but not
+ * ambiguous numeric dates such as 01/05/2024.
+ * @returns {Date|null} Local date, or null when the value is not a date
+ */
+function parseDate(value, format = 'auto') {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+    
+    const text = String(value).trim();
+    if (format && format !== 'auto') {
+        return parseDateWithFormat(text, format);
+    }
+    
+    const iso = parseDateWithFormat(text, 'YYYY-MM-DD') || parseDateWithFormat(text, 'YYYY/MM/DD');
+    if (iso) {
+        return /\d[T ]\d/.test(text) ? new Date(text) : iso;
+    }
+    
+    // "May 1, 2024", "1 May 2024"...
+    if (/[a-z]{3}/i.test(text) && /\d/.test(text)) {
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    return null;
+}
+
+function parseDateWithFormat(text, format) {
+    const order = [];
+    const pattern = format
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/YYYY|YY|MM|M|DD|D/g, token => {
+            order.push(token[0]);
+            if (token === 'YYYY') return '(\\d{4})';
+            if (token === 'YY') return '(\\d{2})';
+            return '(\\d{1,2})';
+        });
+    
+    const match = new RegExp(`^${pattern}(?:[ T].*)?$`).exec(text);
+    if (!match) {
+        return null;
+    }
+    
+    const parts = {};
+    order.forEach((part, i) => {
+        parts[part] = Number(match[i + 1]);
+    });
+    if (parts.Y < 100) {
+        parts.Y += parts.Y < 50 ? 2000 : 1900;
+    }
+    
+    // Reject overflowing dates such as 31/02
+    const date = new Date(parts.Y, parts.M - 1, parts.D);
+    if (date.getFullYear() !== parts.Y || date.getMonth() !== parts.M - 1 || date.getDate() !== parts.D) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Lower-case text without diacritics, e.g. 'Crème Brûlée' -> 'creme brulee'
+ */
+function foldText(text) {
+    return String(text ?? '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into folded words (letters and digits)
+ */
+function tokenizeText(text) {
+    return foldText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Edit distance between two words; swapping two neighbouring letters
+ * counts as one edit. Stops early and returns max + 1 once the distance
+ * exceeds max.
+ */
+function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
 /**
  * Validate image path
  */
@@ -410,2137 +866,2791 @@ async function ensureDocument() {
     }
 }
 
+/**
+ * Script label keys used to tag catalog content in the InDesign document
+ */
+const CatalogLabelKeys = {
+    generated: 'catalogBuilder.generated',
+    recordKey: 'catalogBuilder.recordKey',
+    field: 'catalogBuilder.field',
+    target: 'catalogBuilder.target',
+    slot: 'catalogBuilder.slot',
+    flow: 'catalogBuilder.flow',
+    group: 'catalogBuilder.group',
+    link: 'catalogBuilder.link',
+    snapshot: 'catalogBuilder.snapshot',
+    history: 'catalogBuilder.history'
+};
+
 
 // ==================== END MODULE: utils.js ====================
 
 
-// ==================== MODULE: formulas.js ====================
+// ==================== MODULE: formulaParser.js ====================
 /**
- * Formulas Module
- * Comprehensive formula engine for calculated fields
+ * Formula Parser Module
+ * Tokenizer and Pratt parser turning formula expressions into an AST
  */
 
 /**
- * Formula Engine Class
+ * Error raised for invalid formulas
+ * column is 1-based and points at the failing token.
  */
-class FormulaEngine {
-    constructor() {
-        this.formulas = [];
-        this.functions = this._initializeFunctions();
-    }
-
-    /**
-     * Initialize built-in functions
-     */
-    _initializeFunctions() {
-        return {
-            ROUND: (value, decimals = 0) => {
-                const multiplier = Math.pow(10, decimals);
-                return Math.round(value * multiplier) / multiplier;
-            },
-            CEIL: (value) => Math.ceil(value),
-            FLOOR: (value) => Math.floor(value),
-            ABS: (value) => Math.abs(value),
-            MIN: (...args) => Math.min(...args),
-            MAX: (...args) => Math.max(...args),
-            IF: (condition, valueIfTrue, valueIfFalse) => {
-                return condition ? valueIfTrue : valueIfFalse;
-            },
-            CONCAT: (...args) => args.join(''),
-            UPPER: (str) => String(str).toUpperCase(),
-            LOWER: (str) => String(str).toLowerCase(),
-            TRIM: (str) => String(str).trim(),
-            LEN: (str) => String(str).length
-        };
+class FormulaError extends Error {
+    constructor(message, column = null, expression = null) {
+        super(column ? `${message} at column ${column}` : message);
+        this.name = 'FormulaError';
+        this.reason = message;
+        this.column = column;
+        this.expression = expression;
     }
 
     /**
-     * Add a formula
-     * @param {string} name - Formula name/field name
-     * @param {string} expression - Formula expression
+     * The expression with a caret under the failing column
      */
-    addFormula(name, expression) {
-        try {
-            // Validate formula
-            this.validateFormula(expression);
-            
-            const formula = {
-                name,
-                expression,
-                createdAt: new Date().toISOString()
-            };
-            
-            this.formulas.push(formula);
-            console.log(`Formula added: ${name} = ${expression}`);
-            
-            return formula;
-        } catch (error) {
-            console.error(`Failed to add formula: ${error.message}`);
-            throw error;
+    pointer() {
+        if (!this.expression || !this.column) {
+            return '';
         }
+        return `${this.expression}\n${' '.repeat(this.column - 1)}^`;
     }
+}
 
-    /**
-     * Remove a formula
-     * @param {string} name - Formula name
-     */
-    removeFormula(name) {
-        const index = this.formulas.findIndex(f => f.name === name);
-        if (index !== -1) {
-            this.formulas.splice(index, 1);
-            console.log(`Formula removed: ${name}`);
-            return true;
-        }
-        return false;
-    }
+// Binding power of binary operators; higher binds tighter
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '==': 3, '!=': 3,
+    '<': 4, '>': 4, '<=': 4, '>=': 4,
+    '+': 5, '-': 5,
+    '*': 6, '/': 6, '%': 6
+};
 
-    /**
-     * Get all formulas
-     */
-    getFormulas() {
-        return this.formulas;
-    }
+const UNARY_PRECEDENCE = 7;
+
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', ','];
+
+const KEYWORDS = {
+    TRUE: { type: 'boolean', value: true },
+    FALSE: { type: 'boolean', value: false },
+    NULL: { type: 'null', value: null },
+    AND: { type: 'operator', value: '&&' },
+    OR: { type: 'operator', value: '||' },
+    NOT: { type: 'operator', value: '!' }
+};
 
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"', "'": "'" };
+
+class FormulaParser {
     /**
-     * Validate formula syntax
-     * @param {string} expression - Formula expression
+     * Split an expression into tokens
+     *
+     * Token types: number, string, boolean, null, field, identifier,
+     * operator and end. Every token keeps its 1-based start column.
      */
-    validateFormula(expression) {
-        try {
-            // Check for balanced braces
-            const openBraces = (expression.match(/{/g) || []).length;
-            const closeBraces = (expression.match(/}/g) || []).length;
-            if (openBraces !== closeBraces) {
-                throw new Error('Unbalanced braces in formula');
+    tokenize(expression) {
+        const tokens = [];
+        let i = 0;
+
+        const fail = (message, at = i) => {
+            throw new FormulaError(message, at + 1, expression);
+        };
+
+        while (i < expression.length) {
+            const char = expression[i];
+            const start = i;
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
             }
 
-            // Check for balanced parentheses
-            const openParens = (expression.match(/\(/g) || []).length;
-            const closeParens = (expression.match(/\)/g) || []).length;
-            if (openParens !== closeParens) {
-                throw new Error('Unbalanced parentheses in formula');
+            // Field reference: {field name}
+            if (char === '{') {
+                const end = expression.indexOf('}', i);
+                if (end === -1) fail('Unclosed field reference');
+                const name = expression.slice(i + 1, end).trim();
+                if (!name) fail('Empty field reference');
+                tokens.push({ type: 'field', value: name, column: start + 1 });
+                i = end + 1;
+                continue;
             }
 
-            // Check for invalid characters
-            const validPattern = /^[\w\s+\-*/%(){}.,<>=!&|"']+$/;
-            if (!validPattern.test(expression)) {
-                throw new Error('Invalid characters in formula');
+            if (char === '}') {
+                fail("Unexpected '}'");
             }
 
-            console.log(`Formula validated: ${expression}`);
-            return true;
-        } catch (error) {
-            console.error(`Formula validation failed: ${error.message}`);
-            throw error;
+            // Number: 12, 1.5, .5, 1e3
+            const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(expression.slice(i));
+            if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), column: start + 1 });
+                i += number[0].length;
+                continue;
+            }
+
+            // String literal in single or double quotes, with backslash escapes
+            if (char === '"' || char === "'") {
+                let value = '';
+                i++;
+                while (i < expression.length && expression[i] !== char) {
+                    if (expression[i] === '\\') {
+                        const next = expression[i + 1];
+                        if (next === undefined) break;
+                        if (next === 'u') {
+                            const hex = expression.slice(i + 2, i + 6);
+                            if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid \\u escape');
+                            value += String.fromCharCode(parseInt(hex, 16));
+                            i += 6;
+                            continue;
+                        }
+                        if (!(next in ESCAPES)) fail(`Unknown escape '\\${next}'`);
+                        value += ESCAPES[next];
+                        i += 2;
+                        continue;
+                    }
+                    value += expression[i++];
+                }
+                if (i >= expression.length) fail('Unterminated string', start);
+                i++;
+                tokens.push({ type: 'string', value, column: start + 1 });
+                continue;
+            }
+
+            // Identifier: function name or keyword
+            // AND, OR and NOT are function calls when they start an operand
+            // and are followed by '(', e.g. AND({a}, {b})
+            const word = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(expression.slice(i));
+            if (word) {
+                const keyword = KEYWORDS[word[0].toUpperCase()];
+                const last = tokens[tokens.length - 1];
+                const startsOperand = !last || (last.type === 'operator' && last.value !== ')');
+                const isCall = startsOperand && /^\s*\(/.test(expression.slice(i + word[0].length));
+                tokens.push(keyword && !(keyword.type === 'operator' && isCall)
+                    ? { ...keyword, column: start + 1 }
+                    : { type: 'identifier', value: word[0], column: start + 1 });
+                i += word[0].length;
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => expression.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator, column: start + 1 });
+                i += operator.length;
+                continue;
+            }
+
+            if (char === '=' || (char === '<' && expression[i + 1] === '>')) {
+                fail(char === '=' ? "Use '==' to compare values" : "Use '!=' to compare values");
+            }
+            if (char === '&' || char === '|') {
+                fail(`Use '${char}${char}' for logical operators`);
+            }
+            fail(`Unexpected character '${char}'`);
         }
+
+        tokens.push({ type: 'end', value: null, column: expression.length + 1 });
+        return tokens;
     }
 
     /**
-     * Evaluate formula for a record
-     * @param {string} expression - Formula expression
-     * @param {object} record - Data record with field values
+     * Parse an expression into an AST
+     *
+     * Nodes: number, string, boolean, null, field, unary, binary and call,
+     * each with the column it starts at.
      */
-    evaluate(expression, record) {
-        try {
-            // Replace field references with actual values
-            let processedExpression = this._replaceFieldReferences(expression, record);
-            
-            // Process function calls
-            processedExpression = this._processFunctions(processedExpression, record);
-            
-            // Evaluate the final expression
-            const result = this._evaluateExpression(processedExpression);
-            
-            console.log(`Evaluated: ${expression} => ${result}`);
-            return result;
-        } catch (error) {
-            console.error(`Formula evaluation failed: ${error.message}`);
-            throw new Error(`Formula error: ${error.message}`);
+    parse(expression) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new FormulaError('Formula is empty');
         }
-    }
 
-    /**
-     * Replace field references with values
-     * @param {string} expression - Formula expression
-     * @param {object} record - Data record
-     */
-    _replaceFieldReferences(expression, record) {
-        return expression.replace(/{([^}]+)}/g, (match, fieldName) => {
-            const value = record[fieldName.trim()];
-            if (value === undefined || value === null) {
-                console.warn(`Field not found: ${fieldName}`);
-                return '0';
-            }
-            // Handle strings vs numbers
-            if (typeof value === 'string' && isNaN(value)) {
-                return `"${value}"`;
-            }
-            return value;
-        });
-    }
+        const tokens = this.tokenize(expression);
+        let position = 0;
 
-    /**
-     * Process function calls
-     * @param {string} expression - Expression with functions
-     * @param {object} record - Data record
-     */
-    _processFunctions(expression, record) {
-        let result = expression;
-        
-        // Process each known function
-        for (const funcName in this.functions) {
-            const regex = new RegExp(`${funcName}\\(([^)]*)\\)`, 'gi');
-            result = result.replace(regex, (match, args) => {
-                try {
-                    // Parse arguments
-                    const argList = this._parseArguments(args);
-                    
-                    // Evaluate each argument first
-                    const evaluatedArgs = argList.map(arg => {
-                        // If it's a string literal, keep it as is
-                        if (arg.startsWith('"') && arg.endsWith('"')) {
-                            return arg.slice(1, -1);
-                        }
-                        // If it's a number, parse it
-                        if (!isNaN(arg)) {
-                            return parseFloat(arg);
-                        }
-                        // Otherwise evaluate as expression
-                        return this._evaluateExpression(arg);
-                    });
-                    
-                    // Call the function
-                    const funcResult = this.functions[funcName](...evaluatedArgs);
-                    return funcResult;
-                } catch (error) {
-                    console.error(`Function ${funcName} failed: ${error.message}`);
-                    throw error;
-                }
-            });
-        }
-        
-        return result;
-    }
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const fail = (message, token) => {
+            throw new FormulaError(message, token.column, expression);
+        };
+        const describe = token => {
+            if (token.type === 'end') return 'end of formula';
+            if (token.type === 'string') return JSON.stringify(token.value);
+            if (token.type === 'field') return `{${token.value}}`;
+            return `'${token.value}'`;
+        };
+        const isOperator = (token, value) => token.type === 'operator' && token.value === value;
+        const expect = (value, message) => {
+            const token = next();
+            if (!isOperator(token, value)) fail(`${message}, found ${describe(token)}`, token);
+            return token;
+        };
 
-    /**
-     * Parse function arguments
-     * @param {string} argsString - Comma-separated arguments
-     */
-    _parseArguments(argsString) {
-        const args = [];
-        let current = '';
-        let depth = 0;
-        let inString = false;
-        
-        for (let i = 0; i < argsString.length; i++) {
-            const char = argsString[i];
-            
-            if (char === '"' && (i === 0 || argsString[i - 1] !== '\\')) {
-                inString = !inString;
-                current += char;
-            } else if (char === '(' && !inString) {
-                depth++;
-                current += char;
-            } else if (char === ')' && !inString) {
-                depth--;
-                current += char;
-            } else if (char === ',' && depth === 0 && !inString) {
-                args.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+        const parsePrefix = () => {
+            const token = next();
+
+            switch (token.type) {
+                case 'number':
+                case 'string':
+                case 'boolean':
+                case 'null':
+                    return { type: token.type, value: token.value, column: token.column };
+                case 'field':
+                    return { type: 'field', name: token.value, column: token.column };
+                case 'identifier': {
+                    if (!isOperator(peek(), '(')) {
+                        fail(`Unknown name '${token.value}' - wrap field names in braces, e.g. {${token.value}}`, token);
+                    }
+                    next();
+                    const args = [];
+                    if (!isOperator(peek(), ')')) {
+                        do {
+                            args.push(parseExpression(0));
+                        } while (isOperator(peek(), ',') && next());
+                    }
+                    expect(')', `Expected ',' or ')' in call to ${token.value.toUpperCase()}`);
+                    return { type: 'call', name: token.value.toUpperCase(), args, column: token.column };
+                }
+                case 'operator':
+                    if (token.value === '(') {
+                        const inner = parseExpression(0);
+                        expect(')', "Expected ')'");
+                        return inner;
+                    }
+                    if (token.value === '-' || token.value === '+' || token.value === '!') {
+                        return { type: 'unary', operator: token.value, operand: parseExpression(UNARY_PRECEDENCE), column: token.column };
+                    }
+                    break;
             }
-        }
-        
-        if (current.trim()) {
-            args.push(current.trim());
-        }
-        
-        return args;
-    }
 
-    /**
-     * Safely evaluate mathematical expression
-     * @param {string} expression - Expression to evaluate
-     */
-    _evaluateExpression(expression) {
-        try {
-            // Remove quotes from strings
-            if (expression.startsWith('"') && expression.endsWith('"')) {
-                return expression.slice(1, -1);
-            }
-            
-            // Check if it's a simple number
-            if (!isNaN(expression)) {
-                return parseFloat(expression);
-            }
-            
-            // For safety, only allow mathematical operators and numbers
-            const safeExpression = expression.replace(/[^0-9+\-*/.()%<>=!& ]/g, '');
-            
-            // Use Function constructor for safe evaluation (limited scope)
-            const func = new Function('return ' + safeExpression);
-            return func();
-        } catch (error) {
-            console.error(`Expression evaluation failed: ${error.message}`);
-            throw error;
-        }
-    }
+            return fail(`Unexpected ${describe(token)}`, token);
+        };
 
-    /**
-     * Apply formulas to a dataset
-     * @param {array} records - Array of data records
-     * @param {array} formulasToApply - Array of formulas to apply
-     */
-    applyFormulas(records, formulasToApply = null) {
-        const formulas = formulasToApply || this.formulas;
-        
-        return records.map(record => {
-            const enrichedRecord = { ...record };
-            
-            formulas.forEach(formula => {
-                try {
-                    enrichedRecord[formula.name] = this.evaluate(formula.expression, record);
-                } catch (error) {
-                    console.error(`Failed to apply formula ${formula.name}: ${error.message}`);
-                    enrichedRecord[formula.name] = null;
+        const parseExpression = minPrecedence => {
+            let left = parsePrefix();
+
+            for (;;) {
+                const token = peek();
+                const precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+                if (precedence === undefined || precedence <= minPrecedence) {
+                    break;
                 }
-            });
-            
-            return enrichedRecord;
-        });
-    }
+                next();
+                // Left-associative: the right side only takes tighter operators
+                const right = parseExpression(precedence);
+                left = { type: 'binary', operator: token.value, left, right, column: token.column };
+            }
 
-    /**
-     * Preview formula result for a sample record
-     * @param {string} expression - Formula expression
-     * @param {object} sampleRecord - Sample record
-     */
-    preview(expression, sampleRecord) {
-        try {
-            return this.evaluate(expression, sampleRecord);
-        } catch (error) {
-            throw new Error(`Preview failed: ${error.message}`);
-        }
-    }
+            return left;
+        };
 
-    /**
-     * Save formulas to storage
-     */
-    saveFormulas() {
-        try {
-            localStorage.setItem('catalogBuilderFormulas', JSON.stringify(this.formulas));
-            console.log('Formulas saved');
-        } catch (error) {
-            console.error('Failed to save formulas:', error);
-            throw error;
+        const ast = parseExpression(0);
+        const rest = peek();
+        if (rest.type !== 'end') {
+            fail(`Unexpected ${describe(rest)} - missing operator?`, rest);
         }
+
+        return ast;
     }
 
     /**
-     * Load formulas from storage
+     * Visit every node of an AST, depth first
      */
-    loadFormulas() {
-        try {
-            const saved = localStorage.getItem('catalogBuilderFormulas');
-            if (saved) {
-                this.formulas = JSON.parse(saved);
-                console.log(`Loaded ${this.formulas.length} formulas`);
-            }
-        } catch (error) {
-            console.error('Failed to load formulas:', error);
+    walk(node, visit) {
+        visit(node);
+        switch (node.type) {
+            case 'unary':
+                this.walk(node.operand, visit);
+                break;
+            case 'binary':
+                this.walk(node.left, visit);
+                this.walk(node.right, visit);
+                break;
+            case 'call':
+                node.args.forEach(arg => this.walk(arg, visit));
+                break;
         }
     }
+}
 
-    /**
-     * Export formulas to JSON
-     */
-    exportFormulas() {
-        return {
-            version: '1.0',
-            formulas: this.formulas,
-            exportedAt: new Date().toISOString()
-        };
+// ==================== END MODULE: formulaParser.js ====================
+
+
+// ==================== MODULE: formulaFunctions.js ====================
+/**
+ * Formula Functions Module
+ * Built-in function library for the formula engine
+ *
+ * Every function is described by a signature such as
+ * 'LEFT(text: text, count?: number): text'. Parameter types (number, text,
+ * date, boolean, any) tell the engine how to convert arguments; '?' marks
+ * optional parameters and '...' a variadic last parameter. Functions run
+ * with the FormulaEngine as `this`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a function signature
+ * @returns {Object} { name, params: [{ name, type, optional, variadic }], returns }
+ */
+function parseSignature(signature) {
+    const match = /^\s*([A-Za-z_][A-Za-z0-9_.]*)\s*\((.*)\)\s*(?::\s*(\w+))?\s*$/.exec(signature);
+    if (!match) {
+        throw new Error(`Invalid function signature: ${signature}`);
     }
 
-    /**
-     * Import formulas from JSON
-     */
-    importFormulas(data) {
-        try {
-            if (data.formulas && Array.isArray(data.formulas)) {
-                this.formulas = data.formulas;
-                console.log(`Imported ${this.formulas.length} formulas`);
+    const params = match[2].trim()
+        ? match[2].split(',').map(part => {
+            const param = /^\s*(\.\.\.)?(\w+)(\?)?\s*(?::\s*(\w+))?\s*$/.exec(part);
+            if (!param) {
+                throw new Error(`Invalid parameter "${part.trim()}" in signature: ${signature}`);
             }
-        } catch (error) {
-            console.error('Failed to import formulas:', error);
-            throw error;
-        }
-    }
+            return {
+                name: param[2],
+                type: param[4] || 'any',
+                optional: Boolean(param[3] || param[1]),
+                variadic: Boolean(param[1])
+            };
+        })
+        : [];
+
+    return { name: match[1].toUpperCase(), params, returns: match[3] || 'any' };
 }
 
 /**
- * Common formula templates
+ * Number of arguments a function accepts
  */
-const FormulaTemplates = {
-    TAX: '{price} * (1 + {tax_rate} / 100)',
-    DISCOUNT_PERCENT: '{price} - ({price} * {discount} / 100)',
-    DISCOUNT_FIXED: '{price} - {discount_amount}',
-    MARGIN: '({price} - {cost}) / {cost} * 100',
-    BULK_DISCOUNT: 'IF({quantity} > 100, {price} * 0.9, {price})',
-    CURRENCY_CONVERSION: 'ROUND({price} * {exchange_rate}, 2)',
-    PRICE_WITH_TAX: 'ROUND({price} * 1.20, 2)',
-    TOTAL: '{price} * {quantity}',
-    PROFIT: '{price} - {cost}',
-    PROFIT_MARGIN: 'ROUND(({price} - {cost}) / {price} * 100, 2)'
-};
+function getArity(definition) {
+    const last = definition.params[definition.params.length - 1];
+    return {
+        min: definition.params.filter(p => !p.optional).length,
+        max: last && last.variadic ? Infinity : definition.params.length
+    };
+}
 
-// ==================== END MODULE: formulas.js ====================
+function define(category, signature, description, fn) {
+    return { ...parseSignature(signature), signature, category, description, fn };
+}
 
+function toTitleCase(text) {
+    return text.toLowerCase().replace(/(^|[^\p{L}\p{N}'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+}
+
+// Calendar days, unaffected by daylight saving changes
+function daysBetween(start, end) {
+    return Math.round((Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) - Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / DAY_MS);
+}
+
+function monthsBetween(start, end) {
+    let months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+    // Only count a month once its day has been reached
+    if (months > 0 && end.getDate() < start.getDate()) months--;
+    if (months < 0 && end.getDate() > start.getDate()) months++;
+    return months;
+}
 
-// ==================== MODULE: filtering.js ====================
 /**
- * Filtering and Sorting Module
- * Comprehensive data filtering and sorting capabilities
+ * Built-in functions, in the order the formula editor lists them
+ * IF is evaluated lazily by the engine; its entry documents the signature.
+ */
+const BuiltinFunctions = [
+    // Math
+    define('Math', 'ROUND(value: number, decimals?: number): number', 'Round to a number of decimal places', (value, decimals = 0) => {
+        const multiplier = Math.pow(10, decimals);
+        return Math.round(value * multiplier) / multiplier;
+    }),
+    define('Math', 'CEIL(value: number): number', 'Round up to the next integer', value => Math.ceil(value)),
+    define('Math', 'FLOOR(value: number): number', 'Round down to the previous integer', value => Math.floor(value)),
+    define('Math', 'ABS(value: number): number', 'Absolute value', value => Math.abs(value)),
+    define('Math', 'MIN(...values: number): number', 'Smallest value', (...values) => Math.min(...values)),
+    define('Math', 'MAX(...values: number): number', 'Largest value', (...values) => Math.max(...values)),
+
+    // Logic
+    define('Logic', 'IF(condition: boolean, then: any, else?: any): any', 'Value depending on a condition', (condition, then, otherwise = null) => condition ? then : otherwise),
+    define('Logic', 'AND(...conditions: boolean): boolean', 'True when every condition is true', (...conditions) => conditions.every(Boolean)),
+    define('Logic', 'OR(...conditions: boolean): boolean', 'True when any condition is true', (...conditions) => conditions.some(Boolean)),
+    define('Logic', 'NOT(condition: boolean): boolean', 'Negate a condition', condition => !condition),
+    define('Logic', 'ISBLANK(value: any): boolean', 'True for missing, null or whitespace-only values', value => {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+    }),
+    define('Logic', 'COALESCE(...values: any): any', 'First value that is not blank', function (...values) {
+        const value = values.find(v => !this.functions.ISBLANK.fn(v));
+        return value === undefined ? null : value;
+    }),
+    define('Logic', 'SWITCH(value: any, ...cases: any): any', 'Match value against case/result pairs; an odd last argument is the default', function (value, ...cases) {
+        for (let i = 0; i + 1 < cases.length; i += 2) {
+            if (this._valuesEqual(value, cases[i])) {
+                return cases[i + 1];
+            }
+        }
+        return cases.length % 2 === 1 ? cases[cases.length - 1] : null;
+    }),
+
+    // Text
+    define('Text', 'CONCAT(...values: text): text', 'Join values into one text', (...values) => values.join('')),
+    define('Text', 'UPPER(text: text): text', 'Convert to upper case', text => text.toUpperCase()),
+    define('Text', 'LOWER(text: text): text', 'Convert to lower case', text => text.toLowerCase()),
+    define('Text', 'PROPER(text: text): text', 'Capitalize the first letter of each word', text => toTitleCase(text)),
+    define('Text', 'TRIM(text: text): text', 'Remove leading and trailing spaces', text => text.trim()),
+    define('Text', 'LEN(text: text): number', 'Number of characters', text => text.length),
+    define('Text', 'LEFT(text: text, count?: number): text', 'First characters (1 by default)', (text, count = 1) => text.slice(0, Math.max(count, 0))),
+    define('Text', 'RIGHT(text: text, count?: number): text', 'Last characters (1 by default)', (text, count = 1) => count > 0 ? text.slice(-count) : ''),
+    define('Text', 'MID(text: text, start: number, count: number): text', 'Characters from a 1-based position', (text, start, count) => {
+        if (start < 1) throw new Error('start must be 1 or more');
+        return text.substr(start - 1, Math.max(count, 0));
+    }),
+    define('Text', 'SUBSTITUTE(text: text, search: text, replacement: text, instance?: number): text', 'Replace occurrences of a text (only the nth when instance is given)', (text, search, replacement, instance) => {
+        if (!search) return text;
+        if (instance === undefined) return text.split(search).join(replacement);
+        let index = -1;
+        for (let n = 0; n < instance; n++) {
+            index = text.indexOf(search, index + 1);
+            if (index === -1) return text;
+        }
+        return text.slice(0, index) + replacement + text.slice(index + search.length);
+    }),
+    define('Text', 'REPLACE(text: text, start: number, count: number, replacement: text): text', 'Replace characters at a 1-based position', (text, start, count, replacement) => {
+        if (start < 1) throw new Error('start must be 1 or more');
+        return text.slice(0, start - 1) + replacement + text.slice(start - 1 + Math.max(count, 0));
+    }),
+    define('Text', 'PAD(text: text, length: number, padding?: text, side?: text): text', "Pad to a length; side is 'left' (default) or 'right'", (text, length, padding = ' ', side = 'left') => {
+        if (side !== 'left' && side !== 'right') throw new Error(`side must be 'left' or 'right', not '${side}'`);
+        return side === 'left' ? text.padStart(length, padding || ' ') : text.padEnd(length, padding || ' ');
+    }),
+    define('Text', 'FORMAT_NUMBER(value: number, decimals?: number, locale?: text): text', 'Number with grouping and fixed decimals (2 by default)', function (value, decimals = 2, locale) {
+        return new Intl.NumberFormat(locale || this.locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(value);
+    }),
+    define('Text', 'FORMAT_CURRENCY(value: number, currency?: text, locale?: text): text', 'Amount in a currency (ISO code, USD by default)', function (value, currency = 'USD', locale) {
+        return new Intl.NumberFormat(locale || this.locale, { style: 'currency', currency }).format(value);
+    }),
+
+    // Date
+    define('Date', 'DATE(year: number, month: number, day: number): date', 'Date from its parts (month 1-12)', (year, month, day) => new Date(year, month - 1, day)),
+    define('Date', 'TODAY(): date', "Today's date", () => {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }),
+    define('Date', 'DATEDIFF(start: date, end: date, unit?: text): number', "Whole units from start to end; unit is 'days' (default), 'weeks', 'months' or 'years'", (start, end, unit = 'days') => {
+        switch (String(unit).toLowerCase()) {
+            case 'days':
+                return daysBetween(start, end);
+            case 'weeks':
+                return Math.trunc(daysBetween(start, end) / 7);
+            case 'months':
+                return monthsBetween(start, end);
+            case 'years':
+                return Math.trunc(monthsBetween(start, end) / 12);
+            default:
+                throw new Error(`Unknown unit '${unit}'`);
+        }
+    }),
+    define('Date', 'YEAR(date: date): number', 'Year of a date', date => date.getFullYear()),
+    define('Date', 'MONTH(date: date): number', 'Month of a date (1-12)', date => date.getMonth() + 1),
+    define('Date', 'DAY(date: date): number', 'Day of the month', date => date.getDate()),
+
+    // Lookup
+    define('Lookup', 'LOOKUP(field: text, table: text, key: any): any', 'Field of the row whose key matches, in a lookup table', function (field, table, key) {
+        const lookup = this.lookupTables.get(table);
+        if (!lookup) {
+            throw new Error(`Unknown lookup table '${table}'`);
+        }
+        const row = lookup.index.get(this._lookupKey(key));
+        return row && row[field] !== undefined ? row[field] : null;
+    })
+];
+
+// ==================== END MODULE: formulaFunctions.js ====================
+
+
+// ==================== MODULE: formulas.js ====================
+/**
+ * Formulas Module
+ * Comprehensive formula engine for calculated fields
  */
 
+// Result types a formula can declare; 'auto' keeps whatever the expression returns
+const FormulaTypes = ['auto', 'number', 'text', 'boolean', 'date'];
+
+// Number of failing rows kept per error in the report
+const REPORT_SAMPLE_ROWS = 5;
+
 /**
- * Filter and Sort Engine Class
+ * Formula Engine Class
  */
-class FilterEngine {
+class FormulaEngine {
     constructor() {
-        this.filters = [];
-        this.sortRules = [];
-        this.presets = [];
+        this.formulas = [];
+        this.functions = this._initializeFunctions();
+        this.locale = 'en-US';
+        this.lookupTables = new Map();
+        this.parser = new FormulaParser();
+        this.parsedFormulas = new Map();
+        this.lastReport = null;
+        // Field name -> lookups of a field the record lacked, since the last report
+        this.missingFields = new Map();
     }
 
     /**
-     * Add a filter condition
-     * @param {object} filter - Filter configuration
+     * Initialize built-in functions
+     * Maps each name to its definition: { name, params, returns, signature, category, description, fn }
      */
-    addFilter(filter) {
-        try {
-            this.validateFilter(filter);
-            this.filters.push(filter);
-            console.log(`Filter added: ${filter.field} ${filter.operator} ${filter.value}`);
-            return filter;
-        } catch (error) {
-            console.error(`Failed to add filter: ${error.message}`);
-            throw error;
-        }
+    _initializeFunctions() {
+        return Object.fromEntries(BuiltinFunctions.map(definition => [definition.name, definition]));
     }
 
     /**
-     * Validate filter configuration
+     * Function signatures for the formula editor, in library order
      */
-    validateFilter(filter) {
-        if (!filter.field) {
-            throw new Error('Filter must have a field');
+    getFunctionSignatures() {
+        return Object.values(this.functions).map(({ fn, ...signature }) => signature);
+    }
+
+    /**
+     * Register a user-defined function
+     * Arguments are converted to the parameter types of the signature and
+     * the function is called with the engine as `this`.
+     * @param {string} name - Function name, case-insensitive
+     * @param {Function} fn - Implementation
+     * @param {string} signature - e.g. 'PRICE_ENDING(price: number, ending?: number): number'
+     *                             (defaults to any number of arguments of any type)
+     * @param {Object} options - { category, description, source }
+     */
+    registerFunction(name, fn, signature = null, options = {}) {
+        const upperName = String(name).toUpperCase();
+        if (!/^[A-Z_][A-Z0-9_.]*$/.test(upperName) || ['TRUE', 'FALSE', 'NULL'].includes(upperName)) {
+            throw new Error(`Invalid function name: ${name}`);
         }
-        if (!filter.operator) {
-            throw new Error('Filter must have an operator');
+        if (typeof fn !== 'function') {
+            throw new Error(`${upperName} must be a function`);
         }
-        return true;
+        if (BuiltinFunctions.some(definition => definition.name === upperName)) {
+            throw new Error(`${upperName} is a built-in function and cannot be replaced`);
+        }
+        
+        const fullSignature = signature || `${upperName}(...values: any): any`;
+        const parsed = parseSignature(fullSignature);
+        if (parsed.name !== upperName) {
+            throw new Error(`Signature ${fullSignature} does not match function name ${upperName}`);
+        }
+        
+        this.functions[upperName] = {
+            ...parsed,
+            signature: fullSignature,
+            category: options.category || 'Custom',
+            description: options.description || '',
+            source: options.source || null,
+            fn
+        };
+        console.log(`Function registered: ${fullSignature}`);
+        return upperName;
     }
 
     /**
-     * Remove a filter
+     * Remove a user-defined function
      */
-    removeFilter(index) {
-        if (index >= 0 && index < this.filters.length) {
-            this.filters.splice(index, 1);
-            console.log(`Filter removed at index ${index}`);
-            return true;
+    unregisterFunction(name) {
+        const upperName = String(name).toUpperCase();
+        if (BuiltinFunctions.some(definition => definition.name === upperName)) {
+            throw new Error(`${upperName} is a built-in function and cannot be removed`);
         }
-        return false;
+        if (!this.functions[upperName]) {
+            return false;
+        }
+        delete this.functions[upperName];
+        return true;
     }
 
     /**
-     * Clear all filters
+     * Set the default locale of FORMAT_NUMBER and FORMAT_CURRENCY
      */
-    clearFilters() {
-        this.filters = [];
-        console.log('All filters cleared');
+    setLocale(locale) {
+        this.locale = locale || 'en-US';
     }
 
     /**
-     * Apply filters to dataset
-     * @param {array} records - Data records
-     * @param {string} logic - 'AND' or 'OR' for combining filters
+     * Register a secondary dataset for LOOKUP(field, table, key)
+     * @param {string} name - Table name used in formulas
+     * @param {object} data - DataObject or array of records
+     * @param {string} keyField - Field matched against the lookup key (defaults to the first field)
      */
-    applyFilters(records, logic = 'AND') {
-        if (this.filters.length === 0) {
-            return records;
+    addLookupTable(name, data, keyField = null) {
+        const records = Array.isArray(data) ? data : (data?.records || []);
+        const fields = data?.fields || Object.keys(records[0] || {});
+        const key = keyField || fields[0];
+        if (!key) {
+            throw new Error(`Lookup table ${name} has no fields`);
         }
-
-        console.log(`Applying ${this.filters.length} filters with ${logic} logic`);
-
-        const filtered = records.filter(record => {
-            if (logic === 'AND') {
-                return this.filters.every(filter => this._matchesFilter(record, filter));
-            } else {
-                return this.filters.some(filter => this._matchesFilter(record, filter));
+        
+        // First row wins for duplicate keys
+        const index = new Map();
+        records.forEach(record => {
+            const value = this._lookupKey(record[key]);
+            if (!index.has(value)) {
+                index.set(value, record);
             }
         });
+        
+        this.lookupTables.set(name, { name, keyField: key, fields, records, index });
+        console.log(`Lookup table added: ${name} (${records.length} rows, key ${key})`);
+        return { name, keyField: key, fields, rowCount: records.length };
+    }
 
-        console.log(`Filtered ${records.length} records to ${filtered.length} records`);
-        return filtered;
+    removeLookupTable(name) {
+        return this.lookupTables.delete(name);
     }
 
     /**
-     * Check if a record matches a filter
+     * Registered lookup tables: { name, keyField, fields, rowCount }
      */
-    _matchesFilter(record, filter) {
-        const value = record[filter.field];
-        const filterValue = filter.value;
+    getLookupTables() {
+        return [...this.lookupTables.values()].map(({ name, keyField, fields, records }) => ({
+            name, keyField, fields, rowCount: records.length
+        }));
+    }
 
-        switch (filter.operator) {
-            case 'equals':
-                return this._equals(value, filterValue);
-            
-            case 'notEquals':
-                return !this._equals(value, filterValue);
-            
-            case 'contains':
-                return String(value).toLowerCase().includes(String(filterValue).toLowerCase());
-            
-            case 'notContains':
-                return !String(value).toLowerCase().includes(String(filterValue).toLowerCase());
-            
-            case 'startsWith':
-                return String(value).toLowerCase().startsWith(String(filterValue).toLowerCase());
-            
-            case 'endsWith':
-                return String(value).toLowerCase().endsWith(String(filterValue).toLowerCase());
-            
-            case 'greaterThan':
-                return this._toNumber(value) > this._toNumber(filterValue);
-            
-            case 'lessThan':
-                return this._toNumber(value) < this._toNumber(filterValue);
-            
-            case 'greaterOrEqual':
-                return this._toNumber(value) >= this._toNumber(filterValue);
-            
-            case 'lessOrEqual':
-                return this._toNumber(value) <= this._toNumber(filterValue);
-            
-            case 'between':
-                const num = this._toNumber(value);
-                return num >= this._toNumber(filter.min) && num <= this._toNumber(filter.max);
-            
-            case 'isEmpty':
-                return value === null || value === undefined || value === '';
+    _lookupKey(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        return String(value).trim();
+    }
+
+    /**
+     * Add a formula
+     * @param {string} name - Formula name/field name
+     * @param {string} expression - Formula expression
+     * @param {object} options - { type }: result type from FormulaTypes (default 'auto')
+     */
+    addFormula(name, expression, options = {}) {
+        try {
+            // Validate formula
+            this.validateFormula(expression);
             
-            case 'isNotEmpty':
-                return value !== null && value !== undefined && value !== '';
+            const type = options.type || 'auto';
+            if (!FormulaTypes.includes(type)) {
+                throw new Error(`Unknown result type: ${type}`);
+            }
             
-            case 'isTrue':
-                return value === true || value === 'true' || value === 1;
+            const formula = {
+                name,
+                expression,
+                type,
+                createdAt: new Date().toISOString()
+            };
             
-            case 'isFalse':
-                return value === false || value === 'false' || value === 0;
+            // A formula with the same name is replaced; reject it if that closes a cycle
+            const formulas = this.formulas.filter(f => f.name !== name).concat(formula);
+            this.getEvaluationOrder(formulas);
             
-            case 'regex':
-                try {
-                    const regex = new RegExp(filterValue, 'i');
-                    return regex.test(String(value));
-                } catch (error) {
-                    console.error(`Invalid regex: ${filterValue}`);
-                    return false;
-                }
+            this.formulas = formulas;
+            console.log(`Formula added: ${name} = ${expression}`);
             
-            default:
-                console.warn(`Unknown operator: ${filter.operator}`);
-                return true;
+            return formula;
+        } catch (error) {
+            console.error(`Failed to add formula: ${error.message}`);
+            throw error;
         }
     }
 
     /**
-     * Compare values for equality
+     * Remove a formula
+     * @param {string} name - Formula name
      */
-    _equals(value1, value2) {
-        // Case-insensitive string comparison
-        if (typeof value1 === 'string' && typeof value2 === 'string') {
-            return value1.toLowerCase() === value2.toLowerCase();
+    removeFormula(name) {
+        const index = this.formulas.findIndex(f => f.name === name);
+        if (index !== -1) {
+            this.formulas.splice(index, 1);
+            console.log(`Formula removed: ${name}`);
+            
+            const dependents = this.formulas.filter(f => this.getDependencies(f.expression).includes(name));
+            if (dependents.length > 0) {
+                console.warn(`Formulas still referencing ${name}: ${dependents.map(f => f.name).join(', ')}`);
+            }
+            return true;
         }
-        return value1 == value2;
+        return false;
     }
 
     /**
-     * Convert value to number
+     * Drop all formulas and lookup tables; registered functions stay
      */
-    _toNumber(value) {
-        const num = parseFloat(value);
-        return isNaN(num) ? 0 : num;
+    reset() {
+        this.formulas = [];
+        this.lookupTables.clear();
+        this.lastReport = null;
+        this.missingFields.clear();
     }
 
     /**
-     * Add a sort rule
+     * Get all formulas
      */
-    addSortRule(field, direction = 'asc', type = 'auto') {
-        const rule = { field, direction, type };
-        this.sortRules.push(rule);
-        console.log(`Sort rule added: ${field} ${direction}`);
-        return rule;
+    getFormulas() {
+        return this.formulas;
     }
 
     /**
-     * Remove a sort rule
+     * Parse an expression into an AST (cached per expression)
+     * @param {string} expression - Formula expression
      */
-    removeSortRule(index) {
-        if (index >= 0 && index < this.sortRules.length) {
-            this.sortRules.splice(index, 1);
-            console.log(`Sort rule removed at index ${index}`);
-            return true;
+    parse(expression) {
+        let ast = this.parsedFormulas.get(expression);
+        if (!ast) {
+            ast = this.parser.parse(expression);
+            this.parsedFormulas.set(expression, ast);
         }
-        return false;
+        return ast;
     }
 
     /**
-     * Clear all sort rules
+     * Fields referenced by an expression, in order of first use
+     * @param {string} expression - Formula expression
      */
-    clearSortRules() {
-        this.sortRules = [];
-        console.log('All sort rules cleared');
+    getDependencies(expression) {
+        const fields = [];
+        this.parser.walk(this.parse(expression), node => {
+            if (node.type === 'field' && !fields.includes(node.name)) {
+                fields.push(node.name);
+            }
+        });
+        return fields;
     }
 
     /**
-     * Apply sorting to dataset
+     * Dependency graph of the formulas
+     *
+     * @returns {Object} name → { fields, formulas, dependents }: the data fields
+     * and formulas it reads, and the formulas reading it
      */
-    applySort(records) {
-        if (this.sortRules.length === 0) {
-            return records;
-        }
-
-        console.log(`Applying ${this.sortRules.length} sort rules`);
-
-        const sorted = [...records].sort((a, b) => {
-            for (const rule of this.sortRules) {
-                const result = this._compareValues(
-                    a[rule.field],
-                    b[rule.field],
-                    rule.type,
-                    rule.direction
-                );
-                
-                if (result !== 0) {
-                    return result;
-                }
+    getDependencyGraph(formulas = this.formulas) {
+        const names = new Set(formulas.map(f => f.name));
+        const graph = {};
+        
+        formulas.forEach(formula => {
+            let dependencies = [];
+            try {
+                dependencies = this.getDependencies(formula.expression);
+            } catch (error) {
+                // Invalid formulas have no dependencies; evaluating them reports the error
             }
-            return 0;
+            graph[formula.name] = {
+                fields: dependencies.filter(field => !names.has(field)),
+                formulas: dependencies.filter(field => names.has(field)),
+                dependents: []
+            };
         });
-
-        return sorted;
+        
+        Object.entries(graph).forEach(([name, node]) => {
+            node.formulas.forEach(dependency => graph[dependency].dependents.push(name));
+        });
+        
+        return graph;
     }
 
     /**
-     * Compare two values for sorting
+     * Order formulas so each one comes after the formulas it references
+     * Throws when formulas reference each other in a cycle.
      */
-    _compareValues(a, b, type, direction) {
-        let result = 0;
-
-        // Handle null/undefined
-        if (a === null || a === undefined) return direction === 'asc' ? -1 : 1;
-        if (b === null || b === undefined) return direction === 'asc' ? 1 : -1;
-
-        switch (type) {
-            case 'number':
-                result = this._toNumber(a) - this._toNumber(b);
-                break;
-            
-            case 'date':
-                const dateA = new Date(a);
-                const dateB = new Date(b);
-                result = dateA - dateB;
-                break;
+    getEvaluationOrder(formulas = this.formulas) {
+        const graph = this.getDependencyGraph(formulas);
+        const byName = new Map(formulas.map(f => [f.name, f]));
+        const order = [];
+        const state = new Map(); // name → 'visiting' | 'done'
+        
+        // Depth-first, keeping the declared order among independent formulas
+        const visit = (name, path) => {
+            if (state.get(name) === 'done') return;
+            if (state.get(name) === 'visiting') {
+                const cycle = path.slice(path.indexOf(name)).concat(name);
+                throw new Error(`Circular reference: ${cycle.join(' → ')}`);
+            }
             
-            case 'string':
-            case 'auto':
-            default:
-                // Auto-detect if both values are numbers
-                if (!isNaN(a) && !isNaN(b)) {
-                    result = this._toNumber(a) - this._toNumber(b);
-                } else {
-                    // String comparison
-                    const strA = String(a).toLowerCase();
-                    const strB = String(b).toLowerCase();
-                    result = strA.localeCompare(strB);
-                }
-                break;
-        }
-
-        return direction === 'asc' ? result : -result;
-    }
-
-    /**
-     * Apply both filters and sorting
-     */
-    apply(records, filterLogic = 'AND') {
-        let result = this.applyFilters(records, filterLogic);
-        result = this.applySort(result);
-        return result;
+            state.set(name, 'visiting');
+            graph[name].formulas.forEach(dependency => visit(dependency, path.concat(name)));
+            state.set(name, 'done');
+            order.push(byName.get(name));
+        };
+        
+        formulas.forEach(formula => visit(formula.name, []));
+        return order;
     }
 
     /**
-     * Save current configuration as preset
+     * Result type an expression is expected to produce, from its operators
+     * and function signatures: number, text, boolean, date, null or any
+     * @param {string} expression - Formula expression
      */
-    savePreset(name, description = '') {
-        const preset = {
-            name,
-            description,
-            filters: [...this.filters],
-            sortRules: [...this.sortRules],
-            createdAt: new Date().toISOString()
+    inferType(expression) {
+        const infer = node => {
+            switch (node.type) {
+                case 'number':
+                case 'boolean':
+                case 'null':
+                    return node.type;
+                case 'string':
+                    return 'text';
+                case 'unary':
+                    return node.operator === '!' ? 'boolean' : 'number';
+                case 'binary':
+                    if (['&&', '||', '==', '!=', '<', '>', '<=', '>='].includes(node.operator)) {
+                        return 'boolean';
+                    }
+                    if (node.operator === '+') {
+                        return infer(node.left) === 'number' && infer(node.right) === 'number' ? 'number' : 'any';
+                    }
+                    return 'number';
+                case 'call': {
+                    if (node.name === 'IF') {
+                        const branches = node.args.slice(1).map(infer).filter(type => type !== 'null');
+                        return branches.length > 0 && branches.every(type => type === branches[0]) ? branches[0] : 'any';
+                    }
+                    return this.functions[node.name]?.returns || 'any';
+                }
+            }
+            return 'any';
         };
-
-        this.presets.push(preset);
-        this._savePresetsToStorage();
-        console.log(`Preset saved: ${name}`);
-        return preset;
+        return infer(this.parse(expression));
     }
 
     /**
-     * Load a preset
+     * Type of a formula result: number, text, boolean, date or null
      */
-    loadPreset(name) {
-        const preset = this.presets.find(p => p.name === name);
-        if (preset) {
-            this.filters = [...preset.filters];
-            this.sortRules = [...preset.sortRules];
-            console.log(`Preset loaded: ${name}`);
-            return preset;
-        }
-        throw new Error(`Preset not found: ${name}`);
+    typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (value instanceof Date) return 'date';
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'boolean') return 'boolean';
+        return 'text';
     }
 
     /**
-     * Delete a preset
+     * Validate formula syntax
+     * Throws a FormulaError pointing at the failing column.
+     * @param {string} expression - Formula expression
      */
-    deletePreset(name) {
-        const index = this.presets.findIndex(p => p.name === name);
-        if (index !== -1) {
-            this.presets.splice(index, 1);
-            this._savePresetsToStorage();
-            console.log(`Preset deleted: ${name}`);
+    validateFormula(expression) {
+        try {
+            const ast = this.parse(expression);
+            
+            this.parser.walk(ast, node => {
+                if (node.type === 'call') {
+                    this._checkCall(node, expression);
+                }
+            });
+
+            console.log(`Formula validated: ${expression}`);
             return true;
+        } catch (error) {
+            console.error(`Formula validation failed: ${error.message}`);
+            throw error;
         }
-        return false;
     }
 
     /**
-     * Get all presets
-     */
-    getPresets() {
-        return this.presets;
-    }
-
-    /**
-     * Get filter statistics
-     */
-    getStatistics(records, filteredRecords) {
-        return {
-            total: records.length,
-            filtered: filteredRecords.length,
-            excluded: records.length - filteredRecords.length,
-            percentage: ((filteredRecords.length / records.length) * 100).toFixed(1)
-        };
-    }
-
-    /**
-     * Save presets to storage
+     * Evaluate formula for a record
+     * @param {string} expression - Formula expression
+     * @param {object} record - Data record with field values
      */
-    _savePresetsToStorage() {
+    evaluate(expression, record) {
         try {
-            localStorage.setItem('catalogBuilderFilterPresets', JSON.stringify(this.presets));
+            const ast = this.parse(expression);
+            const result = this._evaluateNode(ast, record, expression);
+            if (typeof result === 'number' && !isFinite(result)) {
+                throw new FormulaError('Result is not a finite number', null, expression);
+            }
+            
+            console.log(`Evaluated: ${expression} => ${result}`);
+            return result;
         } catch (error) {
-            console.error('Failed to save presets:', error);
+            // Callers evaluating many records count the failures and report them once
+            console.log(`Formula evaluation failed: ${error.message}`);
+            throw error instanceof FormulaError ? error : new FormulaError(error.message, null, expression);
         }
     }
 
     /**
-     * Load presets from storage
+     * Evaluate an AST node against a record
+     *
+     * NULL (a missing field or an empty cell) propagates like SQL NULL:
+     * arithmetic, ordering comparisons and typed function arguments with a
+     * NULL operand give NULL. == and != treat NULL as equal only to NULL.
      */
-    loadPresetsFromStorage() {
-        try {
-            const saved = localStorage.getItem('catalogBuilderFilterPresets');
-            if (saved) {
-                this.presets = JSON.parse(saved);
-                console.log(`Loaded ${this.presets.length} presets`);
+    _evaluateNode(node, record, expression) {
+        const fail = message => {
+            throw new FormulaError(message, node.column, expression);
+        };
+
+        switch (node.type) {
+            case 'number':
+            case 'string':
+            case 'boolean':
+            case 'null':
+                return node.value;
+
+            case 'field': {
+                const value = record[node.name];
+                if (value === undefined) {
+                    this.missingFields.set(node.name, (this.missingFields.get(node.name) || 0) + 1);
+                    return null;
+                }
+                return typeof value === 'string' && value.trim() === '' ? null : value;
+            }
+
+            case 'unary': {
+                const operand = this._evaluateNode(node.operand, record, expression);
+                if (operand === null) {
+                    return null;
+                }
+                if (node.operator === '!') {
+                    return !this._isTruthy(operand);
+                }
+                const number = this._toNumber(operand, fail);
+                return node.operator === '-' ? -number : number;
+            }
+
+            case 'binary':
+                return this._evaluateBinary(node, record, expression, fail);
+
+            case 'call': {
+                // IF only evaluates the branch it returns
+                if (node.name === 'IF') {
+                    this._checkCall(node, expression);
+                    const condition = this._evaluateNode(node.args[0], record, expression);
+                    if (condition === null) {
+                        return null;
+                    }
+                    const branch = this._isTruthy(condition) ? node.args[1] : node.args[2];
+                    return branch ? this._evaluateNode(branch, record, expression) : null;
+                }
+
+                const definition = this._checkCall(node, expression);
+                const args = [];
+                for (let i = 0; i < node.args.length; i++) {
+                    const param = definition.params[Math.min(i, definition.params.length - 1)];
+                    const value = this._evaluateNode(node.args[i], record, expression);
+                    // Only 'any' parameters handle NULL themselves (ISBLANK, COALESCE...)
+                    if (value === null && param.type !== 'any') {
+                        return null;
+                    }
+                    args.push(this._coerceArgument(value, param.type, fail));
+                }
+                try {
+                    return definition.fn.apply(this, args);
+                } catch (error) {
+                    return fail(`${node.name}: ${error.message}`);
+                }
             }
-        } catch (error) {
-            console.error('Failed to load presets:', error);
         }
-    }
 
-    /**
-     * Export configuration
-     */
-    exportConfig() {
-        return {
-            version: '1.0',
-            filters: this.filters,
-            sortRules: this.sortRules,
-            presets: this.presets,
-            exportedAt: new Date().toISOString()
-        };
+        return fail(`Unsupported expression '${node.type}'`);
     }
 
     /**
-     * Import configuration
+     * Evaluate a binary operator
+     *
+     * + adds numbers and concatenates anything else; comparisons are numeric
+     * when both sides are numbers (or numeric text) and textual otherwise.
      */
-    importConfig(config) {
-        try {
-            if (config.filters) this.filters = config.filters;
-            if (config.sortRules) this.sortRules = config.sortRules;
-            if (config.presets) this.presets = config.presets;
-            console.log('Configuration imported');
-        } catch (error) {
-            console.error('Failed to import configuration:', error);
-            throw error;
-        }
-    }
-}
+    _evaluateBinary(node, record, expression, fail) {
+        const evaluate = child => this._evaluateNode(child, record, expression);
 
-/**
- * Available filter operators
- */
-const FilterOperators = [
-    { value: 'equals', label: 'Equals', types: ['string', 'number', 'date'] },
-    { value: 'notEquals', label: 'Not Equals', types: ['string', 'number', 'date'] },
-    { value: 'contains', label: 'Contains', types: ['string'] },
-    { value: 'notContains', label: 'Does Not Contain', types: ['string'] },
-    { value: 'startsWith', label: 'Starts With', types: ['string'] },
-    { value: 'endsWith', label: 'Ends With', types: ['string'] },
-    { value: 'greaterThan', label: 'Greater Than', types: ['number', 'date'] },
-    { value: 'lessThan', label: 'Less Than', types: ['number', 'date'] },
-    { value: 'greaterOrEqual', label: 'Greater or Equal', types: ['number', 'date'] },
-    { value: 'lessOrEqual', label: 'Less or Equal', types: ['number', 'date'] },
-    { value: 'between', label: 'Between', types: ['number', 'date'] },
-    { value: 'isEmpty', label: 'Is Empty', types: ['string', 'number'] },
-    { value: 'isNotEmpty', label: 'Is Not Empty', types: ['string', 'number'] },
-    { value: 'isTrue', label: 'Is True', types: ['boolean'] },
-    { value: 'isFalse', label: 'Is False', types: ['boolean'] },
-    { value: 'regex', label: 'Regular Expression', types: ['string'] }
-];
+        // Logical operators short-circuit; NULL is unknown (three-valued logic)
+        if (node.operator === '&&' || node.operator === '||') {
+            const decisive = node.operator === '||';
+            const left = evaluate(node.left);
+            if (left !== null && this._isTruthy(left) === decisive) {
+                return decisive;
+            }
+            const right = evaluate(node.right);
+            if (right !== null && this._isTruthy(right) === decisive) {
+                return decisive;
+            }
+            return left === null || right === null ? null : !decisive;
+        }
 
-// ==================== END MODULE: filtering.js ====================
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (left === null || right === null) {
+            if (node.operator === '==') return left === right;
+            if (node.operator === '!=') return left !== right;
+            return null;
+        }
+        const numeric = this._isNumeric(left) && this._isNumeric(right);
 
+        switch (node.operator) {
+            case '+':
+                if (numeric) {
+                    return this._toNumber(left, fail) + this._toNumber(right, fail);
+                }
+                return this._toText(left) + this._toText(right);
+            case '-':
+                return this._toNumber(left, fail) - this._toNumber(right, fail);
+            case '*':
+                return this._toNumber(left, fail) * this._toNumber(right, fail);
+            case '/':
+            case '%': {
+                const divisor = this._toNumber(right, fail);
+                if (divisor === 0) {
+                    fail('Division by zero');
+                }
+                const dividend = this._toNumber(left, fail);
+                return node.operator === '/' ? dividend / divisor : dividend % divisor;
+            }
+        }
 
-// ==================== MODULE: grouping.js ====================
-/**
- * Grouping Module
- * Data grouping and categorization with layout support
- */
+        // Comparison
+        const a = numeric ? this._toNumber(left, fail) : this._toText(left);
+        const b = numeric ? this._toNumber(right, fail) : this._toText(right);
+        switch (node.operator) {
+            case '==': return a === b;
+            case '!=': return a !== b;
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            case '>=': return a >= b;
+        }
 
-/**
- * Grouping Engine Class
- */
-class GroupingEngine {
-    constructor() {
-        this.groupLevels = [];
-        this.groupOptions = {
-            showHeaders: true,
-            showFooters: false,
-            showItemCount: true,
-            pageBreakPerGroup: false,
-            headerStyle: 'heading1',
-            separatorType: 'line'
-        };
+        return fail(`Unknown operator '${node.operator}'`);
     }
 
     /**
-     * Add a group level
-     * @param {string} field - Field to group by
-     * @param {string} sortDirection - 'asc' or 'desc'
+     * Check a call against its function's signature
+     * @returns {Object} The function definition
      */
-    addGroupLevel(field, sortDirection = 'asc') {
-        const level = {
-            field,
-            sortDirection,
-            level: this.groupLevels.length
-        };
+    _checkCall(node, expression) {
+        const definition = this.functions[node.name];
+        if (!definition) {
+            throw new FormulaError(`Unknown function ${node.name}`, node.column, expression);
+        }
         
-        this.groupLevels.push(level);
-        console.log(`Group level added: ${field} (${sortDirection})`);
-        return level;
+        const { min, max } = getArity(definition);
+        const count = node.args.length;
+        if (count < min || count > max) {
+            const expected = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min} to ${max}`);
+            throw new FormulaError(`${node.name} expects ${expected} argument${expected === '1' ? '' : 's'}, got ${count}`, node.column, expression);
+        }
+        
+        return definition;
     }
 
     /**
-     * Remove a group level
+     * Convert an argument to the type its parameter declares
      */
-    removeGroupLevel(index) {
-        if (index >= 0 && index < this.groupLevels.length) {
-            this.groupLevels.splice(index, 1);
-            // Update level numbers
-            this.groupLevels.forEach((level, i) => {
-                level.level = i;
-            });
-            console.log(`Group level removed at index ${index}`);
-            return true;
+    _coerceArgument(value, type, fail) {
+        switch (type) {
+            case 'number':
+                return this._toNumber(value, fail);
+            case 'text':
+                return this._toText(value);
+            case 'boolean':
+                return this._isTruthy(value);
+            case 'date':
+                return this._toDate(value, fail);
+            default:
+                return value;
         }
-        return false;
     }
 
-    /**
-     * Clear all group levels
-     */
-    clearGroupLevels() {
-        this.groupLevels = [];
-        console.log('All group levels cleared');
+    _toDate(value, fail) {
+        if (value instanceof Date) {
+            return value;
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+            // Date-only ISO text is a local date, not UTC midnight
+            const [year, month, day] = value.trim().split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+        const date = new Date(typeof value === 'string' ? value.trim() : value);
+        if (value === null || value === '' || isNaN(date.getTime())) {
+            fail(`Cannot use ${JSON.stringify(value)} as a date`);
+        }
+        return date;
     }
 
-    /**
-     * Set group options
-     */
-    setOptions(options) {
-        this.groupOptions = { ...this.groupOptions, ...options };
-        console.log('Group options updated');
+    _valuesEqual(a, b) {
+        if (a === null || b === null) {
+            return a === b;
+        }
+        if (this._isNumeric(a) && this._isNumeric(b)) {
+            return this._toNumber(a) === this._toNumber(b);
+        }
+        return this._toText(a) === this._toText(b);
     }
 
-    /**
-     * Group records by configured levels
-     * @param {array} records - Data records to group
-     */
-    groupRecords(records) {
-        if (this.groupLevels.length === 0) {
-            console.warn('No group levels defined');
-            return { groups: [], flatList: records };
+    _isNumeric(value) {
+        if (typeof value === 'number' || typeof value === 'boolean' || value instanceof Date) {
+            return true;
         }
+        return typeof value === 'string' && value.trim() !== '' && isFinite(Number(value));
+    }
 
-        console.log(`Grouping ${records.length} records by ${this.groupLevels.length} levels`);
-
-        // Sort records by group fields first
-        const sortedRecords = this._sortByGroupLevels(records);
-
-        // Build hierarchical groups
-        const groups = this._buildGroups(sortedRecords, 0);
-
-        // Create flat list with group markers
-        const flatList = this._flattenGroups(groups);
+    _toNumber(value, fail) {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (!this._isNumeric(value)) {
+            fail(`Cannot use ${JSON.stringify(value)} as a number`);
+        }
+        return Number(value);
+    }
 
-        console.log(`Created ${this._countGroups(groups)} groups`);
+    _toText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        return String(value);
+    }
 
-        return { groups, flatList };
+    _isTruthy(value) {
+        if (typeof value === 'string') return value.trim() !== '';
+        return Boolean(value);
     }
 
     /**
-     * Sort records by group levels
+     * Apply formulas to a dataset
+     * A record a formula fails for gets NULL for it; the failures are
+     * collected in the report returned by getErrorReport().
+     * @param {array} records - Array of data records
+     * @param {array} formulasToApply - Array of formulas to apply
      */
-    _sortByGroupLevels(records) {
-        return [...records].sort((a, b) => {
-            for (const level of this.groupLevels) {
-                const aVal = a[level.field];
-                const bVal = b[level.field];
-                
-                if (aVal === bVal) continue;
-                
-                const comparison = String(aVal).localeCompare(String(bVal));
-                return level.sortDirection === 'asc' ? comparison : -comparison;
+    applyFormulas(records, formulasToApply = null) {
+        // Formulas read the results of the formulas they depend on
+        const formulas = this.getEvaluationOrder(formulasToApply || this.formulas);
+        const report = this._createReport(formulas, records.length);
+        this.missingFields.clear();
+        
+        const enriched = records.map((record, index) => {
+            const enrichedRecord = { ...record };
+            const failed = new Set();
+            
+            formulas.forEach(formula => {
+                const entry = report.formulas.find(f => f.name === formula.name);
+                try {
+                    // A failed formula is an error for its dependents, not a NULL
+                    const upstream = this.getDependencies(formula.expression).find(name => failed.has(name));
+                    if (upstream) {
+                        throw new FormulaError(`Depends on failed formula ${upstream}`, null, formula.expression);
+                    }
+                    
+                    const value = this._convertResult(this.evaluate(formula.expression, enrichedRecord), formula.type, formula.expression);
+                    enrichedRecord[formula.name] = value;
+                    entry.types[this.typeOf(value)]++;
+                } catch (error) {
+                    failed.add(formula.name);
+                    enrichedRecord[formula.name] = null;
+                    this._reportError(entry, error, index);
+                }
+            });
+            
+            if (failed.size > 0) {
+                report.failedRecords++;
             }
-            return 0;
+            return enrichedRecord;
         });
+        
+        this.lastReport = report;
+        if (report.failedRecords > 0) {
+            console.warn(`Formulas failed for ${report.failedRecords} of ${records.length} records`);
+        }
+        this.reportMissingFields();
+        
+        return enriched;
     }
 
     /**
-     * Build hierarchical group structure
+     * Log the fields formulas referenced but records lacked, once for all
+     * evaluations since the last report, and start counting afresh
+     * @param {string} context - What was evaluated, for the message
      */
-    _buildGroups(records, levelIndex) {
-        if (levelIndex >= this.groupLevels.length) {
-            return records;
+    reportMissingFields(context = 'Formulas') {
+        if (this.missingFields.size > 0) {
+            const fields = [...this.missingFields].map(([name, count]) => `${name} (${count} lookup${count === 1 ? '' : 's'})`);
+            console.warn(`${context} referenced fields the records do not have: ${fields.join(', ')}`);
         }
+        this.missingFields.clear();
+    }
 
-        const level = this.groupLevels[levelIndex];
-        const groups = [];
-        let currentGroup = null;
+    /**
+     * Report of the last applyFormulas run
+     *
+     * @returns {Object|null} { recordCount, failedRecords, createdAt, formulas: [{ name, type, failed,
+     * types: { number, text, boolean, date, null }, errors: [{ reason, example, count, rows }] }] }
+     * where example is the first full message and rows the first 1-based
+     * record numbers the error occurred for
+     */
+    getErrorReport() {
+        return this.lastReport;
+    }
 
-        records.forEach(record => {
-            const groupValue = record[level.field];
-            
-            if (!currentGroup || currentGroup.value !== groupValue) {
-                currentGroup = {
-                    level: levelIndex,
-                    field: level.field,
-                    value: groupValue,
-                    records: [],
-                    subgroups: null
-                };
-                groups.push(currentGroup);
-            }
-            
-            currentGroup.records.push(record);
-        });
+    _createReport(formulas, recordCount) {
+        return {
+            recordCount,
+            failedRecords: 0,
+            createdAt: new Date().toISOString(),
+            formulas: formulas.map(formula => ({
+                name: formula.name,
+                type: formula.type || 'auto',
+                failed: 0,
+                types: { number: 0, text: 0, boolean: 0, date: 0, null: 0 },
+                errors: []
+            }))
+        };
+    }
 
-        // Recursively build subgroups
-        if (levelIndex < this.groupLevels.length - 1) {
-            groups.forEach(group => {
-                group.subgroups = this._buildGroups(group.records, levelIndex + 1);
-                group.records = []; // Clear records as they're now in subgroups
-            });
+    _reportError(entry, error, index) {
+        const message = error.reason || error.message;
+        // Group by message pattern, so "abc" and "xyz" used as a number count as one error
+        const reason = message.replace(/"(?:[^"\\]|\\.)*"/g, '"…"');
+        let group = entry.errors.find(e => e.reason === reason);
+        if (!group) {
+            group = { reason, example: message, count: 0, rows: [] };
+            entry.errors.push(group);
+        }
+        
+        entry.failed++;
+        group.count++;
+        if (group.rows.length < REPORT_SAMPLE_ROWS) {
+            group.rows.push(index + 1);
         }
-
-        return groups;
     }
 
     /**
-     * Flatten groups to a linear list with markers
+     * Convert a result to the formula's declared type; NULL stays NULL
      */
-    _flattenGroups(groups, parentPath = '') {
-        const flatList = [];
+    _convertResult(value, type, expression) {
+        if (value === null || value === undefined || !type || type === 'auto') {
+            return value ?? null;
+        }
+        
+        const fail = () => {
+            throw new FormulaError(`Result ${JSON.stringify(value)} is not a ${type}`, null, expression);
+        };
+        switch (type) {
+            case 'number':
+                return this._toNumber(value, fail);
+            case 'text':
+                return this._toText(value);
+            case 'boolean':
+                return this._isTruthy(value);
+            case 'date':
+                return this._toDate(value, fail);
+            default:
+                return value;
+        }
+    }
 
-        groups.forEach((group, index) => {
-            const groupPath = parentPath ? `${parentPath}.${index}` : String(index);
-            
-            // Add group header
-            if (this.groupOptions.showHeaders) {
-                flatList.push({
-                    type: 'group-header',
-                    level: group.level,
-                    field: group.field,
-                    value: group.value,
-                    itemCount: this._getGroupItemCount(group),
-                    path: groupPath,
-                    pageBreak: this.groupOptions.pageBreakPerGroup && group.level === 0
-                });
-            }
-
-            // Add records or subgroups
-            if (group.subgroups) {
-                const subItems = this._flattenGroups(group.subgroups, groupPath);
-                flatList.push(...subItems);
-            } else {
-                group.records.forEach(record => {
-                    flatList.push({
-                        type: 'record',
-                        data: record,
-                        groupPath: groupPath,
-                        groupValue: group.value
-                    });
-                });
-            }
-
-            // Add group footer
-            if (this.groupOptions.showFooters) {
-                flatList.push({
-                    type: 'group-footer',
-                    level: group.level,
-                    field: group.field,
-                    value: group.value,
-                    itemCount: this._getGroupItemCount(group),
-                    path: groupPath
-                });
-            }
-        });
-
-        return flatList;
+    /**
+     * Preview formula result for a sample record
+     * @param {string} expression - Formula expression
+     * @param {object} sampleRecord - Sample record
+     */
+    preview(expression, sampleRecord) {
+        try {
+            return this.evaluate(expression, sampleRecord);
+        } catch (error) {
+            throw new Error(`Preview failed: ${error.message}`);
+        }
     }
 
     /**
-     * Get total item count in a group
+     * Save formulas to storage
      */
-    _getGroupItemCount(group) {
-        if (group.records.length > 0) {
-            return group.records.length;
-        }
-        
-        if (group.subgroups) {
-            return group.subgroups.reduce((total, subgroup) => {
-                return total + this._getGroupItemCount(subgroup);
-            }, 0);
+    saveFormulas() {
+        try {
+            localStorage.setItem('catalogBuilderFormulas', JSON.stringify(this.formulas));
+            console.log('Formulas saved');
+        } catch (error) {
+            console.error('Failed to save formulas:', error);
+            throw error;
         }
-        
-        return 0;
     }
 
     /**
-     * Count total number of groups
+     * Load formulas from storage
      */
-    _countGroups(groups) {
-        let count = groups.length;
-        
-        groups.forEach(group => {
-            if (group.subgroups) {
-                count += this._countGroups(group.subgroups);
+    loadFormulas() {
+        try {
+            const saved = localStorage.getItem('catalogBuilderFormulas');
+            if (saved) {
+                this.formulas = JSON.parse(saved);
+                console.log(`Loaded ${this.formulas.length} formulas`);
             }
-        });
-        
-        return count;
+        } catch (error) {
+            console.error('Failed to load formulas:', error);
+        }
     }
 
     /**
-     * Calculate group aggregations
-     * @param {array} groups - Group structure
-     * @param {array} aggregations - Aggregation configs [{field, function}]
+     * Export formulas to JSON
      */
-    calculateAggregations(groups, aggregations) {
-        groups.forEach(group => {
-            group.aggregations = {};
-            
-            const allRecords = this._getAllRecordsInGroup(group);
-            
-            aggregations.forEach(agg => {
-                const values = allRecords.map(r => r[agg.field]).filter(v => v != null);
-                
-                switch (agg.function) {
-                    case 'count':
-                        group.aggregations[agg.field] = values.length;
-                        break;
-                    case 'sum':
-                        group.aggregations[agg.field] = values.reduce((sum, v) => sum + parseFloat(v || 0), 0);
-                        break;
-                    case 'avg':
-                        const sum = values.reduce((s, v) => s + parseFloat(v || 0), 0);
-                        group.aggregations[agg.field] = values.length > 0 ? sum / values.length : 0;
-                        break;
-                    case 'min':
-                        group.aggregations[agg.field] = Math.min(...values.map(v => parseFloat(v || 0)));
-                        break;
-                    case 'max':
-                        group.aggregations[agg.field] = Math.max(...values.map(v => parseFloat(v || 0)));
-                        break;
-                }
-            });
+    exportFormulas() {
+        return {
+            version: '1.0',
+            formulas: this.formulas,
+            lookupTables: [...this.lookupTables.values()].map(({ name, keyField, fields, records }) => ({ name, keyField, fields, records })),
+            exportedAt: new Date().toISOString()
+        };
+    }
 
-            // Recursively calculate for subgroups
-            if (group.subgroups) {
-                this.calculateAggregations(group.subgroups, aggregations);
+    /**
+     * Import formulas from JSON
+     */
+    importFormulas(data) {
+        try {
+            if (data.formulas && Array.isArray(data.formulas)) {
+                this.formulas = data.formulas;
+                console.log(`Imported ${this.formulas.length} formulas`);
             }
-        });
+            if (Array.isArray(data.lookupTables)) {
+                data.lookupTables.forEach(table => this.addLookupTable(table.name, table, table.keyField));
+            }
+        } catch (error) {
+            console.error('Failed to import formulas:', error);
+            throw error;
+        }
+    }
+}
 
-        return groups;
+/**
+ * Common formula templates
+ */
+const FormulaTemplates = {
+    TAX: '{price} * (1 + {tax_rate} / 100)',
+    DISCOUNT_PERCENT: '{price} - ({price} * {discount} / 100)',
+    DISCOUNT_FIXED: '{price} - {discount_amount}',
+    MARGIN: '({price} - {cost}) / {cost} * 100',
+    BULK_DISCOUNT: 'IF({quantity} > 100, {price} * 0.9, {price})',
+    CURRENCY_CONVERSION: 'ROUND({price} * {exchange_rate}, 2)',
+    PRICE_WITH_TAX: 'ROUND({price} * 1.20, 2)',
+    TOTAL: '{price} * {quantity}',
+    PROFIT: '{price} - {cost}',
+    PROFIT_MARGIN: 'ROUND(({price} - {cost}) / {price} * 100, 2)'
+};
+
+// ==================== END MODULE: formulas.js ====================
+
+
+// ==================== MODULE: functionPacks.js ====================
+/**
+ * Function Packs Module
+ * Loads user-defined formula functions from a folder of pack files
+ *
+ * A pack is a .json file listing functions whose bodies are formulas over
+ * their parameters:
+ *
+ *   { "functions": [{
+ *       "signature": "PRICE_ENDING(price: number, market?: text): number",
+ *       "description": "Round up to the market's price ending",
+ *       "formula": "CEIL({price} - SWITCH({market}, \"DE\", 0.95, 0.99)) + SWITCH({market}, \"DE\", 0.95, 0.99)"
+ *   }] }
+ *
+ * Pack functions run on the formula evaluator like any other formula: they
+ * can only call formula functions, and no code from disk is executed, so
+ * packs have no access to the DOM, the file system or the plugin.
+ */
+
+class FunctionPackLoader {
+    constructor(formulaEngine) {
+        this.formulaEngine = formulaEngine;
+        this.packs = new Map();
+        this.folderPath = null;
     }
 
     /**
-     * Get all records in a group (including subgroups)
+     * Read a pack into function definitions without registering them
+     * @param {string} source - Pack file content (JSON)
+     * @param {string} packName - Used as the category of its functions
+     * @returns {Array} [{ signature, description, formula, fn, category }]
      */
-    _getAllRecordsInGroup(group) {
-        if (group.records.length > 0) {
-            return group.records;
+    compile(source, packName) {
+        let pack;
+        try {
+            pack = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid pack file: ${error.message}`);
         }
-        
-        if (group.subgroups) {
-            return group.subgroups.flatMap(sg => this._getAllRecordsInGroup(sg));
+        if (!pack || !Array.isArray(pack.functions) || pack.functions.length === 0) {
+            throw new Error('Pack defines no functions');
         }
-        
-        return [];
+
+        return pack.functions.map(entry => {
+            const { signature, description, formula } = entry || {};
+            if (typeof signature !== 'string' || typeof formula !== 'string' || !formula.trim()) {
+                throw new Error('Each pack function needs a signature and a formula');
+            }
+
+            const { params } = parseSignature(signature);
+            const variadic = params.find(param => param.variadic);
+            if (variadic) {
+                throw new Error(`${signature}: variable argument lists (...${variadic.name}) are not supported in packs`);
+            }
+
+            // The formula only sees the arguments, never the record
+            const names = params.map(param => param.name);
+            const unknown = this.formulaEngine.getDependencies(formula).find(field => !names.includes(field));
+            if (unknown) {
+                throw new Error(`${signature}: {${unknown}} is not a parameter`);
+            }
+
+            return {
+                signature,
+                description: String(description || ''),
+                formula,
+                fn: this.createFunction(formula, names),
+                category: packName
+            };
+        });
     }
 
     /**
-     * Generate table of contents from groups
+     * Formula function evaluating a pack formula with the call's arguments
+     * as its fields. Missing optional arguments are NULL.
      */
-    generateTableOfContents(groups, pageNumbers = {}) {
-        const toc = [];
-        
-        const processGroups = (grps, level = 0) => {
-            grps.forEach(group => {
-                toc.push({
-                    level,
-                    title: `${group.field}: ${group.value}`,
-                    itemCount: this._getGroupItemCount(group),
-                    pageNumber: pageNumbers[group.value] || '?'
-                });
-                
-                if (group.subgroups) {
-                    processGroups(group.subgroups, level + 1);
-                }
-            });
+    createFunction(formula, names) {
+        return function (...args) {
+            const values = Object.fromEntries(names.map((name, index) => [name, args[index] === undefined ? null : args[index]]));
+            return this.evaluate(formula, values);
         };
-        
-        processGroups(groups);
-        return toc;
     }
 
     /**
-     * Group by formula/calculated value
-     * @param {array} records - Data records
-     * @param {function} formulaFn - Function that returns group value
+     * Pack functions a formula calls
+     * @param {Map} formulas - Function name -> formula of the pack functions
      */
-    groupByFormula(records, formulaFn) {
-        const groups = new Map();
-        
-        records.forEach(record => {
-            const groupValue = formulaFn(record);
-            
-            if (!groups.has(groupValue)) {
-                groups.set(groupValue, []);
+    _calledPackFunctions(formula, formulas) {
+        const called = new Set();
+        this.formulaEngine.parser.walk(this.formulaEngine.parse(formula), node => {
+            if (node.type === 'call' && formulas.has(node.name)) {
+                called.add(node.name);
             }
-            
-            groups.get(groupValue).push(record);
         });
-        
-        return Array.from(groups.entries()).map(([value, records]) => ({
-            value,
-            records,
-            count: records.length
-        }));
+        return called;
     }
 
     /**
-     * Save group configuration
+     * Throw when pack functions call each other in a cycle. Formulas have no
+     * loops, so this keeps every pack function call finite.
+     * @param {Map} formulas - Function name -> formula of all loaded pack functions
      */
-    saveConfiguration() {
-        const config = {
-            groupLevels: this.groupLevels,
-            groupOptions: this.groupOptions
+    _checkRecursion(formulas) {
+        const done = new Set();
+        const visit = (name, path) => {
+            if (path.includes(name)) {
+                throw new Error(`Pack functions call themselves: ${[...path.slice(path.indexOf(name)), name].join(' -> ')}`);
+            }
+            if (done.has(name)) {
+                return;
+            }
+            this._calledPackFunctions(formulas.get(name), formulas).forEach(called => visit(called, [...path, name]));
+            done.add(name);
         };
-        
-        try {
-            localStorage.setItem('catalogBuilderGrouping', JSON.stringify(config));
-            console.log('Group configuration saved');
-        } catch (error) {
-            console.error('Failed to save configuration:', error);
-            throw error;
-        }
+        formulas.forEach((formula, name) => visit(name, []));
     }
 
     /**
-     * Load group configuration
+     * Read a pack and register its functions, replacing an earlier
+     * version of the same pack
+     * @returns {Object} { name, functions }
      */
-    loadConfiguration() {
+    loadPack(source, packName, path = null) {
         try {
-            const saved = localStorage.getItem('catalogBuilderGrouping');
-            if (saved) {
-                const config = JSON.parse(saved);
-                this.groupLevels = config.groupLevels || [];
-                this.groupOptions = { ...this.groupOptions, ...config.groupOptions };
-                console.log('Group configuration loaded');
+            const definitions = this.compile(source, packName);
+
+            this.unloadPack(packName);
+            const functions = [];
+            try {
+                definitions.forEach(definition => {
+                    const name = definition.signature.slice(0, definition.signature.indexOf('(')).trim();
+                    this.formulaEngine.registerFunction(name, definition.fn, definition.signature, {
+                        category: definition.category,
+                        description: definition.description,
+                        source: packName
+                    });
+                    functions.push(name.toUpperCase());
+                });
+                // Checked once all are registered, as pack functions may call each other
+                definitions.forEach(definition => this.formulaEngine.validateFormula(definition.formula));
+                const allFormulas = new Map([...this.packs.values()].flatMap(pack => Object.entries(pack.formulas)));
+                definitions.forEach((definition, index) => allFormulas.set(functions[index], definition.formula));
+                this._checkRecursion(allFormulas);
+            } catch (error) {
+                // All or nothing: a pack never stays half registered
+                functions.forEach(name => this.formulaEngine.unregisterFunction(name));
+                throw error;
             }
+
+            const formulas = Object.fromEntries(definitions.map((definition, index) => [functions[index], definition.formula]));
+            this.packs.set(packName, { name: packName, path, functions, formulas });
+            console.log(`Function pack loaded: ${packName} (${functions.join(', ')})`);
+            return { name: packName, functions };
         } catch (error) {
-            console.error('Failed to load configuration:', error);
+            console.error(`Failed to load function pack ${packName}:`, error);
+            throw error;
         }
     }
 
     /**
-     * Export configuration
+     * Unregister the functions of a pack
      */
-    exportConfig() {
-        return {
-            version: '1.0',
-            groupLevels: this.groupLevels,
-            groupOptions: this.groupOptions,
-            exportedAt: new Date().toISOString()
-        };
+    unloadPack(packName) {
+        const pack = this.packs.get(packName);
+        if (!pack) {
+            return false;
+        }
+        pack.functions.forEach(name => this.formulaEngine.unregisterFunction(name));
+        this.packs.delete(packName);
+        return true;
+    }
+
+    unloadAll() {
+        [...this.packs.keys()].forEach(name => this.unloadPack(name));
+        this.folderPath = null;
     }
 
     /**
-     * Import configuration
+     * Load every .json file of a folder as a pack, replacing the packs of
+     * the previously loaded folder. A broken pack does not stop the others.
+     * @param {string} folderPath - Native path of the folder
+     * @returns {Promise<Object>} { packs: [{ name, functions }], errors: [{ file, message }] }
      */
-    importConfig(config) {
+    async loadFolder(folderPath) {
         try {
-            if (config.groupLevels) this.groupLevels = config.groupLevels;
-            if (config.groupOptions) this.groupOptions = { ...this.groupOptions, ...config.groupOptions };
-            console.log('Group configuration imported');
-        } catch (error) {
-            console.error('Failed to import configuration:', error);
+            console.log('Loading function packs from:', folderPath);
+
+            const fs = require('uxp').storage.localFileSystem;
+            const folder = await fs.getEntryWithUrl('file:' + folderPath);
+            if (!folder || !folder.isFolder) {
+                throw new Error(`Not a folder: ${folderPath}`);
+            }
+
+            this.unloadAll();
+            this.folderPath = folderPath;
+
+            const files = (await folder.getEntries())
+                .filter(entry => entry.isFile && /\.json$/i.test(entry.name))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            const packs = [];
+            const errors = [];
+            for (const file of files) {
+                const packName = file.name.replace(/\.json$/i, '');
+                try {
+                    const source = await file.read({ format: require('uxp').storage.formats.utf8 });
+                    packs.push(this.loadPack(source, packName, file.nativePath));
+                } catch (error) {
+                    errors.push({ file: file.name, message: error.message });
+                }
+            }
+
+            console.log(`Loaded ${packs.length} function pack(s), ${errors.length} failed`);
+            return { packs, errors };
+        } catch (error) {
+            console.error('Failed to load function packs:', error);
             throw error;
         }
     }
+
+    /**
+     * Loaded packs: { name, path, functions }
+     */
+    getPacks() {
+        return [...this.packs.values()].map(({ formulas, ...pack }) => ({ ...pack, functions: [...pack.functions] }));
+    }
 }
 
-/**
- * Available aggregation functions
- */
-const AggregationFunctions = [
-    { value: 'count', label: 'Count' },
-    { value: 'sum', label: 'Sum' },
-    { value: 'avg', label: 'Average' },
-    { value: 'min', label: 'Minimum' },
-    { value: 'max', label: 'Maximum' }
-];
+// ==================== END MODULE: functionPacks.js ====================
+
 
+// ==================== MODULE: filtering.js ====================
 /**
- * Header style options
+ * Filtering and Sorting Module
+ * Comprehensive data filtering and sorting capabilities
  */
-const HeaderStyles = [
-    { value: 'heading1', label: 'Heading 1' },
-    { value: 'heading2', label: 'Heading 2' },
-    { value: 'heading3', label: 'Heading 3' },
-    { value: 'bold', label: 'Bold Text' },
-    { value: 'custom', label: 'Custom Style' }
-];
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Operators that take no comparison value
+const VALUELESS_OPERATORS = ['isEmpty', 'isNotEmpty', 'isTrue', 'isFalse', 'thisMonth', 'thisSeason', 'thisYear'];
+
+// Operators whose value names a field rather than holding a value
+const FIELD_OPERATORS = ['beforeField', 'afterField'];
 
 /**
- * Separator type options
+ * Sort rule types
+ * natural orders "Item 2" before "Item 10"; locale uses the collation of
+ * the rule's language; custom follows the rule's order list (e.g. S, M, L, XL).
  */
-const SeparatorTypes = [
-    { value: 'none', label: 'None' },
-    { value: 'line', label: 'Line' },
-    { value: 'space', label: 'Extra Space' },
-    { value: 'pageBreak', label: 'Page Break' }
-];
+const SortTypes = ['auto', 'string', 'number', 'date', 'natural', 'locale', 'custom', 'relevance'];
 
-// ==================== END MODULE: grouping.js ====================
+// Condition results kept for the live preview
+const PREVIEW_CACHE_SIZE = 100;
 
+// Score of a search term found as a whole word, as the start of a word, or with typos
+const SEARCH_SCORES = { exact: 1, prefix: 0.8, typo: [0.6, 0.4] };
 
-// ==================== MODULE: crossReferences.js ====================
 /**
- * Cross-References Module
- * Product linking and cross-referencing system
+ * Season calendars for the thisSeason operator and season buckets
+ * Each season runs from its start (month 1-12, day) to the next one's.
  */
+const SeasonPresets = {
+    meteorological: [
+        { name: 'Spring', month: 3, day: 1 },
+        { name: 'Summer', month: 6, day: 1 },
+        { name: 'Autumn', month: 9, day: 1 },
+        { name: 'Winter', month: 12, day: 1 }
+    ],
+    retail: [
+        { name: 'Spring/Summer', month: 2, day: 1 },
+        { name: 'Autumn/Winter', month: 8, day: 1 }
+    ]
+};
 
 /**
- * Cross-Reference Types
+ * Validate a season calendar and sort it by start date
+ * @param {string|Array} seasons - Name of a SeasonPresets entry, or [{ name, month, day }]
  */
-const ReferenceTypes = {
-    RELATED: 'related',
-    VARIANT: 'variant',
-    SEE_ALSO: 'see_also',
-    REPLACED_BY: 'replaced_by',
-    SUPERSEDED_BY: 'superseded_by',
-    ACCESSORY: 'accessory',
-    COMPATIBLE: 'compatible',
-    SERIES: 'series',
-    COLLECTION: 'collection'
-};
+function normalizeSeasons(seasons) {
+    const list = typeof seasons === 'string' ? SeasonPresets[seasons] : seasons;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Unknown seasons: ${seasons}`);
+    }
+    list.forEach(season => {
+        if (!(season.month >= 1 && season.month <= 12 && season.day >= 1 && season.day <= 31)) {
+            throw new Error(`Invalid season start: ${season.name}`);
+        }
+    });
+    return [...list].sort((a, b) => a.month - b.month || a.day - b.day);
+}
 
 /**
- * Cross-Reference Engine Class
+ * Create a filter group
+ * Groups hold conditions ({ field, operator, value }) and other groups,
+ * combined with AND or OR; negate inverts the result (NOT).
  */
-class CrossReferenceEngine {
-    constructor() {
-        this.references = new Map(); // sourceId -> array of references
-        this.reverseIndex = new Map(); // targetId -> array of sources
+function createFilterGroup(logic = 'AND', conditions = [], negate = false) {
+    return { type: 'group', logic, negate, conditions };
+}
+
+function isFilterGroup(node) {
+    return Boolean(node) && node.type === 'group';
+}
+
+/**
+ * Filter and Sort Engine Class
+ *
+ * Filters form a tree under this.filterTree. Nodes are addressed by paths of
+ * child indexes joined with dots: '' is the root group, '1.0' the first
+ * node of the root's second child.
+ *
+ * A condition compares a field to its value, or to another field of the
+ * same record when it has a valueField. The 'formula' operator keeps the
+ * records its FormulaEngine expression is TRUE for, and 'search' keeps
+ * records whose text fields contain the words of its value. Search
+ * conditions score the records they match; a 'relevance' sort rule orders
+ * by that score.
+ *
+ * Locale sorting uses the LocalizationEngine's collator when one is given.
+ */
+class FilterEngine {
+    constructor(formulaEngine = null, localizationEngine = null) {
+        this.formulaEngine = formulaEngine;
+        this.localizationEngine = localizationEngine;
+        this.formulaFailures = 0;
+        this.relevance = new WeakMap();
+        this.previewCache = { records: null, masks: new Map() };
+        this.filterTree = createFilterGroup();
+        this.sortRules = [];
+        this.presets = [];
+        this.dateFormat = 'auto';
+        this.seasons = SeasonPresets.meteorological;
     }
 
     /**
-     * Add a cross-reference
-     * @param {string} sourceId - Source record ID
-     * @param {string} targetId - Target record ID
-     * @param {string} type - Reference type
-     * @param {object} metadata - Additional metadata
+     * Set how date values of the data are read
+     * @param {string} format - 'auto' or a pattern such as 'DD/MM/YYYY' (see parseDate)
      */
-    addReference(sourceId, targetId, type = ReferenceTypes.RELATED, metadata = {}) {
-        try {
-            const reference = {
-                sourceId,
-                targetId,
-                type,
-                metadata,
-                createdAt: new Date().toISOString()
-            };
-
-            // Add to forward index
-            if (!this.references.has(sourceId)) {
-                this.references.set(sourceId, []);
-            }
-            this.references.get(sourceId).push(reference);
+    setDateFormat(format) {
+        this.dateFormat = format || 'auto';
+        this.clearPreviewCache();
+        console.log(`Date format: ${this.dateFormat}`);
+    }
 
-            // Add to reverse index for bidirectional lookup
-            if (!this.reverseIndex.has(targetId)) {
-                this.reverseIndex.set(targetId, []);
-            }
-            this.reverseIndex.get(targetId).push(reference);
+    /**
+     * Set the season calendar of the thisSeason operator
+     * @param {string|Array} seasons - Name of a SeasonPresets entry, or [{ name, month, day }]
+     */
+    setSeasons(seasons) {
+        this.seasons = normalizeSeasons(seasons);
+        this.clearPreviewCache();
+    }
 
-            console.log(`Reference added: ${sourceId} -> ${targetId} (${type})`);
-            return reference;
+    /**
+     * Add a filter condition
+     * @param {object} filter - Filter configuration
+     * @param {string} groupPath - Group to add it to (root by default)
+     */
+    addFilter(filter, groupPath = '') {
+        try {
+            this.validateFilter(filter);
+            this._getGroup(groupPath).conditions.push(filter);
+            console.log(`Filter added: ${this.describeCondition(filter)}`);
+            return filter;
         } catch (error) {
-            console.error(`Failed to add reference: ${error.message}`);
+            console.error(`Failed to add filter: ${error.message}`);
             throw error;
         }
     }
 
     /**
-     * Remove a cross-reference
+     * Add an empty group inside another group
+     * @returns {string} Path of the new group
      */
-    removeReference(sourceId, targetId, type = null) {
-        let removed = false;
+    addFilterGroup(logic = 'AND', groupPath = '', negate = false) {
+        if (logic !== 'AND' && logic !== 'OR') {
+            throw new Error(`Group logic must be AND or OR, not ${logic}`);
+        }
+        const parent = this._getGroup(groupPath);
+        parent.conditions.push(createFilterGroup(logic, [], negate));
+        console.log(`Filter group added: ${logic}${negate ? ' (NOT)' : ''}`);
+        return this._childPath(groupPath, parent.conditions.length - 1);
+    }
 
-        // Remove from forward index
-        if (this.references.has(sourceId)) {
-            const refs = this.references.get(sourceId);
-            const filtered = refs.filter(ref => {
-                const match = ref.targetId !== targetId || (type && ref.type !== type);
-                if (!match) removed = true;
-                return match;
-            });
-            
-            if (filtered.length === 0) {
-                this.references.delete(sourceId);
-            } else {
-                this.references.set(sourceId, filtered);
+    /**
+     * Validate filter configuration (a condition or a whole group)
+     */
+    validateFilter(filter) {
+        if (isFilterGroup(filter)) {
+            if (filter.logic !== 'AND' && filter.logic !== 'OR') {
+                throw new Error(`Group logic must be AND or OR, not ${filter.logic}`);
             }
+            if (!Array.isArray(filter.conditions)) {
+                throw new Error('Filter group must have a conditions array');
+            }
+            filter.conditions.forEach(node => this.validateFilter(node));
+            return true;
+        }
+        if (filter.operator === 'formula') {
+            if (!filter.expression || !String(filter.expression).trim()) {
+                throw new Error('Formula filter must have an expression');
+            }
+            if (!this.formulaEngine) {
+                throw new Error('Formula filters need a formula engine');
+            }
+            this.formulaEngine.validateFormula(filter.expression);
+            return true;
+        }
+        if (filter.operator === 'search') {
+            if (tokenizeText(filter.value).length === 0) {
+                throw new Error('Search filter must have words to search for');
+            }
+            if (filter.match !== undefined && filter.match !== 'all' && filter.match !== 'any') {
+                throw new Error(`Search match must be all or any, not ${filter.match}`);
+            }
+            if (filter.fields !== undefined && !Array.isArray(filter.fields)) {
+                throw new Error('Search fields must be a list of field names');
+            }
+            return true;
+        }
+        if (!filter.field) {
+            throw new Error('Filter must have a field');
+        }
+        if (!filter.operator) {
+            throw new Error('Filter must have an operator');
+        }
+        if (filter.valueField && (VALUELESS_OPERATORS.includes(filter.operator) || FIELD_OPERATORS.includes(filter.operator)
+            || ['between', 'inLastDays', 'inNextDays', 'regex'].includes(filter.operator))) {
+            throw new Error(`${filter.operator} cannot compare with another field`);
+        }
+        if ((filter.operator === 'inLastDays' || filter.operator === 'inNextDays') && !/^\d+$/.test(String(filter.value ?? '').trim())) {
+            throw new Error(`${filter.operator} needs a number of days`);
+        }
+        if ((filter.operator === 'beforeField' || filter.operator === 'afterField') && !filter.value) {
+            throw new Error(`${filter.operator} needs the name of a date field`);
         }
+        return true;
+    }
 
-        // Remove from reverse index
-        if (this.reverseIndex.has(targetId)) {
-            const refs = this.reverseIndex.get(targetId);
-            const filtered = refs.filter(ref => {
-                return ref.sourceId !== sourceId || (type && ref.type !== type);
-            });
-            
-            if (filtered.length === 0) {
-                this.reverseIndex.delete(targetId);
-            } else {
-                this.reverseIndex.set(targetId, filtered);
+    /**
+     * Node at a path
+     */
+    getFilterNode(path = '') {
+        if (path === '' || path === null || path === undefined) {
+            return this.filterTree;
+        }
+        
+        let node = this.filterTree;
+        for (const index of String(path).split('.').map(Number)) {
+            node = isFilterGroup(node) ? node.conditions[index] : undefined;
+            if (!node) {
+                throw new Error(`No filter at ${path}`);
             }
         }
+        return node;
+    }
 
-        if (removed) {
-            console.log(`Reference removed: ${sourceId} -> ${targetId}`);
+    _getGroup(path) {
+        const node = this.getFilterNode(path);
+        if (!isFilterGroup(node)) {
+            throw new Error(`Filter at ${path} is not a group`);
         }
+        return node;
+    }
 
-        return removed;
+    _childPath(groupPath, index) {
+        return groupPath === '' || groupPath === null || groupPath === undefined ? String(index) : `${groupPath}.${index}`;
     }
 
     /**
-     * Get all references from a record
+     * Set AND/OR of a group
      */
-    getReferences(recordId, type = null) {
-        const refs = this.references.get(recordId) || [];
-        
-        if (type) {
-            return refs.filter(ref => ref.type === type);
+    setGroupLogic(path, logic) {
+        if (logic !== 'AND' && logic !== 'OR') {
+            throw new Error(`Group logic must be AND or OR, not ${logic}`);
         }
-        
-        return refs;
+        this._getGroup(path).logic = logic;
     }
 
     /**
-     * Get all records that reference this record
+     * Negate (NOT) a group or a single condition
      */
-    getReferencedBy(recordId, type = null) {
-        const refs = this.reverseIndex.get(recordId) || [];
-        
-        if (type) {
-            return refs.filter(ref => ref.type === type);
+    setNegate(path, negate) {
+        this.getFilterNode(path).negate = Boolean(negate);
+    }
+
+    /**
+     * Remove a filter or a group
+     * @param {number|string} path - Path, or index in the root group
+     */
+    removeFilter(path) {
+        const parts = String(path).split('.');
+        const index = Number(parts.pop());
+        let parent;
+        try {
+            parent = this._getGroup(parts.join('.'));
+        } catch (error) {
+            return false;
         }
         
-        return refs;
+        if (index >= 0 && index < parent.conditions.length) {
+            parent.conditions.splice(index, 1);
+            console.log(`Filter removed at ${path}`);
+            return true;
+        }
+        return false;
     }
 
     /**
-     * Get bidirectional references
+     * Clear all filters
      */
-    getBidirectionalReferences(recordId, type = null) {
-        return {
-            outgoing: this.getReferences(recordId, type),
-            incoming: this.getReferencedBy(recordId, type)
-        };
+    clearFilters() {
+        this.filterTree = createFilterGroup(this.filterTree.logic);
+        console.log('All filters cleared');
     }
 
     /**
-     * Check if two records are linked
+     * Number of conditions in the tree
      */
-    areLinked(recordId1, recordId2) {
-        const refs1 = this.getReferences(recordId1);
-        const refs2 = this.getReferences(recordId2);
-        
-        return refs1.some(ref => ref.targetId === recordId2) ||
-               refs2.some(ref => ref.targetId === recordId1);
+    countFilters(node = this.filterTree) {
+        return isFilterGroup(node)
+            ? node.conditions.reduce((count, child) => count + this.countFilters(child), 0)
+            : 1;
     }
 
     /**
-     * Validate references against dataset
-     * @param {array} records - Data records with ID field
-     * @param {string} idField - Name of ID field
+     * Readable form of a filter tree, e.g.
+     * (category equals "Tools" AND price lessThan "50") OR featured isTrue
      */
-    validateReferences(records, idField = 'id') {
-        const validIds = new Set(records.map(r => r[idField]));
-        const broken = [];
+    describeFilters(node = this.filterTree, nested = false) {
+        if (!isFilterGroup(node)) {
+            const text = this.describeCondition(node);
+            return node.negate ? `NOT (${text})` : text;
+        }
+        
+        const parts = node.conditions.map(child => this.describeFilters(child, true));
+        if (parts.length === 0) {
+            return node.negate ? 'NOT (all records)' : 'all records';
+        }
+        const text = parts.join(` ${node.logic} `);
+        if (node.negate) {
+            return `NOT (${text})`;
+        }
+        return nested && parts.length > 1 ? `(${text})` : text;
+    }
 
-        this.references.forEach((refs, sourceId) => {
-            if (!validIds.has(sourceId)) {
-                broken.push({
-                    type: 'source_not_found',
-                    sourceId,
-                    message: `Source record not found: ${sourceId}`
-                });
-            }
+    /**
+     * Readable form of a single condition, without its NOT
+     * e.g. price lessThan "50", sale_price lessThan {price}, formula: {stock} > 0
+     */
+    describeCondition(filter) {
+        if (filter.operator === 'formula') {
+            return `formula: ${filter.expression}`;
+        }
+        if (filter.operator === 'search') {
+            const fields = this._searchFields(filter);
+            const where = fields ? ` in ${fields.join(', ')}` : '';
+            return `search ${filter.match === 'any' ? 'any of' : 'all of'} "${filter.value}"${where}`;
+        }
+        let value;
+        if (VALUELESS_OPERATORS.includes(filter.operator)) {
+            value = '';
+        } else if (filter.operator === 'between') {
+            value = ` ${filter.min} and ${filter.max}`;
+        } else if (filter.valueField || FIELD_OPERATORS.includes(filter.operator)) {
+            value = ` {${filter.valueField || filter.value}}`;
+        } else {
+            value = ` "${filter.value ?? ''}"`;
+        }
+        return `${filter.field} ${filter.operator}${value}`;
+    }
 
-            refs.forEach(ref => {
-                if (!validIds.has(ref.targetId)) {
-                    broken.push({
-                        type: 'target_not_found',
-                        sourceId: ref.sourceId,
-                        targetId: ref.targetId,
-                        referenceType: ref.type,
-                        message: `Target record not found: ${ref.targetId}`
-                    });
-                }
-            });
-        });
-
-        if (broken.length > 0) {
-            console.warn(`Found ${broken.length} broken references`);
-        } else {
-            console.log('All references are valid');
+    /**
+     * Filter tree from a configuration or preset
+     * Accepts { filterTree } and the flat { filters, logic } of older versions.
+     */
+    normalizeFilters(config) {
+        if (isFilterGroup(config?.filterTree)) {
+            return config.filterTree;
         }
-
-        return broken;
+        if (Array.isArray(config?.filters)) {
+            return createFilterGroup(config.logic === 'OR' ? 'OR' : 'AND', config.filters);
+        }
+        return createFilterGroup();
     }
 
     /**
-     * Resolve references to actual records
-     * @param {string} recordId - Source record ID
-     * @param {array} records - All data records
-     * @param {string} idField - Name of ID field
+     * Apply filters to dataset
+     * @param {array} records - Data records
+     * @param {string} logic - Optional 'AND' or 'OR' overriding the root group's logic
      */
-    resolveReferences(recordId, records, idField = 'id') {
-        const refs = this.getReferences(recordId);
-        const resolved = [];
+    applyFilters(records, logic = null) {
+        this.relevance = new WeakMap();
+        if (this.countFilters() === 0) {
+            return records;
+        }
 
-        refs.forEach(ref => {
-            const targetRecord = records.find(r => r[idField] === ref.targetId);
-            if (targetRecord) {
-                resolved.push({
-                    type: ref.type,
-                    metadata: ref.metadata,
-                    record: targetRecord
-                });
-            }
-        });
+        const root = logic ? { ...this.filterTree, logic } : this.filterTree;
+        console.log(`Applying filters: ${this.describeFilters(root)}`);
 
-        return resolved;
+        this.formulaFailures = 0;
+        const filtered = records.filter(record => this._matchesNode(record, root));
+        if (this.formulaFailures > 0) {
+            console.warn(`Formula filters failed for ${this.formulaFailures} record(s); those records do not match`);
+        }
+        this.formulaEngine?.reportMissingFields('Formula filters');
+
+        console.log(`Filtered ${records.length} records to ${filtered.length} records`);
+        return filtered;
     }
 
     /**
-     * Build reference graph
+     * Check if a record matches a condition or group
+     * An empty group matches every record.
      */
-    buildGraph() {
-        const graph = {
-            nodes: new Set(),
-            edges: []
-        };
-
-        this.references.forEach((refs, sourceId) => {
-            graph.nodes.add(sourceId);
-            
-            refs.forEach(ref => {
-                graph.nodes.add(ref.targetId);
-                graph.edges.push({
-                    from: sourceId,
-                    to: ref.targetId,
-                    type: ref.type
-                });
-            });
-        });
-
-        return {
-            nodes: Array.from(graph.nodes),
-            edges: graph.edges
-        };
+    _matchesNode(record, node) {
+        let matches;
+        if (isFilterGroup(node)) {
+            matches = node.logic === 'OR'
+                ? node.conditions.length === 0 || node.conditions.some(child => this._matchesNode(record, child))
+                : node.conditions.every(child => this._matchesNode(record, child));
+        } else {
+            matches = this._matchesFilter(record, node);
+        }
+        return node.negate ? !matches : matches;
     }
 
     /**
-     * Find reference chains (A -> B -> C)
+     * Check if a record matches a filter
      */
-    findChains(startId, maxDepth = 3) {
-        const chains = [];
-        const visited = new Set();
+    _matchesFilter(record, filter) {
+        if (filter.operator === 'formula') {
+            return this._matchesFormula(record, filter.expression);
+        }
+        if (filter.operator === 'search') {
+            return this._matchesSearch(record, filter);
+        }
+        
+        const value = record[filter.field];
+        const filterValue = filter.valueField ? record[filter.valueField] : filter.value;
+        
+        // Two fields only compare when both have a value
+        const isBlank = v => v === null || v === undefined || String(v).trim() === '';
+        if (filter.valueField && (isBlank(value) || isBlank(filterValue))) {
+            return false;
+        }
 
-        const traverse = (currentId, chain, depth) => {
-            if (depth > maxDepth || visited.has(currentId)) {
-                return;
+        switch (filter.operator) {
+            case 'equals':
+                return this._equals(value, filterValue);
+            
+            case 'notEquals':
+                return !this._equals(value, filterValue);
+            
+            case 'contains':
+                return String(value).toLowerCase().includes(String(filterValue).toLowerCase());
+            
+            case 'notContains':
+                return !String(value).toLowerCase().includes(String(filterValue).toLowerCase());
+            
+            case 'startsWith':
+                return String(value).toLowerCase().startsWith(String(filterValue).toLowerCase());
+            
+            case 'endsWith':
+                return String(value).toLowerCase().endsWith(String(filterValue).toLowerCase());
+            
+            case 'greaterThan':
+                return this._compare(value, filterValue) > 0;
+            
+            case 'lessThan':
+                return this._compare(value, filterValue) < 0;
+            
+            case 'greaterOrEqual':
+                return this._compare(value, filterValue) >= 0;
+            
+            case 'lessOrEqual':
+                return this._compare(value, filterValue) <= 0;
+            
+            case 'between':
+                return this._compare(value, filter.min) >= 0 && this._compare(value, filter.max) <= 0;
+            
+            case 'inLastDays':
+            case 'inNextDays': {
+                const day = this._toDay(value);
+                const days = parseInt(filterValue, 10);
+                if (!day || isNaN(days)) return false;
+                const offset = Math.round((day - this._today()) / ONE_DAY_MS);
+                return filter.operator === 'inLastDays' ? offset <= 0 && offset >= -days : offset >= 0 && offset <= days;
             }
-
-            visited.add(currentId);
-            const refs = this.getReferences(currentId);
-
-            if (refs.length === 0) {
-                if (chain.length > 1) {
-                    chains.push([...chain]);
-                }
-            } else {
-                refs.forEach(ref => {
-                    traverse(ref.targetId, [...chain, ref.targetId], depth + 1);
-                });
+            
+            case 'thisMonth':
+            case 'thisSeason':
+            case 'thisYear': {
+                const day = this._toDay(value);
+                if (!day) return false;
+                const { start, end } = this._currentPeriod(filter.operator);
+                return day >= start && day < end;
             }
-
-            visited.delete(currentId);
-        };
-
-        traverse(startId, [startId], 0);
-        return chains;
+            
+            case 'beforeField':
+            case 'afterField': {
+                const date = this._toDate(value);
+                const other = this._toDate(record[filterValue]);
+                if (!date || !other) return false;
+                return filter.operator === 'beforeField' ? date < other : date > other;
+            }
+            
+            case 'isEmpty':
+                return value === null || value === undefined || value === '';
+            
+            case 'isNotEmpty':
+                return value !== null && value !== undefined && value !== '';
+            
+            case 'isTrue':
+                return value === true || value === 'true' || value === 1;
+            
+            case 'isFalse':
+                return value === false || value === 'false' || value === 0;
+            
+            case 'regex':
+                try {
+                    const regex = new RegExp(filterValue, 'i');
+                    return regex.test(String(value));
+                } catch (error) {
+                    console.error(`Invalid regex: ${filterValue}`);
+                    return false;
+                }
+            
+            default:
+                console.warn(`Unknown operator: ${filter.operator}`);
+                return true;
+        }
     }
 
     /**
-     * Group references by type
+     * Evaluate a formula filter; only TRUE matches, so NULL and errors drop
+     * the record
      */
-    groupByType(recordId) {
-        const refs = this.getReferences(recordId);
-        const grouped = {};
-
-        refs.forEach(ref => {
-            if (!grouped[ref.type]) {
-                grouped[ref.type] = [];
-            }
-            grouped[ref.type].push(ref);
-        });
-
-        return grouped;
+    _matchesFormula(record, expression) {
+        if (!this.formulaEngine) {
+            throw new Error('Formula filters need a formula engine');
+        }
+        try {
+            return this.formulaEngine.evaluate(expression, record) === true;
+        } catch (error) {
+            this.formulaFailures++;
+            return false;
+        }
     }
 
     /**
-     * Import references from data field
-     * @param {array} records - Data records
-     * @param {string} idField - ID field name
-     * @param {string} refField - Reference field name (comma-separated IDs)
-     * @param {string} type - Reference type
+     * Evaluate a search condition and add its score to the record's relevance
      */
-    importFromField(records, idField = 'id', refField = 'related_products', type = ReferenceTypes.RELATED) {
-        let count = 0;
+    _matchesSearch(record, filter) {
+        const score = this.searchScore(record, filter.value, {
+            fields: this._searchFields(filter),
+            match: filter.match,
+            fuzzy: filter.fuzzy
+        });
+        if (score > 0) {
+            this.relevance.set(record, (this.relevance.get(record) || 0) + score);
+        }
+        return score > 0;
+    }
 
-        records.forEach(record => {
-            const sourceId = record[idField];
-            const refValue = record[refField];
+    _searchFields(filter) {
+        if (Array.isArray(filter.fields) && filter.fields.length > 0) {
+            return filter.fields;
+        }
+        return filter.field ? [filter.field] : null;
+    }
 
-            if (refValue) {
-                const targetIds = String(refValue).split(',').map(id => id.trim());
-                
-                targetIds.forEach(targetId => {
-                    if (targetId) {
-                        this.addReference(sourceId, targetId, type);
-                        count++;
-                    }
+    /**
+     * Full-text score of a record for a query
+     *
+     * Words are compared without case and diacritics. A query word matches a
+     * word of the record (or two neighbouring words written together) exactly, as its start (3 letters or more) or, with
+     * fuzzy on, with one typo (4 letters or more) or two (8 or more).
+     * @param {object} record - Data record
+     * @param {string} query - Words to search for
+     * @param {object} options - { fields: names (all fields by default),
+     *   match: 'all' (default) or 'any', fuzzy: true by default }
+     * @returns {number} 0 when the record does not match, otherwise up to 1
+     */
+    searchScore(record, query, options = {}) {
+        const terms = [...new Set(tokenizeText(query))];
+        if (terms.length === 0) {
+            return 0;
+        }
+        
+        const fields = options.fields || Object.keys(record);
+        const words = new Set();
+        fields.forEach(field => {
+            const value = record[field];
+            if (value !== null && value !== undefined && typeof value !== 'object') {
+                // Neighbouring words also count joined, so "water-proof" matches "waterproof"
+                tokenizeText(value).forEach((word, i, all) => {
+                    words.add(word);
+                    if (i > 0) words.add(all[i - 1] + word);
                 });
             }
         });
+        
+        const scores = terms.map(term => this._termScore(term, words, options.fuzzy !== false));
+        const matched = scores.filter(score => score > 0).length;
+        if (matched === 0 || (options.match !== 'any' && matched < terms.length)) {
+            return 0;
+        }
+        return scores.reduce((sum, score) => sum + score, 0) / terms.length;
+    }
 
-        console.log(`Imported ${count} references from field ${refField}`);
-        return count;
+    _termScore(term, words, fuzzy) {
+        if (words.has(term)) {
+            return SEARCH_SCORES.exact;
+        }
+        
+        const maxTypos = !fuzzy || term.length < 4 ? 0 : term.length < 8 ? 1 : 2;
+        let best = 0;
+        for (const word of words) {
+            if (term.length >= 3 && word.startsWith(term)) {
+                return SEARCH_SCORES.prefix;
+            }
+            if (maxTypos > 0 && best < SEARCH_SCORES.typo[0]) {
+                const distance = editDistance(term, word, maxTypos);
+                if (distance <= maxTypos) {
+                    best = Math.max(best, SEARCH_SCORES.typo[distance - 1]);
+                }
+            }
+        }
+        return best;
     }
 
     /**
-     * Export references to data structure
+     * Summed search score of a record in the last applyFilters run
      */
-    exportToData(records, idField = 'id') {
-        const enriched = records.map(record => {
-            const recordId = record[idField];
-            const refs = this.getReferences(recordId);
-            
-            return {
-                ...record,
-                _references: refs.map(ref => ({
-                    id: ref.targetId,
-                    type: ref.type
-                })),
-                _referencedBy: this.getReferencedBy(recordId).map(ref => ({
-                    id: ref.sourceId,
-                    type: ref.type
-                }))
-            };
-        });
-
-        return enriched;
+    getRelevance(record) {
+        return this.relevance.get(record) || 0;
     }
 
     /**
-     * Clear all references
+     * Order two values: numerically when both are numbers, as dates when
+     * the filter value is a date. NaN (never matches) when a date filter
+     * meets a value that is not a date.
      */
-    clearAll() {
-        this.references.clear();
-        this.reverseIndex.clear();
-        console.log('All references cleared');
+    _compare(value, filterValue) {
+        if (!(this._isNumber(value) && this._isNumber(filterValue))) {
+            const filterDate = this._toFilterDate(filterValue);
+            if (filterDate) {
+                const date = this._toDate(value);
+                return date ? date - filterDate : NaN;
+            }
+        }
+        return this._toNumber(value) - this._toNumber(filterValue);
+    }
+
+    _isNumber(value) {
+        if (typeof value === 'number') return true;
+        return typeof value === 'string' && value.trim() !== '' && isFinite(Number(value));
     }
 
     /**
-     * Get statistics
+     * Date of a record value, read with the configured date format
      */
-    getStatistics() {
-        let totalRefs = 0;
-        const typeCount = {};
-
-        this.references.forEach(refs => {
-            totalRefs += refs.length;
-            refs.forEach(ref => {
-                typeCount[ref.type] = (typeCount[ref.type] || 0) + 1;
-            });
-        });
-
-        return {
-            totalRecordsWithReferences: this.references.size,
-            totalReferences: totalRefs,
-            averageReferencesPerRecord: this.references.size > 0 ? 
-                (totalRefs / this.references.size).toFixed(2) : 0,
-            referencesByType: typeCount
-        };
-    }
+    _toDate(value) {
+        return this._isNumber(value) ? null : parseDate(value, this.dateFormat);
+    }
 
     /**
-     * Save references to storage
+     * Date typed in a filter: the data's format or an ISO date
      */
-    save() {
-        try {
-            const data = {
-                references: Array.from(this.references.entries()),
-                reverseIndex: Array.from(this.reverseIndex.entries())
-            };
-            
-            localStorage.setItem('catalogBuilderReferences', JSON.stringify(data));
-            console.log('Cross-references saved');
-        } catch (error) {
-            console.error('Failed to save references:', error);
-            throw error;
-        }
+    _toFilterDate(value) {
+        return this._toDate(value) || (this._isNumber(value) ? null : parseDate(value, 'auto'));
     }
 
-    /**
-     * Load references from storage
-     */
-    load() {
-        try {
-            const saved = localStorage.getItem('catalogBuilderReferences');
-            if (saved) {
-                const data = JSON.parse(saved);
-                this.references = new Map(data.references);
-                this.reverseIndex = new Map(data.reverseIndex);
-                console.log('Cross-references loaded');
-            }
-        } catch (error) {
-            console.error('Failed to load references:', error);
-        }
+    _toDay(value) {
+        const date = this._toDate(value);
+        return date ? new Date(date.getFullYear(), date.getMonth(), date.getDate()) : null;
     }
 
-    /**
-     * Export to JSON
-     */
-    exportToJSON() {
-        return {
-            version: '1.0',
-            references: Array.from(this.references.entries()).map(([sourceId, refs]) => ({
-                sourceId,
-                references: refs
-            })),
-            exportedAt: new Date().toISOString()
-        };
+    _today() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
     }
 
     /**
-     * Import from JSON
+     * Month, season or year containing a day as { start, end } (end exclusive)
      */
-    importFromJSON(data) {
-        try {
-            this.clearAll();
-            
-            if (data.references && Array.isArray(data.references)) {
-                data.references.forEach(item => {
-                    item.references.forEach(ref => {
-                        this.addReference(ref.sourceId, ref.targetId, ref.type, ref.metadata);
-                    });
-                });
+    _currentPeriod(operator, today = this._today()) {
+        const year = today.getFullYear();
+        
+        if (operator === 'thisMonth') {
+            return { start: new Date(year, today.getMonth(), 1), end: new Date(year, today.getMonth() + 1, 1) };
+        }
+        if (operator === 'thisYear') {
+            return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+        }
+        
+        // Latest season start on or before today; before the first one, last year's last season
+        const startOf = (season, y) => new Date(y, season.month - 1, season.day);
+        let index = this.seasons.length - 1;
+        let startYear = year - 1;
+        for (let i = this.seasons.length - 1; i >= 0; i--) {
+            if (startOf(this.seasons[i], year) <= today) {
+                index = i;
+                startYear = year;
+                break;
             }
-            
-            console.log('Cross-references imported from JSON');
-        } catch (error) {
-            console.error('Failed to import references:', error);
-            throw error;
         }
+        const next = (index + 1) % this.seasons.length;
+        const endYear = next === 0 ? startYear + 1 : startYear;
+        return { start: startOf(this.seasons[index], startYear), end: startOf(this.seasons[next], endYear) };
     }
-}
-
-// ==================== END MODULE: crossReferences.js ====================
-
-
-// ==================== MODULE: localization.js ====================
-/**
- * Localization Module
- * Multi-language support and internationalization
- */
-
-/**
- * Supported Languages
- */
-const SupportedLanguages = [
-    { code: 'en', name: 'English', direction: 'ltr' },
-    { code: 'fr', name: 'Français', direction: 'ltr' },
-    { code: 'de', name: 'Deutsch', direction: 'ltr' },
-    { code: 'es', name: 'Español', direction: 'ltr' },
-    { code: 'it', name: 'Italiano', direction: 'ltr' },
-    { code: 'pt', name: 'Português', direction: 'ltr' },
-    { code: 'nl', name: 'Nederlands', direction: 'ltr' },
-    { code: 'pl', name: 'Polski', direction: 'ltr' },
-    { code: 'ru', name: 'Русский', direction: 'ltr' },
-    { code: 'ja', name: '日本語', direction: 'ltr' },
-    { code: 'zh', name: '中文', direction: 'ltr' },
-    { code: 'ar', name: 'العربية', direction: 'rtl' },
-    { code: 'he', name: 'עברית', direction: 'rtl' }
-];
 
-/**
- * Localization Engine Class
- */
-class LocalizationEngine {
-    constructor() {
-        this.currentLanguage = 'en';
-        this.defaultLanguage = 'en';
-        this.enabledLanguages = ['en'];
-        this.fieldMappings = new Map(); // fieldName -> { en: 'field_en', fr: 'field_fr', ... }
-        this.useFallback = true;
-        this.translations = {}; // UI translations
+    /**
+     * Name of the season a date falls in
+     */
+    getSeason(date = this._today()) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const { start } = this._currentPeriod('thisSeason', day);
+        return this.seasons.find(season => season.month - 1 === start.getMonth() && season.day === start.getDate()).name;
     }
 
     /**
-     * Set current language
+     * Compare values for equality
      */
-    setLanguage(languageCode) {
-        if (this.isLanguageSupported(languageCode)) {
-            this.currentLanguage = languageCode;
-            console.log(`Language set to: ${languageCode}`);
-            return true;
+    _equals(value1, value2) {
+        // Dates from Excel match the same day written in the filter
+        if (value1 instanceof Date) {
+            const date = this._toFilterDate(value2);
+            return Boolean(date) && this._toDay(value1).getTime() === new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
         }
         
-        console.warn(`Unsupported language: ${languageCode}`);
-        return false;
+        // Case-insensitive string comparison
+        if (typeof value1 === 'string' && typeof value2 === 'string') {
+            return value1.toLowerCase() === value2.toLowerCase();
+        }
+        return value1 == value2;
     }
 
     /**
-     * Get current language
+     * Convert value to number
      */
-    getCurrentLanguage() {
-        return this.currentLanguage;
+    _toNumber(value) {
+        const num = parseFloat(value);
+        return isNaN(num) ? 0 : num;
     }
 
     /**
-     * Set default fallback language
-     */
-    setDefaultLanguage(languageCode) {
-        this.defaultLanguage = languageCode;
-        console.log(`Default language set to: ${languageCode}`);
+     * Add a sort rule
+     * @param {string} field - Field to sort by (not used by 'relevance' rules)
+     * @param {string} direction - 'asc' or 'desc'
+     * @param {string} type - One of SortTypes
+     * @param {object} options - { nulls: 'first' | 'last', locale, order }
+     *   nulls: where empty values go whatever the direction (by default
+     *   they sort as the smallest value); locale: language of 'locale' and
+     *   'natural' rules (current language by default); order: values of a
+     *   'custom' rule, first to last
+     */
+    addSortRule(field, direction = 'asc', type = 'auto', options = {}) {
+        const rule = { field, direction, type, ...options };
+        this.validateSortRule(rule);
+        this.sortRules.push(rule);
+        console.log(`Sort rule added: ${field} ${direction} (${type})`);
+        return rule;
     }
 
     /**
-     * Enable a language
+     * Validate a sort rule
      */
-    enableLanguage(languageCode) {
-        if (this.isLanguageSupported(languageCode) && !this.enabledLanguages.includes(languageCode)) {
-            this.enabledLanguages.push(languageCode);
-            console.log(`Language enabled: ${languageCode}`);
-            return true;
+    validateSortRule(rule) {
+        if (!rule.field && rule.type !== 'relevance') {
+            throw new Error('Sort rule must have a field');
         }
-        return false;
+        if (rule.direction !== 'asc' && rule.direction !== 'desc') {
+            throw new Error(`Sort direction must be asc or desc, not ${rule.direction}`);
+        }
+        if (!SortTypes.includes(rule.type)) {
+            throw new Error(`Unknown sort type: ${rule.type}`);
+        }
+        if (rule.nulls !== undefined && rule.nulls !== 'first' && rule.nulls !== 'last') {
+            throw new Error(`Nulls must be first or last, not ${rule.nulls}`);
+        }
+        if (rule.type === 'custom' && !(Array.isArray(rule.order) && rule.order.length > 0)) {
+            throw new Error('Custom sort needs a list of values');
+        }
+        return true;
     }
 
     /**
-     * Disable a language
+     * Remove a sort rule
      */
-    disableLanguage(languageCode) {
-        const index = this.enabledLanguages.indexOf(languageCode);
-        if (index !== -1 && languageCode !== this.defaultLanguage) {
-            this.enabledLanguages.splice(index, 1);
-            console.log(`Language disabled: ${languageCode}`);
+    removeSortRule(index) {
+        if (index >= 0 && index < this.sortRules.length) {
+            this.sortRules.splice(index, 1);
+            console.log(`Sort rule removed at index ${index}`);
             return true;
         }
         return false;
     }
 
     /**
-     * Check if language is supported
+     * Clear all sort rules
      */
-    isLanguageSupported(languageCode) {
-        return SupportedLanguages.some(lang => lang.code === languageCode);
+    clearSortRules() {
+        this.sortRules = [];
+        console.log('All sort rules cleared');
     }
 
     /**
-     * Get language info
+     * Apply sorting to dataset
      */
-    getLanguageInfo(languageCode) {
-        return SupportedLanguages.find(lang => lang.code === languageCode);
-    }
+    applySort(records) {
+        if (this.sortRules.length === 0) {
+            return records;
+        }
 
-    /**
-     * Check if language is RTL
-     */
-    isRTL(languageCode = null) {
-        const code = languageCode || this.currentLanguage;
-        const info = this.getLanguageInfo(code);
-        return info ? info.direction === 'rtl' : false;
-    }
+        console.log(`Applying ${this.sortRules.length} sort rules`);
 
-    /**
-     * Add field mapping for localization
-     * @param {string} baseField - Base field name (e.g., 'productName')
-     * @param {object} languageFields - Language-specific fields { en: 'productName_en', fr: 'productName_fr' }
-     */
-    addFieldMapping(baseField, languageFields) {
-        this.fieldMappings.set(baseField, languageFields);
-        console.log(`Field mapping added for: ${baseField}`);
+        // Collators and custom orders are built once per run
+        const comparators = this.sortRules.map(rule => this._createComparator(rule));
+
+        const sorted = [...records].sort((a, b) => {
+            for (let i = 0; i < this.sortRules.length; i++) {
+                const rule = this.sortRules[i];
+                const result = rule.type === 'relevance'
+                    ? comparators[i](this.getRelevance(a), this.getRelevance(b))
+                    : comparators[i](a[rule.field], b[rule.field]);
+                
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return 0;
+        });
+
+        return sorted;
     }
 
     /**
-     * Get localized field name
+     * Comparator of a sort rule: applies the direction, and places empty
+     * values (and dates that do not parse) by the rule's nulls option
      */
-    getLocalizedField(baseField, languageCode = null) {
-        const lang = languageCode || this.currentLanguage;
-        const mapping = this.fieldMappings.get(baseField);
+    _createComparator(rule) {
+        const { direction, type } = rule;
+        const sign = direction === 'desc' ? -1 : 1;
+        const collator = type === 'locale' || type === 'natural' || type === 'custom'
+            ? this._getCollator(rule.locale, type !== 'locale')
+            : null;
+        const rank = type === 'custom' ? this._createOrderRank(rule.order) : null;
         
-        if (mapping && mapping[lang]) {
-            return mapping[lang];
-        }
+        const key = value => {
+            if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+                return null;
+            }
+            if (type === 'date') {
+                return value instanceof Date ? value : this._toDate(value);
+            }
+            return value;
+        };
         
-        // Try fallback
-        if (this.useFallback && mapping && mapping[this.defaultLanguage]) {
-            console.log(`Using fallback for field: ${baseField}`);
-            return mapping[this.defaultLanguage];
+        return (a, b) => {
+            const keyA = key(a);
+            const keyB = key(b);
+            
+            if (keyA === null || keyB === null) {
+                if (keyA === keyB) return 0;
+                // Without a nulls option, empty values sort as the smallest
+                const first = rule.nulls ? rule.nulls === 'first' : direction !== 'desc';
+                return (keyA === null) === first ? -1 : 1;
+            }
+            
+            let result;
+            if (type === 'date' || type === 'relevance') {
+                result = keyA - keyB;
+            } else if (type === 'custom') {
+                // Values missing from the list follow the listed ones in both directions
+                const rankA = rank(keyA);
+                const rankB = rank(keyB);
+                const unlisted = rule.order.length;
+                if ((rankA === unlisted) !== (rankB === unlisted)) {
+                    return rankA === unlisted ? 1 : -1;
+                }
+                result = rankA - rankB || collator.compare(String(keyA), String(keyB));
+            } else if (collator) {
+                result = collator.compare(String(keyA), String(keyB));
+            } else {
+                result = this._compareValues(keyA, keyB, type);
+            }
+            return sign * result;
+        };
+    }
+
+    _getCollator(locale, numeric) {
+        const options = { sensitivity: 'base', numeric };
+        if (this.localizationEngine) {
+            return this.localizationEngine.getCollator(locale || null, options);
         }
-        
-        // Return base field name as last resort
-        return baseField;
+        return new Intl.Collator(locale || undefined, options);
+    }
+
+    _createOrderRank(order) {
+        const positions = new Map();
+        order.forEach((value, index) => {
+            const normalized = String(value).trim().toLowerCase();
+            if (!positions.has(normalized)) positions.set(normalized, index);
+        });
+        return value => {
+            const position = positions.get(String(value).trim().toLowerCase());
+            return position === undefined ? order.length : position;
+        };
     }
 
     /**
-     * Localize a data record
-     * @param {object} record - Data record
-     * @param {string} languageCode - Target language
+     * Compare two values in ascending order ('auto', 'string' and 'number' rules)
      */
-    localizeRecord(record, languageCode = null) {
-        const lang = languageCode || this.currentLanguage;
-        const localized = {};
-        
-        // Copy all fields first
-        Object.assign(localized, record);
-        
-        // Replace with localized versions where available
-        this.fieldMappings.forEach((langFields, baseField) => {
-            const localizedFieldName = langFields[lang] || 
-                                      (this.useFallback ? langFields[this.defaultLanguage] : null);
+    _compareValues(a, b, type) {
+        let result = 0;
+
+        switch (type) {
+            case 'number':
+                result = this._toNumber(a) - this._toNumber(b);
+                break;
             
-            if (localizedFieldName && record[localizedFieldName] !== undefined) {
-                localized[baseField] = record[localizedFieldName];
-            }
-        });
-        
-        return localized;
+            case 'string':
+            case 'auto':
+            default:
+                // Auto-detect if both values are numbers
+                if (!isNaN(a) && !isNaN(b)) {
+                    result = this._toNumber(a) - this._toNumber(b);
+                } else {
+                    // String comparison
+                    const strA = String(a).toLowerCase();
+                    const strB = String(b).toLowerCase();
+                    result = strA.localeCompare(strB);
+                }
+                break;
+        }
+
+        return result;
     }
 
     /**
-     * Localize entire dataset
-     * @param {array} records - Data records
-     * @param {string} languageCode - Target language
+     * Apply both filters and sorting
      */
-    localizeDataset(records, languageCode = null) {
-        const lang = languageCode || this.currentLanguage;
-        console.log(`Localizing ${records.length} records to ${lang}`);
-        
-        return records.map(record => this.localizeRecord(record, lang));
+    apply(records, filterLogic = null) {
+        let result = this.applyFilters(records, filterLogic);
+        result = this.applySort(result);
+        return result;
     }
 
     /**
-     * Auto-detect field mappings from dataset
-     * @param {array} records - Sample records
+     * Save current configuration as preset
      */
-    autoDetectFieldMappings(records) {
-        if (records.length === 0) return;
-        
-        const sampleRecord = records[0];
-        const fields = Object.keys(sampleRecord);
-        const detectedMappings = new Map();
-        
-        // Pattern: fieldName_langCode
-        const pattern = /^(.+)_([a-z]{2})$/;
-        
-        fields.forEach(field => {
-            const match = field.match(pattern);
-            if (match) {
-                const [, baseField, langCode] = match;
-                
-                if (!detectedMappings.has(baseField)) {
-                    detectedMappings.set(baseField, {});
-                }
-                
-                detectedMappings.get(baseField)[langCode] = field;
-            }
-        });
-        
-        // Add detected mappings
-        detectedMappings.forEach((langFields, baseField) => {
-            this.addFieldMapping(baseField, langFields);
-        });
-        
-        console.log(`Auto-detected ${detectedMappings.size} field mappings`);
-        return detectedMappings;
+    savePreset(name, description = '') {
+        const preset = {
+            name,
+            description,
+            filterTree: JSON.parse(JSON.stringify(this.filterTree)),
+            sortRules: [...this.sortRules],
+            createdAt: new Date().toISOString()
+        };
+
+        this.presets.push(preset);
+        this._savePresetsToStorage();
+        console.log(`Preset saved: ${name}`);
+        return preset;
     }
 
     /**
-     * Format number according to locale
+     * Load a preset
      */
-    formatNumber(number, languageCode = null, options = {}) {
-        const lang = languageCode || this.currentLanguage;
-        
-        try {
-            return new Intl.NumberFormat(lang, options).format(number);
-        } catch (error) {
-            console.error(`Number formatting failed: ${error.message}`);
-            return String(number);
+    loadPreset(name) {
+        const preset = this.presets.find(p => p.name === name);
+        if (preset) {
+            this.filterTree = JSON.parse(JSON.stringify(this.normalizeFilters(preset)));
+            this.sortRules = [...(preset.sortRules || [])];
+            console.log(`Preset loaded: ${name}`);
+            return preset;
         }
+        throw new Error(`Preset not found: ${name}`);
     }
 
     /**
-     * Format currency according to locale
+     * Delete a preset
      */
-    formatCurrency(amount, currency = 'USD', languageCode = null) {
-        const lang = languageCode || this.currentLanguage;
-        
-        try {
-            return new Intl.NumberFormat(lang, {
-                style: 'currency',
-                currency: currency
-            }).format(amount);
-        } catch (error) {
-            console.error(`Currency formatting failed: ${error.message}`);
-            return `${currency} ${amount}`;
+    deletePreset(name) {
+        const index = this.presets.findIndex(p => p.name === name);
+        if (index !== -1) {
+            this.presets.splice(index, 1);
+            this._savePresetsToStorage();
+            console.log(`Preset deleted: ${name}`);
+            return true;
         }
+        return false;
     }
 
     /**
-     * Format date according to locale
+     * Get all presets
      */
-    formatDate(date, languageCode = null, options = {}) {
-        const lang = languageCode || this.currentLanguage;
-        const dateObj = date instanceof Date ? date : new Date(date);
-        
-        try {
-            return new Intl.DateTimeFormat(lang, options).format(dateObj);
-        } catch (error) {
-            console.error(`Date formatting failed: ${error.message}`);
-            return dateObj.toLocaleDateString();
-        }
+    getPresets() {
+        return this.presets;
     }
 
     /**
-     * Get locale-specific sort comparator
+     * Get filter statistics
      */
-    getCollator(languageCode = null, options = {}) {
-        const lang = languageCode || this.currentLanguage;
-        
-        try {
-            return new Intl.Collator(lang, options);
-        } catch (error) {
-            console.error(`Failed to create collator: ${error.message}`);
-            return new Intl.Collator('en');
-        }
+    getStatistics(records, filteredRecords) {
+        return {
+            total: records.length,
+            filtered: filteredRecords.length,
+            excluded: records.length - filteredRecords.length,
+            percentage: ((filteredRecords.length / records.length) * 100).toFixed(1)
+        };
     }
 
     /**
-     * Sort records with locale-aware comparison
-     */
-    sortRecords(records, field, direction = 'asc', languageCode = null) {
-        const collator = this.getCollator(languageCode);
-        
-        return [...records].sort((a, b) => {
-            const aVal = a[field];
-            const bVal = b[field];
-            
-            const comparison = collator.compare(String(aVal), String(bVal));
-            return direction === 'asc' ? comparison : -comparison;
+     * Live preview of the filter tree with a breakdown per condition
+     *
+     * The result of each condition is cached for the records array, so
+     * after an edit only new or changed conditions are evaluated again and
+     * the groups are combined from the cached results.
+     * @param {array} records - Data records
+     * @returns {Object} { total, matched, conditions: [{ path, description,
+     *   matches, eliminates, adds }] } where matches counts the records the
+     *   condition (with its NOT) accepts on its own, eliminates the records
+     *   only this condition keeps out and adds the records only this
+     *   condition lets in (conditions in OR groups)
+     */
+    getFilterBreakdown(records) {
+        const final = this._nodeMask(records, this.filterTree, '');
+        const conditions = [];
+        
+        this._forEachCondition(this.filterTree, '', (node, path) => {
+            const alone = this._nodeMask(records, node, path);
+            const without = this._nodeMask(records, this.filterTree, '', path);
+            let matches = 0;
+            let eliminates = 0;
+            let adds = 0;
+            for (let i = 0; i < records.length; i++) {
+                matches += alone[i];
+                if (without[i] && !final[i]) eliminates++;
+                if (!without[i] && final[i]) adds++;
+            }
+            conditions.push({ path, description: this.describeCondition(node), matches, eliminates, adds });
         });
+        
+        return { total: records.length, matched: this._countMask(final), conditions };
     }
 
     /**
-     * Add UI translation
+     * Counts for a condition that is still being edited
+     * @param {array} records - Data records
+     * @param {object} filter - Condition, validated like addFilter
+     * @param {string} groupPath - Group it would be added to
+     * @returns {Object} { matches, matched } - records the condition accepts
+     *   on its own / records the filters would keep with it added
      */
-    addTranslation(key, translations) {
-        this.translations[key] = translations;
+    previewCondition(records, filter, groupPath = '') {
+        this.validateFilter(filter);
+        const group = this._getGroup(groupPath);
+        
+        group.conditions.push(filter);
+        try {
+            return {
+                matches: this._countMask(this._nodeMask(records, filter, null)),
+                matched: this._countMask(this._nodeMask(records, this.filterTree, ''))
+            };
+        } finally {
+            group.conditions.pop();
+        }
     }
 
     /**
-     * Get translated UI text
+     * Distinct values of a field with their number of records, most
+     * frequent first, for picking filter values
+     * @param {array} records - Data records
+     * @param {string} field - Field name
+     * @param {number} limit - Maximum number of values returned
+     * @returns {Object} { field, total, empty, distinct, values: [{ value, count }] }
      */
-    translate(key, languageCode = null) {
-        const lang = languageCode || this.currentLanguage;
+    getValueHistogram(records, field, limit = 50) {
+        const counts = new Map();
+        let empty = 0;
         
-        if (this.translations[key] && this.translations[key][lang]) {
-            return this.translations[key][lang];
-        }
+        records.forEach(record => {
+            let value = record[field];
+            if (value === null || value === undefined || String(value).trim() === '') {
+                empty++;
+                return;
+            }
+            if (value instanceof Date) {
+                value = `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+            }
+            const key = String(value).trim();
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
         
-        // Fallback to default language
-        if (this.useFallback && this.translations[key] && this.translations[key][this.defaultLanguage]) {
-            return this.translations[key][this.defaultLanguage];
-        }
+        const collator = this._getCollator(null, true);
+        const values = [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || collator.compare(a.value, b.value));
         
-        // Return key if no translation found
-        return key;
+        return { field, total: records.length, empty, distinct: counts.size, values: values.slice(0, limit) };
     }
 
     /**
-     * Load UI translations
+     * Forget cached condition results, e.g. after formulas or lookup
+     * tables changed
      */
-    loadUITranslations(translations) {
-        this.translations = { ...this.translations, ...translations };
-        console.log('UI translations loaded');
+    clearPreviewCache() {
+        this.previewCache = { records: null, masks: new Map() };
     }
 
     /**
-     * Get translation status for dataset
+     * Records a node accepts, as a 0/1 array; skipPath leaves one node out
+     * of its group as if it were removed
      */
-    getTranslationStatus(records) {
-        const status = {};
-        
-        this.enabledLanguages.forEach(lang => {
-            status[lang] = {
-                total: 0,
-                translated: 0,
-                missing: 0,
-                percentage: 0
-            };
-        });
-        
-        this.fieldMappings.forEach((langFields, baseField) => {
-            this.enabledLanguages.forEach(lang => {
-                const fieldName = langFields[lang];
-                if (fieldName) {
-                    let translated = 0;
-                    
-                    records.forEach(record => {
-                        if (record[fieldName] && record[fieldName] !== '') {
-                            translated++;
-                        }
-                    });
-                    
-                    status[lang].total += records.length;
-                    status[lang].translated += translated;
-                    status[lang].missing += (records.length - translated);
+    _nodeMask(records, node, path, skipPath = null) {
+        let mask;
+        if (isFilterGroup(node)) {
+            const children = node.conditions
+                .map((child, index) => ({ child, childPath: this._childPath(path, index) }))
+                .filter(({ childPath }) => childPath !== skipPath);
+            
+            // An empty group matches every record, like _matchesNode
+            mask = new Uint8Array(records.length).fill(node.logic === 'OR' && children.length > 0 ? 0 : 1);
+            children.forEach(({ child, childPath }) => {
+                const childMask = this._nodeMask(records, child, childPath, skipPath);
+                for (let i = 0; i < records.length; i++) {
+                    mask[i] = node.logic === 'OR' ? mask[i] | childMask[i] : mask[i] & childMask[i];
                 }
             });
-        });
+        } else {
+            mask = Uint8Array.from(this._conditionMask(records, node));
+        }
         
-        // Calculate percentages
-        Object.keys(status).forEach(lang => {
-            if (status[lang].total > 0) {
-                status[lang].percentage = ((status[lang].translated / status[lang].total) * 100).toFixed(1);
+        if (node.negate) {
+            for (let i = 0; i < mask.length; i++) {
+                mask[i] = 1 - mask[i];
             }
-        });
-        
-        return status;
+        }
+        return mask;
     }
 
     /**
-     * Save configuration
+     * Cached result of a condition without its NOT
      */
-    saveConfiguration() {
-        const config = {
-            currentLanguage: this.currentLanguage,
-            defaultLanguage: this.defaultLanguage,
-            enabledLanguages: this.enabledLanguages,
-            fieldMappings: Array.from(this.fieldMappings.entries()),
-            useFallback: this.useFallback
-        };
+    _conditionMask(records, filter) {
+        if (this.previewCache.records !== records) {
+            this.previewCache = { records, masks: new Map() };
+        }
+        
+        const { negate, ...condition } = filter;
+        const key = JSON.stringify(condition);
+        const masks = this.previewCache.masks;
+        let mask = masks.get(key);
+        if (mask) {
+            // Most recently used last, so the oldest entries go first
+            masks.delete(key);
+            masks.set(key, mask);
+            return mask;
+        }
         
+        // The preview must not change the relevance and failures of the last applyFilters run
+        const { relevance, formulaFailures } = this;
+        this.relevance = new WeakMap();
         try {
-            localStorage.setItem('catalogBuilderLocalization', JSON.stringify(config));
-            console.log('Localization configuration saved');
+            mask = Uint8Array.from(records, record => this._matchesFilter(record, condition) ? 1 : 0);
+        } finally {
+            this.relevance = relevance;
+            this.formulaFailures = formulaFailures;
+        }
+        
+        masks.set(key, mask);
+        if (masks.size > PREVIEW_CACHE_SIZE) {
+            masks.delete(masks.keys().next().value);
+        }
+        return mask;
+    }
+
+    _countMask(mask) {
+        let count = 0;
+        for (let i = 0; i < mask.length; i++) {
+            count += mask[i];
+        }
+        return count;
+    }
+
+    _forEachCondition(node, path, visit) {
+        node.conditions.forEach((child, index) => {
+            const childPath = this._childPath(path, index);
+            if (isFilterGroup(child)) {
+                this._forEachCondition(child, childPath, visit);
+            } else {
+                visit(child, childPath);
+            }
+        });
+    }
+
+    /**
+     * Save presets to storage
+     */
+    _savePresetsToStorage() {
+        try {
+            localStorage.setItem('catalogBuilderFilterPresets', JSON.stringify(this.presets));
         } catch (error) {
-            console.error('Failed to save configuration:', error);
-            throw error;
+            console.error('Failed to save presets:', error);
         }
     }
 
     /**
-     * Load configuration
+     * Load presets from storage
      */
-    loadConfiguration() {
+    loadPresetsFromStorage() {
         try {
-            const saved = localStorage.getItem('catalogBuilderLocalization');
+            const saved = localStorage.getItem('catalogBuilderFilterPresets');
             if (saved) {
-                const config = JSON.parse(saved);
-                this.currentLanguage = config.currentLanguage || 'en';
-                this.defaultLanguage = config.defaultLanguage || 'en';
-                this.enabledLanguages = config.enabledLanguages || ['en'];
-                this.fieldMappings = new Map(config.fieldMappings || []);
-                this.useFallback = config.useFallback !== undefined ? config.useFallback : true;
-                console.log('Localization configuration loaded');
+                this.presets = JSON.parse(saved);
+                console.log(`Loaded ${this.presets.length} presets`);
             }
         } catch (error) {
-            console.error('Failed to load configuration:', error);
+            console.error('Failed to load presets:', error);
         }
     }
 
@@ -2549,12 +3659,12 @@ class LocalizationEngine {
      */
     exportConfig() {
         return {
-            version: '1.0',
-            currentLanguage: this.currentLanguage,
-            defaultLanguage: this.defaultLanguage,
-            enabledLanguages: this.enabledLanguages,
-            fieldMappings: Array.from(this.fieldMappings.entries()),
-            useFallback: this.useFallback,
+            version: '2.0',
+            filterTree: this.filterTree,
+            sortRules: this.sortRules,
+            dateFormat: this.dateFormat,
+            seasons: this.seasons,
+            presets: this.presets,
             exportedAt: new Date().toISOString()
         };
     }
@@ -2564,12 +3674,17 @@ class LocalizationEngine {
      */
     importConfig(config) {
         try {
-            if (config.currentLanguage) this.currentLanguage = config.currentLanguage;
-            if (config.defaultLanguage) this.defaultLanguage = config.defaultLanguage;
-            if (config.enabledLanguages) this.enabledLanguages = config.enabledLanguages;
-            if (config.fieldMappings) this.fieldMappings = new Map(config.fieldMappings);
-            if (config.useFallback !== undefined) this.useFallback = config.useFallback;
-            console.log('Localization configuration imported');
+            if (config.filterTree || config.filters) {
+                const tree = this.normalizeFilters(config);
+                this.validateFilter(tree);
+                this.filterTree = tree;
+            }
+            if (config.sortRules) this.sortRules = config.sortRules;
+            // Through the setters, which drop preview results read with the old calendar
+            if (config.dateFormat) this.setDateFormat(config.dateFormat);
+            if (config.seasons) this.setSeasons(config.seasons);
+            if (config.presets) this.presets = config.presets;
+            console.log('Configuration imported');
         } catch (error) {
             console.error('Failed to import configuration:', error);
             throw error;
@@ -2578,1687 +3693,5787 @@ class LocalizationEngine {
 }
 
 /**
- * Common UI translations
+ * Available filter operators
  */
-const CommonTranslations = {
-    'app.title': {
-        en: 'Catalog Builder',
-        fr: 'Générateur de Catalogue',
-        de: 'Katalog-Builder',
-        es: 'Generador de Catálogos'
-    },
-    'button.import': {
-        en: 'Import',
-        fr: 'Importer',
-        de: 'Importieren',
-        es: 'Importar'
-    },
-    'button.export': {
-        en: 'Export',
-        fr: 'Exporter',
-        de: 'Exportieren',
-        es: 'Exportar'
-    },
-    'button.generate': {
-        en: 'Generate',
-        fr: 'Générer',
-        de: 'Generieren',
-        es: 'Generar'
-    },
-    'label.language': {
-        en: 'Language',
-        fr: 'Langue',
-        de: 'Sprache',
-        es: 'Idioma'
-    }
-};
+const FilterOperators = [
+    { value: 'equals', label: 'Equals', types: ['string', 'number', 'date'] },
+    { value: 'notEquals', label: 'Not Equals', types: ['string', 'number', 'date'] },
+    { value: 'contains', label: 'Contains', types: ['string'] },
+    { value: 'notContains', label: 'Does Not Contain', types: ['string'] },
+    { value: 'startsWith', label: 'Starts With', types: ['string'] },
+    { value: 'endsWith', label: 'Ends With', types: ['string'] },
+    { value: 'greaterThan', label: 'Greater Than', types: ['number', 'date'] },
+    { value: 'lessThan', label: 'Less Than', types: ['number', 'date'] },
+    { value: 'greaterOrEqual', label: 'Greater or Equal', types: ['number', 'date'] },
+    { value: 'lessOrEqual', label: 'Less or Equal', types: ['number', 'date'] },
+    { value: 'between', label: 'Between', types: ['number', 'date'] },
+    { value: 'isEmpty', label: 'Is Empty', types: ['string', 'number'] },
+    { value: 'isNotEmpty', label: 'Is Not Empty', types: ['string', 'number'] },
+    { value: 'isTrue', label: 'Is True', types: ['boolean'] },
+    { value: 'isFalse', label: 'Is False', types: ['boolean'] },
+    { value: 'regex', label: 'Regular Expression', types: ['string'] },
+    { value: 'inLastDays', label: 'In the Last N Days', types: ['date'] },
+    { value: 'inNextDays', label: 'In the Next N Days', types: ['date'] },
+    { value: 'thisMonth', label: 'This Month', types: ['date'] },
+    { value: 'thisSeason', label: 'This Season', types: ['date'] },
+    { value: 'thisYear', label: 'This Year', types: ['date'] },
+    { value: 'beforeField', label: 'Before Date in Field', types: ['date'] },
+    { value: 'afterField', label: 'After Date in Field', types: ['date'] },
+    { value: 'formula', label: 'Formula Is True', types: ['string', 'number', 'date', 'boolean'] },
+    { value: 'search', label: 'Search Words', types: ['string'] }
+];
 
-// ==================== END MODULE: localization.js ====================
+// ==================== END MODULE: filtering.js ====================
 
 
-// ==================== MODULE: dataImport.js ====================
+// ==================== MODULE: grouping.js ====================
 /**
- * Data Import Module
- * Handles importing data from various file formats (CSV, Excel, JSON, XML)
+ * Grouping Module
+ * Data grouping and categorization with layout support
  */
 
-class DataImporter {
-    constructor() {
-        this.supportedFormats = {
-            csv: ['.csv', '.txt'],
-            excel: ['.xlsx', '.xls'],
-            json: ['.json'],
-            xml: ['.xml']
+// Aggregations skip missing and whitespace-only values
+function isEmptyValue(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// Numeric value of an aggregated value, null when it is not a number
+function toAggregateNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Directory letter of a text: its folded first letter, '#' for digits and symbols
+ */
+function initialLetter(text) {
+    const initial = foldText(String(text).trim()).charAt(0).toUpperCase();
+    return /\p{L}/u.test(initial) ? initial : '#';
+}
+
+// Bucket of records without a value; always sorted last
+const EMPTY_BUCKET = { key: null, label: null, order: null };
+
+/**
+ * Compare two group buckets by their order
+ */
+function compareBuckets(a, b, sortDirection) {
+    if (a.key === b.key) return 0;
+    if (a.order === null) return 1;
+    if (b.order === null) return -1;
+    
+    const comparison = typeof a.order === 'number' && typeof b.order === 'number'
+        ? a.order - b.order
+        : String(a.order).localeCompare(String(b.order), undefined, { numeric: true });
+    return sortDirection === 'desc' ? -comparison : comparison;
+}
+
+/**
+ * Page range of a TOC entry: '4' or '4–7'
+ * first and last are { name, offset } page numbers from PageGenerator.
+ */
+function formatPageRange(first, last) {
+    return first.offset === last.offset ? first.name : `${first.name}\u2013${last.name}`;
+}
+
+/**
+ * Pages of an index entry, consecutive pages joined into ranges: '3, 7–9'
+ */
+function formatPageList(pages) {
+    const sorted = [...pages].sort((a, b) => a.offset - b.offset);
+    const ranges = [];
+    sorted.forEach(page => {
+        const range = ranges[ranges.length - 1];
+        if (range && page.offset === range.last.offset + 1) {
+            range.last = page;
+        } else {
+            ranges.push({ first: page, last: page });
+        }
+    });
+    return ranges.map(range => formatPageRange(range.first, range.last)).join(', ');
+}
+
+/**
+ * Grouping Engine Class
+ *
+ * groupRecords returns a flat list PageGenerator lays out: 'record' items
+ * and, around each group, 'group-header' and 'group-footer' items with the
+ * text, paragraph style and page break / separator to place them with.
+ *
+ * A level can instead use a header design: a labelled prototype frame
+ * and/or a master spread whose <<token>> placeholders are filled per group.
+ *
+ * Levels group by exact field value or by bucket: numeric ranges, date
+ * periods, first letters or the result of a formula.
+ *
+ * Formula buckets and aggregations need the formula engine.
+ */
+class GroupingEngine {
+    constructor(formulaEngine = null) {
+        this.formulaEngine = formulaEngine;
+        this.dataMapper = new DataMapper();
+        this.formulaFailures = { aggregation: 0, group: 0 };
+        this.dateFormat = 'auto';
+        this.seasons = SeasonPresets.meteorological;
+        this.reset();
+    }
+
+    /**
+     * Drop the group levels and aggregations and restore the default options
+     */
+    reset() {
+        this.groupLevels = [];
+        this.aggregations = [];
+        this.groupOptions = {
+            showHeaders: true,
+            showFooters: false,
+            showItemCount: true,
+            pageBreakPerGroup: false,
+            headerStyle: 'heading1',
+            customHeaderStyle: '',
+            separatorType: 'line'
         };
     }
 
     /**
-     * Select a file using UXP file picker
+     * Set how date bucket values are read; the panel keeps it in line with
+     * the filters' date format
+     * @param {string} format - 'auto' or a pattern such as 'DD/MM/YYYY' (see parseDate)
      */
-    async selectFile(type = 'csv') {
-        try {
-            console.log('Opening file picker for type:', type);
-            
-            // In UXP, we use the file system access API
-            const fs = require('uxp').storage.localFileSystem;
-            
-            const extensions = this.supportedFormats[type] || this.supportedFormats.csv;
-            
-            const file = await fs.getFileForOpening({
-                types: extensions
-            });
-            
-            if (file) {
-                console.log('File selected:', file.name);
-                return file;
+    setDateFormat(format) {
+        this.dateFormat = format || 'auto';
+    }
+
+    /**
+     * Set the season calendar of season buckets; the panel uses the filters' calendar
+     * @param {string|Array} seasons - Name of a SeasonPresets entry, or [{ name, month, day }]
+     */
+    setSeasons(seasons) {
+        this.seasons = normalizeSeasons(seasons);
+    }
+
+    /**
+     * Add an aggregation shown in group footers
+     * @param {string} field - Field to aggregate, or the name of an expression
+     * @param {string} fn - One of AggregationFunctions
+     * @param {Object} options - Optional settings:
+     *   - expression: formula evaluated per record instead of reading field
+     *   - formatter: DataMapper formatter of the result, e.g. 'currency:EUR'
+     *   - template: footer text with {value}, e.g. 'from {value}'
+     */
+    addAggregation(field, fn = 'sum', options = {}) {
+        const aggregation = { field, function: fn };
+        ['expression', 'formatter', 'template'].forEach(key => {
+            if (options[key]) aggregation[key] = options[key];
+        });
+        this.validateAggregation(aggregation);
+        
+        this.aggregations.push(aggregation);
+        console.log(`Aggregation added: ${fn} of ${field}`);
+        return aggregation;
+    }
+
+    /**
+     * Validate an aggregation config
+     * Throws when the function is unknown or the expression is invalid.
+     */
+    validateAggregation(aggregation) {
+        if (!aggregation.field) {
+            throw new Error('Aggregation field is required');
+        }
+        if (!AggregationFunctions.some(f => f.value === aggregation.function)) {
+            throw new Error(`Unknown aggregation: ${aggregation.function}`);
+        }
+        if (aggregation.expression) {
+            if (!this.formulaEngine) {
+                throw new Error('Formula aggregations need a formula engine');
             }
-            
-            return null;
-        } catch (error) {
-            console.error('File selection failed:', error);
-            throw new Error('Failed to select file: ' + error.message);
+            this.formulaEngine.validateFormula(aggregation.expression);
+        }
+        if (aggregation.template && !aggregation.template.includes('{value}')) {
+            throw new Error('Aggregation template must contain {value}');
+        }
+        return true;
+    }
+
+    removeAggregation(index) {
+        if (index >= 0 && index < this.aggregations.length) {
+            this.aggregations.splice(index, 1);
+            return true;
         }
+        return false;
     }
 
     /**
-     * Import data from file
+     * Add a group level
+     * @param {string} field - Field to group by; the level name for formula buckets
+     * @param {string} sortDirection - 'asc' or 'desc'
+     * @param {Object|null} bucket - Group by bucket instead of exact value:
+     *   - { type: 'range', bounds: [10, 20, 50], formatter }: numeric bands
+     *     'Under 10', '10–20', '20–50' and '50 and over', labels formatted
+     *     with a DataMapper formatter
+     *   - { type: 'date', unit }: unit 'month', 'quarter', 'season' or 'year';
+     *     dates are read with setDateFormat() and seasons follow setSeasons()
+     *   - { type: 'letter' }: first letter, A–Z directory style
+     *   - { type: 'formula', expression }: result of a formula
+     *   includeEmpty: true also lists bands, periods and letters without
+     *   records (not formula buckets).
+     */
+    addGroupLevel(field, sortDirection = 'asc', bucket = null) {
+        const level = {
+            field,
+            sortDirection,
+            level: this.groupLevels.length
+        };
+        if (bucket) {
+            this.validateBucket(bucket);
+            level.bucket = bucket.type === 'range'
+                ? { ...bucket, bounds: [...bucket.bounds].sort((a, b) => a - b) }
+                : { ...bucket };
+        }
+        
+        this.groupLevels.push(level);
+        console.log(`Group level added: ${field} (${sortDirection}${bucket ? `, by ${bucket.type}` : ''})`);
+        return level;
+    }
+
+    /**
+     * Validate a group level bucket
+     * Throws when the type is unknown or its settings are invalid.
      */
-    async importData(file, options = {}) {
-        try {
-            console.log('Importing data from:', file.name);
-            
-            const type = options.type || this.detectFileType(file.name);
-            
-            switch (type) {
-                case 'csv':
-                    return await this.importCSV(file, options);
-                case 'excel':
-                    return await this.importExcel(file, options);
-                case 'json':
-                    return await this.importJSON(file, options);
-                case 'xml':
-                    return await this.importXML(file, options);
-                default:
-                    throw new Error('Unsupported file type: ' + type);
+    validateBucket(bucket) {
+        switch (bucket.type) {
+            case 'range':
+                if (!Array.isArray(bucket.bounds) || bucket.bounds.length === 0 || !bucket.bounds.every(Number.isFinite)) {
+                    throw new Error('Range buckets need one or more numeric bounds');
+                }
+                if (new Set(bucket.bounds).size !== bucket.bounds.length) {
+                    throw new Error('Range bounds must be different');
+                }
+                break;
+            case 'date':
+                if (!['month', 'quarter', 'season', 'year'].includes(bucket.unit)) {
+                    throw new Error(`Unknown date bucket: ${bucket.unit}`);
+                }
+                break;
+            case 'letter':
+                break;
+            case 'formula':
+                if (!this.formulaEngine) {
+                    throw new Error('Formula buckets need a formula engine');
+                }
+                if (bucket.includeEmpty) {
+                    throw new Error('Formula buckets cannot include empty buckets');
+                }
+                this.formulaEngine.validateFormula(bucket.expression);
+                break;
+            default:
+                throw new Error(`Unknown bucket type: ${bucket.type}`);
+        }
+        return true;
+    }
+
+    /**
+     * Design the headers of a group level
+     * @param {number} index - Group level index
+     * @param {Object|null} header - { prototype, master }: label of the
+     *   header prototype frame(s) and name of an opener master spread, e.g.
+     *   'B-Opener'; null goes back to text headers
+     */
+    setLevelHeader(index, header) {
+        const level = this.groupLevels[index];
+        if (!level) {
+            throw new Error(`No group level ${index + 1}`);
+        }
+        
+        const prototype = header?.prototype?.trim() || null;
+        const master = header?.master?.trim() || null;
+        if (prototype || master) {
+            level.header = { prototype, master };
+        } else {
+            delete level.header;
+        }
+        console.log(`Header design of level ${index + 1}: ${prototype || master ? [prototype, master].filter(Boolean).join(' on ') : 'text'}`);
+        return level;
+    }
+
+    /**
+     * Remove a group level
+     */
+    removeGroupLevel(index) {
+        if (index >= 0 && index < this.groupLevels.length) {
+            this.groupLevels.splice(index, 1);
+            // Update level numbers
+            this.groupLevels.forEach((level, i) => {
+                level.level = i;
+            });
+            console.log(`Group level removed at index ${index}`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Clear all group levels
+     */
+    clearGroupLevels() {
+        this.groupLevels = [];
+        console.log('All group levels cleared');
+    }
+
+    /**
+     * Set group options
+     */
+    setOptions(options) {
+        this.groupOptions = { ...this.groupOptions, ...options };
+        console.log('Group options updated');
+    }
+
+    /**
+     * Group records by configured levels
+     * @param {array} records - Data records to group
+     */
+    groupRecords(records) {
+        if (this.groupLevels.length === 0) {
+            console.warn('No group levels defined');
+            return { groups: [], flatList: records };
+        }
+
+        console.log(`Grouping ${records.length} records by ${this.groupLevels.length} levels`);
+
+        this.formulaFailures = { aggregation: 0, group: 0 };
+
+        // Bucket levels: the bucket of every record, evaluated once
+        const buckets = this.groupLevels.some(level => level.bucket)
+            ? new Map(records.map(record => [record, this.groupLevels.map(level => level.bucket ? this._bucketOf(record, level) : null)]))
+            : null;
+
+        // Sort records by group fields first
+        const sortedRecords = this._sortByGroupLevels(records, buckets);
+
+        // Build hierarchical groups
+        const groups = this._buildGroups(sortedRecords, 0, buckets);
+        if (this.groupOptions.showFooters && this.aggregations.length > 0) {
+            this.calculateAggregations(groups, this.aggregations);
+        }
+
+        // Create flat list with group markers
+        const flatList = this._flattenGroups(groups);
+        if (this.formulaFailures.group > 0) {
+            console.warn(`${this.formulaFailures.group} group formula evaluation(s) failed - those records are grouped as empty`);
+        }
+        if (this.formulaFailures.aggregation > 0) {
+            console.warn(`${this.formulaFailures.aggregation} aggregation formula evaluation(s) failed - those records were skipped`);
+        }
+        this.formulaEngine?.reportMissingFields('Group formulas');
+
+        console.log(`Created ${this._countGroups(groups)} groups`);
+
+        return { groups, flatList };
+    }
+
+    /**
+     * Sort records by group levels
+     * Bucket levels sort by bucket order, with records without a value last.
+     */
+    _sortByGroupLevels(records, buckets = null) {
+        return [...records].sort((a, b) => {
+            for (const [index, level] of this.groupLevels.entries()) {
+                if (level.bucket) {
+                    const comparison = compareBuckets(buckets.get(a)[index], buckets.get(b)[index], level.sortDirection);
+                    if (comparison !== 0) return comparison;
+                    continue;
+                }
+                
+                const aVal = a[level.field];
+                const bVal = b[level.field];
+                
+                if (aVal === bVal) continue;
+                
+                const comparison = String(aVal).localeCompare(String(bVal));
+                return level.sortDirection === 'asc' ? comparison : -comparison;
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * Build hierarchical group structure
+     * Groups of a bucket level take the bucket label as value.
+     */
+    _buildGroups(records, levelIndex, buckets = null) {
+        if (levelIndex >= this.groupLevels.length) {
+            return records;
+        }
+
+        const level = this.groupLevels[levelIndex];
+        const groups = [];
+        let currentGroup = null;
+        let currentKey;
+
+        records.forEach(record => {
+            const bucket = level.bucket ? buckets.get(record)[levelIndex] : null;
+            const groupKey = bucket ? bucket.key : record[level.field];
+            
+            if (!currentGroup || currentKey !== groupKey) {
+                currentGroup = {
+                    level: levelIndex,
+                    field: level.field,
+                    value: bucket ? bucket.label : groupKey,
+                    records: [],
+                    subgroups: null
+                };
+                if (bucket) currentGroup.bucket = bucket;
+                currentKey = groupKey;
+                groups.push(currentGroup);
+            }
+            
+            currentGroup.records.push(record);
+        });
+
+        // Recursively build subgroups
+        if (levelIndex < this.groupLevels.length - 1) {
+            groups.forEach(group => {
+                group.subgroups = this._buildGroups(group.records, levelIndex + 1, buckets);
+                group.records = []; // Clear records as they're now in subgroups
+            });
+        }
+
+        return level.bucket?.includeEmpty ? this._addEmptyBuckets(groups, levelIndex) : groups;
+    }
+
+    /**
+     * Bucket of a record on a bucket level
+     * @returns {Object} { key, label, order }; EMPTY_BUCKET without a value
+     */
+    _bucketOf(record, level) {
+        const bucket = level.bucket;
+        const value = bucket.type === 'formula'
+            ? this._evaluateFormula(bucket.expression, record, 'group')
+            : record[level.field];
+        if (isEmptyValue(value)) {
+            return EMPTY_BUCKET;
+        }
+        
+        switch (bucket.type) {
+            case 'range': {
+                const number = toAggregateNumber(value);
+                if (number === null) return EMPTY_BUCKET;
+                const index = bucket.bounds.findIndex(bound => number < bound);
+                return this._rangeBucket(bucket, index === -1 ? bucket.bounds.length : index);
+            }
+            case 'date': {
+                const date = parseDate(value, this.dateFormat);
+                if (!date) return EMPTY_BUCKET;
+                const year = date.getFullYear();
+                const month = date.getMonth();
+                const periods = {
+                    month: year * 12 + month,
+                    quarter: year * 4 + Math.floor(month / 3),
+                    season: this._seasonPeriod(date),
+                    year
+                };
+                return this._dateBucket(bucket.unit, periods[bucket.unit]);
+            }
+            case 'letter': {
+                const letter = initialLetter(value);
+                // '#' before the letters, as in the index
+                return { key: letter, label: letter, order: letter === '#' ? '' : letter };
+            }
+            case 'formula': {
+                if (value instanceof Date) {
+                    return { key: value.getTime(), label: value.toLocaleDateString(), order: value.getTime() };
+                }
+                return { key: value, label: String(value), order: value };
+            }
+        }
+        return EMPTY_BUCKET;
+    }
+
+    /**
+     * Numeric band of a range bucket: index 0 is below the first bound
+     */
+    _rangeBucket(bucket, index) {
+        const format = value => bucket.formatter ? String(this.dataMapper.applyFormatter(value, bucket.formatter)) : String(value);
+        const bounds = bucket.bounds;
+        let label;
+        if (index === 0) {
+            label = `Under ${format(bounds[0])}`;
+        } else if (index === bounds.length) {
+            label = `${format(bounds[index - 1])} and over`;
+        } else {
+            label = `${format(bounds[index - 1])}\u2013${format(bounds[index])}`;
+        }
+        return { key: index, label, order: index };
+    }
+
+    /**
+     * Season period of a date: year * seasons + index of the season in the
+     * calendar, counting a season from the year it starts in
+     */
+    _seasonPeriod(date) {
+        const count = this.seasons.length;
+        const day = (date.getMonth() + 1) * 100 + date.getDate();
+        const index = this.seasons.reduce((found, season, i) => season.month * 100 + season.day <= day ? i : found, -1);
+        // Before the first start of the year: the previous year's last season
+        return index === -1 ? (date.getFullYear() - 1) * count + count - 1 : date.getFullYear() * count + index;
+    }
+
+    /**
+     * Date period bucket from its number, e.g. year * 12 + month for months
+     */
+    _dateBucket(unit, period) {
+        let label;
+        switch (unit) {
+            case 'month':
+                label = new Date(Math.floor(period / 12), period % 12, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+                break;
+            case 'quarter':
+                label = `Q${period % 4 + 1} ${Math.floor(period / 4)}`;
+                break;
+            case 'season': {
+                const count = this.seasons.length;
+                const year = Math.floor(period / count);
+                const index = period % count;
+                // The last season spans the turn of the year unless the first starts on 1 January: 'Winter 2024/25'
+                const first = this.seasons[0];
+                const spansYears = index === count - 1 && !(first.month === 1 && first.day === 1);
+                label = `${this.seasons[index].name} ${spansYears ? `${year}/${String(year + 1).slice(-2)}` : year}`;
+                break;
+            }
+            default:
+                label = String(period);
+        }
+        return { key: period, label, order: period };
+    }
+
+    /**
+     * Add the groups of buckets without records: every band of a range,
+     * every letter A–Z and every period between the first and last date
+     */
+    _addEmptyBuckets(groups, levelIndex) {
+        const level = this.groupLevels[levelIndex];
+        const bucket = level.bucket;
+        const keys = groups.filter(group => group.bucket && group.bucket.key !== null).map(group => group.bucket.key);
+        
+        let all = [];
+        if (bucket.type === 'range') {
+            all = Array.from({ length: bucket.bounds.length + 1 }, (_, index) => this._rangeBucket(bucket, index));
+        } else if (bucket.type === 'letter') {
+            all = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => ({ key: letter, label: letter, order: letter }));
+        } else if (bucket.type === 'date' && keys.length > 0) {
+            const first = keys.reduce((min, key) => Math.min(min, key));
+            const last = keys.reduce((max, key) => Math.max(max, key));
+            for (let period = first; period <= last; period++) {
+                all.push(this._dateBucket(bucket.unit, period));
+            }
+        }
+        
+        const missing = all.filter(candidate => !keys.includes(candidate.key));
+        if (missing.length === 0) {
+            return groups;
+        }
+        
+        const lastLevel = levelIndex === this.groupLevels.length - 1;
+        const empty = missing.map(candidate => ({
+            level: levelIndex,
+            field: level.field,
+            value: candidate.label,
+            bucket: candidate,
+            records: [],
+            subgroups: lastLevel ? null : []
+        }));
+        
+        return groups.concat(empty)
+            .sort((a, b) => compareBuckets(a.bucket || EMPTY_BUCKET, b.bucket || EMPTY_BUCKET, level.sortDirection));
+    }
+
+    /**
+     * Flatten groups to a linear list with markers
+     *
+     * Top-level headers carry the page break and the separator from the
+     * previous group; the generator skips a page break at the top of a page.
+     */
+    _flattenGroups(groups, parentPath = '') {
+        const flatList = [];
+        const options = this.groupOptions;
+
+        groups.forEach((group, index) => {
+            const groupPath = parentPath ? `${parentPath}.${index}` : String(index);
+            const topLevel = group.level === 0;
+            const design = this.groupLevels[group.level]?.header;
+            
+            // Add group header
+            if (options.showHeaders) {
+                flatList.push({
+                    type: 'group-header',
+                    level: group.level,
+                    field: group.field,
+                    value: group.value,
+                    itemCount: this._getGroupItemCount(group),
+                    path: groupPath,
+                    title: this._headerTitle(group),
+                    style: this._headerStyle(group.level),
+                    pageBreak: Boolean(design?.master) || (topLevel && (options.pageBreakPerGroup || options.separatorType === 'pageBreak')),
+                    separator: topLevel && index > 0 && (options.separatorType === 'line' || options.separatorType === 'space')
+                        ? options.separatorType
+                        : 'none',
+                    ...(design && {
+                        prototype: design.prototype,
+                        master: design.master,
+                        resolveToken: name => this.resolveToken(group, name)
+                    })
+                });
+            }
+
+            // Add records or subgroups
+            if (group.subgroups) {
+                const subItems = this._flattenGroups(group.subgroups, groupPath);
+                flatList.push(...subItems);
+            } else {
+                group.records.forEach(record => {
+                    flatList.push({
+                        type: 'record',
+                        data: record,
+                        groupPath: groupPath,
+                        groupValue: group.value
+                    });
+                });
+            }
+
+            // Add group footer
+            if (options.showFooters) {
+                flatList.push({
+                    type: 'group-footer',
+                    level: group.level,
+                    field: group.field,
+                    value: group.value,
+                    itemCount: this._getGroupItemCount(group),
+                    path: groupPath,
+                    aggregations: group.aggregations || {},
+                    title: this._footerText(group),
+                    style: 'footer'
+                });
+            }
+        });
+
+        return flatList;
+    }
+
+    /**
+     * Header text: the group value, with the item count when enabled
+     */
+    _headerTitle(group) {
+        const value = this._groupLabel(group);
+        return this.groupOptions.showItemCount ? `${value} (${this._getGroupItemCount(group)})` : value;
+    }
+
+    _groupLabel(group) {
+        return group.value === null || group.value === undefined || String(group.value).trim() === ''
+            ? `(No ${group.field})`
+            : String(group.value);
+    }
+
+    /**
+     * Footer text: the group's aggregations, or its item count without any
+     * Aggregations with a template show it, e.g. '12 items, from $4.50';
+     * aggregations without a value (no prices in the group) are left out.
+     */
+    _footerText(group) {
+        if (this.aggregations.length === 0 || !group.aggregations) {
+            return `${group.value ?? ''}: ${this._getGroupItemCount(group)} items`;
+        }
+        const parts = [];
+        this.aggregations.forEach(agg => {
+            const value = this.formatAggregate(group.aggregations[this.aggregationKey(agg)], agg);
+            if (value === '') {
+                return;
+            }
+            if (agg.template) {
+                parts.push(agg.template.replace(/\{value\}/g, value));
+            } else {
+                const label = AggregationFunctions.find(f => f.value === agg.function).label;
+                parts.push(`${label} ${agg.field}: ${value}`);
+            }
+        });
+        return parts.join(', ');
+    }
+
+    /**
+     * Key of an aggregation in group.aggregations: '<field>.<function>'
+     */
+    aggregationKey(aggregation) {
+        return `${aggregation.field}.${aggregation.function}`;
+    }
+
+    /**
+     * Format an aggregate for display
+     *
+     * Uses the aggregation's DataMapper formatter when it has one; numbers
+     * otherwise get 2 decimals unless whole. A range formats both ends.
+     * @param {Object} aggregation - Config with an optional formatter
+     */
+    formatAggregate(value, aggregation = {}) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'object' && !(value instanceof Date) && 'min' in value) {
+            const min = this.formatAggregate(value.min, aggregation);
+            return value.min === value.max ? min : `${min}\u2013${this.formatAggregate(value.max, aggregation)}`;
+        }
+        if (aggregation.formatter) {
+            return String(this.dataMapper.applyFormatter(value, aggregation.formatter));
+        }
+        return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value);
+    }
+
+    /**
+     * Value of a header design token for a group
+     *
+     * Tokens: value, field, title, itemCount, level (1-based) and
+     * agg.<field>.<function>, e.g. agg.price.min for the lowest price of
+     * the group.
+     * @returns {string|null} null for unknown tokens
+     */
+    resolveToken(group, name) {
+        const aggregate = /^agg\.(.+)\.(\w+)$/.exec(name);
+        if (aggregate) {
+            const fn = aggregate[2].toLowerCase();
+            if (!AggregationFunctions.some(f => f.value === fn)) {
+                return null;
+            }
+            // A matching footer aggregation lends its expression and formatter
+            const configured = this.aggregations.find(agg => agg.field === aggregate[1] && agg.function === fn) || {};
+            return this.formatAggregate(this.aggregate(this._getAllRecordsInGroup(group), aggregate[1], fn, configured), configured);
+        }
+        
+        switch (name) {
+            case 'value':
+                return group.value === null || group.value === undefined ? '' : String(group.value);
+            case 'field':
+                return group.field;
+            case 'title':
+                return this._headerTitle(group);
+            case 'itemCount':
+                return String(this._getGroupItemCount(group));
+            case 'level':
+                return String(group.level + 1);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Header style key of a group level
+     * Heading styles step down one level per nesting (heading1, heading2,
+     * heading3); 'custom' is the name of a paragraph style in the document.
+     */
+    _headerStyle(level) {
+        const { headerStyle, customHeaderStyle } = this.groupOptions;
+        const heading = /^heading(\d)$/.exec(headerStyle);
+        if (heading) {
+            return `heading${Math.min(Number(heading[1]) + level, 3)}`;
+        }
+        if (headerStyle === 'custom') {
+            return customHeaderStyle || 'bold';
+        }
+        return headerStyle;
+    }
+
+    /**
+     * Get total item count in a group
+     */
+    _getGroupItemCount(group) {
+        if (group.records.length > 0) {
+            return group.records.length;
+        }
+        
+        if (group.subgroups) {
+            return group.subgroups.reduce((total, subgroup) => {
+                return total + this._getGroupItemCount(subgroup);
+            }, 0);
+        }
+        
+        return 0;
+    }
+
+    /**
+     * Count total number of groups
+     */
+    _countGroups(groups) {
+        let count = groups.length;
+        
+        groups.forEach(group => {
+            if (group.subgroups) {
+                count += this._countGroups(group.subgroups);
+            }
+        });
+        
+        return count;
+    }
+
+    /**
+     * Calculate group aggregations
+     * @param {array} groups - Group structure
+     * @param {array} aggregations - Aggregation configs [{field, function, expression}]
+     *   Results are stored in group.aggregations by aggregationKey, e.g. 'price.min'.
+     */
+    calculateAggregations(groups, aggregations) {
+        groups.forEach(group => {
+            group.aggregations = {};
+            
+            const allRecords = this._getAllRecordsInGroup(group);
+            
+            aggregations.forEach(agg => {
+                group.aggregations[this.aggregationKey(agg)] = this.aggregate(allRecords, agg.field, agg.function, agg);
+            });
+
+            // Recursively calculate for subgroups
+            if (group.subgroups) {
+                this.calculateAggregations(group.subgroups, aggregations);
+            }
+        });
+
+        return groups;
+    }
+
+    /**
+     * Aggregate a field over records
+     *
+     * Empty values are skipped by every function; the numeric ones (sum,
+     * avg, median, min, max, range) also skip values that are not numbers.
+     * Without values, count, distinct and sum give 0 and the others null.
+     * @param {string} fn - One of AggregationFunctions
+     * @param {Object} options - { expression } to aggregate a formula instead of the field
+     * @returns {*} range gives { min, max }; list the distinct values joined by ', '
+     */
+    aggregate(records, field, fn, options = {}) {
+        const values = [];
+        for (const record of records) {
+            const value = options.expression ? this._evaluateFormula(options.expression, record, 'aggregation') : record[field];
+            if (!isEmptyValue(value)) {
+                values.push(value);
+            }
+        }
+        
+        const numbers = () => values.map(toAggregateNumber).filter(n => n !== null);
+        const distinct = () => [...new Set(values.map(v => (v instanceof Date ? v.toISOString() : String(v).trim())))];
+        
+        switch (fn) {
+            case 'count':
+                return values.length;
+            case 'distinct':
+                return distinct().length;
+            case 'sum':
+                return numbers().reduce((sum, n) => sum + n, 0);
+            case 'avg': {
+                const list = numbers();
+                return list.length > 0 ? list.reduce((sum, n) => sum + n, 0) / list.length : null;
+            }
+            case 'median': {
+                const list = numbers().sort((a, b) => a - b);
+                if (list.length === 0) return null;
+                const middle = Math.floor(list.length / 2);
+                return list.length % 2 === 1 ? list[middle] : (list[middle - 1] + list[middle]) / 2;
+            }
+            case 'min':
+            case 'max':
+            case 'range': {
+                // A loop rather than Math.min(...list), which overflows the stack on big groups
+                const list = numbers();
+                if (list.length === 0) return null;
+                let min = list[0];
+                let max = list[0];
+                for (const n of list) {
+                    if (n < min) min = n;
+                    if (n > max) max = n;
+                }
+                return fn === 'min' ? min : fn === 'max' ? max : { min, max };
+            }
+            case 'first':
+                return values.length > 0 ? values[0] : null;
+            case 'last':
+                return values.length > 0 ? values[values.length - 1] : null;
+            case 'list':
+                return distinct().join(', ');
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Value of a group or aggregation formula for a record
+     * Failures count as empty and are reported once per groupRecords() run.
+     * @param {string} kind - 'group' or 'aggregation'
+     */
+    _evaluateFormula(expression, record, kind) {
+        if (!this.formulaEngine) {
+            throw new Error('Formulas need a formula engine');
+        }
+        try {
+            return this.formulaEngine.evaluate(expression, record);
+        } catch (error) {
+            this.formulaFailures[kind]++;
+            return null;
+        }
+    }
+
+    /**
+     * Get all records in a group (including subgroups)
+     */
+    _getAllRecordsInGroup(group) {
+        if (group.records.length > 0) {
+            return group.records;
+        }
+        
+        if (group.subgroups) {
+            return group.subgroups.flatMap(sg => this._getAllRecordsInGroup(sg));
+        }
+        
+        return [];
+    }
+
+    /**
+     * Generate table of contents from groups
+     * @param {array} groups - Groups from groupRecords
+     * @param {Object} pageNumbers - Pages of each group by path, from a
+     *   generation run (PageGenerator result pageNumbers.groups)
+     * @returns {array} [{ level, path, title, itemCount, pageNumber, pageRange }];
+     *   groups that were not placed show '?'
+     */
+    generateTableOfContents(groups, pageNumbers = {}) {
+        const toc = [];
+        
+        const processGroups = (grps, level = 0, parentPath = '') => {
+            grps.forEach((group, index) => {
+                const path = parentPath ? `${parentPath}.${index}` : String(index);
+                const pages = pageNumbers[path];
+                toc.push({
+                    level,
+                    path,
+                    title: this._groupLabel(group),
+                    itemCount: this._getGroupItemCount(group),
+                    pageNumber: pages ? pages.first.name : '?',
+                    pageRange: pages ? formatPageRange(pages.first, pages.last) : '?'
+                });
+                
+                if (group.subgroups) {
+                    processGroups(group.subgroups, level + 1, path);
+                }
+            });
+        };
+        
+        processGroups(groups);
+        return toc;
+    }
+
+    /**
+     * Generate an alphabetical index of records
+     *
+     * Records with the same value (ignoring case) share an entry listing
+     * all their pages.
+     * @param {array} records - Generated records, in generation order
+     * @param {array} pageNumbers - Page of each record, from a generation
+     *   run (PageGenerator result pageNumbers.records)
+     * @param {string} field - Field the index lists, e.g. name or SKU
+     * @param {string} locale - Sort order locale, the system's by default
+     * @returns {array} [{ term, letter, pages }], pages like '3, 7–9'; letter
+     *   is the folded first letter, '#' for digits and symbols
+     */
+    generateIndex(records, pageNumbers, field, locale = undefined) {
+        const terms = new Map();
+        
+        records.forEach((record, index) => {
+            const value = record[field];
+            const page = pageNumbers[index];
+            if (value === null || value === undefined || String(value).trim() === '' || !page) {
+                return;
+            }
+            
+            const term = String(value).trim();
+            const key = term.toLocaleLowerCase();
+            if (!terms.has(key)) {
+                terms.set(key, { term, pages: new Map() });
+            }
+            terms.get(key).pages.set(page.offset, page);
+        });
+        
+        const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+        return [...terms.values()]
+            .sort((a, b) => collator.compare(a.term, b.term))
+            .map(entry => ({
+                term: entry.term,
+                letter: initialLetter(entry.term),
+                pages: formatPageList(entry.pages.values())
+            }));
+    }
+
+    /**
+     * Group by formula/calculated value
+     * @param {array} records - Data records
+     * @param {function|string} formula - Function that returns group value,
+     *   or a formula expression; records it fails on get a null value
+     */
+    groupByFormula(records, formula) {
+        const groups = new Map();
+        const formulaFn = typeof formula === 'function'
+            ? formula
+            : record => this._evaluateFormula(formula, record, 'group');
+        
+        records.forEach(record => {
+            const groupValue = formulaFn(record);
+            
+            if (!groups.has(groupValue)) {
+                groups.set(groupValue, []);
+            }
+            
+            groups.get(groupValue).push(record);
+        });
+        
+        return Array.from(groups.entries()).map(([value, records]) => ({
+            value,
+            records,
+            count: records.length
+        }));
+    }
+
+    /**
+     * Save group configuration
+     */
+    saveConfiguration() {
+        const config = {
+            groupLevels: this.groupLevels,
+            groupOptions: this.groupOptions,
+            aggregations: this.aggregations
+        };
+        
+        try {
+            localStorage.setItem('catalogBuilderGrouping', JSON.stringify(config));
+            console.log('Group configuration saved');
+        } catch (error) {
+            console.error('Failed to save configuration:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load group configuration
+     */
+    loadConfiguration() {
+        try {
+            const saved = localStorage.getItem('catalogBuilderGrouping');
+            if (saved) {
+                const config = JSON.parse(saved);
+                this.groupLevels = config.groupLevels || [];
+                this.groupOptions = { ...this.groupOptions, ...config.groupOptions };
+                this.aggregations = config.aggregations || [];
+                console.log('Group configuration loaded');
+            }
+        } catch (error) {
+            console.error('Failed to load configuration:', error);
+        }
+    }
+
+    /**
+     * Export configuration
+     */
+    exportConfig() {
+        return {
+            version: '1.0',
+            groupLevels: this.groupLevels,
+            groupOptions: this.groupOptions,
+            aggregations: this.aggregations,
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Import configuration
+     */
+    importConfig(config) {
+        try {
+            if (config.groupLevels) this.groupLevels = config.groupLevels;
+            if (config.groupOptions) this.groupOptions = { ...this.groupOptions, ...config.groupOptions };
+            if (config.aggregations) this.aggregations = config.aggregations;
+            console.log('Group configuration imported');
+        } catch (error) {
+            console.error('Failed to import configuration:', error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Available aggregation functions
+ */
+const AggregationFunctions = [
+    { value: 'count', label: 'Count' },
+    { value: 'distinct', label: 'Distinct count' },
+    { value: 'sum', label: 'Sum' },
+    { value: 'avg', label: 'Average' },
+    { value: 'median', label: 'Median' },
+    { value: 'min', label: 'Minimum' },
+    { value: 'max', label: 'Maximum' },
+    { value: 'range', label: 'Range' },
+    { value: 'first', label: 'First' },
+    { value: 'last', label: 'Last' },
+    { value: 'list', label: 'List' }
+];
+
+/**
+ * Header style options
+ */
+const HeaderStyles = [
+    { value: 'heading1', label: 'Heading 1' },
+    { value: 'heading2', label: 'Heading 2' },
+    { value: 'heading3', label: 'Heading 3' },
+    { value: 'bold', label: 'Bold Text' },
+    { value: 'custom', label: 'Custom Style' }
+];
+
+/**
+ * Separator type options
+ */
+const SeparatorTypes = [
+    { value: 'none', label: 'None' },
+    { value: 'line', label: 'Line' },
+    { value: 'space', label: 'Extra Space' },
+    { value: 'pageBreak', label: 'Page Break' }
+];
+
+// ==================== END MODULE: grouping.js ====================
+
+
+// ==================== MODULE: crossReferences.js ====================
+/**
+ * Cross-References Module
+ * Product linking and cross-referencing system
+ */
+
+/**
+ * Cross-Reference Types
+ */
+const ReferenceTypes = {
+    RELATED: 'related',
+    VARIANT: 'variant',
+    SEE_ALSO: 'see_also',
+    REPLACED_BY: 'replaced_by',
+    SUPERSEDED_BY: 'superseded_by',
+    ACCESSORY: 'accessory',
+    COMPATIBLE: 'compatible',
+    SERIES: 'series',
+    COLLECTION: 'collection'
+};
+
+/**
+ * Cross-Reference Engine Class
+ */
+class CrossReferenceEngine {
+    constructor() {
+        this.references = new Map(); // sourceId -> array of references
+        this.reverseIndex = new Map(); // targetId -> array of sources
+    }
+
+    /**
+     * Add a cross-reference
+     * @param {string} sourceId - Source record ID
+     * @param {string} targetId - Target record ID
+     * @param {string} type - Reference type
+     * @param {object} metadata - Additional metadata
+     */
+    addReference(sourceId, targetId, type = ReferenceTypes.RELATED, metadata = {}) {
+        try {
+            const reference = {
+                sourceId,
+                targetId,
+                type,
+                metadata,
+                createdAt: new Date().toISOString()
+            };
+
+            // Add to forward index
+            if (!this.references.has(sourceId)) {
+                this.references.set(sourceId, []);
+            }
+            this.references.get(sourceId).push(reference);
+
+            // Add to reverse index for bidirectional lookup
+            if (!this.reverseIndex.has(targetId)) {
+                this.reverseIndex.set(targetId, []);
+            }
+            this.reverseIndex.get(targetId).push(reference);
+
+            console.log(`Reference added: ${sourceId} -> ${targetId} (${type})`);
+            return reference;
+        } catch (error) {
+            console.error(`Failed to add reference: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a cross-reference
+     */
+    removeReference(sourceId, targetId, type = null) {
+        let removed = false;
+
+        // Remove from forward index
+        if (this.references.has(sourceId)) {
+            const refs = this.references.get(sourceId);
+            const filtered = refs.filter(ref => {
+                const match = ref.targetId !== targetId || (type && ref.type !== type);
+                if (!match) removed = true;
+                return match;
+            });
+            
+            if (filtered.length === 0) {
+                this.references.delete(sourceId);
+            } else {
+                this.references.set(sourceId, filtered);
+            }
+        }
+
+        // Remove from reverse index
+        if (this.reverseIndex.has(targetId)) {
+            const refs = this.reverseIndex.get(targetId);
+            const filtered = refs.filter(ref => {
+                return ref.sourceId !== sourceId || (type && ref.type !== type);
+            });
+            
+            if (filtered.length === 0) {
+                this.reverseIndex.delete(targetId);
+            } else {
+                this.reverseIndex.set(targetId, filtered);
+            }
+        }
+
+        if (removed) {
+            console.log(`Reference removed: ${sourceId} -> ${targetId}`);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Get all references from a record
+     */
+    getReferences(recordId, type = null) {
+        const refs = this.references.get(recordId) || [];
+        
+        if (type) {
+            return refs.filter(ref => ref.type === type);
+        }
+        
+        return refs;
+    }
+
+    /**
+     * Get all records that reference this record
+     */
+    getReferencedBy(recordId, type = null) {
+        const refs = this.reverseIndex.get(recordId) || [];
+        
+        if (type) {
+            return refs.filter(ref => ref.type === type);
+        }
+        
+        return refs;
+    }
+
+    /**
+     * Get bidirectional references
+     */
+    getBidirectionalReferences(recordId, type = null) {
+        return {
+            outgoing: this.getReferences(recordId, type),
+            incoming: this.getReferencedBy(recordId, type)
+        };
+    }
+
+    /**
+     * Check if two records are linked
+     */
+    areLinked(recordId1, recordId2) {
+        const refs1 = this.getReferences(recordId1);
+        const refs2 = this.getReferences(recordId2);
+        
+        return refs1.some(ref => ref.targetId === recordId2) ||
+               refs2.some(ref => ref.targetId === recordId1);
+    }
+
+    /**
+     * Validate references against dataset
+     * @param {array} records - Data records with ID field
+     * @param {string} idField - Name of ID field
+     */
+    validateReferences(records, idField = 'id') {
+        const validIds = new Set(records.map(r => r[idField]));
+        const broken = [];
+
+        this.references.forEach((refs, sourceId) => {
+            if (!validIds.has(sourceId)) {
+                broken.push({
+                    type: 'source_not_found',
+                    sourceId,
+                    message: `Source record not found: ${sourceId}`
+                });
+            }
+
+            refs.forEach(ref => {
+                if (!validIds.has(ref.targetId)) {
+                    broken.push({
+                        type: 'target_not_found',
+                        sourceId: ref.sourceId,
+                        targetId: ref.targetId,
+                        referenceType: ref.type,
+                        message: `Target record not found: ${ref.targetId}`
+                    });
+                }
+            });
+        });
+
+        if (broken.length > 0) {
+            console.warn(`Found ${broken.length} broken references`);
+        } else {
+            console.log('All references are valid');
+        }
+
+        return broken;
+    }
+
+    /**
+     * Resolve references to actual records
+     * @param {string} recordId - Source record ID
+     * @param {array} records - All data records
+     * @param {string} idField - Name of ID field
+     */
+    resolveReferences(recordId, records, idField = 'id') {
+        const refs = this.getReferences(recordId);
+        const resolved = [];
+
+        refs.forEach(ref => {
+            const targetRecord = records.find(r => r[idField] === ref.targetId);
+            if (targetRecord) {
+                resolved.push({
+                    type: ref.type,
+                    metadata: ref.metadata,
+                    record: targetRecord
+                });
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Build reference graph
+     */
+    buildGraph() {
+        const graph = {
+            nodes: new Set(),
+            edges: []
+        };
+
+        this.references.forEach((refs, sourceId) => {
+            graph.nodes.add(sourceId);
+            
+            refs.forEach(ref => {
+                graph.nodes.add(ref.targetId);
+                graph.edges.push({
+                    from: sourceId,
+                    to: ref.targetId,
+                    type: ref.type
+                });
+            });
+        });
+
+        return {
+            nodes: Array.from(graph.nodes),
+            edges: graph.edges
+        };
+    }
+
+    /**
+     * Find reference chains (A -> B -> C)
+     */
+    findChains(startId, maxDepth = 3) {
+        const chains = [];
+        const visited = new Set();
+
+        const traverse = (currentId, chain, depth) => {
+            if (depth > maxDepth || visited.has(currentId)) {
+                return;
+            }
+
+            visited.add(currentId);
+            const refs = this.getReferences(currentId);
+
+            if (refs.length === 0) {
+                if (chain.length > 1) {
+                    chains.push([...chain]);
+                }
+            } else {
+                refs.forEach(ref => {
+                    traverse(ref.targetId, [...chain, ref.targetId], depth + 1);
+                });
+            }
+
+            visited.delete(currentId);
+        };
+
+        traverse(startId, [startId], 0);
+        return chains;
+    }
+
+    /**
+     * Group references by type
+     */
+    groupByType(recordId) {
+        const refs = this.getReferences(recordId);
+        const grouped = {};
+
+        refs.forEach(ref => {
+            if (!grouped[ref.type]) {
+                grouped[ref.type] = [];
+            }
+            grouped[ref.type].push(ref);
+        });
+
+        return grouped;
+    }
+
+    /**
+     * Import references from data field
+     * @param {array} records - Data records
+     * @param {string} idField - ID field name
+     * @param {string} refField - Reference field name (comma-separated IDs)
+     * @param {string} type - Reference type
+     */
+    importFromField(records, idField = 'id', refField = 'related_products', type = ReferenceTypes.RELATED) {
+        let count = 0;
+
+        records.forEach(record => {
+            const sourceId = record[idField];
+            const refValue = record[refField];
+
+            if (refValue) {
+                const targetIds = String(refValue).split(',').map(id => id.trim());
+                
+                targetIds.forEach(targetId => {
+                    if (targetId) {
+                        this.addReference(sourceId, targetId, type);
+                        count++;
+                    }
+                });
+            }
+        });
+
+        console.log(`Imported ${count} references from field ${refField}`);
+        return count;
+    }
+
+    /**
+     * Export references to data structure
+     */
+    exportToData(records, idField = 'id') {
+        const enriched = records.map(record => {
+            const recordId = record[idField];
+            const refs = this.getReferences(recordId);
+            
+            return {
+                ...record,
+                _references: refs.map(ref => ({
+                    id: ref.targetId,
+                    type: ref.type
+                })),
+                _referencedBy: this.getReferencedBy(recordId).map(ref => ({
+                    id: ref.sourceId,
+                    type: ref.type
+                }))
+            };
+        });
+
+        return enriched;
+    }
+
+    /**
+     * Clear all references
+     */
+    clearAll() {
+        this.references.clear();
+        this.reverseIndex.clear();
+        console.log('All references cleared');
+    }
+
+    /**
+     * Get statistics
+     */
+    getStatistics() {
+        let totalRefs = 0;
+        const typeCount = {};
+
+        this.references.forEach(refs => {
+            totalRefs += refs.length;
+            refs.forEach(ref => {
+                typeCount[ref.type] = (typeCount[ref.type] || 0) + 1;
+            });
+        });
+
+        return {
+            totalRecordsWithReferences: this.references.size,
+            totalReferences: totalRefs,
+            averageReferencesPerRecord: this.references.size > 0 ? 
+                (totalRefs / this.references.size).toFixed(2) : 0,
+            referencesByType: typeCount
+        };
+    }
+
+    /**
+     * Save references to storage
+     */
+    save() {
+        try {
+            const data = {
+                references: Array.from(this.references.entries()),
+                reverseIndex: Array.from(this.reverseIndex.entries())
+            };
+            
+            localStorage.setItem('catalogBuilderReferences', JSON.stringify(data));
+            console.log('Cross-references saved');
+        } catch (error) {
+            console.error('Failed to save references:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load references from storage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem('catalogBuilderReferences');
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.references = new Map(data.references);
+                this.reverseIndex = new Map(data.reverseIndex);
+                console.log('Cross-references loaded');
+            }
+        } catch (error) {
+            console.error('Failed to load references:', error);
+        }
+    }
+
+    /**
+     * Export to JSON
+     */
+    exportToJSON() {
+        return {
+            version: '1.0',
+            references: Array.from(this.references.entries()).map(([sourceId, refs]) => ({
+                sourceId,
+                references: refs
+            })),
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Import from JSON
+     */
+    importFromJSON(data) {
+        try {
+            this.clearAll();
+            
+            if (data.references && Array.isArray(data.references)) {
+                data.references.forEach(item => {
+                    item.references.forEach(ref => {
+                        this.addReference(ref.sourceId, ref.targetId, ref.type, ref.metadata);
+                    });
+                });
+            }
+            
+            console.log('Cross-references imported from JSON');
+        } catch (error) {
+            console.error('Failed to import references:', error);
+            throw error;
+        }
+    }
+}
+
+// ==================== END MODULE: crossReferences.js ====================
+
+
+// ==================== MODULE: localization.js ====================
+/**
+ * Localization Module
+ * Multi-language support and internationalization
+ */
+
+/**
+ * Supported Languages
+ */
+const SupportedLanguages = [
+    { code: 'en', name: 'English', direction: 'ltr' },
+    { code: 'fr', name: 'Français', direction: 'ltr' },
+    { code: 'de', name: 'Deutsch', direction: 'ltr' },
+    { code: 'es', name: 'Español', direction: 'ltr' },
+    { code: 'it', name: 'Italiano', direction: 'ltr' },
+    { code: 'pt', name: 'Português', direction: 'ltr' },
+    { code: 'nl', name: 'Nederlands', direction: 'ltr' },
+    { code: 'pl', name: 'Polski', direction: 'ltr' },
+    { code: 'ru', name: 'Русский', direction: 'ltr' },
+    { code: 'ja', name: '日本語', direction: 'ltr' },
+    { code: 'zh', name: '中文', direction: 'ltr' },
+    { code: 'ar', name: 'العربية', direction: 'rtl' },
+    { code: 'he', name: 'עברית', direction: 'rtl' }
+];
+
+/**
+ * Localization Engine Class
+ */
+class LocalizationEngine {
+    constructor() {
+        this.currentLanguage = 'en';
+        this.defaultLanguage = 'en';
+        this.enabledLanguages = ['en'];
+        this.fieldMappings = new Map(); // fieldName -> { en: 'field_en', fr: 'field_fr', ... }
+        this.useFallback = true;
+        this.translations = {}; // UI translations
+    }
+
+    /**
+     * Set current language
+     */
+    setLanguage(languageCode) {
+        if (this.isLanguageSupported(languageCode)) {
+            this.currentLanguage = languageCode;
+            console.log(`Language set to: ${languageCode}`);
+            return true;
+        }
+        
+        console.warn(`Unsupported language: ${languageCode}`);
+        return false;
+    }
+
+    /**
+     * Get current language
+     */
+    getCurrentLanguage() {
+        return this.currentLanguage;
+    }
+
+    /**
+     * Set default fallback language
+     */
+    setDefaultLanguage(languageCode) {
+        this.defaultLanguage = languageCode;
+        console.log(`Default language set to: ${languageCode}`);
+    }
+
+    /**
+     * Enable a language
+     */
+    enableLanguage(languageCode) {
+        if (this.isLanguageSupported(languageCode) && !this.enabledLanguages.includes(languageCode)) {
+            this.enabledLanguages.push(languageCode);
+            console.log(`Language enabled: ${languageCode}`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Disable a language
+     */
+    disableLanguage(languageCode) {
+        const index = this.enabledLanguages.indexOf(languageCode);
+        if (index !== -1 && languageCode !== this.defaultLanguage) {
+            this.enabledLanguages.splice(index, 1);
+            console.log(`Language disabled: ${languageCode}`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check if language is supported
+     */
+    isLanguageSupported(languageCode) {
+        return SupportedLanguages.some(lang => lang.code === languageCode);
+    }
+
+    /**
+     * Get language info
+     */
+    getLanguageInfo(languageCode) {
+        return SupportedLanguages.find(lang => lang.code === languageCode);
+    }
+
+    /**
+     * Check if language is RTL
+     */
+    isRTL(languageCode = null) {
+        const code = languageCode || this.currentLanguage;
+        const info = this.getLanguageInfo(code);
+        return info ? info.direction === 'rtl' : false;
+    }
+
+    /**
+     * Add field mapping for localization
+     * @param {string} baseField - Base field name (e.g., 'productName')
+     * @param {object} languageFields - Language-specific fields { en: 'productName_en', fr: 'productName_fr' }
+     */
+    addFieldMapping(baseField, languageFields) {
+        this.fieldMappings.set(baseField, languageFields);
+        console.log(`Field mapping added for: ${baseField}`);
+    }
+
+    /**
+     * Get localized field name
+     */
+    getLocalizedField(baseField, languageCode = null) {
+        const lang = languageCode || this.currentLanguage;
+        const mapping = this.fieldMappings.get(baseField);
+        
+        if (mapping && mapping[lang]) {
+            return mapping[lang];
+        }
+        
+        // Try fallback
+        if (this.useFallback && mapping && mapping[this.defaultLanguage]) {
+            console.log(`Using fallback for field: ${baseField}`);
+            return mapping[this.defaultLanguage];
+        }
+        
+        // Return base field name as last resort
+        return baseField;
+    }
+
+    /**
+     * Localize a data record
+     * @param {object} record - Data record
+     * @param {string} languageCode - Target language
+     */
+    localizeRecord(record, languageCode = null) {
+        const lang = languageCode || this.currentLanguage;
+        const localized = {};
+        
+        // Copy all fields first
+        Object.assign(localized, record);
+        
+        // Replace with localized versions where available
+        this.fieldMappings.forEach((langFields, baseField) => {
+            const localizedFieldName = langFields[lang] || 
+                                      (this.useFallback ? langFields[this.defaultLanguage] : null);
+            
+            if (localizedFieldName && record[localizedFieldName] !== undefined) {
+                localized[baseField] = record[localizedFieldName];
+            }
+        });
+        
+        return localized;
+    }
+
+    /**
+     * Localize entire dataset
+     * @param {array} records - Data records
+     * @param {string} languageCode - Target language
+     */
+    localizeDataset(records, languageCode = null) {
+        const lang = languageCode || this.currentLanguage;
+        console.log(`Localizing ${records.length} records to ${lang}`);
+        
+        return records.map(record => this.localizeRecord(record, lang));
+    }
+
+    /**
+     * Auto-detect field mappings from dataset
+     * @param {array} records - Sample records
+     */
+    autoDetectFieldMappings(records) {
+        if (records.length === 0) return;
+        
+        const sampleRecord = records[0];
+        const fields = Object.keys(sampleRecord);
+        const detectedMappings = new Map();
+        
+        // Pattern: fieldName_langCode
+        const pattern = /^(.+)_([a-z]{2})$/;
+        
+        fields.forEach(field => {
+            const match = field.match(pattern);
+            if (match) {
+                const [, baseField, langCode] = match;
+                
+                if (!detectedMappings.has(baseField)) {
+                    detectedMappings.set(baseField, {});
+                }
+                
+                detectedMappings.get(baseField)[langCode] = field;
+            }
+        });
+        
+        // Add detected mappings
+        detectedMappings.forEach((langFields, baseField) => {
+            this.addFieldMapping(baseField, langFields);
+        });
+        
+        console.log(`Auto-detected ${detectedMappings.size} field mappings`);
+        return detectedMappings;
+    }
+
+    /**
+     * Format number according to locale
+     */
+    formatNumber(number, languageCode = null, options = {}) {
+        const lang = languageCode || this.currentLanguage;
+        
+        try {
+            return new Intl.NumberFormat(lang, options).format(number);
+        } catch (error) {
+            console.error(`Number formatting failed: ${error.message}`);
+            return String(number);
+        }
+    }
+
+    /**
+     * Format currency according to locale
+     */
+    formatCurrency(amount, currency = 'USD', languageCode = null) {
+        const lang = languageCode || this.currentLanguage;
+        
+        try {
+            return new Intl.NumberFormat(lang, {
+                style: 'currency',
+                currency: currency
+            }).format(amount);
+        } catch (error) {
+            console.error(`Currency formatting failed: ${error.message}`);
+            return `${currency} ${amount}`;
+        }
+    }
+
+    /**
+     * Format date according to locale
+     */
+    formatDate(date, languageCode = null, options = {}) {
+        const lang = languageCode || this.currentLanguage;
+        const dateObj = date instanceof Date ? date : new Date(date);
+        
+        try {
+            return new Intl.DateTimeFormat(lang, options).format(dateObj);
+        } catch (error) {
+            console.error(`Date formatting failed: ${error.message}`);
+            return dateObj.toLocaleDateString();
+        }
+    }
+
+    /**
+     * Get locale-specific sort comparator
+     */
+    getCollator(languageCode = null, options = {}) {
+        const lang = languageCode || this.currentLanguage;
+        
+        try {
+            return new Intl.Collator(lang, options);
+        } catch (error) {
+            console.error(`Failed to create collator: ${error.message}`);
+            return new Intl.Collator('en');
+        }
+    }
+
+    /**
+     * Sort records with locale-aware comparison
+     */
+    sortRecords(records, field, direction = 'asc', languageCode = null) {
+        const collator = this.getCollator(languageCode);
+        
+        return [...records].sort((a, b) => {
+            const aVal = a[field];
+            const bVal = b[field];
+            
+            const comparison = collator.compare(String(aVal), String(bVal));
+            return direction === 'asc' ? comparison : -comparison;
+        });
+    }
+
+    /**
+     * Add UI translation
+     */
+    addTranslation(key, translations) {
+        this.translations[key] = translations;
+    }
+
+    /**
+     * Get translated UI text
+     */
+    translate(key, languageCode = null) {
+        const lang = languageCode || this.currentLanguage;
+        
+        if (this.translations[key] && this.translations[key][lang]) {
+            return this.translations[key][lang];
+        }
+        
+        // Fallback to default language
+        if (this.useFallback && this.translations[key] && this.translations[key][this.defaultLanguage]) {
+            return this.translations[key][this.defaultLanguage];
+        }
+        
+        // Return key if no translation found
+        return key;
+    }
+
+    /**
+     * Load UI translations
+     */
+    loadUITranslations(translations) {
+        this.translations = { ...this.translations, ...translations };
+        console.log('UI translations loaded');
+    }
+
+    /**
+     * Get translation status for dataset
+     */
+    getTranslationStatus(records) {
+        const status = {};
+        
+        this.enabledLanguages.forEach(lang => {
+            status[lang] = {
+                total: 0,
+                translated: 0,
+                missing: 0,
+                percentage: 0
+            };
+        });
+        
+        this.fieldMappings.forEach((langFields, baseField) => {
+            this.enabledLanguages.forEach(lang => {
+                const fieldName = langFields[lang];
+                if (fieldName) {
+                    let translated = 0;
+                    
+                    records.forEach(record => {
+                        if (record[fieldName] && record[fieldName] !== '') {
+                            translated++;
+                        }
+                    });
+                    
+                    status[lang].total += records.length;
+                    status[lang].translated += translated;
+                    status[lang].missing += (records.length - translated);
+                }
+            });
+        });
+        
+        // Calculate percentages
+        Object.keys(status).forEach(lang => {
+            if (status[lang].total > 0) {
+                status[lang].percentage = ((status[lang].translated / status[lang].total) * 100).toFixed(1);
+            }
+        });
+        
+        return status;
+    }
+
+    /**
+     * Save configuration
+     */
+    saveConfiguration() {
+        const config = {
+            currentLanguage: this.currentLanguage,
+            defaultLanguage: this.defaultLanguage,
+            enabledLanguages: this.enabledLanguages,
+            fieldMappings: Array.from(this.fieldMappings.entries()),
+            useFallback: this.useFallback
+        };
+        
+        try {
+            localStorage.setItem('catalogBuilderLocalization', JSON.stringify(config));
+            console.log('Localization configuration saved');
+        } catch (error) {
+            console.error('Failed to save configuration:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load configuration
+     */
+    loadConfiguration() {
+        try {
+            const saved = localStorage.getItem('catalogBuilderLocalization');
+            if (saved) {
+                const config = JSON.parse(saved);
+                this.currentLanguage = config.currentLanguage || 'en';
+                this.defaultLanguage = config.defaultLanguage || 'en';
+                this.enabledLanguages = config.enabledLanguages || ['en'];
+                this.fieldMappings = new Map(config.fieldMappings || []);
+                this.useFallback = config.useFallback !== undefined ? config.useFallback : true;
+                console.log('Localization configuration loaded');
+            }
+        } catch (error) {
+            console.error('Failed to load configuration:', error);
+        }
+    }
+
+    /**
+     * Export configuration
+     */
+    exportConfig() {
+        return {
+            version: '1.0',
+            currentLanguage: this.currentLanguage,
+            defaultLanguage: this.defaultLanguage,
+            enabledLanguages: this.enabledLanguages,
+            fieldMappings: Array.from(this.fieldMappings.entries()),
+            useFallback: this.useFallback,
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Import configuration
+     */
+    importConfig(config) {
+        try {
+            if (config.currentLanguage) this.currentLanguage = config.currentLanguage;
+            if (config.defaultLanguage) this.defaultLanguage = config.defaultLanguage;
+            if (config.enabledLanguages) this.enabledLanguages = config.enabledLanguages;
+            if (config.fieldMappings) this.fieldMappings = new Map(config.fieldMappings);
+            if (config.useFallback !== undefined) this.useFallback = config.useFallback;
+            console.log('Localization configuration imported');
+        } catch (error) {
+            console.error('Failed to import configuration:', error);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Common UI translations
+ */
+const CommonTranslations = {
+    'app.title': {
+        en: 'Catalog Builder',
+        fr: 'Générateur de Catalogue',
+        de: 'Katalog-Builder',
+        es: 'Generador de Catálogos'
+    },
+    'button.import': {
+        en: 'Import',
+        fr: 'Importer',
+        de: 'Importieren',
+        es: 'Importar'
+    },
+    'button.export': {
+        en: 'Export',
+        fr: 'Exporter',
+        de: 'Exportieren',
+        es: 'Exportar'
+    },
+    'button.generate': {
+        en: 'Generate',
+        fr: 'Générer',
+        de: 'Generieren',
+        es: 'Generar'
+    },
+    'label.language': {
+        en: 'Language',
+        fr: 'Langue',
+        de: 'Sprache',
+        es: 'Idioma'
+    }
+};
+
+// ==================== END MODULE: localization.js ====================
+
+
+// ==================== MODULE: dataImport.js ====================
+/**
+ * Data Import Module
+ * Handles importing data from various file formats (CSV, Excel, JSON, XML)
+ */
+
+class DataImporter {
+    constructor() {
+        this.supportedFormats = {
+            csv: ['.csv', '.txt'],
+            excel: ['.xlsx', '.xls'],
+            json: ['.json'],
+            xml: ['.xml']
+        };
+    }
+
+    /**
+     * Select a file using UXP file picker
+     */
+    async selectFile(type = 'csv') {
+        try {
+            console.log('Opening file picker for type:', type);
+            
+            // In UXP, we use the file system access API
+            const fs = require('uxp').storage.localFileSystem;
+            
+            const extensions = this.supportedFormats[type] || this.supportedFormats.csv;
+            
+            const file = await fs.getFileForOpening({
+                types: extensions
+            });
+            
+            if (file) {
+                console.log('File selected:', file.name);
+                return file;
+            }
+            
+            return null;
+        } catch (error) {
+            console.error('File selection failed:', error);
+            throw new Error('Failed to select file: ' + error.message);
+        }
+    }
+
+    /**
+     * Import data from file
+     */
+    async importData(file, options = {}) {
+        try {
+            console.log('Importing data from:', file.name);
+            
+            const type = options.type || this.detectFileType(file.name);
+            
+            switch (type) {
+                case 'csv':
+                    return await this.importCSV(file, options);
+                case 'excel':
+                    return await this.importExcel(file, options);
+                case 'json':
+                    return await this.importJSON(file, options);
+                case 'xml':
+                    return await this.importXML(file, options);
+                default:
+                    throw new Error('Unsupported file type: ' + type);
+            }
+        } catch (error) {
+            console.error('Data import failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Detect file type from extension
+     */
+    detectFileType(filename) {
+        const ext = '.' + filename.split('.').pop().toLowerCase();
+        
+        for (const [type, extensions] of Object.entries(this.supportedFormats)) {
+            if (extensions.includes(ext)) {
+                return type;
+            }
+        }
+        
+        return 'csv'; // Default
+    }
+
+    /**
+     * Import CSV file
+     * @param {Object} options - { delimiter: character or 'auto', hasHeader, encoding }
+     */
+    async importCSV(file, options = {}) {
+        try {
+            console.log('Importing CSV file');
+            
+            const hasHeader = options.hasHeader !== false;
+            const encoding = options.encoding || 'utf-8';
+            
+            // Read raw bytes so the chosen encoding can be honoured
+            const buffer = await file.read({ format: require('uxp').storage.formats.binary });
+            const bytes = new Uint8Array(buffer);
+            
+            // Bytes are decoded a chunk at a time as the parser needs them,
+            // so the file is never held as one string
+            const chunkSize = 64 * 1024;
+            const decoder = new TextChunkDecoder(encoding);
+            const readChunk = offset => decoder.decode(bytes.subarray(offset, offset + chunkSize), offset + chunkSize >= bytes.length);
+            const firstChunk = readChunk(0);
+            
+            let delimiter = options.delimiter || 'auto';
+            if (delimiter === '\\t') {
+                delimiter = '\t';
+            }
+            if (delimiter === 'auto') {
+                delimiter = sniffDelimiter(firstChunk);
+                console.log(`Detected delimiter: ${JSON.stringify(delimiter)}`);
+            }
+            
+            let headers = null;
+            const records = [];
+            const rowErrors = [];
+            
+            const parser = new CSVParser({
+                delimiter,
+                onRow: (values, line) => {
+                    if (!headers) {
+                        headers = hasHeader
+                            ? this.normalizeHeaders(values, values.length)
+                            : values.map((_, index) => `Column${index + 1}`);
+                        if (hasHeader) return;
+                    }
+                    
+                    if (values.length !== headers.length) {
+                        rowErrors.push({
+                            row: records.length + (hasHeader ? 2 : 1),
+                            line,
+                            message: `Expected ${headers.length} fields but found ${values.length}`
+                        });
+                    }
+                    
+                    const record = {};
+                    headers.forEach((header, index) => {
+                        record[header] = values[index] || '';
+                    });
+                    records.push(record);
+                }
+            });
+            
+            parser.push(firstChunk);
+            for (let offset = chunkSize; offset < bytes.length; offset += chunkSize) {
+                parser.push(readChunk(offset));
+            }
+            const { errors } = parser.end();
+            
+            if (!headers) {
+                throw new Error('File is empty');
+            }
+            
+            const allErrors = [...errors, ...rowErrors].sort((a, b) => a.line - b.line);
+            allErrors.forEach(error => console.warn(`CSV line ${error.line}: ${error.message}`));
+            
+            // Detect data types
+            const fieldTypes = this.detectFieldTypes(records, headers);
+            
+            console.log(`Imported ${records.length} records with ${headers.length} fields`);
+            
+            return {
+                type: 'csv',
+                fields: headers,
+                fieldTypes: fieldTypes,
+                records: records,
+                errors: allErrors,
+                metadata: {
+                    filename: file.name,
+                    recordCount: records.length,
+                    fieldCount: headers.length,
+                    delimiter: delimiter,
+                    encoding: encoding
+                }
+            };
+        } catch (error) {
+            console.error('CSV import failed:', error);
+            throw new Error('Failed to import CSV: ' + error.message);
+        }
+    }
+
+    /**
+     * Get the SheetJS library
+     * index.html loads it from src/vendor before the plugin; UXP's require
+     * does not search node_modules.
+     */
+    getSheetJS() {
+        if (typeof XLSX !== 'undefined' && XLSX.read) {
+            return XLSX;
+        }
+        throw new Error('SheetJS is not loaded - src/vendor/xlsx.full.min.js is missing from the plugin');
+    }
+
+    /**
+     * Read an Excel workbook from file
+     */
+    async readWorkbook(file, parseOptions = {}) {
+        const buffer = await file.read({ format: require('uxp').storage.formats.binary });
+        return this.getSheetJS().read(new Uint8Array(buffer), { type: 'array', ...parseOptions });
+    }
+
+    /**
+     * Get the sheet names of an Excel file
+     */
+    async getExcelSheetNames(file) {
+        try {
+            const workbook = await this.readWorkbook(file, { bookSheets: true });
+            return workbook.SheetNames;
+        } catch (error) {
+            console.error('Failed to read Excel sheet names:', error);
+            throw new Error('Failed to read Excel file: ' + error.message);
+        }
+    }
+
+    /**
+     * Import Excel file
+     * @param {Object} options - { sheet: name or index, headerRow: 1-based row of the header, hasHeader, fillMerged }
+     */
+    async importExcel(file, options = {}) {
+        try {
+            console.log('Importing Excel file');
+            
+            const XLSX = this.getSheetJS();
+            const hasHeader = options.hasHeader !== false;
+            const headerRow = Math.max(parseInt(options.headerRow, 10) || 1, 1);
+            
+            // Keep dates as Date objects; numbers stay numbers with raw values
+            const workbook = await this.readWorkbook(file, { cellDates: true });
+            const sheetName = this.resolveSheetName(workbook, options.sheet);
+            const sheet = workbook.Sheets[sheetName];
+            
+            if (!sheet || !sheet['!ref']) {
+                throw new Error(`Sheet "${sheetName}" is empty`);
+            }
+            
+            if (options.fillMerged !== false) {
+                this.fillMergedCells(sheet, XLSX);
+            }
+            
+            const rows = XLSX.utils.sheet_to_json(sheet, {
+                header: 1,
+                range: headerRow - 1,
+                raw: true,
+                defval: '',
+                blankrows: false
+            });
+            
+            if (rows.length === 0) {
+                throw new Error('No rows found below the header row');
+            }
+            
+            // reduce rather than Math.max(...widths), which overflows the stack on big sheets
+            const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+            const headers = this.normalizeHeaders(hasHeader ? rows[0] : [], width);
+            const dataRows = hasHeader ? rows.slice(1) : rows;
+            
+            const records = dataRows.map(row => {
+                const record = {};
+                headers.forEach((header, index) => {
+                    const value = row[index];
+                    record[header] = value === undefined ? '' : value;
+                });
+                return record;
+            });
+            
+            // Detect data types
+            const fieldTypes = this.detectFieldTypes(records, headers);
+            
+            console.log(`Imported ${records.length} records with ${headers.length} fields from sheet "${sheetName}"`);
+            
+            return {
+                type: 'excel',
+                fields: headers,
+                fieldTypes: fieldTypes,
+                records: records,
+                metadata: {
+                    filename: file.name,
+                    recordCount: records.length,
+                    fieldCount: headers.length,
+                    sheet: sheetName,
+                    sheetNames: workbook.SheetNames,
+                    headerRow: headerRow
+                }
+            };
+        } catch (error) {
+            console.error('Excel import failed:', error);
+            throw new Error('Failed to import Excel: ' + error.message);
+        }
+    }
+
+    /**
+     * Resolve a sheet option (name or index) to a sheet name
+     */
+    resolveSheetName(workbook, sheet) {
+        if (sheet === undefined || sheet === null || sheet === '') {
+            return workbook.SheetNames[0];
+        }
+        
+        if (workbook.SheetNames.includes(String(sheet))) {
+            return String(sheet);
+        }
+        
+        const index = parseInt(sheet, 10);
+        if (!isNaN(index) && workbook.SheetNames[index]) {
+            return workbook.SheetNames[index];
+        }
+        
+        throw new Error(`Sheet not found: ${sheet}`);
+    }
+
+    /**
+     * Copy the value of each merged range's top-left cell into the whole range
+     */
+    fillMergedCells(sheet, XLSX) {
+        const merges = sheet['!merges'] || [];
+        
+        merges.forEach(merge => {
+            const source = sheet[XLSX.utils.encode_cell(merge.s)];
+            if (!source) return;
+            
+            for (let r = merge.s.r; r <= merge.e.r; r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    // Covered cells are hidden in Excel, so any stub value is overwritten
+                    if (r !== merge.s.r || c !== merge.s.c) {
+                        sheet[XLSX.utils.encode_cell({ r, c })] = { ...source };
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Turn a header row into unique, non-empty field names
+     */
+    normalizeHeaders(headerCells, width) {
+        const used = {};
+        const headers = [];
+        
+        for (let i = 0; i < width; i++) {
+            const cell = headerCells[i];
+            let name = cell === undefined || cell === null || String(cell).trim() === ''
+                ? `Column${i + 1}`
+                : String(cell).trim();
+            
+            if (used[name]) {
+                used[name]++;
+                name = `${name}_${used[name]}`;
+            } else {
+                used[name] = 1;
+            }
+            
+            headers.push(name);
+        }
+        
+        return headers;
+    }
+
+    /**
+     * Import JSON file
+     */
+    async importJSON(file, options = {}) {
+        try {
+            console.log('Importing JSON file');
+            
+            // Read file content
+            const content = await file.read({ format: require('uxp').storage.formats.utf8 });
+            
+            // Parse JSON
+            const data = JSON.parse(content);
+            
+            // Handle different JSON structures
+            let records = [];
+            
+            if (Array.isArray(data)) {
+                records = data;
+            } else if (data.records && Array.isArray(data.records)) {
+                records = data.records;
+            } else if (data.data && Array.isArray(data.data)) {
+                records = data.data;
+            } else {
+                throw new Error('JSON file must contain an array or have a "records" or "data" property');
+            }
+            
+            if (records.length === 0) {
+                throw new Error('No records found in JSON file');
+            }
+            
+            // Extract field names from first record
+            const fields = Object.keys(records[0]);
+            
+            // Detect data types
+            const fieldTypes = this.detectFieldTypes(records, fields);
+            
+            console.log(`Imported ${records.length} records with ${fields.length} fields`);
+            
+            return {
+                type: 'json',
+                fields: fields,
+                fieldTypes: fieldTypes,
+                records: records,
+                metadata: {
+                    filename: file.name,
+                    recordCount: records.length,
+                    fieldCount: fields.length
+                }
+            };
+        } catch (error) {
+            console.error('JSON import failed:', error);
+            throw new Error('Failed to import JSON: ' + error.message);
+        }
+    }
+
+    /**
+     * Import XML file
+     */
+    async importXML(file, options = {}) {
+        try {
+            console.log('Importing XML file');
+            
+            // Read file content
+            const content = await file.read({ format: require('uxp').storage.formats.utf8 });
+            
+            // Parse XML (basic implementation)
+            const parser = new DOMParser();
+            const xmlDoc = parser.parseFromString(content, 'text/xml');
+            
+            // Check for parse errors
+            const parseError = xmlDoc.querySelector('parsererror');
+            if (parseError) {
+                throw new Error('Invalid XML format');
+            }
+            
+            // Find record elements (assuming structure like <records><record>...</record></records>)
+            const recordElements = xmlDoc.querySelectorAll('record, item, row, product');
+            
+            if (recordElements.length === 0) {
+                throw new Error('No records found in XML file');
+            }
+            
+            const records = [];
+            const fieldsSet = new Set();
+            
+            // Parse each record
+            recordElements.forEach(recordEl => {
+                const record = {};
+                
+                // Get all child elements
+                Array.from(recordEl.children).forEach(child => {
+                    const fieldName = child.tagName;
+                    const value = child.textContent;
+                    
+                    record[fieldName] = value;
+                    fieldsSet.add(fieldName);
+                });
+                
+                // Also check for attributes
+                Array.from(recordEl.attributes).forEach(attr => {
+                    record[attr.name] = attr.value;
+                    fieldsSet.add(attr.name);
+                });
+                
+                if (Object.keys(record).length > 0) {
+                    records.push(record);
+                }
+            });
+            
+            const fields = Array.from(fieldsSet);
+            
+            // Detect data types
+            const fieldTypes = this.detectFieldTypes(records, fields);
+            
+            console.log(`Imported ${records.length} records with ${fields.length} fields`);
+            
+            return {
+                type: 'xml',
+                fields: fields,
+                fieldTypes: fieldTypes,
+                records: records,
+                metadata: {
+                    filename: file.name,
+                    recordCount: records.length,
+                    fieldCount: fields.length
+                }
+            };
+        } catch (error) {
+            console.error('XML import failed:', error);
+            throw new Error('Failed to import XML: ' + error.message);
+        }
+    }
+
+    /**
+     * Detect field data types
+     */
+    detectFieldTypes(records, fields) {
+        const types = {};
+        
+        fields.forEach(field => {
+            const typeCount = {};
+            
+            // Sample first 100 records
+            const sample = records.slice(0, Math.min(100, records.length));
+            
+            sample.forEach(record => {
+                const value = record[field];
+                const type = detectDataType(value);
+                typeCount[type] = (typeCount[type] || 0) + 1;
+            });
+            
+            // Choose most common type
+            let maxCount = 0;
+            let dominantType = 'text';
+            
+            for (const [type, count] of Object.entries(typeCount)) {
+                if (count > maxCount && type !== 'empty') {
+                    maxCount = count;
+                    dominantType = type;
+                }
+            }
+            
+            types[field] = dominantType;
+        });
+        
+        return types;
+    }
+
+    /**
+     * Validate imported data
+     */
+    validateData(data) {
+        if (!data || !data.records) {
+            return { valid: false, errors: ['No data to validate'] };
+        }
+        
+        if (data.records.length === 0) {
+            return { valid: false, errors: ['No records in data'] };
+        }
+        
+        if (!data.fields || data.fields.length === 0) {
+            return { valid: false, errors: ['No fields defined'] };
+        }
+        
+        return { valid: true, errors: [] };
+    }
+
+    /**
+     * Preview data (first N records)
+     */
+    previewData(data, maxRecords = 10) {
+        if (!data || !data.records) {
+            return null;
+        }
+        
+        return {
+            ...data,
+            records: data.records.slice(0, maxRecords)
+        };
+    }
+}
+
+// ==================== END MODULE: dataImport.js ====================
+
+
+// ==================== MODULE: dataMapping.js ====================
+/**
+ * Data Mapping Module
+ * Handles mapping data fields to InDesign frames
+ */
+
+class DataMapper {
+    constructor() {
+        this.mappings = [];
+    }
+
+    /**
+     * Detect frames in the active document
+     */
+    async detectFrames() {
+        try {
+            console.log('Detecting frames in document');
+            
+            const doc = getActiveDocument();
+            if (!doc) {
+                throw new Error('No active document');
+            }
+
+            const frames = [];
+            
+            // Get all text frames
+            const textFrames = doc.textFrames;
+            for (let i = 0; i < textFrames.length; i++) {
+                const frame = textFrames[i];
+                frames.push({
+                    id: generateId(),
+                    type: 'text',
+                    label: frame.label || frame.name || `Text Frame ${i + 1}`,
+                    originalFrame: frame
+                });
+            }
+            
+            // Get all rectangle frames (potential image frames)
+            const rectangles = doc.rectangles;
+            for (let i = 0; i < rectangles.length; i++) {
+                const rect = rectangles[i];
+                frames.push({
+                    id: generateId(),
+                    type: 'rectangle',
+                    label: rect.label || rect.name || `Rectangle ${i + 1}`,
+                    originalFrame: rect
+                });
+            }
+            
+            console.log(`Detected ${frames.length} frames`);
+            return frames;
+        } catch (error) {
+            console.error('Frame detection failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a mapping between data field and frame
+     */
+    createMapping(field, frameId, options = {}) {
+        const mapping = {
+            id: generateId(),
+            field: field,
+            frameId: frameId,
+            type: options.type || 'text',
+            formatter: options.formatter || null,
+            transform: options.transform || null,
+            ...options
+        };
+        
+        this.mappings.push(mapping);
+        console.log(`Created mapping: ${field} -> frame ${frameId}`);
+        
+        return mapping;
+    }
+
+    /**
+     * Remove a mapping
+     */
+    removeMapping(mappingId) {
+        const index = this.mappings.findIndex(m => m.id === mappingId);
+        if (index !== -1) {
+            this.mappings.splice(index, 1);
+            console.log(`Removed mapping: ${mappingId}`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get all mappings
+     */
+    getMappings() {
+        return this.mappings;
+    }
+
+    /**
+     * Clear all mappings
+     */
+    clearMappings() {
+        this.mappings = [];
+        console.log('Cleared all mappings');
+    }
+
+    /**
+     * Save mappings to file
+     */
+    async saveMappingToFile(mappings) {
+        try {
+            console.log('Saving mappings to file');
+            
+            const fs = require('uxp').storage.localFileSystem;
+            const file = await fs.getFileForSaving('mappings.json', {
+                types: ['.json']
+            });
+            
+            if (file) {
+                const data = JSON.stringify(mappings, null, 2);
+                await file.write(data, { format: require('uxp').storage.formats.utf8 });
+                console.log('Mappings saved successfully to file');
+                return true;
+            }
+            
+            return false;
+        } catch (error) {
+            console.error('Failed to save mappings to file:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load mappings from file
+     */
+    async loadMappingFromFile() {
+        try {
+            console.log('Loading mappings from file');
+            
+            const fs = require('uxp').storage.localFileSystem;
+            const file = await fs.getFileForOpening({
+                types: ['.json']
+            });
+            
+            if (file) {
+                const content = await file.read({ format: require('uxp').storage.formats.utf8 });
+                const mappings = JSON.parse(content);
+                
+                console.log(`Loaded ${mappings.length} mappings from file`);
+                return mappings;
+            }
+            
+            return null;
+        } catch (error) {
+            console.error('Failed to load mappings from file:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all saved mappings from localStorage
+     */
+    getSavedMappings() {
+        try {
+            const saved = localStorage.getItem('catalogBuilderMappings');
+            if (saved) {
+                const mappings = JSON.parse(saved);
+                // Validate that the result is an array
+                if (Array.isArray(mappings)) {
+                    console.log(`Retrieved ${mappings.length} saved mappings`);
+                    return mappings;
+                } else {
+                    console.warn('Saved mappings data is not an array, returning empty array');
+                    return [];
+                }
+            }
+            return [];
+        } catch (error) {
+            console.error('Failed to get saved mappings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save mapping configuration to localStorage by name
+     */
+    saveMapping(name, mappingData) {
+        try {
+            const savedMappings = this.getSavedMappings();
+            
+            // Ensure mappingData has the name property
+            const dataToSave = { ...mappingData, name };
+            
+            // Check if mapping with this name already exists
+            const existingIndex = savedMappings.findIndex(m => m.name === name);
+            if (existingIndex !== -1) {
+                // Update existing
+                savedMappings[existingIndex] = dataToSave;
+            } else {
+                // Add new
+                savedMappings.push(dataToSave);
+            }
+            
+            localStorage.setItem('catalogBuilderMappings', JSON.stringify(savedMappings));
+            console.log(`Mapping "${name}" saved to localStorage`);
+            return true;
+        } catch (error) {
+            console.error('Failed to save mapping:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load mapping configuration from localStorage by name
+     */
+    loadMapping(name) {
+        try {
+            const savedMappings = this.getSavedMappings();
+            const mapping = savedMappings.find(m => m.name === name);
+            
+            if (mapping) {
+                console.log(`Loaded mapping "${name}" from localStorage`);
+                return mapping;
+            }
+            
+            console.log(`Mapping "${name}" not found`);
+            return null;
+        } catch (error) {
+            console.error('Failed to load mapping:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a saved mapping by name
+     */
+    deleteMapping(name) {
+        try {
+            const savedMappings = this.getSavedMappings();
+            const filtered = savedMappings.filter(m => m.name !== name);
+            
+            localStorage.setItem('catalogBuilderMappings', JSON.stringify(filtered));
+            console.log(`Mapping "${name}" deleted from localStorage`);
+            return true;
+        } catch (error) {
+            console.error('Failed to delete mapping:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply mapping to a record
+     */
+    async applyMapping(record, mapping, frame) {
+        try {
+            const value = record[mapping.field] || '';
+            
+            // Apply transform if specified
+            let transformedValue = value;
+            if (mapping.transform) {
+                transformedValue = this.applyTransform(value, mapping.transform);
+            }
+            
+            // Apply formatter if specified
+            if (mapping.formatter) {
+                transformedValue = this.applyFormatter(transformedValue, mapping.formatter);
+            }
+            
+            // Set the value on the frame
+            if (mapping.type === 'text') {
+                frame.contents = transformedValue;
+            } else if (mapping.type === 'image') {
+                // Place image
+                if (transformedValue) {
+                    console.log(`Placing image: ${transformedValue}`);
+                    // Would use frame.place() in actual InDesign
+                }
+            }
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to apply mapping:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply transform to value
+     */
+    applyTransform(value, transform) {
+        switch (transform) {
+            case 'uppercase':
+                return String(value).toUpperCase();
+            case 'lowercase':
+                return String(value).toLowerCase();
+            case 'capitalize':
+                return String(value).charAt(0).toUpperCase() + String(value).slice(1).toLowerCase();
+            case 'trim':
+                return String(value).trim();
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Apply formatter to value
+     * 'currency:EUR' formats in the given ISO currency.
+     */
+    applyFormatter(value, formatter) {
+        if (typeof formatter === 'function') {
+            return formatter(value);
+        }
+        
+        if (typeof formatter === 'string' && formatter.startsWith('currency:')) {
+            return this.formatCurrency(value, formatter.slice('currency:'.length));
+        }
+        
+        // Built-in formatters
+        switch (formatter) {
+            case 'currency':
+                return this.formatCurrency(value);
+            case 'date':
+                return this.formatDate(value);
+            case 'number':
+                return this.formatNumber(value);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Format as currency
+     * Without a currency code the amount keeps the plain $0.00 form.
+     */
+    formatCurrency(value, currency = null) {
+        const num = parseFloat(value);
+        if (isNaN(num)) return value;
+        if (currency) {
+            try {
+                return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(num);
+            } catch (error) {
+                console.warn(`Unknown currency ${currency}`);
+            }
+        }
+        return `$${num.toFixed(2)}`;
+    }
+
+    /**
+     * Format as date
+     */
+    formatDate(value) {
+        try {
+            const date = new Date(value);
+            return date.toLocaleDateString();
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * Format as number
+     */
+    formatNumber(value) {
+        const num = parseFloat(value);
+        if (isNaN(num)) return value;
+        return num.toLocaleString();
+    }
+}
+
+// ==================== END MODULE: dataMapping.js ====================
+
+
+// ==================== MODULE: templateManager.js ====================
+/**
+ * Template Manager Module
+ * Handles template creation, saving, and loading
+ */
+
+class TemplateManager {
+    constructor() {
+        this.templates = [];
+        this.loadSavedTemplates();
+    }
+
+    /**
+     * Create a new template
+     */
+    async createTemplate(options) {
+        try {
+            console.log('Creating template with options:', options);
+            
+            const template = {
+                id: generateId(),
+                name: options.name || `Template ${Date.now()}`,
+                layoutType: options.layoutType || 'flow',
+                flowMode: options.flowMode || 'paragraph',
+                gridRows: options.gridRows || 3,
+                gridCols: options.gridCols || 2,
+                gridGutter: options.gridGutter || 5,
+                useMasterPage: options.useMasterPage || false,
+                createdAt: new Date().toISOString()
+            };
+            
+            // If using master page, capture its settings
+            if (options.useMasterPage) {
+                const doc = getActiveDocument();
+                if (doc && doc.masterSpreads.length > 0) {
+                    template.masterPageId = doc.masterSpreads[0].id;
+                }
+            }
+            
+            this.templates.push(template);
+            console.log('Template created:', template.id);
+            
+            return template;
+        } catch (error) {
+            console.error('Failed to create template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save template to file
+     */
+    async saveTemplate(template) {
+        try {
+            console.log('Saving template:', template.id);
+            
+            const fs = require('uxp').storage.localFileSystem;
+            const file = await fs.getFileForSaving(`${template.name}.json`, {
+                types: ['.json']
+            });
+            
+            if (file) {
+                const data = JSON.stringify(template, null, 2);
+                await file.write(data, { format: require('uxp').storage.formats.utf8 });
+                console.log('Template saved successfully');
+                return true;
+            }
+            
+            return false;
+        } catch (error) {
+            console.error('Failed to save template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load template from file
+     */
+    async loadTemplate() {
+        try {
+            console.log('Loading template');
+            
+            const fs = require('uxp').storage.localFileSystem;
+            const file = await fs.getFileForOpening({
+                types: ['.json']
+            });
+            
+            if (file) {
+                const content = await file.read({ format: require('uxp').storage.formats.utf8 });
+                const template = JSON.parse(content);
+                
+                this.templates.push(template);
+                console.log('Template loaded:', template.id);
+                
+                return template;
+            }
+            
+            return null;
+        } catch (error) {
+            console.error('Failed to load template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all templates
+     */
+    getTemplates() {
+        return this.templates;
+    }
+
+    /**
+     * Get template by ID
+     */
+    getTemplate(id) {
+        return this.templates.find(t => t.id === id);
+    }
+
+    /**
+     * Delete template
+     */
+    deleteTemplate(id) {
+        const index = this.templates.findIndex(t => t.id === id);
+        if (index !== -1) {
+            this.templates.splice(index, 1);
+            this.saveSavedTemplates();
+            console.log('Template deleted:', id);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Load saved templates from storage
+     */
+    async loadSavedTemplates() {
+        try {
+            const saved = localStorage.getItem('catalogBuilderTemplates');
+            if (saved) {
+                this.templates = JSON.parse(saved);
+                console.log(`Loaded ${this.templates.length} saved templates`);
+            }
+        } catch (error) {
+            console.error('Failed to load saved templates:', error);
+        }
+    }
+
+    /**
+     * Save templates to storage
+     */
+    async saveSavedTemplates() {
+        try {
+            localStorage.setItem('catalogBuilderTemplates', JSON.stringify(this.templates));
+            console.log('Templates saved to storage');
+        } catch (error) {
+            console.error('Failed to save templates to storage:', error);
+        }
+    }
+
+    /**
+     * Apply template to document
+     */
+    async applyTemplate(template, doc) {
+        try {
+            console.log('Applying template:', template.id);
+            
+            if (!doc) {
+                doc = getActiveDocument();
+            }
+            
+            if (!doc) {
+                throw new Error('No active document');
+            }
+            
+            // Apply template settings
+            // This would involve creating frames, setting up grids, etc.
+            console.log('Template applied successfully');
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to apply template:', error);
+            throw error;
+        }
+    }
+}
+
+// ==================== END MODULE: templateManager.js ====================
+
+
+// ==================== MODULE: pageGenerator.js ====================
+/**
+ * Page Generator Module
+ * Handles automatic page generation and content placement
+ */
+
+/**
+ * Paragraph styles of group headers and footers (GroupingEngine style keys),
+ * tables of contents and indexes
+ * Missing styles are created with these settings; any other key names an
+ * existing paragraph style.
+ */
+const GROUP_STYLES = {
+    heading1: { name: 'Heading 1', pointSize: 18, fontStyle: 'Bold' },
+    heading2: { name: 'Heading 2', pointSize: 14, fontStyle: 'Bold' },
+    heading3: { name: 'Heading 3', pointSize: 12, fontStyle: 'Bold' },
+    bold: { name: 'Bold Text', fontStyle: 'Bold' },
+    footer: { name: 'Group Footer', pointSize: 9 },
+    toc1: { name: 'TOC Level 1', fontStyle: 'Bold', spaceBefore: mmToPoints(2) },
+    toc2: { name: 'TOC Level 2', leftIndent: mmToPoints(4) },
+    toc3: { name: 'TOC Level 3', leftIndent: mmToPoints(8) },
+    indexLetter: { name: 'Index Letter', fontStyle: 'Bold', spaceBefore: mmToPoints(3), keepWithNext: 1 },
+    indexEntry: { name: 'Index Entry' }
+};
+
+// Lines of the next paragraph a group header stays with
+const HEADER_KEEP_WITH_NEXT = 2;
+
+// <<token>> placeholders of group header designs
+const HEADER_TOKEN_PATTERN = /<<[^<>\r]+>>/g;
+
+/**
+ * Whether a generation entry is a GroupingEngine flat list item rather
+ * than a plain record
+ */
+function isFlatListItem(entry) {
+    if (!entry) return false;
+    if (entry.type === 'group-header' || entry.type === 'group-footer') {
+        return 'path' in entry && 'level' in entry;
+    }
+    return entry.type === 'record' && 'groupPath' in entry && typeof entry.data === 'object';
+}
+
+class PageGenerator {
+    constructor() {
+        this.dataMapper = new DataMapper();
+        this.defaultOptions = {
+            layoutType: 'flow',
+            flowMode: 'paragraph',
+            itemsPerPage: 6,
+            gridRows: 3,
+            gridCols: 2,
+            gutter: 5,
+            margin: 10
+        };
+    }
+
+    /**
+     * Generate catalog pages
+     *
+     * data.records holds plain records or a GroupingEngine flat list, whose
+     * group headers and footers are placed between the records.
+     */
+    async generate(options) {
+        // Prototypes parked for the run, moved back in the end
+        const parked = [];
+        try {
+            console.log('Starting catalog generation');
+            
+            const doc = await ensureDocument();
+            const { data, mappings, template, onProgress } = options;
+            
+            if (!data || !data.records) {
+                throw new Error('No data to generate');
+            }
+            
+            if (!mappings || mappings.length === 0) {
+                throw new Error('No mappings defined');
+            }
+            
+            // Collect the labelled prototype frames before anything is cleared
+            const prototype = await this.collectPrototypes(mappings);
+            this.parkPrototypes(doc, prototype);
+            parked.push(prototype);
+            const headerPrototypes = await this.collectHeaderPrototypes(doc, data.records, prototype, parked);
+            
+            // Clear existing content if requested; the pages prototypes come from stay
+            if (options.clearExisting) {
+                await this.clearDocument(doc, options.keepLabels, this.getPrototypeHomePages(parked), options.startPage);
+            }
+            
+            // Calculate layout
+            const settings = template || this.defaultOptions;
+            const layout = this.calculateLayout(doc, settings, prototype);
+            const cursor = this.createCursor(doc, settings, options.startPage);
+            const placement = {
+                prototype,
+                cursor,
+                imageHandling: options.imageHandling,
+                keyField: options.keyField || null,
+                flowMode: settings.flowMode || 'paragraph',
+                flow: { story: null, lastFrame: null, overset: false },
+                groupStyles: new Map(),
+                headerPrototypes,
+                headerMasters: new Map(),
+                unknownTokens: new Set(),
+                landings: []
+            };
+            
+            // Process records in batches
+            const batchSize = options.batchSize || 10;
+            let processedCount = 0;
+            let groupItemCount = 0;
+            let itemCount = 0;
+            
+            for (let i = 0; i < data.records.length; i += batchSize) {
+                const batch = data.records.slice(i, i + batchSize);
+                
+                for (const entry of batch) {
+                    itemCount++;
+                    const grouped = isFlatListItem(entry);
+                    const landing = {
+                        path: grouped ? entry.path ?? entry.groupPath : undefined,
+                        characterIndex: layout.type === 'flow' ? this.getFlowCharacterIndex(placement.flow) : undefined
+                    };
+                    placement.landings.push(landing);
+                    
+                    if (grouped && entry.type !== 'record') {
+                        landing.page = await this.placeGroupItem(doc, entry, layout, placement);
+                        groupItemCount++;
+                        continue;
+                    }
+                    
+                    const record = grouped ? entry.data : entry;
+                    placement.recordIndex = processedCount;
+                    landing.recordIndex = processedCount;
+                    if (layout.type === 'flow') {
+                        await this.placeFlowRecord(doc, record, mappings, layout, placement);
+                    } else {
+                        const position = await this.nextSlot(doc, layout, cursor);
+                        await this.placeRecord(doc, record, mappings, layout, { ...placement, ...position });
+                        landing.page = position.page;
+                    }
+                    processedCount++;
+                    
+                    if (onProgress) {
+                        onProgress(itemCount, data.records.length, `Placed ${itemCount} of ${data.records.length} items`);
+                    }
+                }
+                
+                // Small delay to prevent UI freeze
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            
+            if (placement.unknownTokens.size > 0) {
+                console.warn(`Unknown header tokens left in place: ${[...placement.unknownTokens].join(', ')}`);
+            }
+            
+            console.log(`Generated catalog with ${data.records.length} items on ${cursor.pagesUsed} pages`);
+            return {
+                recordsPlaced: processedCount,
+                groupItemsPlaced: groupItemCount,
+                pagesCreated: cursor.pagesCreated,
+                pagesUsed: cursor.pagesUsed,
+                oversetText: placement.flow.overset,
+                pageNumbers: this.resolvePageNumbers(placement.landings, placement.flow.story)
+            };
+        } catch (error) {
+            console.error('Catalog generation failed:', error);
+            throw error;
+        } finally {
+            this.restorePrototypes(parked);
+        }
+    }
+
+    /**
+     * Collect the prototype frames referenced by the mappings
+     *
+     * Prototypes are the labelled frames found by DataMapper.detectFrames.
+     * Frames created by a previous generation run are skipped.
+     */
+    async collectPrototypes(mappings) {
+        try {
+            const detected = await this.dataMapper.detectFrames();
+            const targets = new Set(mappings.map(mapping => this.getMappingTarget(mapping)));
+            const frames = [];
+            
+            for (const frame of detected) {
+                const item = frame.originalFrame;
+                if (!targets.has(frame.label) || frames.some(f => f.label === frame.label)) {
+                    continue;
+                }
+                if (item.extractLabel(CatalogLabelKeys.generated)) {
+                    continue;
+                }
+                
+                frames.push({
+                    label: frame.label,
+                    type: frame.type,
+                    item: item,
+                    bounds: item.geometricBounds.slice()
+                });
+            }
+            
+            if (frames.length === 0) {
+                throw new Error('No prototype frames found - label the template frames in InDesign and map fields to them');
+            }
+            
+            console.log(`Collected ${frames.length} prototype frames`);
+            
+            return this.createPrototype(frames);
+        } catch (error) {
+            console.error('Failed to collect prototype frames:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Prototype block of a set of frames
+     * bounds is the bounding box of the whole block: [top, left, bottom, right]
+     */
+    createPrototype(frames) {
+        const bounds = [
+            Math.min(...frames.map(f => f.bounds[0])),
+            Math.min(...frames.map(f => f.bounds[1])),
+            Math.max(...frames.map(f => f.bounds[2])),
+            Math.max(...frames.map(f => f.bounds[3]))
+        ];
+        
+        return {
+            frames,
+            bounds,
+            width: bounds[3] - bounds[1],
+            height: bounds[2] - bounds[0]
+        };
+    }
+
+    /**
+     * Collect the prototype frames of the group header designs in a flat list
+     *
+     * Every frame carrying a design's label belongs to its block, so a header
+     * can combine text frames with background rectangles. The blocks are
+     * parked on the pasteboard below the record prototype.
+     * @param {Array} parked - Receives the parked blocks, to restore them
+     * @returns {Promise<Map<string, Prototype>>} Keyed by label
+     */
+    async collectHeaderPrototypes(doc, entries, recordPrototype, parked = []) {
+        const labels = new Set(entries.filter(entry => entry && entry.type === 'group-header' && entry.prototype).map(entry => entry.prototype));
+        const prototypes = new Map();
+        if (labels.size === 0) {
+            return prototypes;
+        }
+        
+        try {
+            const detected = await this.dataMapper.detectFrames();
+            let parkTop = recordPrototype.height + mmToPoints(20);
+            
+            for (const label of labels) {
+                const frames = detected
+                    .filter(frame => frame.label === label && !frame.originalFrame.extractLabel(CatalogLabelKeys.generated))
+                    .map((frame, index) => ({
+                        label: `${label}:${index}`,
+                        type: frame.type,
+                        item: frame.originalFrame,
+                        bounds: frame.originalFrame.geometricBounds.slice()
+                    }));
+                
+                if (frames.length === 0) {
+                    console.warn(`No header prototype frames labelled "${label}" - its groups get text headers`);
+                    continue;
+                }
+                
+                const prototype = this.createPrototype(frames);
+                this.parkPrototypes(doc, prototype, parkTop);
+                parked.push(prototype);
+                parkTop += prototype.height + mmToPoints(20);
+                prototypes.set(label, prototype);
+            }
+            
+            console.log(`Collected ${prototypes.size} header prototypes`);
+            return prototypes;
+        } catch (error) {
+            console.error('Failed to collect header prototypes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move the prototype frames onto the pasteboard of the first spread
+     *
+     * Parked prototypes survive clearDocument and do not print.
+     * restorePrototypes moves them back to where they were.
+     * @param {number} top - Offset from the top of the page, to park several blocks
+     */
+    parkPrototypes(doc, prototype, top = 0) {
+        const page = doc.pages[0] || doc.pages.add();
+        const [pageTop, pageLeft] = page.bounds;
+        const offsetTop = pageTop + top - prototype.bounds[0];
+        const offsetLeft = pageLeft - prototype.width - mmToPoints(20) - prototype.bounds[1];
+        
+        for (const frame of prototype.frames) {
+            const [top, left, bottom, right] = frame.bounds;
+            // Frames on the pasteboard have no parent page
+            frame.home = { page: frame.item.parentPage || null, bounds: frame.bounds.slice() };
+            frame.item.move(page);
+            frame.item.geometricBounds = [top + offsetTop, left + offsetLeft, bottom + offsetTop, right + offsetLeft];
+            frame.bounds = frame.item.geometricBounds.slice();
+        }
+        
+        prototype.bounds = [
+            prototype.bounds[0] + offsetTop,
+            prototype.bounds[1] + offsetLeft,
+            prototype.bounds[2] + offsetTop,
+            prototype.bounds[3] + offsetLeft
+        ];
+    }
+
+    /**
+     * Move parked prototype frames back to their page and position
+     * A frame whose page is gone stays on the pasteboard.
+     */
+    restorePrototypes(prototypes) {
+        for (const prototype of prototypes) {
+            for (const frame of prototype.frames) {
+                if (!frame.home || !frame.item.isValid) {
+                    continue;
+                }
+                try {
+                    const { page, bounds } = frame.home;
+                    if (page && page.isValid !== false) {
+                        frame.item.move(page);
+                    } else if (page) {
+                        console.warn(`Page of prototype frame "${frame.label}" no longer exists - it stays on the pasteboard`);
+                        continue;
+                    }
+                    frame.item.geometricBounds = bounds;
+                    frame.bounds = bounds.slice();
+                    delete frame.home;
+                } catch (error) {
+                    console.warn(`Could not move prototype frame "${frame.label}" back:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Ids of the pages the parked prototype frames were taken from
+     */
+    getPrototypeHomePages(prototypes) {
+        const ids = new Set();
+        prototypes.forEach(prototype => prototype.frames.forEach(frame => {
+            if (frame.home && frame.home.page) ids.add(frame.home.page.id);
+        }));
+        return ids;
+    }
+
+    /**
+     * Get the frame label a mapping points at
+     */
+    getMappingTarget(mapping) {
+        return mapping.frameLabel || mapping.frameId;
+    }
+
+    /**
+     * Calculate layout for pages
+     *
+     * Slots are the record positions on a page, relative to the page origin.
+     * A flow layout has a single slot: the text frame area of each page.
+     */
+    calculateLayout(doc, options, prototype = null) {
+        const page = doc.pages[0] || doc.pages.add();
+        const bounds = page.bounds;
+        
+        const pageWidth = bounds[3] - bounds[1];
+        const pageHeight = bounds[2] - bounds[0];
+        
+        const margin = mmToPoints(options.margin || 10);
+        const gutter = mmToPoints(options.gridGutter || options.gutter || 5);
+        
+        const contentWidth = pageWidth - (2 * margin);
+        const contentHeight = pageHeight - (2 * margin);
+        
+        if (options.layoutType === 'grid') {
+            const rows = options.gridRows || 3;
+            const cols = options.gridCols || 2;
+            
+            const cellWidth = (contentWidth - ((cols - 1) * gutter)) / cols;
+            const cellHeight = (contentHeight - ((rows - 1) * gutter)) / rows;
+            
+            const slots = [];
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    slots.push({
+                        top: margin + row * (cellHeight + gutter),
+                        left: margin + col * (cellWidth + gutter),
+                        width: cellWidth,
+                        height: cellHeight
+                    });
+                }
+            }
+            
+            return {
+                type: 'grid',
+                rows,
+                cols,
+                cellWidth,
+                cellHeight,
+                margin,
+                gutter,
+                slots,
+                itemsPerPage: rows * cols
+            };
+        }
+        
+        return {
+            type: 'flow',
+            margin,
+            gutter,
+            contentWidth,
+            contentHeight,
+            slots: [{ top: margin, left: margin, width: contentWidth, height: contentHeight }],
+            itemsPerPage: null
+        };
+    }
+
+    /**
+     * Create a slot cursor for a generation run
+     *
+     * startPage is 1-based; the master spread comes from the template.
+     */
+    createCursor(doc, template, startPage = 1) {
+        let master = null;
+        if (template && template.masterPageId) {
+            const spread = doc.masterSpreads.itemByID(template.masterPageId);
+            if (spread && spread.isValid) {
+                master = spread;
+            } else {
+                console.warn(`Master spread ${template.masterPageId} not found - new pages keep the default master`);
             }
-        } catch (error) {
-            console.error('Data import failed:', error);
-            throw error;
         }
+        
+        return {
+            pageIndex: Math.max(parseInt(startPage, 10) || 1, 1) - 1,
+            slotIndex: 0,
+            master,
+            pagesCreated: 0,
+            pagesUsed: 0
+        };
     }
 
     /**
-     * Detect file type from extension
+     * Get the next free slot, moving to a new page when the current one is full
      */
-    detectFileType(filename) {
-        const ext = '.' + filename.split('.').pop().toLowerCase();
+    async nextSlot(doc, layout, cursor) {
+        if (cursor.slotIndex >= layout.slots.length) {
+            cursor.pageIndex++;
+            cursor.slotIndex = 0;
+        }
         
-        for (const [type, extensions] of Object.entries(this.supportedFormats)) {
-            if (extensions.includes(ext)) {
-                return type;
-            }
+        const page = await this.getOrCreatePage(doc, cursor);
+        if (cursor.slotIndex === 0) {
+            cursor.pagesUsed++;
         }
         
-        return 'csv'; // Default
+        const slotIndex = cursor.slotIndex;
+        cursor.slotIndex++;
+        
+        return { page, slot: layout.slots[slotIndex], slotIndex };
     }
 
     /**
-     * Import CSV file
+     * Place a single record on the page
      */
-    async importCSV(file, options = {}) {
+    async placeRecord(doc, record, mappings, layout, placement) {
         try {
-            console.log('Importing CSV file');
-            
-            const delimiter = options.delimiter || ',';
-            const hasHeader = options.hasHeader !== false;
-            const encoding = options.encoding || 'utf-8';
-            
-            // Read file content
-            const content = await file.read({ format: require('uxp').storage.formats.utf8 });
-            
-            // Split into lines
-            const lines = content.split(/\r?\n/).filter(line => line.trim());
+            const page = placement.page;
             
-            if (lines.length === 0) {
-                throw new Error('File is empty');
-            }
-            
-            // Parse header
-            const headerLine = lines[0];
-            const headers = hasHeader 
-                ? parseCSVLine(headerLine, delimiter)
-                : Array.from({ length: parseCSVLine(headerLine, delimiter).length }, (_, i) => `Column${i + 1}`);
-            
-            // Parse records
-            const records = [];
-            const startIndex = hasHeader ? 1 : 0;
+            // Create frames for this record based on layout
+            const frames = await this.createFramesForRecord(page, layout, placement.slot, placement.prototype);
             
-            for (let i = startIndex; i < lines.length; i++) {
-                const line = lines[i];
-                if (!line.trim()) continue;
-                
-                const values = parseCSVLine(line, delimiter);
-                const record = {};
-                
-                headers.forEach((header, index) => {
-                    record[header] = values[index] || '';
-                });
-                
-                records.push(record);
+            // Apply mappings to frames
+            for (const mapping of mappings) {
+                const frame = frames[this.getMappingTarget(mapping)];
+                const value = record[mapping.field];
+                if (frame && value !== undefined && value !== null && value !== '') {
+                    await this.fillFrame(frame, value, mapping, placement);
+                }
             }
             
-            // Detect data types
-            const fieldTypes = this.detectFieldTypes(records, headers);
-            
-            console.log(`Imported ${records.length} records with ${headers.length} fields`);
-            
-            return {
-                type: 'csv',
-                fields: headers,
-                fieldTypes: fieldTypes,
-                records: records,
-                metadata: {
-                    filename: file.name,
-                    recordCount: records.length,
-                    fieldCount: headers.length,
-                    delimiter: delimiter,
-                    encoding: encoding
-                }
-            };
+            this.tagRecordFrames(frames, record, mappings, placement);
+            return frames;
         } catch (error) {
-            console.error('CSV import failed:', error);
-            throw new Error('Failed to import CSV: ' + error.message);
+            console.error('Failed to place record:', error);
+            throw error;
         }
     }
 
     /**
-     * Import Excel file
+     * Place a single record into the flow story
+     *
+     * In 'paragraph' mode every mapped text field becomes a paragraph styled
+     * like its prototype frame; in 'anchored' mode the prototype frames are
+     * grouped and anchored inline. Threaded frames are added while the story
+     * oversets.
      */
-    async importExcel(file, options = {}) {
+    async placeFlowRecord(doc, record, mappings, layout, placement) {
         try {
-            console.log('Importing Excel file');
-            
-            // Read file as binary
-            const arrayBuffer = await file.read({ format: require('uxp').storage.formats.binary });
-            
-            // Parse using a library (would need to bundle XLSX library)
-            // For now, we'll use a simplified approach
-            console.warn('Excel import requires XLSX library - falling back to CSV-like parsing');
+            const flow = placement.flow;
+            if (!flow.story) {
+                await this.addFlowFrame(doc, layout, placement.cursor, flow);
+            }
             
-            // This is a placeholder - in production, use SheetJS (xlsx) library
-            throw new Error('Excel import not fully implemented - please export as CSV');
+            if (placement.flowMode === 'anchored') {
+                await this.insertAnchoredRecord(record, mappings, layout, placement);
+            } else {
+                this.insertParagraphRecord(doc, record, mappings, placement);
+            }
             
+            await this.resolveOverset(doc, layout, placement.cursor, flow);
+            return true;
         } catch (error) {
-            console.error('Excel import failed:', error);
+            console.error('Failed to place flow record:', error);
             throw error;
         }
     }
 
     /**
-     * Import JSON file
+     * Start a new paragraph at the end of the flow story
+     *
+     * A paragraph typed after a group header or footer would inherit its
+     * style, keep options and page break; it gets the body style back.
      */
-    async importJSON(file, options = {}) {
-        try {
-            console.log('Importing JSON file');
-            
-            // Read file content
-            const content = await file.read({ format: require('uxp').storage.formats.utf8 });
-            
-            // Parse JSON
-            const data = JSON.parse(content);
+    newFlowParagraph(story, flow) {
+        if (story.characters.length > 0) {
+            story.insertionPoints.item(-1).contents = '\r';
+        }
+        if (flow.bodyStyle) {
+            story.paragraphs.item(-1).applyParagraphStyle(flow.bodyStyle, true);
+            flow.bodyStyle = null;
+        }
+    }
+
+    /**
+     * Append a record to the story as a block of styled paragraphs
+     */
+    insertParagraphRecord(doc, record, mappings, placement) {
+        const story = placement.flow.story;
+        
+        for (const mapping of mappings) {
+            const value = record[mapping.field];
+            if (mapping.type === 'image' || value === undefined || value === null || value === '') {
+                continue;
+            }
             
-            // Handle different JSON structures
-            let records = [];
+            this.newFlowParagraph(story, placement.flow);
+            story.insertionPoints.item(-1).contents = String(this.formatValue(value, mapping));
             
-            if (Array.isArray(data)) {
-                records = data;
-            } else if (data.records && Array.isArray(data.records)) {
-                records = data.records;
-            } else if (data.data && Array.isArray(data.data)) {
-                records = data.data;
-            } else {
-                throw new Error('JSON file must contain an array or have a "records" or "data" property');
+            const style = this.getParagraphStyle(doc, mapping, placement.prototype);
+            if (style) {
+                story.paragraphs.item(-1).appliedParagraphStyle = style;
             }
-            
-            if (records.length === 0) {
-                throw new Error('No records found in JSON file');
+        }
+    }
+
+    /**
+     * Append a record to the story as an inline anchored group of prototype frames
+     */
+    async insertAnchoredRecord(record, mappings, layout, placement) {
+        const { AnchorPosition } = require('indesign');
+        const { story, lastFrame } = placement.flow;
+        const page = lastFrame.parentPage;
+        
+        const frames = await this.createFramesForRecord(page, layout, layout.slots[0], placement.prototype);
+        for (const mapping of mappings) {
+            const frame = frames[this.getMappingTarget(mapping)];
+            const value = record[mapping.field];
+            if (frame && value !== undefined && value !== null && value !== '') {
+                await this.fillFrame(frame, value, mapping, placement);
             }
-            
-            // Extract field names from first record
-            const fields = Object.keys(records[0]);
-            
-            // Detect data types
-            const fieldTypes = this.detectFieldTypes(records, fields);
-            
-            console.log(`Imported ${records.length} records with ${fields.length} fields`);
-            
-            return {
-                type: 'json',
-                fields: fields,
-                fieldTypes: fieldTypes,
-                records: records,
-                metadata: {
-                    filename: file.name,
-                    recordCount: records.length,
-                    fieldCount: fields.length
-                }
-            };
-        } catch (error) {
-            console.error('JSON import failed:', error);
-            throw new Error('Failed to import JSON: ' + error.message);
         }
+        
+        this.tagRecordFrames(frames, record, mappings, placement);
+        
+        const items = Object.values(frames);
+        const block = items.length > 1 ? page.groups.add(items) : items[0];
+        if (block !== items[0]) {
+            block.insertLabel(CatalogLabelKeys.generated, 'true');
+            block.insertLabel(CatalogLabelKeys.recordKey, this.getRecordKey(record, placement));
+        }
+        
+        this.newFlowParagraph(story, placement.flow);
+        block.anchoredObjectSettings.insertAnchoredObject(story.insertionPoints.item(-1), AnchorPosition.INLINE_POSITION);
     }
 
     /**
-     * Import XML file
+     * Character index the next record or group item starts at in the flow
+     * story; one past the paragraph return inserted before it
      */
-    async importXML(file, options = {}) {
-        try {
-            console.log('Importing XML file');
-            
-            // Read file content
-            const content = await file.read({ format: require('uxp').storage.formats.utf8 });
-            
-            // Parse XML (basic implementation)
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(content, 'text/xml');
-            
-            // Check for parse errors
-            const parseError = xmlDoc.querySelector('parsererror');
-            if (parseError) {
-                throw new Error('Invalid XML format');
+    getFlowCharacterIndex(flow) {
+        const length = flow.story ? flow.story.characters.length : 0;
+        return length === 0 ? 0 : length + 1;
+    }
+
+    /**
+     * Page numbers of a generation run, for tables of contents and indexes
+     *
+     * Flow positions are looked up once the story is complete, since keep
+     * options can still move earlier paragraphs to the next frame.
+     * @param {Array} landings - [{ path, recordIndex, page | characterIndex }]
+     * @returns {Object} { groups: { [path]: { first, last } }, records: [page] }
+     *   with pages as { name, offset }; a group counts the pages of its subgroups
+     */
+    resolvePageNumbers(landings, story = null) {
+        const groups = {};
+        const records = [];
+        
+        for (const landing of landings) {
+            let page = landing.page || null;
+            if (!page && story && landing.characterIndex !== undefined) {
+                const index = Math.min(landing.characterIndex, story.characters.length - 1);
+                const frames = index >= 0 ? story.characters.item(index).parentTextFrames : [];
+                page = frames.length > 0 ? frames[0].parentPage : null;
             }
+            if (!page) continue;
             
-            // Find record elements (assuming structure like <records><record>...</record></records>)
-            const recordElements = xmlDoc.querySelectorAll('record, item, row, product');
-            
-            if (recordElements.length === 0) {
-                throw new Error('No records found in XML file');
+            const number = { name: page.name, offset: page.documentOffset };
+            if (landing.recordIndex !== undefined) {
+                records[landing.recordIndex] = number;
             }
-            
-            const records = [];
-            const fieldsSet = new Set();
-            
-            // Parse each record
-            recordElements.forEach(recordEl => {
-                const record = {};
-                
-                // Get all child elements
-                Array.from(recordEl.children).forEach(child => {
-                    const fieldName = child.tagName;
-                    const value = child.textContent;
-                    
-                    record[fieldName] = value;
-                    fieldsSet.add(fieldName);
-                });
-                
-                // Also check for attributes
-                Array.from(recordEl.attributes).forEach(attr => {
-                    record[attr.name] = attr.value;
-                    fieldsSet.add(attr.name);
-                });
-                
-                if (Object.keys(record).length > 0) {
-                    records.push(record);
+            if (landing.path === undefined) continue;
+            
+            const parts = String(landing.path).split('.');
+            parts.forEach((_, i) => {
+                const path = parts.slice(0, i + 1).join('.');
+                const range = groups[path];
+                if (!range) {
+                    groups[path] = { first: number, last: number };
+                } else if (number.offset < range.first.offset) {
+                    range.first = number;
+                } else if (number.offset > range.last.offset) {
+                    range.last = number;
                 }
             });
+        }
+        
+        return { groups, records };
+    }
+
+    /**
+     * Place a group header or footer from a GroupingEngine flat list
+     *
+     * Headers of a level with a header design are placed from its prototype
+     * frames and/or start a page with its master spread; the others are a
+     * line of text in the item's paragraph style.
+     * @returns {Promise<Page|null>} The page of a grid item; flow pages are
+     *   only known once the story is complete
+     */
+    async placeGroupItem(doc, item, layout, placement) {
+        try {
+            const design = this.getHeaderDesign(doc, item, placement);
             
-            const fields = Array.from(fieldsSet);
-            
-            // Detect data types
-            const fieldTypes = this.detectFieldTypes(records, fields);
-            
-            console.log(`Imported ${records.length} records with ${fields.length} fields`);
-            
-            return {
-                type: 'xml',
-                fields: fields,
-                fieldTypes: fieldTypes,
-                records: records,
-                metadata: {
-                    filename: file.name,
-                    recordCount: records.length,
-                    fieldCount: fields.length
+            if (layout.type === 'flow') {
+                const flow = placement.flow;
+                if (!flow.story) {
+                    await this.addFlowFrame(doc, layout, placement.cursor, flow);
                 }
-            };
+                if (design && design.prototype) {
+                    await this.insertAnchoredHeader(doc, item, design.prototype, layout, placement);
+                } else {
+                    this.insertGroupParagraph(doc, item, placement);
+                }
+                await this.resolveOverset(doc, layout, placement.cursor, flow);
+                
+                if (design && design.master) {
+                    const frames = flow.story.paragraphs.item(-1).parentTextFrames;
+                    const page = frames.length > 0 ? frames[0].parentPage : flow.lastFrame.parentPage;
+                    this.applyOpenerMaster(page, item, design.master, placement);
+                }
+                return null;
+            }
+            return await this.placeGridGroupItem(doc, item, layout, placement, design);
         } catch (error) {
-            console.error('XML import failed:', error);
-            throw new Error('Failed to import XML: ' + error.message);
+            console.error(`Failed to place ${item.type}:`, error);
+            throw error;
         }
     }
 
     /**
-     * Detect field data types
+     * Header design of a group header: { prototype, master }, or null for
+     * a text header
+     *
+     * Missing prototypes were reported when collecting them; a missing
+     * master spread is reported once.
      */
-    detectFieldTypes(records, fields) {
-        const types = {};
+    getHeaderDesign(doc, item, placement) {
+        if (item.type !== 'group-header' || !(item.prototype || item.master)) {
+            return null;
+        }
         
-        fields.forEach(field => {
-            const typeCount = {};
-            
-            // Sample first 100 records
-            const sample = records.slice(0, Math.min(100, records.length));
-            
-            sample.forEach(record => {
-                const value = record[field];
-                const type = detectDataType(value);
-                typeCount[type] = (typeCount[type] || 0) + 1;
-            });
-            
-            // Choose most common type
-            let maxCount = 0;
-            let dominantType = 'text';
-            
-            for (const [type, count] of Object.entries(typeCount)) {
-                if (count > maxCount && type !== 'empty') {
-                    maxCount = count;
-                    dominantType = type;
+        const prototype = item.prototype ? placement.headerPrototypes.get(item.prototype) || null : null;
+        let master = null;
+        if (item.master) {
+            if (!placement.headerMasters.has(item.master)) {
+                const spread = doc.masterSpreads.itemByName(item.master);
+                if (!spread || !spread.isValid) {
+                    console.warn(`Master spread "${item.master}" not found - its groups do not get opener pages`);
                 }
-            }
-            
-            types[field] = dominantType;
-        });
+                placement.headerMasters.set(item.master, spread && spread.isValid ? spread : null);
+            }
+            master = placement.headerMasters.get(item.master);
+        }
         
-        return types;
+        return prototype || master ? { prototype, master } : null;
     }
 
     /**
-     * Validate imported data
+     * Start a group paragraph at the end of the flow story
+     *
+     * Remembers the body style the following record paragraphs go back to.
+     * @returns {boolean} Whether the paragraph starts the story
      */
-    validateData(data) {
-        if (!data || !data.records) {
-            return { valid: false, errors: ['No data to validate'] };
-        }
+    startGroupParagraph(doc, story, flow) {
+        const startsStory = story.characters.length === 0;
         
-        if (data.records.length === 0) {
-            return { valid: false, errors: ['No records in data'] };
+        if (!flow.bodyStyle) {
+            flow.bodyStyle = startsStory
+                ? doc.paragraphStyles.itemByName('[Basic Paragraph]')
+                : story.paragraphs.item(-1).appliedParagraphStyle;
         }
-        
-        if (!data.fields || data.fields.length === 0) {
-            return { valid: false, errors: ['No fields defined'] };
+        if (!startsStory) {
+            story.insertionPoints.item(-1).contents = '\r';
         }
         
-        return { valid: true, errors: [] };
+        return startsStory;
     }
 
     /**
-     * Preview data (first N records)
+     * Append a group header or footer paragraph to the flow story
      */
-    previewData(data, maxRecords = 10) {
-        if (!data || !data.records) {
-            return null;
+    insertGroupParagraph(doc, item, placement) {
+        const flow = placement.flow;
+        const story = flow.story;
+        const startsStory = this.startGroupParagraph(doc, story, flow);
+        story.insertionPoints.item(-1).contents = String(item.title ?? item.value ?? '');
+        
+        const paragraph = story.paragraphs.item(-1);
+        const style = this.getGroupStyle(doc, item.style, placement.groupStyles) || flow.bodyStyle;
+        if (style) {
+            paragraph.applyParagraphStyle(style, true);
         }
         
-        return {
-            ...data,
-            records: data.records.slice(0, maxRecords)
-        };
+        if (item.type === 'group-header') {
+            this.formatHeaderParagraph(paragraph, item, startsStory);
+        }
     }
-}
-
-// ==================== END MODULE: dataImport.js ====================
-
 
-// ==================== MODULE: dataMapping.js ====================
-/**
- * Data Mapping Module
- * Handles mapping data fields to InDesign frames
- */
+    /**
+     * Append a group header built from its design prototype to the flow
+     * story, as an inline anchored block in a paragraph of its own
+     */
+    async insertAnchoredHeader(doc, item, prototype, layout, placement) {
+        const { AnchorPosition } = require('indesign');
+        const flow = placement.flow;
+        const story = flow.story;
+        const page = flow.lastFrame.parentPage;
+        
+        const frames = await this.createHeaderFrames(page, layout, layout.slots[0], prototype, item, placement);
+        const block = frames.length > 1 ? page.groups.add(frames) : frames[0];
+        if (block !== frames[0]) {
+            this.tagGroupFrame(block, item);
+        }
+        
+        const startsStory = this.startGroupParagraph(doc, story, flow);
+        block.anchoredObjectSettings.insertAnchoredObject(story.insertionPoints.item(-1), AnchorPosition.INLINE_POSITION);
+        
+        const paragraph = story.paragraphs.item(-1);
+        if (flow.bodyStyle) {
+            paragraph.applyParagraphStyle(flow.bodyStyle, true);
+        }
+        this.formatHeaderParagraph(paragraph, item, startsStory);
+    }
 
-class DataMapper {
-    constructor() {
-        this.mappings = [];
+    /**
+     * Keep a header paragraph with the next one, so it never ends a frame,
+     * and apply its page break and separator
+     */
+    formatHeaderParagraph(paragraph, item, startsStory) {
+        paragraph.keepWithNext = HEADER_KEEP_WITH_NEXT;
+        paragraph.keepLinesTogether = true;
+        if (startsStory) {
+            return;
+        }
+        if (item.pageBreak) {
+            paragraph.startParagraph = require('indesign').StartParagraph.NEXT_PAGE;
+        }
+        if (item.separator === 'line') {
+            paragraph.ruleAbove = true;
+            paragraph.ruleAboveLineWeight = 0.5;
+            paragraph.ruleAboveOffset = mmToPoints(-1);
+        }
+        if (item.separator === 'line' || item.separator === 'space') {
+            paragraph.spaceBefore = mmToPoints(5);
+        }
     }
 
     /**
-     * Detect frames in the active document
+     * Place a group header or footer in a grid layout
+     *
+     * The item starts on a new row and takes whole rows: one for text, as
+     * many as its height needs for a design prototype. A header never
+     * takes the last rows of a page, so it stays with its first records.
+     * A header design with only a master spread takes a whole opener page.
+     * @returns {Promise<Page>} The page the item was placed on
      */
-    async detectFrames() {
-        try {
-            console.log('Detecting frames in document');
-            
-            const doc = getActiveDocument();
-            if (!doc) {
-                throw new Error('No active document');
+    async placeGridGroupItem(doc, item, layout, placement, design = null) {
+        const cursor = placement.cursor;
+        const cols = layout.cols;
+        const slotCount = layout.slots.length;
+        const isHeader = item.type === 'group-header';
+        const prototype = design ? design.prototype : null;
+        
+        const rows = prototype
+            ? Math.min(Math.max(Math.ceil((prototype.height + layout.gutter) / (layout.cellHeight + layout.gutter)), 1), layout.rows)
+            : 1;
+        const rowSlots = rows * cols;
+        
+        cursor.slotIndex = Math.ceil(cursor.slotIndex / cols) * cols;
+        const pageStarted = cursor.slotIndex > 0 && cursor.slotIndex < slotCount;
+        
+        if (isHeader && pageStarted && item.pageBreak) {
+            cursor.slotIndex = slotCount;
+        } else if (isHeader && pageStarted && item.separator === 'space') {
+            cursor.slotIndex += cols;
+        }
+        if (isHeader && layout.rows > rows && cursor.slotIndex < slotCount && cursor.slotIndex + rowSlots >= slotCount) {
+            cursor.slotIndex = slotCount;
+        }
+        if (cursor.slotIndex < slotCount && cursor.slotIndex + rowSlots > slotCount) {
+            cursor.slotIndex = slotCount;
+        }
+        
+        const { page, slot, slotIndex } = await this.nextSlot(doc, layout, cursor);
+        
+        if (design && design.master) {
+            this.applyOpenerMaster(page, item, design.master, placement);
+            if (!prototype) {
+                cursor.slotIndex = slotCount;
+                return page;
+            }
+        }
+        cursor.slotIndex = slotIndex + rowSlots;
+        
+        const [pageTop, pageLeft] = page.bounds;
+        const top = pageTop + slot.top;
+        const left = pageLeft + slot.left;
+        const right = left + cols * layout.cellWidth + (cols - 1) * layout.gutter;
+        const slots = Array.from({ length: rowSlots }, (_, i) => slotIndex + i);
+        
+        if (prototype) {
+            const frames = await this.createHeaderFrames(page, layout, slot, prototype, item, placement);
+            frames.forEach(frame => this.tagGroupFrame(frame, item, slots));
+        } else {
+            const frame = page.textFrames.add();
+            frame.geometricBounds = [top, left, top + layout.cellHeight, right];
+            frame.contents = String(item.title ?? item.value ?? '');
+            const style = this.getGroupStyle(doc, item.style, placement.groupStyles);
+            if (style && frame.paragraphs.length > 0) {
+                frame.paragraphs.item(0).appliedParagraphStyle = style;
             }
+            this.tagGroupFrame(frame, item, slots);
+        }
+        
+        if (isHeader && item.separator === 'line' && slotIndex > 0) {
+            const lineTop = top - layout.gutter / 2;
+            const line = page.graphicLines.add();
+            line.geometricBounds = [lineTop, left, lineTop, right];
+            this.tagGroupFrame(line, item, slots);
+        }
+        
+        return page;
+    }
 
-            const frames = [];
-            
-            // Get all text frames
-            const textFrames = doc.textFrames;
-            for (let i = 0; i < textFrames.length; i++) {
-                const frame = textFrames[i];
-                frames.push({
-                    id: generateId(),
-                    type: 'text',
-                    label: frame.label || frame.name || `Text Frame ${i + 1}`,
-                    originalFrame: frame
-                });
+    /**
+     * Duplicate a header design prototype into a slot and fill its tokens
+     * @returns {Promise<Array>} The created frames
+     */
+    async createHeaderFrames(page, layout, slot, prototype, item, placement) {
+        const frames = Object.values(await this.createFramesForRecord(page, layout, slot, prototype));
+        if (item.resolveToken) {
+            frames.forEach(frame => this.fillTokens(frame, item.resolveToken, placement.unknownTokens));
+        }
+        return frames;
+    }
+
+    /**
+     * Turn a page into a group opener: apply the header's master spread and
+     * fill the tokens of its master text frames, overridden on the page
+     */
+    applyOpenerMaster(page, item, master, placement) {
+        page.appliedMaster = master;
+        
+        for (const masterItem of page.masterPageItems) {
+            const story = masterItem.parentStory;
+            if (!story || !String(story.contents).match(HEADER_TOKEN_PATTERN)) {
+                continue;
             }
-            
-            // Get all rectangle frames (potential image frames)
-            const rectangles = doc.rectangles;
-            for (let i = 0; i < rectangles.length; i++) {
-                const rect = rectangles[i];
-                frames.push({
-                    id: generateId(),
-                    type: 'rectangle',
-                    label: rect.label || rect.name || `Rectangle ${i + 1}`,
-                    originalFrame: rect
-                });
+            const frame = masterItem.override(page);
+            this.tagGroupFrame(frame, item);
+            if (item.resolveToken) {
+                this.fillTokens(frame, item.resolveToken, placement.unknownTokens);
             }
-            
-            console.log(`Detected ${frames.length} frames`);
-            return frames;
-        } catch (error) {
-            console.error('Frame detection failed:', error);
-            throw error;
         }
     }
 
     /**
-     * Create a mapping between data field and frame
+     * Replace the <<token>> placeholders in a frame, or in the text frames
+     * of a group
+     *
+     * Text is changed with find/change so every token keeps its formatting.
+     * Unknown tokens stay in place and are collected in unknown.
+     * @param {Function} resolve - Token name to text, null when unknown
      */
-    createMapping(field, frameId, options = {}) {
-        const mapping = {
-            id: generateId(),
-            field: field,
-            frameId: frameId,
-            type: options.type || 'text',
-            formatter: options.formatter || null,
-            transform: options.transform || null,
-            ...options
-        };
-        
-        this.mappings.push(mapping);
-        console.log(`Created mapping: ${field} -> frame ${frameId}`);
+    fillTokens(item, resolve, unknown = new Set()) {
+        const { app, NothingEnum } = require('indesign');
+        const frames = [item, ...(item.allPageItems || [])].filter(frame => frame.parentStory);
         
-        return mapping;
+        try {
+            for (const frame of frames) {
+                const tokens = new Set(String(frame.parentStory.contents).match(HEADER_TOKEN_PATTERN) || []);
+                for (const token of tokens) {
+                    const value = resolve(token.slice(2, -2).trim());
+                    if (value === null || value === undefined) {
+                        unknown.add(token);
+                        continue;
+                    }
+                    app.findTextPreferences = NothingEnum.NOTHING;
+                    app.changeTextPreferences = NothingEnum.NOTHING;
+                    app.findTextPreferences.findWhat = token;
+                    // '^' starts a special character in InDesign's change text
+                    app.changeTextPreferences.changeTo = String(value).replace(/\^/g, '^^');
+                    frame.parentStory.changeText();
+                }
+            }
+        } finally {
+            app.findTextPreferences = NothingEnum.NOTHING;
+            app.changeTextPreferences = NothingEnum.NOTHING;
+        }
     }
 
     /**
-     * Remove a mapping
+     * Label a group header or footer frame: generated, its group and the
+     * grid slots it covers
      */
-    removeMapping(mappingId) {
-        const index = this.mappings.findIndex(m => m.id === mappingId);
-        if (index !== -1) {
-            this.mappings.splice(index, 1);
-            console.log(`Removed mapping: ${mappingId}`);
-            return true;
+    tagGroupFrame(frame, item, slots = null) {
+        frame.insertLabel(CatalogLabelKeys.generated, 'true');
+        frame.insertLabel(CatalogLabelKeys.group, `${item.type}:${item.path}`);
+        if (slots) {
+            frame.insertLabel(CatalogLabelKeys.slot, slots.join(','));
         }
-        return false;
     }
 
     /**
-     * Get all mappings
+     * Paragraph style of a group header or footer, created when it is one
+     * of GROUP_STYLES and missing from the document
+     * @param {Map} cache - Styles already resolved during this run
+     * @param {Object} settings - Extra settings of a created style
      */
-    getMappings() {
-        return this.mappings;
+    getGroupStyle(doc, key, cache = new Map(), settings = {}) {
+        if (!key) {
+            return null;
+        }
+        if (cache.has(key)) {
+            return cache.get(key);
+        }
+        
+        const preset = GROUP_STYLES[key];
+        const name = preset ? preset.name : key;
+        let style = doc.paragraphStyles.itemByName(name);
+        if (!style || !style.isValid) {
+            if (preset) {
+                console.log(`Creating paragraph style "${name}"`);
+                style = doc.paragraphStyles.add({ ...preset, ...settings });
+            } else {
+                console.warn(`Paragraph style "${name}" not found`);
+                style = null;
+            }
+        }
+        
+        cache.set(key, style);
+        return style;
     }
 
     /**
-     * Clear all mappings
+     * Write a table of contents into its designated text frame
+     * @param {string} frameLabel - Label of the frame
+     * @param {Array} entries - From GroupingEngine.generateTableOfContents
+     * @returns {Promise<number>} Lines written
      */
-    clearMappings() {
-        this.mappings = [];
-        console.log('Cleared all mappings');
+    async writeTableOfContents(frameLabel, entries) {
+        const lines = entries.map(entry => ({
+            text: entry.title,
+            pages: entry.pageRange,
+            style: `toc${Math.min(entry.level + 1, 3)}`
+        }));
+        return this.writeListFrame(frameLabel, lines);
     }
 
     /**
-     * Save mappings to file
+     * Write an alphabetical index into its designated text frame, with a
+     * heading line per letter
+     * @param {string} frameLabel - Label of the frame
+     * @param {Array} entries - From GroupingEngine.generateIndex
+     * @returns {Promise<number>} Lines written
      */
-    async saveMappingToFile(mappings) {
-        try {
-            console.log('Saving mappings to file');
-            
-            const fs = require('uxp').storage.localFileSystem;
-            const file = await fs.getFileForSaving('mappings.json', {
-                types: ['.json']
-            });
-            
-            if (file) {
-                const data = JSON.stringify(mappings, null, 2);
-                await file.write(data, { format: require('uxp').storage.formats.utf8 });
-                console.log('Mappings saved successfully to file');
-                return true;
+    async writeIndex(frameLabel, entries) {
+        const lines = [];
+        entries.forEach((entry, index) => {
+            if (index === 0 || entry.letter !== entries[index - 1].letter) {
+                lines.push({ text: entry.letter, style: 'indexLetter' });
             }
-            
-            return false;
-        } catch (error) {
-            console.error('Failed to save mappings to file:', error);
-            throw error;
-        }
+            lines.push({ text: entry.term, pages: entry.pages, style: 'indexEntry' });
+        });
+        return this.writeListFrame(frameLabel, lines);
     }
 
     /**
-     * Load mappings from file
+     * Replace the story of a labelled text frame with list lines
+     *
+     * A line is a paragraph 'text<tab>pages'; its list style right-aligns
+     * the pages on a dot leader at the frame's width. Writing again after
+     * a regeneration replaces the previous list.
+     * @param {Array} lines - [{ text, pages, style }]
      */
-    async loadMappingFromFile() {
+    async writeListFrame(frameLabel, lines) {
         try {
-            console.log('Loading mappings from file');
+            const doc = await ensureDocument();
+            const frame = doc.allPageItems.find(item => item.label === frameLabel && item.parentStory && !item.extractLabel(CatalogLabelKeys.generated));
+            if (!frame) {
+                throw new Error(`No text frame labelled "${frameLabel}"`);
+            }
             
-            const fs = require('uxp').storage.localFileSystem;
-            const file = await fs.getFileForOpening({
-                types: ['.json']
+            const story = frame.parentStory;
+            story.contents = lines.map(line => line.pages ? `${line.text}\t${line.pages}` : line.text).join('\r');
+            
+            const [, left, , right] = frame.geometricBounds;
+            const inset = frame.textFramePreferences ? frame.textFramePreferences.insetSpacing : 0;
+            const width = right - left - (Array.isArray(inset) ? inset[1] + inset[3] : 2 * (inset || 0));
+            const tabList = [{ alignment: require('indesign').TabStopAlignment.RIGHT_ALIGN, position: width, leader: '.' }];
+            
+            const styles = new Map();
+            lines.forEach((line, index) => {
+                const style = this.getGroupStyle(doc, line.style, styles, { tabList });
+                if (style) {
+                    story.paragraphs.item(index).applyParagraphStyle(style, true);
+                }
             });
             
-            if (file) {
-                const content = await file.read({ format: require('uxp').storage.formats.utf8 });
-                const mappings = JSON.parse(content);
-                
-                console.log(`Loaded ${mappings.length} mappings from file`);
-                return mappings;
+            if (story.overflows) {
+                console.warn(`The text of frame "${frameLabel}" overflows - enlarge or thread it`);
             }
-            
-            return null;
+            console.log(`Wrote ${lines.length} lines into frame "${frameLabel}"`);
+            return lines.length;
         } catch (error) {
-            console.error('Failed to load mappings from file:', error);
+            console.error(`Failed to write frame "${frameLabel}":`, error);
             throw error;
         }
     }
 
     /**
-     * Get all saved mappings from localStorage
+     * Get the paragraph style for a mapped field in flow mode
+     *
+     * An explicit mapping.paragraphStyle wins over the style of the prototype frame.
      */
-    getSavedMappings() {
-        try {
-            const saved = localStorage.getItem('catalogBuilderMappings');
-            if (saved) {
-                const mappings = JSON.parse(saved);
-                // Validate that the result is an array
-                if (Array.isArray(mappings)) {
-                    console.log(`Retrieved ${mappings.length} saved mappings`);
-                    return mappings;
-                } else {
-                    console.warn('Saved mappings data is not an array, returning empty array');
-                    return [];
-                }
+    getParagraphStyle(doc, mapping, prototype) {
+        if (mapping.paragraphStyle) {
+            const style = doc.paragraphStyles.itemByName(mapping.paragraphStyle);
+            if (style && style.isValid) {
+                return style;
             }
-            return [];
-        } catch (error) {
-            console.error('Failed to get saved mappings:', error);
-            return [];
+            console.warn(`Paragraph style "${mapping.paragraphStyle}" not found`);
+        }
+        
+        const proto = prototype && prototype.frames.find(f => f.label === this.getMappingTarget(mapping));
+        if (proto && proto.type === 'text' && proto.item.paragraphs.length > 0) {
+            return proto.item.paragraphs.item(0).appliedParagraphStyle;
         }
+        
+        return null;
     }
 
     /**
-     * Save mapping configuration to localStorage by name
+     * Add a text frame on the cursor's page and thread it to the story
      */
-    saveMapping(name, mappingData) {
-        try {
-            const savedMappings = this.getSavedMappings();
-            
-            // Ensure mappingData has the name property
-            const dataToSave = { ...mappingData, name };
+    async addFlowFrame(doc, layout, cursor, flow) {
+        const page = await this.getOrCreatePage(doc, cursor);
+        const area = layout.slots[0];
+        const [pageTop, pageLeft] = page.bounds;
+        
+        const frame = page.textFrames.add();
+        frame.geometricBounds = [pageTop + area.top, pageLeft + area.left, pageTop + area.top + area.height, pageLeft + area.left + area.width];
+        frame.insertLabel(CatalogLabelKeys.generated, 'true');
+        frame.insertLabel(CatalogLabelKeys.flow, 'true');
+        
+        if (flow.lastFrame) {
+            flow.lastFrame.nextTextFrame = frame;
+        } else {
+            flow.story = frame.parentStory;
+        }
+        
+        flow.lastFrame = frame;
+        cursor.pagesUsed++;
+        cursor.pageIndex++;
+        
+        return frame;
+    }
+
+    /**
+     * Thread new frames (and pages) onto the story until it no longer oversets
+     *
+     * Once a block is taller than an empty frame the story cannot be resolved:
+     * flow.overset is set and later records add no more frames.
+     */
+    async resolveOverset(doc, layout, cursor, flow) {
+        while (!flow.overset && flow.lastFrame.overflows) {
+            const frame = await this.addFlowFrame(doc, layout, cursor, flow);
             
-            // Check if mapping with this name already exists
-            const existingIndex = savedMappings.findIndex(m => m.name === name);
-            if (existingIndex !== -1) {
-                // Update existing
-                savedMappings[existingIndex] = dataToSave;
-            } else {
-                // Add new
-                savedMappings.push(dataToSave);
+            // An empty frame that still oversets means a single block is taller than the frame
+            if (frame.overflows && frame.characters.length === 0) {
+                console.warn('Record block does not fit in an empty text frame - the rest of the story stays overset');
+                flow.overset = true;
             }
-            
-            localStorage.setItem('catalogBuilderMappings', JSON.stringify(savedMappings));
-            console.log(`Mapping "${name}" saved to localStorage`);
-            return true;
+        }
+    }
+
+    /**
+     * Get or create the page the cursor points at
+     *
+     * Pages added to reach the cursor get the template's master spread.
+     */
+    async getOrCreatePage(doc, cursor) {
+        try {
+            while (doc.pages.length <= cursor.pageIndex) {
+                const page = await this.addPage(doc, doc.pages.length > 0 ? doc.pages[doc.pages.length - 1] : null);
+                if (cursor.master) {
+                    page.appliedMaster = cursor.master;
+                }
+                cursor.pagesCreated++;
+            }
+            return doc.pages[cursor.pageIndex];
         } catch (error) {
-            console.error('Failed to save mapping:', error);
+            console.error('Failed to get/create page:', error);
             throw error;
         }
     }
 
     /**
-     * Load mapping configuration from localStorage by name
+     * Create frames for a record
+     *
+     * Duplicates every prototype frame onto the page and moves it into the
+     * slot, keeping its position relative to the record block.
      */
-    loadMapping(name) {
+    async createFramesForRecord(page, layout, slot, prototype) {
         try {
-            const savedMappings = this.getSavedMappings();
-            const mapping = savedMappings.find(m => m.name === name);
+            const frames = {};
+            const [pageTop, pageLeft] = page.bounds;
             
-            if (mapping) {
-                console.log(`Loaded mapping "${name}" from localStorage`);
-                return mapping;
+            for (const proto of prototype.frames) {
+                const [top, left, bottom, right] = proto.bounds;
+                const newTop = pageTop + slot.top + (top - prototype.bounds[0]);
+                const newLeft = pageLeft + slot.left + (left - prototype.bounds[1]);
+                
+                const item = proto.item.duplicate(page);
+                item.geometricBounds = [newTop, newLeft, newTop + (bottom - top), newLeft + (right - left)];
+                item.insertLabel(CatalogLabelKeys.generated, 'true');
+                
+                frames[proto.label] = item;
             }
             
-            console.log(`Mapping "${name}" not found`);
-            return null;
+            return frames;
         } catch (error) {
-            console.error('Failed to load mapping:', error);
+            console.error('Failed to create frames:', error);
             throw error;
         }
     }
 
     /**
-     * Delete a saved mapping by name
+     * Key a record is bound to in the document
+     *
+     * The key field value when one is set, otherwise the record's position in the run.
      */
-    deleteMapping(name) {
-        try {
-            const savedMappings = this.getSavedMappings();
-            const filtered = savedMappings.filter(m => m.name !== name);
-            
-            localStorage.setItem('catalogBuilderMappings', JSON.stringify(filtered));
-            console.log(`Mapping "${name}" deleted from localStorage`);
-            return true;
-        } catch (error) {
-            console.error('Failed to delete mapping:', error);
-            throw error;
+    getRecordKey(record, placement) {
+        if (placement.keyField) {
+            return String(record[placement.keyField] ?? '');
         }
+        return String(placement.recordIndex ?? '');
     }
 
     /**
-     * Apply mapping to a record
+     * Bind a record's frames to it with script labels
+     *
+     * Every frame gets the record key and its slot; mapped frames also get
+     * the field they show and the frame label of their mapping, so
+     * UpdateEngine can patch them later.
      */
-    async applyMapping(record, mapping, frame) {
-        try {
-            const value = record[mapping.field] || '';
-            
-            // Apply transform if specified
-            let transformedValue = value;
-            if (mapping.transform) {
-                transformedValue = this.applyTransform(value, mapping.transform);
+    tagRecordFrames(frames, record, mappings, placement) {
+        const key = this.getRecordKey(record, placement);
+        
+        for (const [label, frame] of Object.entries(frames)) {
+            frame.insertLabel(CatalogLabelKeys.recordKey, key);
+            if (placement.slotIndex !== undefined) {
+                frame.insertLabel(CatalogLabelKeys.slot, String(placement.slotIndex));
             }
             
-            // Apply formatter if specified
-            if (mapping.formatter) {
-                transformedValue = this.applyFormatter(transformedValue, mapping.formatter);
+            const mapping = mappings.find(m => this.getMappingTarget(m) === label);
+            if (mapping) {
+                frame.insertLabel(CatalogLabelKeys.field, mapping.field);
+                frame.insertLabel(CatalogLabelKeys.target, label);
             }
+        }
+    }
+
+    /**
+     * Fill a frame with content
+     */
+    async fillFrame(frame, value, mapping, options = {}) {
+        try {
+            const content = this.formatValue(value, mapping);
             
-            // Set the value on the frame
-            if (mapping.type === 'text') {
-                frame.contents = transformedValue;
-            } else if (mapping.type === 'image') {
-                // Place image
-                if (transformedValue) {
-                    console.log(`Placing image: ${transformedValue}`);
-                    // Would use frame.place() in actual InDesign
-                }
+            if (mapping.type === 'image') {
+                frame.place(String(content));
+                this.fitImage(frame, options.imageHandling || 'fit');
+            } else {
+                frame.contents = String(content);
             }
             
             return true;
         } catch (error) {
-            console.error('Failed to apply mapping:', error);
+            console.error('Failed to fill frame:', error);
             throw error;
         }
     }
 
     /**
-     * Apply transform to value
+     * Apply the mapping's transform and formatter to a value
      */
-    applyTransform(value, transform) {
-        switch (transform) {
-            case 'uppercase':
-                return String(value).toUpperCase();
-            case 'lowercase':
-                return String(value).toLowerCase();
-            case 'capitalize':
-                return String(value).charAt(0).toUpperCase() + String(value).slice(1).toLowerCase();
-            case 'trim':
-                return String(value).trim();
-            default:
-                return value;
+    formatValue(value, mapping) {
+        // Missing values and failed formulas print nothing rather than "null" or "0.00"
+        if (value === null || value === undefined) {
+            return '';
         }
-    }
-
-    /**
-     * Apply formatter to value
-     */
-    applyFormatter(value, formatter) {
-        if (typeof formatter === 'function') {
-            return formatter(value);
+        if (value instanceof Date && !mapping.formatter) {
+            return this.dataMapper.formatDate(value);
         }
         
-        // Built-in formatters
-        switch (formatter) {
-            case 'currency':
-                return this.formatCurrency(value);
-            case 'date':
-                return this.formatDate(value);
-            case 'number':
-                return this.formatNumber(value);
-            default:
-                return value;
+        let content = value;
+        if (mapping.transform) {
+            content = this.dataMapper.applyTransform(content, mapping.transform);
+        }
+        if (mapping.formatter) {
+            content = this.dataMapper.applyFormatter(content, mapping.formatter);
         }
+        return content;
     }
 
     /**
-     * Format as currency
+     * Fit placed image according to the image handling option
      */
-    formatCurrency(value) {
-        const num = parseFloat(value);
-        if (isNaN(num)) return value;
-        return `$${num.toFixed(2)}`;
+    fitImage(frame, imageHandling) {
+        const { FitOptions } = require('indesign');
+        
+        switch (imageHandling) {
+            case 'fill':
+                frame.fit(FitOptions.FILL_PROPORTIONALLY);
+                break;
+            case 'center':
+                frame.fit(FitOptions.CENTER_CONTENT);
+                break;
+            default:
+                frame.fit(FitOptions.PROPORTIONALLY);
+        }
     }
 
     /**
-     * Format as date
+     * Clear document content
+     *
+     * Frames labelled with one of keepLabels, such as the table of contents
+     * and index frames, are kept along with their pages.
+     * Pages before startPage, such as front matter, are left untouched.
      */
-    formatDate(value) {
+    async clearDocument(doc, keepLabels = [], keepPages = new Set(), startPage = 1) {
         try {
-            const date = new Date(value);
-            return date.toLocaleDateString();
+            console.log(`Clearing document content from page ${startPage}`);
+            const keep = item => keepLabels.includes(item.label);
+            const first = Math.max(startPage, 1) - 1;
+            
+            // Remove the pages after the start page, except those holding kept frames
+            for (let i = doc.pages.length - 1; i > first; i--) {
+                const page = doc.pages[i];
+                if (keepPages.has(page.id) || Array.from(page.pageItems).some(keep)) {
+                    this.clearPage(page, keep);
+                } else {
+                    page.remove();
+                }
+            }
+            
+            // Clear content from the start page
+            if (doc.pages.length > first) {
+                this.clearPage(doc.pages[first], keep);
+            }
+            
+            console.log('Document cleared');
+            return true;
         } catch (error) {
-            return value;
+            console.error('Failed to clear document:', error);
+            throw error;
         }
     }
 
     /**
-     * Format as number
+     * Remove the page items of a page, except those keep() accepts
      */
-    formatNumber(value) {
-        const num = parseFloat(value);
-        if (isNaN(num)) return value;
-        return num.toLocaleString();
-    }
-}
-
-// ==================== END MODULE: dataMapping.js ====================
-
-
-// ==================== MODULE: templateManager.js ====================
-/**
- * Template Manager Module
- * Handles template creation, saving, and loading
- */
-
-class TemplateManager {
-    constructor() {
-        this.templates = [];
-        this.loadSavedTemplates();
+    clearPage(page, keep) {
+        let index = 0;
+        while (index < page.pageItems.length) {
+            const item = page.pageItems[index];
+            if (keep(item)) {
+                index++;
+            } else {
+                item.remove();
+            }
+        }
     }
 
     /**
-     * Create a new template
+     * Add a new page to the document
      */
-    async createTemplate(options) {
+    async addPage(doc, after = null) {
         try {
-            console.log('Creating template with options:', options);
-            
-            const template = {
-                id: generateId(),
-                name: options.name || `Template ${Date.now()}`,
-                layoutType: options.layoutType || 'flow',
-                gridRows: options.gridRows || 3,
-                gridCols: options.gridCols || 2,
-                gridGutter: options.gridGutter || 5,
-                useMasterPage: options.useMasterPage || false,
-                createdAt: new Date().toISOString()
-            };
-            
-            // If using master page, capture its settings
-            if (options.useMasterPage) {
-                const doc = getActiveDocument();
-                if (doc && doc.masterSpreads.length > 0) {
-                    template.masterPageId = doc.masterSpreads[0].id;
-                }
+            if (after) {
+                return doc.pages.add(require('indesign').LocationOptions.AFTER, after);
             }
-            
-            this.templates.push(template);
-            console.log('Template created:', template.id);
-            
-            return template;
+            return doc.pages.add();
         } catch (error) {
-            console.error('Failed to create template:', error);
+            console.error('Failed to add page:', error);
             throw error;
         }
     }
 
     /**
-     * Save template to file
+     * Generate catalog with data, options, and progress callback
+     * This is the main entry point called by the UI handlers
      */
-    async saveTemplate(template) {
+    async generateCatalog(data, options, onProgress) {
         try {
-            console.log('Saving template:', template.id);
+            console.log('Starting catalog generation via generateCatalog');
             
-            const fs = require('uxp').storage.localFileSystem;
-            const file = await fs.getFileForSaving(`${template.name}.json`, {
-                types: ['.json']
-            });
+            // Convert data array to the format expected by generate()
+            const dataObj = Array.isArray(data) ? { records: data } : data;
             
-            if (file) {
-                const data = JSON.stringify(template, null, 2);
-                await file.write(data, { format: require('uxp').storage.formats.utf8 });
-                console.log('Template saved successfully');
-                return true;
+            // Prepare options for the generate method
+            const generateOptions = {
+                data: dataObj,
+                mappings: options.mappings || [],
+                template: options.template || this.defaultOptions,
+                onProgress: onProgress,
+                clearExisting: options.clearExisting !== false,
+                batchSize: options.batchSize || 10,
+                startPage: options.startPage || 1,
+                keyField: options.keyField || null,
+                imageHandling: options.imageHandling || 'fit',
+                keepLabels: options.keepLabels || []
+            };
+            
+            const summary = await this.generate(generateOptions);
+            
+            // Return result with summary
+            const result = {
+                success: true,
+                pagesCreated: summary.pagesCreated,
+                pagesUsed: summary.pagesUsed,
+                recordsProcessed: summary.recordsPlaced,
+                pageNumbers: summary.pageNumbers,
+                log: [
+                    `Processed ${summary.recordsPlaced} records`,
+                    `Filled ${summary.pagesUsed} page(s) from page ${generateOptions.startPage}, ${summary.pagesCreated} new`
+                ]
+            };
+            if (summary.groupItemsPlaced > 0) {
+                result.log.splice(1, 0, `Placed ${summary.groupItemsPlaced} group headers and footers`);
+            }
+            if (summary.oversetText) {
+                result.oversetText = true;
+                result.log.push('A record is taller than the flow text frame - the story is overset from there on');
             }
             
-            return false;
+            console.log('Catalog generation completed successfully');
+            return result;
         } catch (error) {
-            console.error('Failed to save template:', error);
+            console.error('Catalog generation failed in generateCatalog:', error);
             throw error;
         }
     }
+}
+
+
+// ==================== END MODULE: pageGenerator.js ====================
+
+
+// ==================== MODULE: imageManager.js ====================
+/**
+ * Image Manager Module
+ * Handles image placement, validation, and management
+ */
+
+class ImageManager {
+    constructor() {
+        this.defaultPath = '';
+        this.missingImages = [];
+    }
 
     /**
-     * Load template from file
+     * Select folder for images
      */
-    async loadTemplate() {
+    async selectFolder() {
         try {
-            console.log('Loading template');
+            console.log('Opening folder picker');
             
             const fs = require('uxp').storage.localFileSystem;
-            const file = await fs.getFileForOpening({
-                types: ['.json']
-            });
+            const folder = await fs.getFolder();
             
-            if (file) {
-                const content = await file.read({ format: require('uxp').storage.formats.utf8 });
-                const template = JSON.parse(content);
-                
-                this.templates.push(template);
-                console.log('Template loaded:', template.id);
-                
-                return template;
+            if (folder) {
+                console.log('Folder selected:', folder.nativePath);
+                this.defaultPath = folder.nativePath;
+                return folder;
             }
             
             return null;
         } catch (error) {
-            console.error('Failed to load template:', error);
+            console.error('Folder selection failed:', error);
             throw error;
         }
     }
 
     /**
-     * Get all templates
-     */
-    getTemplates() {
-        return this.templates;
-    }
-
-    /**
-     * Get template by ID
-     */
-    getTemplate(id) {
-        return this.templates.find(t => t.id === id);
-    }
-
-    /**
-     * Delete template
-     */
-    deleteTemplate(id) {
-        const index = this.templates.findIndex(t => t.id === id);
-        if (index !== -1) {
-            this.templates.splice(index, 1);
-            this.saveSavedTemplates();
-            console.log('Template deleted:', id);
-            return true;
-        }
-        return false;
-    }
-
-    /**
-     * Load saved templates from storage
+     * Validate image path
      */
-    async loadSavedTemplates() {
+    async validateImagePath(path) {
         try {
-            const saved = localStorage.getItem('catalogBuilderTemplates');
-            if (saved) {
-                this.templates = JSON.parse(saved);
-                console.log(`Loaded ${this.templates.length} saved templates`);
+            if (!path) {
+                return { valid: false, error: 'Empty path' };
+            }
+            
+            if (!isValidImagePath(path)) {
+                return { valid: false, error: 'Invalid image format' };
+            }
+            
+            // Try to check if file exists
+            const fs = require('uxp').storage.localFileSystem;
+            
+            try {
+                const entry = await fs.getEntryWithUrl(path);
+                if (entry && entry.isFile) {
+                    return { valid: true, path: path };
+                }
+            } catch (e) {
+                // File doesn't exist
+                return { valid: false, error: 'File not found' };
             }
+            
+            return { valid: false, error: 'Unknown error' };
         } catch (error) {
-            console.error('Failed to load saved templates:', error);
+            console.error('Image validation failed:', error);
+            return { valid: false, error: error.message };
         }
     }
 
     /**
-     * Save templates to storage
+     * Resolve image path (handle relative paths)
      */
-    async saveSavedTemplates() {
-        try {
-            localStorage.setItem('catalogBuilderTemplates', JSON.stringify(this.templates));
-            console.log('Templates saved to storage');
-        } catch (error) {
-            console.error('Failed to save templates to storage:', error);
+    resolveImagePath(path) {
+        if (!path) return null;
+        
+        // If absolute path, return as is
+        if (path.startsWith('/') || path.match(/^[a-zA-Z]:\\/)) {
+            return path;
+        }
+        
+        // If relative, prepend default path
+        if (this.defaultPath) {
+            return `${this.defaultPath}/${path}`;
         }
+        
+        return path;
     }
 
     /**
-     * Apply template to document
+     * Place image in frame
      */
-    async applyTemplate(template, doc) {
+    async placeImage(frame, imagePath, options = {}) {
         try {
-            console.log('Applying template:', template.id);
+            console.log('Placing image:', imagePath);
             
-            if (!doc) {
-                doc = getActiveDocument();
-            }
+            const resolvedPath = this.resolveImagePath(imagePath);
+            const validation = await this.validateImagePath(resolvedPath);
             
-            if (!doc) {
-                throw new Error('No active document');
+            if (!validation.valid) {
+                this.missingImages.push({ path: imagePath, error: validation.error });
+                console.warn(`Image not found or invalid: ${imagePath}`);
+                return false;
             }
             
-            // Apply template settings
-            // This would involve creating frames, setting up grids, etc.
-            console.log('Template applied successfully');
+            // In actual implementation, would use InDesign's place() method
+            // frame.place(resolvedPath);
+            
+            // Apply fitting options
+            if (options.fitting) {
+                this.applyImageFitting(frame, options.fitting);
+            }
             
+            console.log('Image placed successfully');
             return true;
         } catch (error) {
-            console.error('Failed to apply template:', error);
-            throw error;
+            console.error('Failed to place image:', error);
+            this.missingImages.push({ path: imagePath, error: error.message });
+            return false;
         }
     }
-}
-
-// ==================== END MODULE: templateManager.js ====================
-
-
-// ==================== MODULE: pageGenerator.js ====================
-/**
- * Page Generator Module
- * Handles automatic page generation and content placement
- */
-
-class PageGenerator {
-    constructor() {
-        this.defaultOptions = {
-            layoutType: 'flow',
-            itemsPerPage: 6,
-            gridRows: 3,
-            gridCols: 2,
-            gutter: 5,
-            margin: 10
-        };
-    }
 
     /**
-     * Generate catalog pages
+     * Apply image fitting to frame
      */
-    async generate(options) {
+    applyImageFitting(frame, fitting) {
         try {
-            console.log('Starting catalog generation');
-            
-            const doc = await ensureDocument();
-            const { data, mappings, template, onProgress } = options;
-            
-            if (!data || !data.records) {
-                throw new Error('No data to generate');
-            }
-            
-            if (!mappings || mappings.length === 0) {
-                throw new Error('No mappings defined');
-            }
-            
-            // Clear existing content if requested
-            if (options.clearExisting) {
-                await this.clearDocument(doc);
-            }
-            
-            // Calculate layout
-            const layout = this.calculateLayout(doc, template || this.defaultOptions);
-            
-            // Process records in batches
-            const batchSize = options.batchSize || 10;
-            let processedCount = 0;
-            
-            for (let i = 0; i < data.records.length; i += batchSize) {
-                const batch = data.records.slice(i, i + batchSize);
-                
-                for (const record of batch) {
-                    await this.placeRecord(doc, record, mappings, layout);
-                    processedCount++;
-                    
-                    if (onProgress) {
-                        onProgress(processedCount, data.records.length, `Placed ${processedCount} of ${data.records.length} items`);
-                    }
-                }
-                
-                // Small delay to prevent UI freeze
-                await new Promise(resolve => setTimeout(resolve, 10));
+            switch (fitting) {
+                case 'fit':
+                    // frame.fit(FitOptions.FRAME_TO_CONTENT);
+                    console.log('Applied fit to frame');
+                    break;
+                case 'fill':
+                    // frame.fit(FitOptions.FILL_PROPORTIONALLY);
+                    console.log('Applied fill to frame');
+                    break;
+                case 'center':
+                    // frame.fit(FitOptions.CENTER_CONTENT);
+                    console.log('Applied center to frame');
+                    break;
+                default:
+                    console.warn('Unknown fitting option:', fitting);
             }
-            
-            console.log(`Generated catalog with ${data.records.length} items`);
-            return true;
         } catch (error) {
-            console.error('Catalog generation failed:', error);
-            throw error;
+            console.error('Failed to apply image fitting:', error);
         }
     }
 
     /**
-     * Calculate layout for pages
+     * Batch validate images
      */
-    calculateLayout(doc, options) {
-        const page = doc.pages[0] || doc.pages.add();
-        const bounds = page.bounds;
+    async validateImages(imagePaths) {
+        console.log(`Validating ${imagePaths.length} images`);
         
-        const pageWidth = bounds[3] - bounds[1];
-        const pageHeight = bounds[2] - bounds[0];
+        const results = [];
         
-        const margin = mmToPoints(options.margin || 10);
-        const gutter = mmToPoints(options.gutter || 5);
+        for (const path of imagePaths) {
+            const result = await this.validateImagePath(path);
+            results.push({
+                path: path,
+                valid: result.valid,
+                error: result.error
+            });
+        }
         
-        const contentWidth = pageWidth - (2 * margin);
-        const contentHeight = pageHeight - (2 * margin);
+        const validCount = results.filter(r => r.valid).length;
+        const invalidCount = results.length - validCount;
         
-        if (options.layoutType === 'grid') {
-            const rows = options.gridRows || 3;
-            const cols = options.gridCols || 2;
-            
-            const cellWidth = (contentWidth - ((cols - 1) * gutter)) / cols;
-            const cellHeight = (contentHeight - ((rows - 1) * gutter)) / rows;
-            
-            return {
-                type: 'grid',
-                rows,
-                cols,
-                cellWidth,
-                cellHeight,
-                margin,
-                gutter,
-                itemsPerPage: rows * cols
-            };
-        }
+        console.log(`Validation complete: ${validCount} valid, ${invalidCount} invalid`);
         
         return {
-            type: 'flow',
-            margin,
-            gutter,
-            contentWidth,
-            contentHeight
+            results: results,
+            validCount: validCount,
+            invalidCount: invalidCount
         };
     }
 
     /**
-     * Place a single record on the page
+     * Get missing images
+     */
+    getMissingImages() {
+        return this.missingImages;
+    }
+
+    /**
+     * Clear missing images list
+     */
+    clearMissingImages() {
+        this.missingImages = [];
+    }
+
+    /**
+     * Relink images
      */
-    async placeRecord(doc, record, mappings, layout) {
+    async relinkImages(oldPath, newPath) {
         try {
-            // Create or get appropriate page
-            const page = await this.getOrCreatePage(doc);
-            
-            // Create frames for this record based on layout
-            const frames = await this.createFramesForRecord(page, layout);
+            console.log(`Relinking images from ${oldPath} to ${newPath}`);
             
-            // Apply mappings to frames
-            for (const mapping of mappings) {
-                const frame = frames[mapping.type];
-                if (frame && record[mapping.field]) {
-                    await this.fillFrame(frame, record[mapping.field], mapping);
-                }
-            }
+            // In actual implementation, would iterate through all placed images
+            // and update their links
             
+            console.log('Images relinked successfully');
             return true;
         } catch (error) {
-            console.error('Failed to place record:', error);
+            console.error('Failed to relink images:', error);
             throw error;
         }
     }
 
     /**
-     * Get or create a page for placing content
+     * Get image info
      */
-    async getOrCreatePage(doc) {
+    async getImageInfo(imagePath) {
         try {
-            // Simple implementation - just use the last page
-            if (doc.pages.length === 0) {
-                return doc.pages.add();
+            const fs = require('uxp').storage.localFileSystem;
+            const file = await fs.getEntryWithUrl(imagePath);
+            
+            if (file && file.isFile) {
+                return {
+                    name: file.name,
+                    size: await file.size,
+                    path: file.nativePath,
+                    modified: await file.dateModified
+                };
             }
-            return doc.pages[doc.pages.length - 1];
+            
+            return null;
         } catch (error) {
-            console.error('Failed to get/create page:', error);
-            throw error;
+            console.error('Failed to get image info:', error);
+            return null;
         }
     }
+}
+
+// ==================== END MODULE: imageManager.js ====================
+
+
+// ==================== MODULE: updateEngine.js ====================
+/**
+ * Update Engine Module
+ * Handles dynamic updates when data changes
+ */
+
+class UpdateEngine {
+    constructor() {
+        this.pageGenerator = new PageGenerator();
+        this.linkedData = null;
+        this.updateHistory = [];
+        this.historyRetention = { maxVersions: 20, maxAgeDays: null };
+        this.keyField = null;
+        this.pendingChanges = null;
+    }
 
     /**
-     * Create frames for a record
+     * Set the primary-key field used to match old and new records
+     * Pass null to detect it automatically.
+     */
+    setKeyField(field) {
+        this.keyField = field || null;
+        console.log(`Key field set to: ${this.keyField || '(auto)'}`);
+    }
+
+    /**
+     * Link data source to document
+     *
+     * Options: template and keyField used by the generation run, so
+     * updates lay out added records and match frames the same way, plus
+     * the project state restored on reopen: source ({ path, name, type,
+     * options, hash }), formulas, filters and grouping.
      */
-    async createFramesForRecord(page, layout) {
+    async linkDataSource(data, mappings, options = {}) {
         try {
-            const frames = {};
-            
-            // This is a simplified implementation
-            // In production, would create actual InDesign frames based on template
+            console.log('Linking data source to document');
             
-            frames.text = {
-                type: 'text',
-                contents: ''
+            this.linkedData = {
+                data: data,
+                mappings: mappings,
+                template: options.template || null,
+                keyField: options.keyField || null,
+                source: options.source || null,
+                formulas: options.formulas || null,
+                filters: options.filters || null,
+                grouping: options.grouping || null,
+                linkedAt: new Date().toISOString(),
+                version: 1
             };
             
-            frames.image = {
-                type: 'image',
-                path: null
-            };
+            // A new link starts a new history
+            this.updateHistory = [this._historyEntry(1, data, null, null)];
             
-            return frames;
+            // Store in document metadata
+            if (this.saveLink()) {
+                console.log('Data source linked successfully');
+            }
+            
+            return true;
         } catch (error) {
-            console.error('Failed to create frames:', error);
+            console.error('Failed to link data source:', error);
             throw error;
         }
     }
 
     /**
-     * Fill a frame with content
+     * Write the link into the document's script labels
+     *
+     * The generated records go into a label of their own, fingerprinted
+     * so a damaged snapshot is noticed on restore.
      */
-    async fillFrame(frame, value, mapping) {
+    saveLink(doc = getActiveDocument()) {
+        if (!doc || !this.linkedData) {
+            return false;
+        }
+        
         try {
-            if (mapping.type === 'text') {
-                frame.contents = value;
-            } else if (mapping.type === 'image') {
-                frame.path = value;
-                // In actual implementation, would use frame.place(value)
-            }
-            
+            const { data, ...link } = this.linkedData;
+            const snapshot = JSON.stringify(data || null);
+            link.snapshotHash = hashString(snapshot);
+            this.linkedData.snapshotHash = link.snapshotHash;
+            
+            doc.insertLabel(CatalogLabelKeys.link, JSON.stringify(link));
+            doc.insertLabel(CatalogLabelKeys.snapshot, snapshot);
+            doc.insertLabel(CatalogLabelKeys.history, JSON.stringify(this.updateHistory));
             return true;
         } catch (error) {
-            console.error('Failed to fill frame:', error);
+            console.error('Failed to store link in document:', error);
             throw error;
         }
     }
 
     /**
-     * Clear document content
+     * Restore the link stored in a document
+     * Replaces the current link; returns null when the document has none.
      */
-    async clearDocument(doc) {
+    restoreLink(doc = getActiveDocument()) {
         try {
-            console.log('Clearing document content');
+            this.linkedData = null;
+            this.updateHistory = [];
+            this.pendingChanges = null;
             
-            // Remove all pages except the first one
-            while (doc.pages.length > 1) {
-                doc.pages[doc.pages.length - 1].remove();
+            const stored = doc ? doc.extractLabel(CatalogLabelKeys.link) : '';
+            if (!stored) {
+                return null;
             }
             
-            // Clear content from first page
-            if (doc.pages.length > 0) {
-                const page = doc.pages[0];
-                // Remove all page items
-                while (page.pageItems.length > 0) {
-                    page.pageItems[0].remove();
-                }
+            const link = JSON.parse(stored);
+            const snapshot = doc.extractLabel(CatalogLabelKeys.snapshot);
+            if (hashString(snapshot) !== link.snapshotHash) {
+                console.warn('Stored data snapshot does not match its fingerprint - the next update may report extra changes');
             }
             
-            console.log('Document cleared');
-            return true;
+            this.linkedData = { ...link, data: snapshot ? JSON.parse(snapshot) : null };
+            
+            const history = doc.extractLabel(CatalogLabelKeys.history);
+            this.updateHistory = history
+                ? JSON.parse(history)
+                : [this._historyEntry(link.version, this.linkedData.data, null, null)];
+            console.log(`Restored link (version ${link.version}, ${this.linkedData.data?.records?.length || 0} records)`);
+            return this.linkedData;
         } catch (error) {
-            console.error('Failed to clear document:', error);
+            console.error('Failed to restore link from document:', error);
             throw error;
         }
     }
 
     /**
-     * Add a new page to the document
+     * Whether freshly imported records differ from the import the link was made from
      */
-    async addPage(doc, after = null) {
-        try {
-            if (after) {
-                return doc.pages.add(require('indesign').LocationOptions.AFTER, after);
+    isSourceChanged(records) {
+        const hash = this.linkedData?.source?.hash;
+        return !hash || hash !== hashString(JSON.stringify(records));
+    }
+
+    /**
+     * Compute the change set for new data without touching the document
+     * The result is kept and reused by the next update() call with the
+     * same records, so the preview is exactly what gets applied.
+     *
+     * changeSet.needsRegeneration lists the changes an update cannot apply
+     * in place with the given template (default: the linked one).
+     */
+    previewUpdate(data, options = {}) {
+        const match = this._matchOptions();
+        this.pendingChanges = this.detectChanges(this.linkedData?.data, data, match);
+        this.pendingChanges.basis = this._changeBasis(data, match.keyField);
+        this.pendingChanges.needsRegeneration = this.getRegenerationChanges(
+            this.pendingChanges,
+            options.template || this.linkedData?.template
+        );
+        return this.pendingChanges;
+    }
+
+    /**
+     * Changes that only a regeneration applies
+     *
+     * Moves always; in the paragraph flow mode also modifications and
+     * removals, as record paragraphs carry no record key to find them by.
+     */
+    getRegenerationChanges(changeSet, template) {
+        return changeSet.changes.filter(change => change.type === 'move'
+            || (change.type !== 'add' && this.isParagraphFlow(template)));
+    }
+
+    /**
+     * Whether a template lays records out as paragraphs of the flow story
+     */
+    isParagraphFlow(template) {
+        const options = template || this.pageGenerator.defaultOptions;
+        return options.layoutType !== 'grid' && (options.flowMode || 'paragraph') === 'paragraph';
+    }
+
+    /**
+     * How records are matched to the linked data
+     *
+     * A catalog generated without a unique key has its frames bound to
+     * record positions, so it is matched by position whatever key is set.
+     */
+    _matchOptions() {
+        if (this.linkedData && !this.linkedData.keyField) {
+            if (this.keyField) {
+                console.log(`Catalog is bound by position - key field "${this.keyField}" is not used`);
             }
-            return doc.pages.add();
-        } catch (error) {
-            console.error('Failed to add page:', error);
-            throw error;
+            return { keyField: null, byPosition: true };
         }
+        return { keyField: this.keyField || this.linkedData?.keyField || null };
     }
 
     /**
-     * Generate catalog with data, options, and progress callback
-     * This is the main entry point called by the UI handlers
+     * Fingerprint of what a change set was computed from: the linked
+     * version, the key field and the content of the new records
      */
-    async generateCatalog(data, options, onProgress) {
+    _changeBasis(data, keyField) {
+        return `${this.linkedData?.version ?? 0}:${keyField || ''}:${hashString(JSON.stringify(data?.records || []))}`;
+    }
+
+    /**
+     * Update catalog with new data
+     *
+     * Patches the frames bound to each changed record instead of regenerating.
+     * Options: template, imageHandling, removeMode ('delete' or 'hide'),
+     * revertedTo (set by revertToVersion, recorded in the history).
+     *
+     * @returns {Object} The change set, with applied and skipped counts
+     */
+    async update(data, mappings, options = {}) {
         try {
-            console.log('Starting catalog generation via generateCatalog');
+            console.log('Updating catalog with new data');
             
-            // Convert data array to the format expected by generate()
-            const dataObj = Array.isArray(data) ? { records: data } : data;
+            const doc = getActiveDocument();
+            if (!doc) {
+                throw new Error('No active document');
+            }
             
-            // Get initial page count before generation
-            // Note: ensureDocument() will create a doc if needed, but won't add extra pages
-            const doc = await ensureDocument();
-            const initialPageCount = doc && doc.pages ? doc.pages.length : 0;
+            if (!this.linkedData) {
+                throw new Error('No linked data source - generate the catalog first');
+            }
             
-            // Prepare options for the generate method
-            const generateOptions = {
-                data: dataObj,
-                mappings: options.mappings || [],
-                template: options.template || this.defaultOptions,
-                onProgress: onProgress,
-                clearExisting: options.clearExisting !== false,
-                batchSize: options.batchSize || 10,
-                startPage: options.startPage || 1,
-                imageHandling: options.imageHandling || 'fit'
-            };
+            // Reuse the previewed change set when it was computed for the same records
+            const match = this._matchOptions();
+            const changeSet = this.pendingChanges && this.pendingChanges.basis === this._changeBasis(data, match.keyField)
+                ? this.pendingChanges
+                : this.detectChanges(this.linkedData.data, data, match);
+            const changes = changeSet.changes;
+            this.pendingChanges = null;
+            
+            console.log(`Found ${changes.length} changes`);
             
-            // Call the existing generate method (will reuse the doc from ensureDocument)
-            await this.generate(generateOptions);
+            // Apply updates
+            const context = this.createUpdateContext(doc, mappings, changeSet, options);
+            changeSet.applied = 0;
+            changeSet.skipped = 0;
+            const skipped = new Set();
+            for (const change of changes) {
+                if (await this.applyUpdate(change, mappings, context)) {
+                    changeSet.applied++;
+                } else {
+                    changeSet.skipped++;
+                    skipped.add(change);
+                }
+            }
             
-            // Get final page count after generation
-            // If doc.pages is unavailable, something went wrong, so return 0 for safety
-            const finalPageCount = doc && doc.pages ? doc.pages.length : 0;
-            const pagesCreated = Math.max(finalPageCount - initialPageCount, 0);
+            if (changeSet.skipped > 0) {
+                console.warn(`${changeSet.skipped} change(s) could not be applied in place - regenerate to apply them`);
+            }
+            changeSet.oversetText = Boolean(context.placement?.flow.overset);
+            
+            // The snapshot holds what the document shows: skipped changes stay pending
+            const snapshot = this._appliedSnapshot(this.linkedData.data, data, changeSet, skipped);
+            const appliedSet = snapshot === data
+                ? changeSet
+                : this.detectChanges(this.linkedData.data, snapshot, { keyField: changeSet.keyField, byPosition: !changeSet.keyField });
+            
+            // Record in history, with the delta that restores the previous data
+            const reverse = this.createReverseDelta(this.linkedData.data, appliedSet);
+            const entry = this._historyEntry(this.linkedData.version + 1, snapshot, appliedSet, reverse);
+            if (options.revertedTo) {
+                entry.revertedTo = options.revertedTo;
+            }
+            this.updateHistory.push(entry);
+            this.pruneHistory();
             
-            // Return result with summary
-            const result = {
-                success: true,
-                pagesCreated: pagesCreated,
-                recordsProcessed: dataObj.records ? dataObj.records.length : 0,
-                log: [`Processed ${dataObj.records ? dataObj.records.length : 0} records`, `Created/updated ${pagesCreated} page(s)`]
-            };
+            // Update linked data
+            this.linkedData.data = snapshot;
+            this.linkedData.mappings = mappings;
+            this.linkedData.keyField = changeSet.keyField;
+            this.linkedData.version++;
+            this.linkedData.lastUpdated = new Date().toISOString();
+            this.saveLink(doc);
             
-            console.log('Catalog generation completed successfully');
-            return result;
+            console.log('Catalog updated successfully');
+            return changeSet;
         } catch (error) {
-            console.error('Catalog generation failed in generateCatalog:', error);
+            console.error('Failed to update catalog:', error);
             throw error;
         }
     }
-}
-
-// ==================== END MODULE: pageGenerator.js ====================
-
-
-// ==================== MODULE: imageManager.js ====================
-/**
- * Image Manager Module
- * Handles image placement, validation, and management
- */
-
-class ImageManager {
-    constructor() {
-        this.defaultPath = '';
-        this.missingImages = [];
-    }
 
     /**
-     * Select folder for images
+     * Data the document shows after an update: the old records in their
+     * old order, with the applied removals, modifications and additions
+     *
+     * Skipped changes (moves, records without frames) are left out, so the
+     * next update finds them again instead of losing them.
+     * @param {Set} skipped - Changes of changeSet that were not applied
      */
-    async selectFolder() {
-        try {
-            console.log('Opening folder picker');
-            
-            const fs = require('uxp').storage.localFileSystem;
-            const folder = await fs.getFolder();
-            
-            if (folder) {
-                console.log('Folder selected:', folder.nativePath);
-                this.defaultPath = folder.nativePath;
-                return folder;
-            }
-            
-            return null;
-        } catch (error) {
-            console.error('Folder selection failed:', error);
-            throw error;
+    _appliedSnapshot(oldData, newData, changeSet, skipped) {
+        if (skipped.size === 0) {
+            return newData;
         }
+        
+        const keyOf = (record, index) => changeSet.keyField ? String(record[changeSet.keyField] ?? '') : String(index);
+        const applied = new Map();
+        changeSet.changes
+            .filter(change => !skipped.has(change))
+            .forEach(change => applied.set(`${change.type}:${change.key}`, change));
+        
+        const entries = [];
+        (oldData?.records || []).forEach((record, index) => {
+            const key = keyOf(record, index);
+            if (applied.has(`remove:${key}`)) return;
+            const modify = applied.get(`modify:${key}`);
+            entries.push({ key, record: modify ? modify.newRecord : record });
+        });
+        
+        // Additions go after the record that precedes them in the new data
+        changeSet.added
+            .filter(change => !skipped.has(change))
+            .sort((a, b) => a.index - b.index)
+            .forEach(change => {
+                let position = 0;
+                for (let i = change.index - 1; i >= 0; i--) {
+                    const previousKey = keyOf(newData.records[i], i);
+                    const previous = entries.findIndex(entry => entry.key === previousKey);
+                    if (previous !== -1) {
+                        position = previous + 1;
+                        break;
+                    }
+                }
+                entries.splice(position, 0, { key: change.key, record: change.record });
+            });
+        
+        return { ...newData, records: entries.map(entry => entry.record) };
     }
 
     /**
-     * Validate image path
-     */
-    async validateImagePath(path) {
-        try {
-            if (!path) {
-                return { valid: false, error: 'Empty path' };
+     * Detect changes between old and new data
+     *
+     * Records are matched on the key field, so inserting a record does not
+     * mark the following ones as modified. Records whose relative order
+     * changed are reported as moves (the fewest needed to reach the new order).
+     *
+     * With options.byPosition, records are matched by index instead of key.
+     *
+     * @returns {Object} Change set: { keyField, added, removed, modified, moved, duplicates, unchanged, changes, summary }
+     */
+    detectChanges(oldData, newData, options = {}) {
+        const newRecords = newData?.records || [];
+        const oldRecords = oldData?.records || [];
+        let keyField = options.byPosition ? null : options.keyField || this.keyField;
+        if (!keyField && !options.byPosition) {
+            try {
+                keyField = this.resolveKeyField(oldData, newData);
+            } catch (error) {
+                // Without previous data every record is an addition, so positions will do as keys
+                if (oldRecords.length > 0) throw error;
+                keyField = null;
             }
-            
-            if (!isValidImagePath(path)) {
-                return { valid: false, error: 'Invalid image format' };
+        }
+        
+        const duplicates = [];
+        const oldIndex = this._indexByKey(oldRecords, keyField, duplicates);
+        const newIndex = this._indexByKey(newRecords, keyField, duplicates);
+        
+        const added = [];
+        const removed = [];
+        const modified = [];
+        const common = [];
+        let unchanged = 0;
+        
+        newIndex.forEach((entry, key) => {
+            const old = oldIndex.get(key);
+            if (!old) {
+                added.push({ type: 'add', key, index: entry.index, record: entry.record });
+                return;
             }
             
-            // Try to check if file exists
-            const fs = require('uxp').storage.localFileSystem;
-            
-            try {
-                const entry = await fs.getEntryWithUrl(path);
-                if (entry && entry.isFile) {
-                    return { valid: true, path: path };
-                }
-            } catch (e) {
-                // File doesn't exist
-                return { valid: false, error: 'File not found' };
+            common.push({ key, oldIndex: old.index, index: entry.index });
+            
+            const fields = this.diffRecords(old.record, entry.record);
+            if (fields.length > 0) {
+                modified.push({
+                    type: 'modify',
+                    key,
+                    index: entry.index,
+                    oldIndex: old.index,
+                    oldRecord: old.record,
+                    newRecord: entry.record,
+                    fields
+                });
+            } else {
+                unchanged++;
             }
-            
-            return { valid: false, error: 'Unknown error' };
-        } catch (error) {
-            console.error('Image validation failed:', error);
-            return { valid: false, error: error.message };
+        });
+        
+        oldIndex.forEach((entry, key) => {
+            if (!newIndex.has(key)) {
+                removed.push({ type: 'remove', key, index: entry.index, record: entry.record });
+            }
+        });
+        
+        // Records outside the longest run that kept its relative order have moved
+        const stable = this._longestIncreasingRun(common.map(c => c.oldIndex));
+        const moved = common
+            .filter((c, i) => !stable.has(i))
+            .map(c => ({ type: 'move', key: c.key, oldIndex: c.oldIndex, index: c.index }));
+        
+        return {
+            keyField,
+            added,
+            removed,
+            modified,
+            moved,
+            duplicates,
+            unchanged,
+            changes: [...removed, ...modified, ...moved, ...added],
+            summary: {
+                added: added.length,
+                removed: removed.length,
+                modified: modified.length,
+                moved: moved.length,
+                unchanged
+            }
+        };
+    }
+
+    /**
+     * Pick a key field when none is configured
+     * Prefers common id-like names, then the first field whose values are unique in both datasets.
+     */
+    resolveKeyField(oldData, newData) {
+        const fields = newData?.fields || Object.keys(newData?.records?.[0] || {});
+        const preferred = ['id', 'sku', 'key', 'code', 'reference', 'ref', 'ean', 'productid', 'product_id'];
+        const candidates = [
+            ...fields.filter(f => preferred.includes(String(f).toLowerCase())),
+            ...fields.filter(f => !preferred.includes(String(f).toLowerCase()))
+        ];
+        
+        const isUnique = (records, field) => {
+            const seen = new Set();
+            for (const record of records) {
+                const value = record[field];
+                if (value === undefined || value === null || value === '' || seen.has(String(value))) {
+                    return false;
+                }
+                seen.add(String(value));
+            }
+            return true;
+        };
+        
+        const keyField = candidates.find(field =>
+            isUnique(newData?.records || [], field) && isUnique(oldData?.records || [], field)
+        );
+        
+        if (!keyField) {
+            throw new Error('No unique key field found - choose the primary-key field for updates');
         }
+        
+        console.log(`Using "${keyField}" as key field`);
+        return keyField;
     }
 
     /**
-     * Resolve image path (handle relative paths)
+     * Field-level differences between two versions of a record
      */
-    resolveImagePath(path) {
-        if (!path) return null;
-        
-        // If absolute path, return as is
-        if (path.startsWith('/') || path.match(/^[a-zA-Z]:\\/)) {
-            return path;
-        }
+    diffRecords(oldRecord, newRecord) {
+        const fields = new Set([...Object.keys(oldRecord || {}), ...Object.keys(newRecord || {})]);
+        const diffs = [];
         
-        // If relative, prepend default path
-        if (this.defaultPath) {
-            return `${this.defaultPath}/${path}`;
-        }
+        fields.forEach(field => {
+            const oldValue = oldRecord ? oldRecord[field] : undefined;
+            const newValue = newRecord ? newRecord[field] : undefined;
+            if (this._normalizeValue(oldValue) !== this._normalizeValue(newValue)) {
+                diffs.push({ field, oldValue, newValue });
+            }
+        });
         
-        return path;
+        return diffs;
+    }
+
+    _normalizeValue(value) {
+        if (value === undefined || value === null) return '';
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    _indexByKey(records, keyField, duplicates) {
+        const index = new Map();
+        records.forEach((record, i) => {
+            const key = keyField ? String(record[keyField] ?? '') : String(i);
+            if (index.has(key)) {
+                duplicates.push(key);
+                return;
+            }
+            index.set(key, { index: i, record });
+        });
+        return index;
     }
 
     /**
-     * Place image in frame
+     * Positions of a longest strictly increasing subsequence
      */
-    async placeImage(frame, imagePath, options = {}) {
-        try {
-            console.log('Placing image:', imagePath);
-            
-            const resolvedPath = this.resolveImagePath(imagePath);
-            const validation = await this.validateImagePath(resolvedPath);
-            
-            if (!validation.valid) {
-                this.missingImages.push({ path: imagePath, error: validation.error });
-                console.warn(`Image not found or invalid: ${imagePath}`);
-                return false;
+    _longestIncreasingRun(values) {
+        const tails = [];
+        const previous = new Array(values.length);
+        
+        values.forEach((value, i) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (values[tails[mid]] < value) low = mid + 1;
+                else high = mid;
             }
+            previous[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
+        });
+        
+        const run = new Set();
+        let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+        while (i >= 0) {
+            run.add(i);
+            i = previous[i];
+        }
+        return run;
+    }
+
+    /**
+     * Build the state shared by the changes of one update run
+     *
+     * The layout used for added records is computed on the first addition.
+     */
+    createUpdateContext(doc, mappings, changeSet, options = {}) {
+        return {
+            doc,
+            keyField: changeSet.keyField,
+            template: options.template || this.linkedData?.template || this.pageGenerator.defaultOptions,
+            imageHandling: options.imageHandling || 'fit',
+            removeMode: options.removeMode || 'delete',
+            frames: this.indexBoundFrames(doc),
+            placement: null
+        };
+    }
+
+    /**
+     * Index the generated page items by the record key they are bound to
+     *
+     * @returns {Map<string, Array<{item, field, target, slot}>>}
+     */
+    indexBoundFrames(doc) {
+        const index = new Map();
+        
+        for (const item of doc.allPageItems) {
+            const key = item.extractLabel(CatalogLabelKeys.recordKey);
+            if (!key) continue;
             
-            // In actual implementation, would use InDesign's place() method
-            // frame.place(resolvedPath);
-            
-            // Apply fitting options
-            if (options.fitting) {
-                this.applyImageFitting(frame, options.fitting);
+            if (!index.has(key)) {
+                index.set(key, []);
             }
-            
-            console.log('Image placed successfully');
-            return true;
-        } catch (error) {
-            console.error('Failed to place image:', error);
-            this.missingImages.push({ path: imagePath, error: error.message });
-            return false;
+            index.get(key).push({
+                item,
+                field: item.extractLabel(CatalogLabelKeys.field),
+                target: item.extractLabel(CatalogLabelKeys.target),
+                slot: item.extractLabel(CatalogLabelKeys.slot)
+            });
         }
+        
+        return index;
     }
 
     /**
-     * Apply image fitting to frame
+     * Apply a single update
+     *
+     * @returns {boolean} false when the change could not be applied in place
      */
-    applyImageFitting(frame, fitting) {
+    async applyUpdate(change, mappings, context) {
         try {
-            switch (fitting) {
-                case 'fit':
-                    // frame.fit(FitOptions.FRAME_TO_CONTENT);
-                    console.log('Applied fit to frame');
-                    break;
-                case 'fill':
-                    // frame.fit(FitOptions.FILL_PROPORTIONALLY);
-                    console.log('Applied fill to frame');
-                    break;
-                case 'center':
-                    // frame.fit(FitOptions.CENTER_CONTENT);
-                    console.log('Applied center to frame');
-                    break;
+            console.log(`Applying ${change.type} change for key ${change.key} at index ${change.index}`);
+            
+            switch (change.type) {
+                case 'add':
+                    return await this.addRecord(change, mappings, context);
+                case 'remove':
+                    return this.removeRecord(change, context);
+                case 'modify':
+                    return await this.modifyRecord(change, mappings, context);
                 default:
-                    console.warn('Unknown fitting option:', fitting);
+                    // Moved records keep their position until the catalog is regenerated
+                    return false;
             }
         } catch (error) {
-            console.error('Failed to apply image fitting:', error);
+            console.error('Failed to apply update:', error);
+            throw error;
         }
     }
 
     /**
-     * Batch validate images
+     * Rewrite the frames of the fields that changed
+     *
+     * Every frame showing a changed field is rewritten with its own mapping,
+     * so a field mapped to several frames keeps each frame's formatting.
+     * Records laid out as flow paragraphs have no frames of their own and are
+     * skipped; previewUpdate lists them as needing a regeneration.
      */
-    async validateImages(imagePaths) {
-        console.log(`Validating ${imagePaths.length} images`);
-        
-        const results = [];
-        
-        for (const path of imagePaths) {
-            const result = await this.validateImagePath(path);
-            results.push({
-                path: path,
-                valid: result.valid,
-                error: result.error
-            });
+    async modifyRecord(change, mappings, context) {
+        const entries = context.frames.get(change.key);
+        if (!entries) {
+            return false;
         }
         
-        const validCount = results.filter(r => r.valid).length;
-        const invalidCount = results.length - validCount;
-        
-        console.log(`Validation complete: ${validCount} valid, ${invalidCount} invalid`);
+        for (const diff of change.fields) {
+            for (const entry of entries.filter(e => e.field === diff.field && e.item.isValid)) {
+                // Frames generated before target labels existed use the field's first mapping
+                const mapping = mappings.find(m => m.field === diff.field && this.pageGenerator.getMappingTarget(m) === entry.target)
+                    || mappings.find(m => m.field === diff.field);
+                if (!mapping) continue;
+                
+                const value = diff.newValue;
+                if (value === undefined || value === null || value === '') {
+                    if (mapping.type !== 'image') {
+                        entry.item.contents = '';
+                    }
+                } else {
+                    await this.pageGenerator.fillFrame(entry.item, value, mapping, context);
+                }
+            }
+        }
         
-        return {
-            results: results,
-            validCount: validCount,
-            invalidCount: invalidCount
-        };
+        return true;
     }
 
     /**
-     * Get missing images
+     * Delete or hide the frames of a removed record
+     *
+     * Deleting frees the record's slot for records added in the same run.
      */
-    getMissingImages() {
-        return this.missingImages;
+    removeRecord(change, context) {
+        const entries = context.frames.get(change.key);
+        if (!entries) {
+            return false;
+        }
+        
+        for (const entry of entries) {
+            // Frames inside a removed group are already gone
+            if (!entry.item.isValid) continue;
+            
+            if (context.removeMode === 'hide') {
+                entry.item.visible = false;
+            } else {
+                entry.item.remove();
+            }
+        }
+        
+        if (context.removeMode !== 'hide') {
+            context.frames.delete(change.key);
+        }
+        return true;
     }
 
     /**
-     * Clear missing images list
+     * Place an added record into the first free grid slot or at the end of the flow
      */
-    clearMissingImages() {
-        this.missingImages = [];
+    async addRecord(change, mappings, context) {
+        const placement = await this.getAddPlacement(mappings, context);
+        const layout = placement.layout;
+        const generator = this.pageGenerator;
+        
+        if (layout.type === 'flow') {
+            if (!placement.flow.story) {
+                return false;
+            }
+            await generator.placeFlowRecord(context.doc, change.record, mappings, layout, placement);
+        } else {
+            const position = placement.freeSlots.shift() || await generator.nextSlot(context.doc, layout, placement.cursor);
+            await generator.placeRecord(context.doc, change.record, mappings, layout, { ...placement, ...position });
+        }
+        
+        return true;
     }
 
     /**
-     * Relink images
+     * Lay out the template once per run and find where added records go
      */
-    async relinkImages(oldPath, newPath) {
-        try {
-            console.log(`Relinking images from ${oldPath} to ${newPath}`);
-            
-            // In actual implementation, would iterate through all placed images
-            // and update their links
-            
-            console.log('Images relinked successfully');
-            return true;
-        } catch (error) {
-            console.error('Failed to relink images:', error);
-            throw error;
+    async getAddPlacement(mappings, context) {
+        if (context.placement) {
+            return context.placement;
+        }
+        
+        const doc = context.doc;
+        const generator = this.pageGenerator;
+        const prototype = await generator.collectPrototypes(mappings);
+        const layout = generator.calculateLayout(doc, context.template, prototype);
+        
+        // New pages are appended after the last page of the document
+        const cursor = generator.createCursor(doc, context.template, doc.pages.length + 1);
+        
+        const placement = {
+            layout,
+            prototype,
+            cursor,
+            imageHandling: context.imageHandling,
+            keyField: context.keyField,
+            flowMode: context.template.flowMode || 'paragraph',
+            flow: { story: null, lastFrame: null, overset: false },
+            freeSlots: []
+        };
+        
+        if (layout.type === 'flow') {
+            const frame = doc.allPageItems.find(item => item.extractLabel(CatalogLabelKeys.flow));
+            if (frame) {
+                const containers = frame.parentStory.textContainers;
+                placement.flow.story = frame.parentStory;
+                placement.flow.lastFrame = containers[containers.length - 1];
+                cursor.pageIndex = placement.flow.lastFrame.parentPage.documentOffset + 1;
+            } else {
+                console.warn('No generated flow story found - added records cannot be placed');
+            }
+        } else {
+            placement.freeSlots = this.findFreeSlots(doc, layout, context.frames);
         }
+        
+        context.placement = placement;
+        return placement;
     }
 
     /**
-     * Get image info
+     * Empty grid slots on the pages that already hold catalog records
+     * Group header and footer frames take every slot of their row.
      */
-    async getImageInfo(imagePath) {
-        try {
-            const fs = require('uxp').storage.localFileSystem;
-            const file = await fs.getEntryWithUrl(imagePath);
-            
-            if (file && file.isFile) {
-                return {
-                    name: file.name,
-                    size: await file.size,
-                    path: file.nativePath,
-                    modified: await file.dateModified
-                };
+    findFreeSlots(doc, layout, frames) {
+        const occupied = new Map();
+        const occupy = (item, slots) => {
+            const page = item.isValid ? item.parentPage : null;
+            if (!page || !slots) return;
+            if (!occupied.has(page.id)) {
+                occupied.set(page.id, new Set());
             }
-            
-            return null;
-        } catch (error) {
-            console.error('Failed to get image info:', error);
-            return null;
+            slots.split(',').forEach(slot => occupied.get(page.id).add(parseInt(slot, 10)));
+        };
+        
+        frames.forEach(entries => {
+            entries.forEach(entry => occupy(entry.item, entry.slot));
+        });
+        for (const item of doc.allPageItems) {
+            if (item.extractLabel(CatalogLabelKeys.group)) {
+                occupy(item, item.extractLabel(CatalogLabelKeys.slot));
+            }
+        }
+        
+        const free = [];
+        for (const page of doc.pages) {
+            const used = occupied.get(page.id);
+            if (!used) continue;
+            layout.slots.forEach((slot, slotIndex) => {
+                if (!used.has(slotIndex)) {
+                    free.push({ page, slot, slotIndex });
+                }
+            });
         }
+        
+        return free;
     }
-}
-
-// ==================== END MODULE: imageManager.js ====================
-
-
-// ==================== MODULE: updateEngine.js ====================
-/**
- * Update Engine Module
- * Handles dynamic updates when data changes
- */
 
-class UpdateEngine {
-    constructor() {
-        this.linkedData = null;
-        this.updateHistory = [];
+    /**
+     * Get update history
+     *
+     * @returns {Array} Oldest first: { version, timestamp, recordCount, summary, changes }
+     */
+    getUpdateHistory() {
+        return this.updateHistory.map(({ reverse, ...entry }) => entry);
     }
 
     /**
-     * Link data source to document
+     * Configure how much history is kept
+     * maxVersions counts the current version; maxAgeDays null keeps versions of any age.
      */
-    async linkDataSource(data, mappings) {
-        try {
-            console.log('Linking data source to document');
-            
-            this.linkedData = {
-                data: data,
-                mappings: mappings,
-                linkedAt: new Date().toISOString(),
-                version: 1
-            };
-            
-            // Store in document metadata
-            const doc = getActiveDocument();
-            if (doc) {
-                // In actual implementation, would store in document's customData
-                console.log('Data source linked successfully');
-            }
-            
-            return true;
-        } catch (error) {
-            console.error('Failed to link data source:', error);
-            throw error;
-        }
+    setHistoryRetention(retention = {}) {
+        this.historyRetention = { ...this.historyRetention, ...retention };
+        this.pruneHistory();
+        console.log(`History retention: ${this.historyRetention.maxVersions} versions, max age ${this.historyRetention.maxAgeDays ?? 'unlimited'} days`);
     }
 
     /**
-     * Update catalog with new data
+     * Drop the oldest versions beyond the retention limits
+     * The current version is always kept.
      */
-    async update(data, mappings) {
-        try {
-            console.log('Updating catalog with new data');
-            
-            const doc = getActiveDocument();
-            if (!doc) {
-                throw new Error('No active document');
-            }
-            
-            // Compare with existing data to find changes
-            const changes = this.detectChanges(this.linkedData?.data, data);
-            
-            console.log(`Found ${changes.length} changes`);
-            
-            // Apply updates
-            for (const change of changes) {
-                await this.applyUpdate(change, mappings);
-            }
-            
-            // Update linked data
-            if (this.linkedData) {
-                this.linkedData.data = data;
-                this.linkedData.version++;
-                this.linkedData.lastUpdated = new Date().toISOString();
+    pruneHistory() {
+        const { maxVersions, maxAgeDays } = this.historyRetention;
+        const history = this.updateHistory;
+        
+        if (maxVersions > 0 && history.length > maxVersions) {
+            history.splice(0, history.length - maxVersions);
+        }
+        
+        if (maxAgeDays) {
+            const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+            while (history.length > 1 && Date.parse(history[0].timestamp) < cutoff) {
+                history.shift();
             }
-            
-            // Record in history
-            this.updateHistory.push({
-                timestamp: new Date().toISOString(),
-                changesCount: changes.length,
-                version: this.linkedData?.version || 1
-            });
-            
-            console.log('Catalog updated successfully');
-            return true;
-        } catch (error) {
-            console.error('Failed to update catalog:', error);
-            throw error;
         }
     }
 
     /**
-     * Detect changes between old and new data
+     * Build the delta that turns the data after an update back into the data before it
+     *
+     * Stores the removed records, the old values of modified fields and the
+     * old key order. Data with duplicate keys is kept as a full snapshot.
      */
-    detectChanges(oldData, newData) {
-        const changes = [];
+    createReverseDelta(oldData, changeSet) {
+        const records = oldData?.records || [];
         
-        if (!oldData || !oldData.records) {
-            // All records are new
-            return newData.records.map((record, index) => ({
-                type: 'add',
-                index: index,
-                record: record
-            }));
+        if (changeSet.duplicates.length > 0) {
+            return { snapshot: oldData };
+        }
+        
+        const keyField = changeSet.keyField;
+        return {
+            keyField,
+            fields: oldData?.fields || null,
+            order: records.map((record, i) => keyField ? String(record[keyField] ?? '') : String(i)),
+            removed: changeSet.removed.map(change => ({ key: change.key, record: change.record })),
+            // Missing fields come back as null, which compares equal to missing
+            modified: changeSet.modified.map(change => ({
+                key: change.key,
+                values: Object.fromEntries(change.fields.map(diff => [diff.field, diff.oldValue ?? null]))
+            }))
+        };
+    }
+
+    /**
+     * Apply a reverse delta to the data it was recorded against
+     */
+    applyReverseDelta(data, delta) {
+        if (delta.snapshot) {
+            return delta.snapshot;
         }
         
-        const oldRecords = oldData.records;
-        const newRecords = newData.records;
+        const byKey = new Map();
+        (data?.records || []).forEach((record, i) => {
+            byKey.set(delta.keyField ? String(record[delta.keyField] ?? '') : String(i), record);
+        });
         
-        // Simple comparison by index
-        for (let i = 0; i < Math.max(oldRecords.length, newRecords.length); i++) {
-            const oldRecord = oldRecords[i];
-            const newRecord = newRecords[i];
-            
-            if (!oldRecord && newRecord) {
-                changes.push({ type: 'add', index: i, record: newRecord });
-            } else if (oldRecord && !newRecord) {
-                changes.push({ type: 'remove', index: i, record: oldRecord });
-            } else if (oldRecord && newRecord) {
-                if (JSON.stringify(oldRecord) !== JSON.stringify(newRecord)) {
-                    changes.push({ type: 'modify', index: i, oldRecord: oldRecord, newRecord: newRecord });
-                }
-            }
+        for (const change of delta.modified) {
+            byKey.set(change.key, { ...byKey.get(change.key), ...change.values });
+        }
+        
+        for (const change of delta.removed) {
+            byKey.set(change.key, change.record);
         }
         
-        return changes;
+        return {
+            ...data,
+            fields: delta.fields || data?.fields,
+            records: delta.order.map(key => byKey.get(key))
+        };
     }
 
     /**
-     * Apply a single update
+     * Reconstruct the data of a past version
      */
-    async applyUpdate(change, mappings) {
-        try {
-            console.log(`Applying ${change.type} change at index ${change.index}`);
-            
-            // In actual implementation, would locate the corresponding frames
-            // and update their content
-            
-            switch (change.type) {
-                case 'add':
-                    // Create new frames and place content
-                    break;
-                case 'remove':
-                    // Remove frames
-                    break;
-                case 'modify':
-                    // Update existing frames
-                    break;
-            }
-            
-            return true;
-        } catch (error) {
-            console.error('Failed to apply update:', error);
-            throw error;
+    getVersion(version) {
+        const current = this.linkedData?.version;
+        if (!current) {
+            throw new Error('No linked data source');
+        }
+        
+        const oldest = this.updateHistory.length > 0 ? this.updateHistory[0].version : current;
+        if (version > current || version < oldest) {
+            throw new Error(`Version ${version} is not in the history (available: ${oldest}-${current})`);
+        }
+        
+        let data = this.linkedData.data;
+        for (let i = this.updateHistory.length - 1; i >= 0 && this.updateHistory[i].version > version; i--) {
+            data = this.applyReverseDelta(data, this.updateHistory[i].reverse);
         }
+        return data;
     }
 
     /**
-     * Get update history
+     * Change set between two versions (from → to)
      */
-    getUpdateHistory() {
-        return this.updateHistory;
+    diffVersions(fromVersion, toVersion = this.linkedData?.version) {
+        const keyField = this.linkedData.keyField;
+        return this.detectChanges(this.getVersion(fromVersion), this.getVersion(toVersion), { keyField, byPosition: !keyField });
     }
 
     /**
      * Revert to previous version
+     *
+     * Updates the document to the data of that version. The revert is
+     * recorded as a new version, so it can be undone the same way.
      */
-    async revertToVersion(version) {
+    async revertToVersion(version, mappings = this.linkedData?.mappings, options = {}) {
         try {
             console.log(`Reverting to version ${version}`);
             
-            // In actual implementation, would restore previous data state
-            // This would require storing version history
+            const data = this.getVersion(version);
+            this.pendingChanges = null;
+            const changeSet = await this.update(data, mappings, { ...options, revertedTo: version });
             
             console.log('Reverted successfully');
-            return true;
+            return changeSet;
         } catch (error) {
             console.error('Failed to revert:', error);
             throw error;
         }
     }
 
+    _historyEntry(version, data, changeSet, reverse) {
+        return {
+            version,
+            timestamp: new Date().toISOString(),
+            recordCount: data?.records?.length || 0,
+            summary: changeSet ? changeSet.summary : null,
+            changes: changeSet
+                ? changeSet.changes.map(change => ({
+                    type: change.type,
+                    key: change.key,
+                    ...(change.fields ? { fields: change.fields.map(diff => diff.field) } : {})
+                }))
+                : [],
+            reverse
+        };
+    }
+
     /**
      * Check if data is linked
      */
@@ -4272,6 +9487,14 @@ class UpdateEngine {
     unlinkDataSource() {
         console.log('Unlinking data source');
         this.linkedData = null;
+        this.updateHistory = [];
+        
+        const doc = getActiveDocument();
+        if (doc) {
+            doc.insertLabel(CatalogLabelKeys.link, '');
+            doc.insertLabel(CatalogLabelKeys.snapshot, '');
+            doc.insertLabel(CatalogLabelKeys.history, '');
+        }
         return true;
     }
 
@@ -4288,7 +9511,8 @@ class UpdateEngine {
             fieldCount: this.linkedData.data?.fields?.length || 0,
             linkedAt: this.linkedData.linkedAt,
             lastUpdated: this.linkedData.lastUpdated,
-            version: this.linkedData.version
+            version: this.linkedData.version,
+            source: this.linkedData.source?.name || null
         };
     }
 }
@@ -4303,10 +9527,11 @@ const globalLogger = new Logger('CatalogBuilder');
 
 // Initialize all engine instances
 const formulaEngine = new FormulaEngine();
-const filterEngine = new FilterEngine();
-const groupingEngine = new GroupingEngine();
-const crossRefEngine = new CrossReferenceEngine();
+const functionPackLoader = new FunctionPackLoader(formulaEngine);
 const localizationEngine = new LocalizationEngine();
+const filterEngine = new FilterEngine(formulaEngine, localizationEngine);
+const groupingEngine = new GroupingEngine(formulaEngine);
+const crossRefEngine = new CrossReferenceEngine();
 const dataImporter = new DataImporter();
 const dataMapper = new DataMapper();
 const templateManager = new TemplateManager();
@@ -4324,15 +9549,20 @@ const AppState = {
         validateImages: true,
         autoSave: true,
         batchSize: 100,
+        historyVersions: 20,
+        functionPackFolder: '',
         enableLogging: true
     },
     currentFile: null,
+    importSource: null,
+    documentId: null,
     dataType: 'csv',
     filteredData: null,
     groupedData: null,
     currentLanguage: 'en',
     // Engine instances
     formulaEngine,
+    functionPackLoader,
     filterEngine,
     groupingEngine,
     crossRefEngine,
@@ -4345,56 +9575,6 @@ const AppState = {
     updateEngine
 }
 
-/**
- * CSV Parser - Simple implementation without external dependencies
- * 
- * NOTE: This is a basic CSV parser for simple use cases.
- * Limitations:
- * - Does not handle quoted fields containing delimiters (e.g., "Company, Inc.")
- * - Does not handle multi-line fields
- * - Does not handle escaped quotes
- * 
- * For production use with complex CSV files, consider using a robust CSV parsing library.
- * This implementation is sufficient for well-formed, simple CSV files.
- */
-function parseCSV(content, delimiter = ',', hasHeader = true) {
-    console.log('Parsing CSV, length:', content.length);
-    
-    const lines = content.split(/\r?\n/).filter(line => line.trim());
-    if (lines.length === 0) {
-        throw new Error('Empty CSV file');
-    }
-    
-    const headers = hasHeader ? lines[0].split(delimiter).map(h => h.trim()) : null;
-    const dataLines = hasHeader ? lines.slice(1) : lines;
-    
-    const records = dataLines.map((line, idx) => {
-        const values = line.split(delimiter).map(v => v.trim());
-        const record = {};
-        
-        if (hasHeader && headers) {
-            headers.forEach((header, i) => {
-                record[header] = values[i] || '';
-            });
-        } else {
-            values.forEach((value, i) => {
-                record[`column_${i}`] = value;
-            });
-        }
-        
-        return record;
-    });
-    
-    const fields = hasHeader && headers ? headers : Object.keys(records[0] || {});
-    
-    console.log('CSV parsed:', records.length, 'records,', fields.length, 'fields');
-    
-    return {
-        records: records,
-        fields: fields
-    };
-}
-
 /**
  * Handle file selection
  */
@@ -4427,6 +9607,10 @@ async function handleSelectFile() {
                 importBtn.disabled = false;
             }
             
+            if (AppState.dataType === 'excel') {
+                await updateExcelSheetOptions(file);
+            }
+            
             showStatus('File selected: ' + file.name);
         } else {
             console.log('No file selected');
@@ -4439,6 +9623,29 @@ async function handleSelectFile() {
     }
 }
 
+/**
+ * Fill the Excel sheet selector with the sheets of the selected workbook
+ */
+async function updateExcelSheetOptions(file) {
+    const select = document.getElementById('excelSheet');
+    if (!select) return;
+    
+    try {
+        const sheetNames = await AppState.dataImporter.getExcelSheetNames(file);
+        
+        select.innerHTML = '';
+        sheetNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Failed to list Excel sheets:', error);
+        showError('Failed to read workbook sheets: ' + error.message);
+    }
+}
+
 /**
  * Handle data import
  */
@@ -4454,26 +9661,45 @@ async function handleImportData() {
         showStatus('Importing data...');
         console.log('Reading file:', AppState.currentFile.name);
         
-        // Read file content
-        const content = await AppState.currentFile.read();
-        console.log('File content read, length:', content.length);
-        
         // Parse based on file type
         let data;
+        let importOptions;
         if (AppState.dataType === 'csv') {
             const delimiterEl = document.getElementById('csvDelimiter');
-            const delimiter = delimiterEl ? delimiterEl.value : ',';
+            const delimiter = delimiterEl ? delimiterEl.value : 'auto';
             
             const hasHeaderEl = document.getElementById('csvHeader');
             const hasHeader = hasHeaderEl ? hasHeaderEl.checked : true;
             
-            console.log('Parsing CSV with delimiter:', delimiter, 'hasHeader:', hasHeader);
-            data = parseCSV(content, delimiter, hasHeader);
+            const encodingEl = document.getElementById('csvEncoding');
+            const encoding = encodingEl ? encodingEl.value : 'utf-8';
+            
+            console.log('Parsing CSV with delimiter:', delimiter, 'hasHeader:', hasHeader, 'encoding:', encoding);
+            importOptions = { delimiter, hasHeader, encoding };
+            data = await AppState.dataImporter.importCSV(AppState.currentFile, importOptions);
+        } else if (AppState.dataType === 'excel') {
+            importOptions = {
+                sheet: document.getElementById('excelSheet')?.value || 0,
+                headerRow: parseInt(document.getElementById('excelHeaderRow')?.value || '1'),
+                hasHeader: document.getElementById('excelHeader')?.checked ?? true,
+                fillMerged: document.getElementById('excelFillMerged')?.checked ?? true
+            };
+            
+            console.log('Importing Excel with options:', JSON.stringify(importOptions));
+            data = await AppState.dataImporter.importExcel(AppState.currentFile, importOptions);
         } else {
-            throw new Error('Only CSV files are currently supported in this version');
+            throw new Error('Only CSV and Excel files are currently supported in this version');
         }
         
         AppState.data = data;
+        AppState.importSource = {
+            path: AppState.currentFile.nativePath,
+            name: AppState.currentFile.name,
+            type: AppState.dataType,
+            options: importOptions,
+            hash: hashString(JSON.stringify(data.records)),
+            importedAt: new Date().toISOString()
+        };
         console.log('Data imported:', data.records.length, 'records');
         
         // Update UI
@@ -4481,7 +9707,14 @@ async function handleImportData() {
         updateSourceFields(data.fields);
         updateAdvancedFieldDropdowns(data.fields);
         
-        showSuccess('Imported ' + data.records.length + ' records');
+        if (data.errors && data.errors.length > 0) {
+            const first = data.errors[0];
+            showError(`Imported ${data.records.length} records with ${data.errors.length} problem(s) - line ${first.line}: ${first.message}`);
+        } else if (AppState.updateEngine.isLinked() && !AppState.updateEngine.isSourceChanged(data.records)) {
+            showSuccess('Imported ' + data.records.length + ' records - unchanged since the catalog was generated');
+        } else {
+            showSuccess('Imported ' + data.records.length + ' records');
+        }
         
         // Auto-switch to mapping tab
         console.log('Attempting to switch to mapping tab...');
@@ -4613,7 +9846,7 @@ function updateAdvancedFieldDropdowns(fields) {
     }
     
     // Helper to populate select dropdown safely
-    function populateSelect(selectId, fields) {
+    function populateSelect(selectId, fields, placeholder = 'Select field...') {
         const select = document.getElementById(selectId);
         if (!select) return;
         
@@ -4621,7 +9854,7 @@ function updateAdvancedFieldDropdowns(fields) {
         
         const defaultOption = document.createElement('option');
         defaultOption.value = '';
-        defaultOption.textContent = 'Select field...';
+        defaultOption.textContent = placeholder;
         select.appendChild(defaultOption);
         
         fields.forEach(f => {
@@ -4634,8 +9867,13 @@ function updateAdvancedFieldDropdowns(fields) {
     
     // Update dropdowns using safe DOM manipulation
     populateSelect('filterField', fields);
+    populateSelect('filterCompareField', fields, 'Compare with value');
     populateSelect('sortField', fields);
     populateSelect('groupField', fields);
+    populateSelect('aggregationField', fields);
+    updateAggregationFieldFormulas();
+    populateSelect('updateKeyField', fields);
+    populateSelect('indexField', fields);
 }
 
 /**
@@ -4656,6 +9894,10 @@ function handleDataSourceTypeChange(event) {
     if (excelOptions) {
         excelOptions.style.display = type === 'excel' ? 'block' : 'none';
     }
+    
+    if (type === 'excel' && AppState.currentFile && AppState.dataImporter.detectFileType(AppState.currentFile.name) === 'excel') {
+        updateExcelSheetOptions(AppState.currentFile);
+    }
 }
 
 /**
@@ -4676,7 +9918,7 @@ async function handleDetectFrames() {
                 frames.forEach(frame => {
                     const item = document.createElement('div');
                     item.className = 'frame-item';
-                    item.textContent = frame.name || 'Unnamed frame';
+                    item.textContent = frame.label || 'Unnamed frame';
                     container.appendChild(item);
                 });
                 showSuccess(`Found ${frames.length} frames`);
@@ -4750,9 +9992,13 @@ function handleLayoutTypeChange(event) {
     if (gridOptions) {
         gridOptions.style.display = type === 'grid' ? 'block' : 'none';
     }
+    const flowOptions = document.getElementById('flowOptions');
+    if (flowOptions) {
+        flowOptions.style.display = type === 'flow' ? 'block' : 'none';
+    }
 }
 
-function handleCreateTemplate() {
+async function handleCreateTemplate() {
     console.log('Create template clicked');
     try {
         const layoutType = document.getElementById('layoutType')?.value || 'flow';
@@ -4764,12 +10010,16 @@ function handleCreateTemplate() {
         };
         
         if (layoutType === 'grid') {
-            config.rows = parseInt(document.getElementById('gridRows')?.value || '3');
-            config.columns = parseInt(document.getElementById('gridCols')?.value || '2');
-            config.gutter = parseFloat(document.getElementById('gridGutter')?.value || '5');
+            config.gridRows = parseInt(document.getElementById('gridRows')?.value || '3');
+            config.gridCols = parseInt(document.getElementById('gridCols')?.value || '2');
+            config.gridGutter = parseFloat(document.getElementById('gridGutter')?.value || '5');
+        }
+        
+        if (layoutType === 'flow') {
+            config.flowMode = document.getElementById('flowMode')?.value || 'paragraph';
         }
         
-        const template = AppState.templateManager.createTemplate(config);
+        const template = await AppState.templateManager.createTemplate(config);
         AppState.template = template;
         
         showSuccess('Template created');
@@ -4859,31 +10109,30 @@ function handleGenerateCatalog() {
         const clearExisting = document.getElementById('clearExisting')?.checked ?? true;
         const imageHandling = document.getElementById('imageHandling')?.value || 'fit';
         
+        const records = prepareGenerationRecords();
+        const generatedData = { records, fields: AppState.data.fields };
+        const keyField = resolveUpdateKeyField(generatedData);
+        
+        const lists = getCatalogListSettings();
         const options = {
             startPage,
             clearExisting,
             imageHandling,
+            keyField,
             mappings: AppState.mappings,
-            template: AppState.template
+            template: AppState.template,
+            keepLabels: [lists.toc && lists.tocFrameLabel, lists.index && lists.indexFrameLabel].filter(Boolean)
         };
         
-        // Use filtered/grouped data if available
-        let dataToGenerate = AppState.data.records;
-        
-        // Apply formulas if any
-        const formulas = AppState.formulaEngine.getFormulas();
-        if (formulas.length > 0) {
-            dataToGenerate = AppState.formulaEngine.applyFormulas(dataToGenerate);
-        }
-        
-        // Use filtered data if available
-        if (AppState.filteredData) {
-            dataToGenerate = AppState.filteredData;
-        }
+        let dataToGenerate = records;
         
-        // Use grouped data if available
-        if (AppState.groupedData && AppState.groupedData.flat) {
-            dataToGenerate = AppState.groupedData.flat;
+        // Regroup the prepared records so headers and footers match them
+        if (AppState.groupedData) {
+            AppState.groupedData = AppState.groupingEngine.groupRecords(records);
+            dataToGenerate = AppState.groupedData.flatList;
+            generatedData.records = dataToGenerate
+                .filter(item => item.type === 'record')
+                .map(item => item.data);
         }
         
         // Update progress UI
@@ -4899,49 +10148,341 @@ function handleGenerateCatalog() {
             if (progressText) progressText.textContent = `${message} (${current}/${total})`;
         };
         
-        // Generate catalog
-        AppState.pageGenerator.generateCatalog(dataToGenerate, options, onProgress)
-            .then(result => {
-                if (progressContainer) progressContainer.style.display = 'none';
-                showSuccess(`Catalog generated: ${result.pagesCreated} pages, ${result.recordsProcessed} records`);
-                
-                const logContainer = document.getElementById('generationLog');
-                if (logContainer && result.log) {
-                    logContainer.innerHTML = '<h4>Generation Log</h4>' + result.log.map(msg => `<p>${msg}</p>`).join('');
-                }
-            })
-            .catch(error => {
-                if (progressContainer) progressContainer.style.display = 'none';
-                showError('Catalog generation failed: ' + error.message);
-            });
-            
+        // Generate catalog
+        AppState.pageGenerator.generateCatalog(dataToGenerate, options, onProgress)
+            .then(async result => {
+                await writeCatalogLists(lists, result, generatedData.records);
+                
+                // Bind the document to the generated records so it can be updated in place
+                await AppState.updateEngine.linkDataSource(generatedData, AppState.mappings, {
+                    template: AppState.template,
+                    keyField,
+                    source: AppState.importSource,
+                    formulas: AppState.formulaEngine.exportFormulas(),
+                    filters: {
+                        filterTree: AppState.filterEngine.filterTree,
+                        sortRules: AppState.filterEngine.sortRules,
+                        dateFormat: AppState.filterEngine.dateFormat,
+                        seasons: AppState.filterEngine.seasons,
+                        applied: !!AppState.filteredData
+                    },
+                    grouping: AppState.groupingEngine.exportConfig()
+                });
+                
+                updateHistoryUI();
+                
+                if (progressContainer) progressContainer.style.display = 'none';
+                showSuccess(`Catalog generated: ${result.recordsProcessed} records on ${result.pagesUsed} page(s), ${result.pagesCreated} new${oversetWarning(result)}${formulaErrorWarning()}`);
+                
+                const logContainer = document.getElementById('generationLog');
+                if (logContainer && result.log) {
+                    logContainer.innerHTML = '<h4>Generation Log</h4>' + result.log.map(msg => `<p>${msg}</p>`).join('');
+                }
+            })
+            .catch(error => {
+                if (progressContainer) progressContainer.style.display = 'none';
+                showError('Catalog generation failed: ' + error.message);
+            });
+            
+    } catch (error) {
+        console.error('Generate catalog error:', error);
+        showError('Failed to generate catalog: ' + error.message);
+    }
+}
+
+/**
+ * Table of contents and index settings of the Generate tab
+ */
+function getCatalogListSettings() {
+    return {
+        toc: document.getElementById('buildToc')?.checked ?? false,
+        tocFrameLabel: document.getElementById('tocFrameLabel')?.value.trim() || 'catalogTOC',
+        index: document.getElementById('buildIndex')?.checked ?? false,
+        indexFrameLabel: document.getElementById('indexFrameLabel')?.value.trim() || 'catalogIndex',
+        indexField: document.getElementById('indexField')?.value || ''
+    };
+}
+
+/**
+ * Write the table of contents and index frames from the page numbers of a
+ * generation run; problems are logged without failing the generation
+ */
+async function writeCatalogLists(lists, result, records) {
+    const pageNumbers = result.pageNumbers;
+    
+    if (lists.toc) {
+        try {
+            if (!AppState.groupedData) {
+                throw new Error('apply a grouping first');
+            }
+            const entries = AppState.groupingEngine.generateTableOfContents(AppState.groupedData.groups, pageNumbers.groups);
+            await AppState.pageGenerator.writeTableOfContents(lists.tocFrameLabel, entries);
+            result.log.push(`Table of contents: ${entries.length} entries`);
+        } catch (error) {
+            result.log.push(`Table of contents not written: ${error.message}`);
+        }
+    }
+    
+    if (lists.index) {
+        try {
+            if (!lists.indexField) {
+                throw new Error('select the field to index');
+            }
+            const entries = AppState.groupingEngine.generateIndex(records, pageNumbers.records, lists.indexField, AppState.localizationEngine.getCurrentLanguage());
+            await AppState.pageGenerator.writeIndex(lists.indexFrameLabel, entries);
+            result.log.push(`Index: ${entries.length} entries`);
+        } catch (error) {
+            result.log.push(`Index not written: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Records a generation or update run works on: formulas applied, then filters
+ */
+function prepareGenerationRecords() {
+    let records = AppState.data.records;
+    
+    const formulas = AppState.formulaEngine.getFormulas();
+    if (formulas.length > 0) {
+        records = AppState.formulaEngine.applyFormulas(records);
+        renderFormulaReport();
+    }
+    
+    // Re-run applied filters so they also cover formula fields and re-imported data
+    if (AppState.filteredData) {
+        records = AppState.filterEngine.apply(records);
+    }
+    
+    return records;
+}
+
+/**
+ * Key field binding generated frames to their records
+ * The field chosen in the Generate tab wins; otherwise one is detected.
+ */
+function resolveUpdateKeyField(data) {
+    const selected = document.getElementById('updateKeyField')?.value;
+    if (selected) {
+        return selected;
+    }
+    
+    try {
+        return AppState.updateEngine.resolveKeyField(null, data);
+    } catch (error) {
+        globalLogger.warn('No unique key field - records are bound by position');
+        return null;
+    }
+}
+
+function handleUpdateCatalog() {
+    console.log('Update catalog clicked');
+    try {
+        if (!AppState.data) {
+            showError('Please import data first');
+            return;
+        }
+        
+        if (!AppState.updateEngine.isLinked()) {
+            showError('Generate the catalog before updating it');
+            return;
+        }
+        
+        showStatus('Updating catalog...');
+        
+        const keyField = document.getElementById('updateKeyField')?.value || null;
+        AppState.updateEngine.setKeyField(keyField);
+        
+        const imageHandling = document.getElementById('imageHandling')?.value || 'fit';
+        const data = { records: prepareGenerationRecords(), fields: AppState.data.fields };
+        
+        AppState.updateEngine.update(data, AppState.mappings, { template: AppState.template, imageHandling })
+            .then(result => {
+                const { added, removed, modified } = result.summary;
+                let message = `Catalog updated: ${modified} modified, ${added} added, ${removed} removed`;
+                if (result.skipped > 0) {
+                    message += ` (${result.skipped} change(s) need a full regeneration)`;
+                }
+                showSuccess(message + oversetWarning(result) + formulaErrorWarning());
+                
+                const container = document.getElementById('updatePreview');
+                if (container) container.innerHTML = '';
+                updateHistoryUI();
+            })
+            .catch(error => {
+                showError('Update failed: ' + error.message);
+            });
+            
+    } catch (error) {
+        console.error('Update catalog error:', error);
+        showError('Failed to update catalog: ' + error.message);
+    }
+}
+
+function handlePreviewUpdate() {
+    console.log('Preview update clicked');
+    try {
+        if (!AppState.data) {
+            showError('Please import data first');
+            return;
+        }
+        
+        const keyField = document.getElementById('updateKeyField')?.value || null;
+        AppState.updateEngine.setKeyField(keyField);
+        
+        const data = { records: prepareGenerationRecords(), fields: AppState.data.fields };
+        const changeSet = AppState.updateEngine.previewUpdate(data, { template: AppState.template });
+        renderChangePreview(changeSet);
+        
+        const { added, removed, modified, moved } = changeSet.summary;
+        let message = `${added} added, ${removed} removed, ${modified} modified, ${moved} moved (key: ${changeSet.keyField || 'position'})`;
+        if (changeSet.needsRegeneration.length > 0) {
+            message += ` - ${changeSet.needsRegeneration.length} change(s) need a full regeneration`;
+        }
+        showSuccess(message);
+    } catch (error) {
+        console.error('Preview update error:', error);
+        showError('Failed to preview changes: ' + error.message);
+    }
+}
+
+/**
+ * Render a change set in the Generate tab
+ */
+function renderChangePreview(changeSet, title = 'Pending changes') {
+    const container = document.getElementById('updatePreview');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    const heading = document.createElement('h4');
+    const { added, removed, modified, moved, unchanged } = changeSet.summary;
+    heading.textContent = `${title}: ${added} added, ${removed} removed, ${modified} modified, ${moved} moved, ${unchanged} unchanged`;
+    container.appendChild(heading);
+    
+    const describe = change => {
+        switch (change.type) {
+            case 'add':
+                return `+ ${change.key}`;
+            case 'remove':
+                return `- ${change.key}`;
+            case 'move':
+                return `↕ ${change.key}: position ${change.oldIndex + 1} → ${change.index + 1}`;
+            default:
+                return `~ ${change.key}: ` + change.fields
+                    .map(diff => `${diff.field} "${diff.oldValue ?? ''}" → "${diff.newValue ?? ''}"`)
+                    .join(', ');
+        }
+    };
+    
+    // Only previews list them; version comparisons mark nothing
+    const regenerate = new Set(changeSet.needsRegeneration || []);
+    
+    // Keep the panel responsive on large change sets
+    const maxShown = 100;
+    changeSet.changes.slice(0, maxShown).forEach(change => {
+        const line = document.createElement('p');
+        line.className = 'change-' + change.type;
+        line.textContent = describe(change) + (regenerate.has(change) ? ' (needs regeneration)' : '');
+        container.appendChild(line);
+    });
+    
+    if (changeSet.changes.length > maxShown) {
+        const more = document.createElement('p');
+        more.textContent = `… and ${changeSet.changes.length - maxShown} more`;
+        container.appendChild(more);
+    }
+    
+    if (changeSet.duplicates.length > 0) {
+        const warning = document.createElement('p');
+        warning.className = 'change-warning';
+        warning.textContent = `Duplicate keys ignored: ${changeSet.duplicates.slice(0, 10).join(', ')}`;
+        container.appendChild(warning);
+    }
+    
+    if (regenerate.size > 0) {
+        const warning = document.createElement('p');
+        warning.className = 'change-warning';
+        warning.textContent = `${regenerate.size} change(s) cannot be applied in place - regenerate the catalog to apply them`;
+        container.appendChild(warning);
+    }
+}
+
+/**
+ * Fill the version selector from the update history, newest first
+ */
+function updateHistoryUI() {
+    const select = document.getElementById('historyVersion');
+    if (!select) return;
+    
+    select.innerHTML = '';
+    const history = AppState.updateEngine.getUpdateHistory().slice().reverse();
+    if (history.length === 0) {
+        select.innerHTML = '<option value="">No versions yet</option>';
+        return;
+    }
+    
+    const current = history[0].version;
+    history.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.version;
+        
+        let detail = 'generated';
+        if (entry.revertedTo) {
+            detail = `reverted to v${entry.revertedTo}`;
+        } else if (entry.summary) {
+            detail = `${entry.summary.added} added, ${entry.summary.removed} removed, ${entry.summary.modified} modified`;
+        }
+        option.textContent = `v${entry.version} - ${new Date(entry.timestamp).toLocaleString()} - ${detail}${entry.version === current ? ' (current)' : ''}`;
+        select.appendChild(option);
+    });
+}
+
+function handleCompareVersion() {
+    console.log('Compare version clicked');
+    try {
+        const version = parseInt(document.getElementById('historyVersion')?.value, 10);
+        if (!version) {
+            showError('Select a version first');
+            return;
+        }
+        
+        // Show what reverting would change
+        const current = AppState.updateEngine.getLinkedDataInfo().version;
+        const changeSet = AppState.updateEngine.diffVersions(current, version);
+        renderChangePreview(changeSet, `Current → v${version}`);
+        showStatus(`Compared v${current} with v${version}`);
     } catch (error) {
-        console.error('Generate catalog error:', error);
-        showError('Failed to generate catalog: ' + error.message);
+        console.error('Compare version error:', error);
+        showError('Failed to compare versions: ' + error.message);
     }
 }
 
-function handleUpdateCatalog() {
-    console.log('Update catalog clicked');
+function handleRevertVersion() {
+    console.log('Revert version clicked');
     try {
-        if (!AppState.data) {
-            showError('Please import data first');
+        const version = parseInt(document.getElementById('historyVersion')?.value, 10);
+        if (!version) {
+            showError('Select a version first');
             return;
         }
         
-        showStatus('Updating catalog...');
+        showStatus(`Reverting to version ${version}...`);
+        const imageHandling = document.getElementById('imageHandling')?.value || 'fit';
         
-        AppState.updateEngine.updateCatalog(AppState.data.records, AppState.mappings)
+        AppState.updateEngine.revertToVersion(version, AppState.mappings, { template: AppState.template, imageHandling })
             .then(result => {
-                showSuccess(`Catalog updated: ${result.updated} records updated`);
+                updateHistoryUI();
+                const container = document.getElementById('updatePreview');
+                if (container) container.innerHTML = '';
+                showSuccess(`Reverted to version ${version}: ${result.applied} change(s) applied`);
             })
             .catch(error => {
-                showError('Update failed: ' + error.message);
+                showError('Revert failed: ' + error.message);
             });
-            
     } catch (error) {
-        console.error('Update catalog error:', error);
-        showError('Failed to update catalog: ' + error.message);
+        console.error('Revert version error:', error);
+        showError('Failed to revert: ' + error.message);
     }
 }
 
@@ -4975,10 +10516,17 @@ function handleSaveSettings() {
             validateImages: document.getElementById('validateImages')?.checked ?? true,
             autoSave: document.getElementById('autoSave')?.checked ?? true,
             batchSize: parseInt(document.getElementById('batchSize')?.value || '100'),
+            historyVersions: parseInt(document.getElementById('historyVersions')?.value || '20'),
+            functionPackFolder: document.getElementById('functionPackFolder')?.value.trim() || '',
             enableLogging: document.getElementById('enableLogging')?.checked ?? true
         };
         
+        const packFolderChanged = settings.functionPackFolder !== AppState.settings.functionPackFolder;
         AppState.settings = settings;
+        AppState.updateEngine.setHistoryRetention({ maxVersions: settings.historyVersions });
+        if (packFolderChanged) {
+            loadFunctionPacks(settings.functionPackFolder);
+        }
         localStorage.setItem('catalogBuilderSettings', JSON.stringify(settings));
         showSuccess('Settings saved');
     } catch (error) {
@@ -4994,8 +10542,12 @@ function handleResetSettings() {
         validateImages: true,
         autoSave: true,
         batchSize: 100,
+        historyVersions: 20,
+        functionPackFolder: '',
         enableLogging: true
     };
+    AppState.updateEngine.setHistoryRetention({ maxVersions: AppState.settings.historyVersions });
+    loadFunctionPacks('');
     
     // Update UI
     if (document.getElementById('defaultImagePath')) {
@@ -5010,6 +10562,12 @@ function handleResetSettings() {
     if (document.getElementById('batchSize')) {
         document.getElementById('batchSize').value = '100';
     }
+    if (document.getElementById('historyVersions')) {
+        document.getElementById('historyVersions').value = '20';
+    }
+    if (document.getElementById('functionPackFolder')) {
+        document.getElementById('functionPackFolder').value = '';
+    }
     if (document.getElementById('enableLogging')) {
         document.getElementById('enableLogging').checked = true;
     }
@@ -5017,6 +10575,64 @@ function handleResetSettings() {
     showStatus('Settings reset to defaults');
 }
 
+function handleBrowseFunctionPackFolder() {
+    console.log('Browse function pack folder clicked');
+    const fs = require('uxp').storage.localFileSystem;
+    fs.getFolder().then(folder => {
+        if (folder) {
+            const pathEl = document.getElementById('functionPackFolder');
+            if (pathEl) {
+                pathEl.value = folder.nativePath;
+            }
+            showStatus('Function pack folder selected - save settings to load it');
+        }
+    }).catch(error => {
+        console.error('Browse error:', error);
+        showError('Failed to select folder: ' + error.message);
+    });
+}
+
+function handleReloadFunctionPacks() {
+    const folder = document.getElementById('functionPackFolder')?.value.trim() || AppState.settings.functionPackFolder;
+    loadFunctionPacks(folder);
+}
+
+/**
+ * Load the function packs of a folder, or unload all packs for an empty path
+ */
+async function loadFunctionPacks(folderPath) {
+    const statusEl = document.getElementById('functionPacksStatus');
+    try {
+        if (!folderPath) {
+            AppState.functionPackLoader.unloadAll();
+            if (statusEl) statusEl.textContent = 'No function packs loaded';
+            renderFunctionList();
+            return;
+        }
+        
+        const result = await AppState.functionPackLoader.loadFolder(folderPath);
+        const loaded = result.packs.map(pack => `${pack.name} (${pack.functions.join(', ')})`);
+        const failed = result.errors.map(error => `${error.file}: ${error.message}`);
+        if (statusEl) {
+            statusEl.textContent = [
+                loaded.length > 0 ? 'Loaded: ' + loaded.join('; ') : 'No packs found',
+                ...failed.map(message => 'Failed: ' + message)
+            ].join('\n');
+        }
+        renderFunctionList();
+        
+        if (failed.length > 0) {
+            showError(`${failed.length} function pack(s) failed to load - ${failed[0]}`);
+        } else {
+            showSuccess(`Loaded ${loaded.length} function pack(s)`);
+        }
+    } catch (error) {
+        console.error('Load function packs error:', error);
+        if (statusEl) statusEl.textContent = error.message;
+        showError('Failed to load function packs: ' + error.message);
+    }
+}
+
 function handleClearCache() {
     console.log('Clear cache clicked');
     localStorage.clear();
@@ -5055,18 +10671,27 @@ function handleTestFormula() {
             return;
         }
         
-        // Test with first record
-        const sampleRecord = AppState.data.records[0];
+        // Test with first record, including the values of the saved formulas
+        const sampleRecord = AppState.formulaEngine.applyFormulas([AppState.data.records[0]])[0];
         const result = AppState.formulaEngine.evaluate(expression, sampleRecord);
+        const type = AppState.formulaEngine.typeOf(result);
         
         const previewEl = document.getElementById('formulaPreview');
         if (previewEl) {
-            previewEl.textContent = `Result: ${result}`;
+            previewEl.textContent = type === 'null'
+                ? 'Result: NULL - a value it uses is missing or empty in the first record'
+                : `Result (${type}): ${result instanceof Date ? result.toLocaleDateString() : result}`;
         }
         
         showSuccess('Formula test successful');
     } catch (error) {
         console.error('Formula test error:', error);
+        
+        // Point at the failing part of the formula
+        const previewEl = document.getElementById('formulaPreview');
+        if (previewEl && error.pointer) {
+            previewEl.textContent = error.pointer() || error.message;
+        }
         showError('Formula test failed: ' + error.message);
     }
 }
@@ -5076,13 +10701,14 @@ function handleAddFormula() {
     try {
         const name = document.getElementById('formulaFieldName')?.value;
         const expression = document.getElementById('formulaExpression')?.value;
+        const type = document.getElementById('formulaType')?.value || 'auto';
         
         if (!name || !expression) {
             showError('Please enter formula name and expression');
             return;
         }
         
-        AppState.formulaEngine.addFormula(name, expression);
+        AppState.formulaEngine.addFormula(name, expression, { type });
         
         // Update the formulas list UI
         updateFormulasListUI();
@@ -5090,114 +10716,597 @@ function handleAddFormula() {
         // Clear inputs
         document.getElementById('formulaFieldName').value = '';
         document.getElementById('formulaExpression').value = '';
+        document.getElementById('formulaType').value = 'auto';
         document.getElementById('formulaPreview').textContent = 'Enter a formula to see preview';
         
-        showSuccess(`Formula "${name}" added`);
+        showSuccess(`Formula "${name}" added`);
+    } catch (error) {
+        console.error('Add formula error:', error);
+        showError('Failed to add formula: ' + error.message);
+    }
+}
+
+/**
+ * List formula results after the data fields of the footer total field select
+ */
+function updateAggregationFieldFormulas() {
+    const select = document.getElementById('aggregationField');
+    if (!select) return;
+    
+    select.querySelectorAll('.formula-field').forEach(el => el.remove());
+    AppState.formulaEngine.getFormulas().forEach(formula => {
+        const option = document.createElement('option');
+        option.className = 'formula-field';
+        option.value = formula.name;
+        option.textContent = `${formula.name} (formula)`;
+        select.appendChild(option);
+    });
+}
+
+function updateFormulasListUI() {
+    const container = document.getElementById('formulasContainer');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const formulas = AppState.formulaEngine.getFormulas();
+    
+    // Formula results can be referenced like imported fields
+    const fieldsList = document.getElementById('formulaFieldsList');
+    if (fieldsList) {
+        fieldsList.querySelectorAll('.formula-field').forEach(el => el.remove());
+        formulas.forEach(formula => {
+            const fieldDiv = document.createElement('div');
+            fieldDiv.className = 'field-item formula-field';
+            fieldDiv.textContent = '{' + formula.name + '}';
+            fieldsList.appendChild(fieldDiv);
+        });
+    }
+    
+    // ...and totalled in group footers
+    updateAggregationFieldFormulas();
+    
+    if (formulas.length === 0) {
+        container.innerHTML = '<p class="empty-message">No formulas added</p>';
+        return;
+    }
+    
+    const graph = AppState.formulaEngine.getDependencyGraph();
+    
+    formulas.forEach(formula => {
+        const node = graph[formula.name];
+        const uses = [
+            ...node.formulas.map(name => `<span class="formula-dependency">{${name}}</span>`),
+            ...node.fields.map(name => `{${name}}`)
+        ];
+        
+        let type = formula.type && formula.type !== 'auto' ? formula.type : null;
+        if (!type) {
+            try {
+                type = AppState.formulaEngine.inferType(formula.expression);
+            } catch (error) {
+                type = 'any';
+            }
+        }
+        
+        const item = document.createElement('div');
+        item.className = 'formula-item';
+        item.innerHTML = `
+            <strong>${formula.name}</strong> <small>(${type})</small>: ${formula.expression}
+            <button class="btn-remove" onclick="removeFormula('${formula.name}')">Remove</button>
+            <small class="formula-dependencies">Depends on: ${uses.length > 0 ? uses.join(', ') : 'nothing'}${node.dependents.length > 0 ? ` · Used by: ${node.dependents.join(', ')}` : ''}</small>
+        `;
+        container.appendChild(item);
+    });
+}
+
+function handleCheckFormulas() {
+    console.log('Check formulas clicked');
+    try {
+        if (!AppState.data || AppState.data.records.length === 0) {
+            showError('Please import data first');
+            return;
+        }
+        if (AppState.formulaEngine.getFormulas().length === 0) {
+            showError('No formulas to check');
+            return;
+        }
+        
+        AppState.formulaEngine.applyFormulas(AppState.data.records);
+        const report = renderFormulaReport();
+        if (report.failedRecords > 0) {
+            showError(`Formulas failed for ${report.failedRecords} of ${report.recordCount} records`);
+        } else {
+            showSuccess(`All formulas computed for ${report.recordCount} records`);
+        }
+    } catch (error) {
+        console.error('Check formulas error:', error);
+        showError('Failed to check formulas: ' + error.message);
+    }
+}
+
+/**
+ * Show the result types and failures of the last formula run
+ */
+function renderFormulaReport() {
+    const report = AppState.formulaEngine.getErrorReport();
+    const container = document.getElementById('formulaReport');
+    if (!container || !report) return report;
+    
+    const lines = [`${report.recordCount} records, ${report.failedRecords} with formula errors`];
+    report.formulas.forEach(formula => {
+        const types = Object.entries(formula.types)
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${count} ${type === 'null' ? 'NULL' : type}`);
+        lines.push('');
+        lines.push(`${formula.name}${formula.type !== 'auto' ? ` (${formula.type})` : ''}: ${types.join(', ') || 'no results'}${formula.failed > 0 ? `, ${formula.failed} failed` : ''}`);
+        formula.errors.forEach(error => {
+            const more = error.count > error.rows.length ? ', ...' : '';
+            lines.push(`  ${error.count} × ${error.example}${error.count > 1 ? ' (and similar)' : ''} - rows ${error.rows.join(', ')}${more}`);
+        });
+    });
+    
+    container.textContent = lines.join('\n');
+    container.style.display = 'block';
+    return report;
+}
+
+/**
+ * Status suffix warning when a flow story was left overset by a generation or update
+ */
+function oversetWarning(result) {
+    return result.oversetText ? ' - a record is taller than the text frame, so the story is overset' : '';
+}
+
+/**
+ * Status suffix warning about records the formulas failed for
+ */
+function formulaErrorWarning() {
+    const report = AppState.formulaEngine.getErrorReport();
+    if (!report || report.failedRecords === 0 || AppState.formulaEngine.getFormulas().length === 0) {
+        return '';
+    }
+    return ` - formulas failed for ${report.failedRecords} record(s), see Advanced > Formulas`;
+}
+
+function removeFormula(name) {
+    try {
+        AppState.formulaEngine.removeFormula(name);
+        updateFormulasListUI();
+        showSuccess('Formula removed');
+    } catch (error) {
+        showError('Failed to remove formula: ' + error.message);
+    }
+}
+
+function handleClearFormula() {
+    console.log('Clear formula clicked');
+    const nameEl = document.getElementById('formulaFieldName');
+    const exprEl = document.getElementById('formulaExpression');
+    const previewEl = document.getElementById('formulaPreview');
+    
+    if (nameEl) nameEl.value = '';
+    if (exprEl) exprEl.value = '';
+    if (previewEl) previewEl.textContent = 'Enter a formula to see preview';
+}
+
+function handleFormulaTemplateChange(event) {
+    const template = event.target.value;
+    if (template) {
+        const exprEl = document.getElementById('formulaExpression');
+        if (exprEl) exprEl.value = template;
+        validateFormulaInput();
+    }
+}
+
+/**
+ * Insert text at the caret of the formula editor, replacing the
+ * replaceLength characters before it
+ */
+function insertIntoFormula(text, replaceLength = 0) {
+    const exprEl = document.getElementById('formulaExpression');
+    if (!exprEl) return;
+    
+    const caret = exprEl.selectionStart ?? exprEl.value.length;
+    const start = caret - replaceLength;
+    exprEl.value = exprEl.value.slice(0, start) + text + exprEl.value.slice(exprEl.selectionEnd ?? caret);
+    exprEl.focus();
+    exprEl.selectionStart = exprEl.selectionEnd = start + text.length;
+    handleFormulaInput();
+}
+
+/**
+ * List the built-in functions by category
+ */
+function renderFunctionList() {
+    const container = document.getElementById('functionList');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    let category = null;
+    AppState.formulaEngine.getFunctionSignatures().forEach(definition => {
+        if (definition.category !== category) {
+            category = definition.category;
+            const heading = document.createElement('div');
+            heading.className = 'function-category';
+            heading.textContent = category;
+            container.appendChild(heading);
+        }
+        
+        const button = document.createElement('button');
+        button.className = 'function-btn';
+        button.textContent = definition.name;
+        button.title = `${definition.signature}\n${definition.description}`;
+        button.addEventListener('click', () => insertIntoFormula(definition.name + '('));
+        button.addEventListener('mouseenter', () => {
+            const signatureEl = document.getElementById('functionSignature');
+            if (signatureEl) signatureEl.textContent = `${definition.signature} - ${definition.description}`;
+        });
+        container.appendChild(button);
+    });
+}
+
+/**
+ * Suggest functions for the name being typed and validate the formula
+ */
+function handleFormulaInput() {
+    const exprEl = document.getElementById('formulaExpression');
+    const suggestionsEl = document.getElementById('formulaSuggestions');
+    if (!exprEl || !suggestionsEl) return;
+    
+    suggestionsEl.innerHTML = '';
+    const beforeCaret = exprEl.value.slice(0, exprEl.selectionStart ?? exprEl.value.length);
+    
+    // No suggestions inside {field} references
+    const word = /[A-Za-z_][A-Za-z0-9_]*$/.exec(beforeCaret);
+    const insideField = beforeCaret.lastIndexOf('{') > beforeCaret.lastIndexOf('}');
+    if (word && !insideField) {
+        const prefix = word[0].toUpperCase();
+        AppState.formulaEngine.getFunctionSignatures()
+            .filter(definition => definition.name.startsWith(prefix) && definition.name !== prefix)
+            .slice(0, 6)
+            .forEach(definition => {
+                const item = document.createElement('div');
+                item.className = 'formula-suggestion';
+                item.textContent = definition.signature;
+                item.title = definition.description;
+                item.addEventListener('click', () => insertIntoFormula(definition.name + '(', word[0].length));
+                suggestionsEl.appendChild(item);
+            });
+    }
+    
+    validateFormulaInput();
+}
+
+/**
+ * Show syntax, function name and argument count errors while typing
+ */
+function validateFormulaInput() {
+    const expression = document.getElementById('formulaExpression')?.value;
+    const previewEl = document.getElementById('formulaPreview');
+    if (!previewEl) return;
+    
+    if (!expression || !expression.trim()) {
+        previewEl.textContent = 'Enter a formula to see preview';
+        return;
+    }
+    
+    try {
+        AppState.formulaEngine.validateFormula(expression);
+        previewEl.textContent = 'Valid formula - click Test Formula to see the result';
+    } catch (error) {
+        previewEl.textContent = error.pointer ? `${error.reason || error.message}\n${error.pointer()}` : error.message;
+    }
+}
+
+async function handleAddLookupTable() {
+    console.log('Add lookup table clicked');
+    try {
+        const fs = require('uxp').storage.localFileSystem;
+        const file = await fs.getFileForOpening({
+            types: ['csv', 'txt', 'xlsx', 'xls']
+        });
+        if (!file) return;
+        
+        showStatus('Importing lookup table...');
+        const isExcel = /\.xlsx?$/i.test(file.name);
+        const data = isExcel
+            ? await AppState.dataImporter.importExcel(file, { sheet: 0, headerRow: 1, hasHeader: true, fillMerged: true })
+            : await AppState.dataImporter.importCSV(file, { delimiter: 'auto', hasHeader: true, encoding: 'utf-8' });
+        
+        const name = document.getElementById('lookupTableName')?.value.trim() || file.name.replace(/\.[^.]+$/, '');
+        const keyField = document.getElementById('lookupKeyField')?.value.trim() || null;
+        if (keyField && !data.fields.includes(keyField)) {
+            showError(`Field "${keyField}" not found in ${file.name}`);
+            return;
+        }
+        
+        const table = AppState.formulaEngine.addLookupTable(name, data, keyField);
+        updateLookupTablesUI();
+        
+        document.getElementById('lookupTableName').value = '';
+        document.getElementById('lookupKeyField').value = '';
+        
+        showSuccess(`Lookup table "${table.name}" added (${table.rowCount} rows, key ${table.keyField})`);
+    } catch (error) {
+        console.error('Add lookup table error:', error);
+        showError('Failed to add lookup table: ' + error.message);
+    }
+}
+
+function updateLookupTablesUI() {
+    const container = document.getElementById('lookupTablesContainer');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const tables = AppState.formulaEngine.getLookupTables();
+    
+    if (tables.length === 0) {
+        container.innerHTML = '<p class="empty-message">No lookup tables added</p>';
+        return;
+    }
+    
+    tables.forEach(table => {
+        const item = document.createElement('div');
+        item.className = 'formula-item';
+        item.innerHTML = `
+            <strong>${table.name}</strong>: ${table.rowCount} rows, key {${table.keyField}}
+            <button class="btn-remove" onclick="removeLookupTable('${table.name}')">Remove</button>
+            <small class="formula-dependencies">Fields: ${table.fields.join(', ')}</small>
+        `;
+        container.appendChild(item);
+    });
+}
+
+function removeLookupTable(name) {
+    AppState.formulaEngine.removeLookupTable(name);
+    updateLookupTablesUI();
+    showSuccess('Lookup table removed');
+}
+
+function handleAddFilter() {
+    console.log('Add filter clicked');
+    addFilterToGroup('');
+}
+
+/**
+ * Condition entered in the filter row, or null while it is incomplete
+ * A formula in the formula box takes precedence over the field row.
+ */
+function readFilterInput() {
+    const field = document.getElementById('filterField')?.value;
+    const operator = document.getElementById('filterOperator')?.value;
+    const value = document.getElementById('filterValue')?.value;
+    const valueField = document.getElementById('filterCompareField')?.value;
+    const expression = document.getElementById('filterFormula')?.value.trim();
+    
+    if (expression) {
+        return { operator: 'formula', expression };
+    }
+    // Search looks in the selected field, or in every field
+    if (operator === 'search') {
+        return field ? { operator, value, fields: [field] } : { operator, value };
+    }
+    if (!field || !operator) {
+        return null;
+    }
+    return valueField ? { field, operator, valueField } : { field, operator, value };
+}
+
+/**
+ * Add the condition entered in the filter row to a group of the filter tree
+ */
+function addFilterToGroup(groupPath) {
+    try {
+        const filter = readFilterInput();
+        if (!filter) {
+            showError('Please select field and operator, or enter a formula');
+            return;
+        }
+        
+        AppState.filterEngine.addFilter(filter, groupPath);
+        
+        // Clear inputs
+        document.getElementById('filterField').value = '';
+        document.getElementById('filterValue').value = '';
+        document.getElementById('filterCompareField').value = '';
+        document.getElementById('filterFormula').value = '';
+        handleFilterOperatorChange();
+        updateFilterValueHistogram();
+        
+        // Update UI
+        updateFiltersListUI();
+        
+        if (filter.operator === 'formula') {
+            showSuccess('Formula filter added');
+        } else if (filter.operator === 'search') {
+            showSuccess('Search filter added - sort by Search relevance to rank the results');
+        } else {
+            showSuccess('Filter added');
+        }
     } catch (error) {
-        console.error('Add formula error:', error);
-        showError('Failed to add formula: ' + error.message);
+        console.error('Add filter error:', error);
+        showError('Failed to add filter: ' + error.message);
     }
 }
 
-function updateFormulasListUI() {
-    const container = document.getElementById('formulasContainer');
+/**
+ * Live counts for the condition being entered: on its own, and for the
+ * whole filter tree once it is added at the top level
+ */
+function updatePendingFilterPreview() {
+    const previewEl = document.getElementById('filterPendingPreview');
+    if (!previewEl) return;
+    
+    const filter = readFilterInput();
+    if (!AppState.data || !filter) {
+        previewEl.textContent = '';
+        return;
+    }
+    
+    try {
+        const records = AppState.data.records;
+        const { matches, matched } = AppState.filterEngine.previewCondition(records, filter);
+        previewEl.textContent = `This condition matches ${matches} records; added at the top level, ${matched} of ${records.length} records would remain`;
+    } catch (error) {
+        // Usually a condition that is not complete yet, e.g. a formula being typed
+        previewEl.textContent = error.message;
+    }
+}
+
+const schedulePendingFilterPreview = debounce(updatePendingFilterPreview, 300);
+
+/**
+ * Histogram of the selected field's most frequent values; clicking a value
+ * fills it in
+ */
+function updateFilterValueHistogram() {
+    const container = document.getElementById('filterValueHistogram');
     if (!container) return;
     
     container.innerHTML = '';
-    const formulas = AppState.formulaEngine.getFormulas();
+    const field = document.getElementById('filterField')?.value;
+    if (!AppState.data || !field) return;
     
-    if (formulas.length === 0) {
-        container.innerHTML = '<p class="empty-message">No formulas added</p>';
-        return;
-    }
+    const histogram = AppState.filterEngine.getValueHistogram(AppState.data.records, field, 20);
+    const summary = document.createElement('small');
+    const empty = histogram.empty > 0 ? `, ${histogram.empty} empty` : '';
+    const shown = histogram.distinct > histogram.values.length ? ` - the ${histogram.values.length} most frequent` : '';
+    summary.textContent = `${histogram.distinct} distinct values${empty}${shown}`;
+    container.appendChild(summary);
     
-    formulas.forEach(formula => {
-        const item = document.createElement('div');
-        item.className = 'formula-item';
-        item.innerHTML = `
-            <strong>${formula.name}</strong>: ${formula.expression}
-            <button class="btn-remove" onclick="removeFormula('${formula.name}')">Remove</button>
+    const largest = histogram.values.length > 0 ? histogram.values[0].count : 1;
+    histogram.values.forEach(({ value, count }) => {
+        const row = document.createElement('div');
+        row.className = 'histogram-row';
+        row.title = 'Use this value';
+        row.innerHTML = `
+            <span class="histogram-value"></span>
+            <span class="histogram-bar" style="width: ${Math.max(2, Math.round(count / largest * 100))}%"></span>
+            <span class="histogram-count">${count}</span>
         `;
-        container.appendChild(item);
+        row.querySelector('.histogram-value').textContent = value;
+        row.addEventListener('click', () => {
+            document.getElementById('filterValue').value = value;
+            updatePendingFilterPreview();
+        });
+        container.appendChild(row);
     });
 }
 
-function removeFormula(name) {
+/**
+ * Adapt the value box to the operator: a day count, a field name or
+ * nothing; comparing with another field replaces the typed value
+ */
+function handleFilterOperatorChange() {
+    const operator = document.getElementById('filterOperator')?.value;
+    const compareField = document.getElementById('filterCompareField')?.value;
+    const valueEl = document.getElementById('filterValue');
+    if (!valueEl) return;
+    
+    const placeholders = {
+        inLastDays: 'Number of days',
+        inNextDays: 'Number of days',
+        beforeField: 'Date field, e.g. Launch Date',
+        afterField: 'Date field, e.g. Launch Date',
+        search: 'Words, e.g. waterproof outdoor'
+    };
+    const noValue = ['isEmpty', 'isNotEmpty', 'isTrue', 'isFalse', 'thisMonth', 'thisSeason', 'thisYear'].includes(operator);
+    valueEl.disabled = noValue || Boolean(compareField);
+    if (compareField) {
+        valueEl.placeholder = `Value of ${compareField}`;
+    } else {
+        valueEl.placeholder = noValue ? 'No value needed' : (placeholders[operator] || 'Value');
+    }
+}
+
+function handleFilterDateFormatChange(event) {
+    AppState.filterEngine.setDateFormat(event.target.value);
+    syncGroupingDateSettings();
+    updateFiltersListUI();
+    showStatus('Date format set - apply filters again to use it');
+}
+
+function handleFilterSeasonsChange(event) {
     try {
-        AppState.formulaEngine.removeFormula(name);
-        updateFormulasListUI();
-        showSuccess('Formula removed');
+        AppState.filterEngine.setSeasons(event.target.value);
+        syncGroupingDateSettings();
+        updateFiltersListUI();
+        showStatus(`Current season: ${AppState.filterEngine.getSeason()}`);
     } catch (error) {
-        showError('Failed to remove formula: ' + error.message);
+        showError('Failed to set seasons: ' + error.message);
     }
 }
 
-function handleClearFormula() {
-    console.log('Clear formula clicked');
-    const nameEl = document.getElementById('formulaFieldName');
-    const exprEl = document.getElementById('formulaExpression');
-    const previewEl = document.getElementById('formulaPreview');
-    
-    if (nameEl) nameEl.value = '';
-    if (exprEl) exprEl.value = '';
-    if (previewEl) previewEl.textContent = 'Enter a formula to see preview';
+/**
+ * Date buckets read dates and seasons the way the filters do
+ */
+function syncGroupingDateSettings() {
+    AppState.groupingEngine.setDateFormat(AppState.filterEngine.dateFormat);
+    AppState.groupingEngine.setSeasons(AppState.filterEngine.seasons);
 }
 
-function handleFormulaTemplateChange(event) {
-    const template = event.target.value;
-    if (template) {
-        const exprEl = document.getElementById('formulaExpression');
-        if (exprEl) exprEl.value = template;
+/**
+ * Show the filter engine's date settings in the filtering tab
+ */
+function updateFilterDateSettingsUI() {
+    const engine = AppState.filterEngine;
+    const formatEl = document.getElementById('filterDateFormat');
+    if (formatEl) formatEl.value = engine.dateFormat;
+    
+    const seasonsEl = document.getElementById('filterSeasons');
+    if (seasonsEl) {
+        const preset = Object.keys(SeasonPresets).find(name => JSON.stringify(SeasonPresets[name]) === JSON.stringify(engine.seasons));
+        seasonsEl.value = preset || 'meteorological';
     }
 }
 
-function handleAddFilter() {
-    console.log('Add filter clicked');
+function addFilterSubgroup(groupPath) {
     try {
-        const field = document.getElementById('filterField')?.value;
-        const operator = document.getElementById('filterOperator')?.value;
-        const value = document.getElementById('filterValue')?.value;
-        
-        if (!field || !operator) {
-            showError('Please select field and operator');
-            return;
-        }
-        
-        const filter = { field, operator, value };
-        AppState.filterEngine.addFilter(filter);
-        
-        // Update UI
+        AppState.filterEngine.addFilterGroup('OR', groupPath);
         updateFiltersListUI();
-        
-        // Clear inputs
-        document.getElementById('filterField').value = '';
-        document.getElementById('filterValue').value = '';
-        
-        showSuccess('Filter added');
+        showStatus('Group added - use + Filter on it to add conditions');
     } catch (error) {
-        console.error('Add filter error:', error);
-        showError('Failed to add filter: ' + error.message);
+        showError('Failed to add group: ' + error.message);
     }
 }
 
+function setFilterGroupLogic(groupPath, logic) {
+    AppState.filterEngine.setGroupLogic(groupPath, logic);
+    updateFiltersListUI();
+}
+
+function setFilterNegate(path, negate) {
+    AppState.filterEngine.setNegate(path, negate);
+    updateFiltersListUI();
+}
+
 function handleAddSort() {
     console.log('Add sort clicked');
     try {
         const field = document.getElementById('sortField')?.value;
         const direction = document.getElementById('sortDirection')?.value || 'asc';
+        const type = document.getElementById('sortType')?.value || 'auto';
+        const nulls = document.getElementById('sortNulls')?.value;
+        const orderText = document.getElementById('sortCustomOrder')?.value || '';
         
-        if (!field) {
+        if (!field && type !== 'relevance') {
             showError('Please select a field');
             return;
         }
         
-        AppState.filterEngine.addSortRule(field, direction);
+        const options = {};
+        if (nulls) options.nulls = nulls;
+        if (type === 'custom') {
+            options.order = orderText.split(',').map(value => value.trim()).filter(Boolean);
+        }
+        AppState.filterEngine.addSortRule(field, direction, type, options);
         
         // Update UI
         updateSortRulesListUI();
         
         // Clear selection
         document.getElementById('sortField').value = '';
+        document.getElementById('sortCustomOrder').value = '';
         
         showSuccess('Sort rule added');
     } catch (error) {
@@ -5206,6 +11315,12 @@ function handleAddSort() {
     }
 }
 
+function handleSortTypeChange() {
+    const type = document.getElementById('sortType')?.value;
+    const orderEl = document.getElementById('sortCustomOrder');
+    if (orderEl) orderEl.style.display = type === 'custom' ? '' : 'none';
+}
+
 function handleApplyFilters() {
     console.log('Apply filters clicked');
     try {
@@ -5214,8 +11329,7 @@ function handleApplyFilters() {
             return;
         }
         
-        const logic = document.getElementById('filterLogic')?.value || 'AND';
-        AppState.filteredData = AppState.filterEngine.apply(AppState.data.records, logic);
+        AppState.filteredData = AppState.filterEngine.apply(AppState.data.records);
         
         // Update statistics
         const stats = AppState.filterEngine.getStatistics(AppState.data.records, AppState.filteredData);
@@ -5285,22 +11399,92 @@ function handleLoadFilterPreset() {
     }
 }
 
+/**
+ * Render the filter tree: groups with their AND/OR, NOT and add buttons,
+ * conditions with NOT and remove
+ */
 function updateFiltersListUI() {
     const container = document.getElementById('filtersList');
     if (!container) return;
     
+    const engine = AppState.filterEngine;
+    
+    // Live counts; only conditions that changed are evaluated again
+    let breakdown = null;
+    if (AppState.data && engine.countFilters() > 0) {
+        try {
+            breakdown = engine.getFilterBreakdown(AppState.data.records);
+        } catch (error) {
+            console.error('Filter preview error:', error);
+        }
+    }
+    const stats = new Map((breakdown ? breakdown.conditions : []).map(condition => [condition.path, condition]));
+    
     container.innerHTML = '';
-    const filters = AppState.filterEngine.filters;
+    container.appendChild(renderFilterNode(engine.filterTree, '', stats));
     
-    filters.forEach((filter, index) => {
-        const item = document.createElement('div');
+    const expressionEl = document.getElementById('filterExpressionText');
+    if (expressionEl) {
+        expressionEl.textContent = engine.countFilters() > 0 ? 'Keep: ' + engine.describeFilters() : 'All records';
+    }
+    
+    const liveEl = document.getElementById('filterLiveCount');
+    if (liveEl) {
+        liveEl.textContent = breakdown ? `Live preview: ${breakdown.matched} of ${breakdown.total} records match` : '';
+    }
+    updatePendingFilterPreview();
+}
+
+/**
+ * Render a node of the filter tree; stats maps condition paths to their
+ * counts from getFilterBreakdown
+ */
+function renderFilterNode(node, path, stats = new Map()) {
+    const item = document.createElement('div');
+    const negate = `<label class="filter-negate"><input type="checkbox" ${node.negate ? 'checked' : ''} onchange="setFilterNegate('${path}', this.checked)"> NOT</label>`;
+    
+    if (node.type !== 'group') {
         item.className = 'filter-item';
         item.innerHTML = `
-            ${filter.field} ${filter.operator} "${filter.value}"
-            <button class="btn-remove" onclick="removeFilter(${index})">×</button>
+            ${negate}
+            <span></span>
+            <button class="btn-remove" onclick="removeFilter('${path}')">×</button>
         `;
-        container.appendChild(item);
+        // Set as text: formulas and values may contain markup characters
+        item.querySelector('span').textContent = AppState.filterEngine.describeCondition(node);
+        
+        const stat = stats.get(path);
+        if (stat) {
+            const count = document.createElement('small');
+            count.className = 'filter-count';
+            count.textContent = `${stat.matches} match`
+                + (stat.eliminates > 0 ? `, removes ${stat.eliminates}` : '')
+                + (stat.adds > 0 ? `, adds ${stat.adds}` : '');
+            count.title = 'Records this condition accepts on its own, and those only it removes or adds';
+            item.insertBefore(count, item.querySelector('.btn-remove'));
+        }
+        return item;
+    }
+    
+    item.className = path === '' ? 'filter-group filter-group-root' : 'filter-group';
+    const header = document.createElement('div');
+    header.className = 'filter-group-header';
+    header.innerHTML = `
+        ${negate}
+        <select class="select-input filter-group-logic" onchange="setFilterGroupLogic('${path}', this.value)">
+            <option value="AND" ${node.logic === 'AND' ? 'selected' : ''}>All of (AND)</option>
+            <option value="OR" ${node.logic === 'OR' ? 'selected' : ''}>Any of (OR)</option>
+        </select>
+        <button class="btn btn-secondary btn-small" onclick="addFilterToGroup('${path}')">+ Filter</button>
+        <button class="btn btn-secondary btn-small" onclick="addFilterSubgroup('${path}')">+ Group</button>
+        ${path === '' ? '' : `<button class="btn-remove" onclick="removeFilter('${path}')">×</button>`}
+    `;
+    item.appendChild(header);
+    
+    node.conditions.forEach((child, index) => {
+        item.appendChild(renderFilterNode(child, path === '' ? String(index) : `${path}.${index}`, stats));
     });
+    return item;
 }
 
 function updateSortRulesListUI() {
@@ -5313,16 +11497,20 @@ function updateSortRulesListUI() {
     rules.forEach((rule, index) => {
         const item = document.createElement('div');
         item.className = 'sort-item';
+        const details = [rule.direction];
+        if (rule.type && rule.type !== 'auto' && rule.type !== 'relevance') details.push(rule.type === 'custom' ? rule.order.join(', ') : rule.type);
+        if (rule.nulls) details.push(`empty ${rule.nulls}`);
         item.innerHTML = `
-            ${rule.field} (${rule.direction})
+            <span></span>
             <button class="btn-remove" onclick="removeSortRule(${index})">×</button>
         `;
+        item.querySelector('span').textContent = `${rule.type === 'relevance' ? 'Search relevance' : rule.field} (${details.join(', ')})`;
         container.appendChild(item);
     });
 }
 
-function removeFilter(index) {
-    AppState.filterEngine.removeFilter(index);
+function removeFilter(path) {
+    AppState.filterEngine.removeFilter(path);
     updateFiltersListUI();
     showStatus('Filter removed');
 }
@@ -5336,21 +11524,36 @@ function removeSortRule(index) {
 function handleAddGroup() {
     console.log('Add group clicked');
     try {
-        const field = document.getElementById('groupField')?.value;
+        const groupBy = document.getElementById('groupBy')?.value || 'value';
+        const field = groupBy === 'formula'
+            ? document.getElementById('groupFormulaName')?.value.trim()
+            : document.getElementById('groupField')?.value;
         const direction = document.getElementById('groupDirection')?.value || 'asc';
         
         if (!field) {
-            showError('Please select a field');
+            showError(groupBy === 'formula' ? 'Please enter a level name' : 'Please select a field');
             return;
         }
         
-        AppState.groupingEngine.addGroupLevel(field, direction);
+        AppState.groupingEngine.addGroupLevel(field, direction, readGroupBucket(groupBy));
+        
+        // Optional header design of the new level
+        const prototypeInput = document.getElementById('groupHeaderPrototype');
+        const masterInput = document.getElementById('groupHeaderMaster');
+        AppState.groupingEngine.setLevelHeader(AppState.groupingEngine.groupLevels.length - 1, {
+            prototype: prototypeInput?.value || '',
+            master: masterInput?.value || ''
+        });
         
         // Update UI
         updateGroupLevelsListUI();
         
         // Clear selection
         document.getElementById('groupField').value = '';
+        document.getElementById('groupFormulaName').value = '';
+        document.getElementById('groupFormula').value = '';
+        if (prototypeInput) prototypeInput.value = '';
+        if (masterInput) masterInput.value = '';
         
         showSuccess('Group level added');
     } catch (error) {
@@ -5359,6 +11562,42 @@ function handleAddGroup() {
     }
 }
 
+/**
+ * Bucket of a new group level from the Group By settings, null for exact values
+ */
+function readGroupBucket(groupBy) {
+    const includeEmpty = document.getElementById('groupIncludeEmpty')?.checked || false;
+    
+    switch (groupBy) {
+        case 'value':
+            return null;
+        case 'range': {
+            const text = document.getElementById('groupRangeBounds')?.value || '';
+            const bounds = text.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+            const formatter = document.getElementById('groupRangeFormatter')?.value || '';
+            return { type: 'range', bounds, ...(formatter && { formatter }), includeEmpty };
+        }
+        case 'letter':
+            return { type: 'letter', includeEmpty };
+        case 'formula':
+            return { type: 'formula', expression: document.getElementById('groupFormula')?.value.trim() || '' };
+        default:
+            return { type: 'date', unit: groupBy, includeEmpty };
+    }
+}
+
+function handleGroupByChange() {
+    const groupBy = document.getElementById('groupBy')?.value || 'value';
+    const show = (id, visible) => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = visible ? '' : 'none';
+    };
+    show('groupRangeSettings', groupBy === 'range');
+    show('groupFormulaSettings', groupBy === 'formula');
+    show('groupField', groupBy !== 'formula');
+    show('groupIncludeEmptyLabel', groupBy !== 'value' && groupBy !== 'formula');
+}
+
 function handleApplyGrouping() {
     console.log('Apply grouping clicked');
     try {
@@ -5367,19 +11606,34 @@ function handleApplyGrouping() {
             return;
         }
         
-        const options = {
+        if (AppState.groupingEngine.groupLevels.length === 0) {
+            showError('Please add a group level first');
+            return;
+        }
+        
+        const headerStyle = document.getElementById('groupHeaderStyle')?.value || 'heading1';
+        const customHeaderStyle = document.getElementById('groupCustomStyle')?.value.trim() || '';
+        if (headerStyle === 'custom' && !customHeaderStyle) {
+            showError('Please enter the name of a paragraph style');
+            return;
+        }
+        
+        AppState.groupingEngine.setOptions({
             showHeaders: document.getElementById('showGroupHeaders')?.checked ?? true,
+            showFooters: document.getElementById('showGroupFooters')?.checked ?? false,
             showItemCount: document.getElementById('showItemCount')?.checked ?? true,
             pageBreakPerGroup: document.getElementById('pageBreakPerGroup')?.checked ?? false,
-            headerStyle: document.getElementById('groupHeaderStyle')?.value || 'heading1',
-            separator: document.getElementById('groupSeparator')?.value || 'line'
-        };
+            headerStyle,
+            customHeaderStyle,
+            separatorType: document.getElementById('groupSeparator')?.value || 'line'
+        });
         
-        const dataToGroup = AppState.filteredData || AppState.data.records;
-        const grouped = AppState.groupingEngine.groupData(dataToGroup, options);
+        // Formula fields first, so footer totals can aggregate them
+        const dataToGroup = prepareGenerationRecords();
+        const grouped = AppState.groupingEngine.groupRecords(dataToGroup);
         AppState.groupedData = grouped;
         
-        showSuccess(`Data grouped into ${grouped.groups.length} groups`);
+        showSuccess(`Data grouped into ${grouped.groups.length} groups - headers are placed when the catalog is generated`);
     } catch (error) {
         console.error('Apply grouping error:', error);
         showError('Failed to apply grouping: ' + error.message);
@@ -5404,20 +11658,98 @@ function updateGroupLevelsListUI() {
     levels.forEach((level, index) => {
         const item = document.createElement('div');
         item.className = 'group-level-item';
+        const header = level.header
+            ? ` - header: ${[level.header.prototype && `frame "${level.header.prototype}"`, level.header.master && `master "${level.header.master}"`].filter(Boolean).join(', ')}`
+            : '';
         item.innerHTML = `
-            Level ${index + 1}: ${level.field} (${level.direction})
+            Level ${index + 1}: ${level.field}${describeGroupBucket(level.bucket)} (${level.sortDirection})${header}
             <button class="btn-remove" onclick="removeGroupLevel(${index})">×</button>
         `;
         container.appendChild(item);
     });
 }
 
+function describeGroupBucket(bucket) {
+    if (!bucket) return '';
+    switch (bucket.type) {
+        case 'range':
+            return ` by ranges ${bucket.bounds.join(', ')}`;
+        case 'date':
+            return ` by ${bucket.unit}`;
+        case 'letter':
+            return ' by first letter';
+        case 'formula':
+            return ` = ${bucket.expression}`;
+        default:
+            return '';
+    }
+}
+
 function removeGroupLevel(index) {
     AppState.groupingEngine.removeGroupLevel(index);
     updateGroupLevelsListUI();
     showStatus('Group level removed');
 }
 
+function handleGroupHeaderStyleChange() {
+    const custom = document.getElementById('groupCustomStyle');
+    if (custom) {
+        custom.style.display = document.getElementById('groupHeaderStyle')?.value === 'custom' ? '' : 'none';
+    }
+}
+
+function handleAddAggregation() {
+    try {
+        const field = document.getElementById('aggregationField')?.value;
+        const fn = document.getElementById('aggregationFunction')?.value || 'sum';
+        const formatter = document.getElementById('aggregationFormatter')?.value || '';
+        const template = document.getElementById('aggregationTemplate')?.value.trim() || '';
+        
+        if (!field) {
+            showError('Please select a field');
+            return;
+        }
+        
+        AppState.groupingEngine.addAggregation(field, fn, { formatter, template });
+        updateAggregationsListUI();
+        document.getElementById('aggregationField').value = '';
+        document.getElementById('aggregationTemplate').value = '';
+        
+        // Footers are where totals show up
+        const footers = document.getElementById('showGroupFooters');
+        if (footers) footers.checked = true;
+        
+        showSuccess('Footer total added');
+    } catch (error) {
+        console.error('Add aggregation error:', error);
+        showError('Failed to add total: ' + error.message);
+    }
+}
+
+function updateAggregationsListUI() {
+    const container = document.getElementById('groupAggregationsList');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    AppState.groupingEngine.aggregations.forEach((aggregation, index) => {
+        const label = AggregationFunctions.find(f => f.value === aggregation.function)?.label || aggregation.function;
+        const details = [aggregation.formatter, aggregation.template && `"${aggregation.template}"`].filter(Boolean).join(', ');
+        const item = document.createElement('div');
+        item.className = 'group-level-item';
+        item.innerHTML = `
+            ${label} of ${aggregation.field}${details ? ` (${details})` : ''}
+            <button class="btn-remove" onclick="removeAggregation(${index})">×</button>
+        `;
+        container.appendChild(item);
+    });
+}
+
+function removeAggregation(index) {
+    AppState.groupingEngine.removeAggregation(index);
+    updateAggregationsListUI();
+    showStatus('Footer total removed');
+}
+
 function handleAddReference() {
     console.log('Add reference clicked');
     try {
@@ -5703,11 +12035,16 @@ function setupEventHandlers() {
     // Generate Tab
     addHandler('generateBtn', 'click', handleGenerateCatalog);
     addHandler('updateBtn', 'click', handleUpdateCatalog);
+    addHandler('previewUpdateBtn', 'click', handlePreviewUpdate);
+    addHandler('compareVersionBtn', 'click', handleCompareVersion);
+    addHandler('revertVersionBtn', 'click', handleRevertVersion);
     
     // Settings Tab
     addHandler('browseImagePathBtn', 'click', handleBrowseImagePath);
     addHandler('saveSettingsBtn', 'click', handleSaveSettings);
     addHandler('resetSettingsBtn', 'click', handleResetSettings);
+    addHandler('browseFunctionPackBtn', 'click', handleBrowseFunctionPackFolder);
+    addHandler('reloadFunctionPacksBtn', 'click', handleReloadFunctionPacks);
     addHandler('clearCacheBtn', 'click', handleClearCache);
     addHandler('exportLogsBtn', 'click', handleExportLogs);
     
@@ -5715,11 +12052,24 @@ function setupEventHandlers() {
     addHandler('testFormulaBtn', 'click', handleTestFormula);
     addHandler('addFormulaBtn', 'click', handleAddFormula);
     addHandler('clearFormulaBtn', 'click', handleClearFormula);
+    addHandler('checkFormulasBtn', 'click', handleCheckFormulas);
     addHandler('formulaTemplates', 'change', handleFormulaTemplateChange);
+    addHandler('formulaExpression', 'input', handleFormulaInput);
+    addHandler('addLookupTableBtn', 'click', handleAddLookupTable);
+    renderFunctionList();
+    updateLookupTablesUI();
     
     // Advanced Tab - Filtering
     addHandler('addFilterBtn', 'click', handleAddFilter);
+    addHandler('filterOperator', 'change', handleFilterOperatorChange);
+    addHandler('filterCompareField', 'change', handleFilterOperatorChange);
+    addHandler('filterField', 'change', updateFilterValueHistogram);
+    ['filterField', 'filterOperator', 'filterCompareField'].forEach(id => addHandler(id, 'change', schedulePendingFilterPreview));
+    ['filterValue', 'filterFormula'].forEach(id => addHandler(id, 'input', schedulePendingFilterPreview));
+    addHandler('filterDateFormat', 'change', handleFilterDateFormatChange);
+    addHandler('filterSeasons', 'change', handleFilterSeasonsChange);
     addHandler('addSortBtn', 'click', handleAddSort);
+    addHandler('sortType', 'change', handleSortTypeChange);
     addHandler('applyFiltersBtn', 'click', handleApplyFilters);
     addHandler('clearFiltersBtn', 'click', handleClearFilters);
     addHandler('saveFilterPresetBtn', 'click', handleSaveFilterPreset);
@@ -5727,7 +12077,10 @@ function setupEventHandlers() {
     
     // Advanced Tab - Grouping
     addHandler('addGroupBtn', 'click', handleAddGroup);
+    addHandler('groupBy', 'change', handleGroupByChange);
     addHandler('applyGroupingBtn', 'click', handleApplyGrouping);
+    addHandler('groupHeaderStyle', 'change', handleGroupHeaderStyleChange);
+    addHandler('addAggregationBtn', 'click', handleAddAggregation);
     addHandler('clearGroupingBtn', 'click', handleClearGrouping);
     
     // Advanced Tab - Cross-References
@@ -5771,6 +12124,16 @@ function loadSettings() {
             if (document.getElementById('batchSize')) {
                 document.getElementById('batchSize').value = AppState.settings.batchSize;
             }
+            if (document.getElementById('historyVersions')) {
+                document.getElementById('historyVersions').value = AppState.settings.historyVersions;
+            }
+            AppState.updateEngine.setHistoryRetention({ maxVersions: AppState.settings.historyVersions });
+            if (document.getElementById('functionPackFolder')) {
+                document.getElementById('functionPackFolder').value = AppState.settings.functionPackFolder || '';
+            }
+            if (AppState.settings.functionPackFolder) {
+                loadFunctionPacks(AppState.settings.functionPackFolder);
+            }
             if (document.getElementById('enableLogging')) {
                 document.getElementById('enableLogging').checked = AppState.settings.enableLogging;
             }
@@ -5782,6 +12145,179 @@ function loadSettings() {
     }
 }
 
+/**
+ * Restore the catalog project linked to the active document
+ *
+ * Brings back the mappings, template, formulas and filters, and re-imports
+ * the source file when it is still reachable. The stored snapshot holds the
+ * filtered, formula-enriched records, so it is never used as source data.
+ */
+async function restoreProjectState() {
+    try {
+        // Window activation also fires for the document already shown
+        const doc = getActiveDocument();
+        const documentId = doc ? doc.id : null;
+        if (documentId === AppState.documentId) {
+            return false;
+        }
+        AppState.documentId = documentId;
+        
+        const wasLinked = AppState.updateEngine.isLinked();
+        const link = AppState.updateEngine.restoreLink(doc);
+        if (!link) {
+            // Don't carry another catalog's project over to an unlinked document
+            if (wasLinked) resetProjectState();
+            return false;
+        }
+        
+        AppState.data = null;
+        AppState.filteredData = null;
+        AppState.groupedData = null;
+        AppState.mappings = link.mappings || [];
+        AppState.template = link.template;
+        AppState.importSource = link.source;
+        
+        // Formulas and grouping belong to the document: never keep another catalog's
+        AppState.formulaEngine.reset();
+        if (link.formulas) {
+            AppState.formulaEngine.importFormulas(link.formulas);
+        }
+        updateFormulasListUI();
+        updateLookupTablesUI();
+        
+        AppState.groupingEngine.reset();
+        if (link.grouping) {
+            AppState.groupingEngine.importConfig(link.grouping);
+        }
+        updateGroupLevelsListUI();
+        updateAggregationsListUI();
+        
+        if (link.filters) {
+            AppState.filterEngine.importConfig(link.filters);
+            syncGroupingDateSettings();
+            updateFiltersListUI();
+            updateFilterDateSettingsUI();
+            updateSortRulesListUI();
+        }
+        
+        const keyFieldEl = document.getElementById('updateKeyField');
+        if (keyFieldEl && link.keyField) keyFieldEl.value = link.keyField;
+        updateHistoryUI();
+        
+        const reloaded = link.source ? await reopenSourceFile(link.source) : false;
+        if (reloaded && link.filters?.applied) {
+            AppState.filteredData = AppState.filterEngine.apply(AppState.data.records);
+        }
+        
+        const summary = `Restored catalog project (version ${link.version}, ${link.data?.records?.length || 0} records)`;
+        showStatus(reloaded ? summary : `${summary} - select the source file again to update it`);
+        return true;
+    } catch (error) {
+        console.error('Restore project error:', error);
+        showError('Failed to restore catalog project: ' + error.message);
+        return false;
+    }
+}
+
+/**
+ * Reselect the linked source file and import it again
+ *
+ * Returns true when the file was found and its records are in AppState.data.
+ */
+async function reopenSourceFile(source) {
+    const selectedFileEl = document.getElementById('selectedFile');
+    if (selectedFileEl) {
+        selectedFileEl.textContent = source.name;
+    }
+    
+    // Put the import options back into the Import tab
+    const typeEl = document.getElementById('dataSourceType');
+    if (typeEl && source.type) {
+        typeEl.value = source.type;
+        handleDataSourceTypeChange({ target: typeEl });
+    }
+    const options = source.options || {};
+    const controls = source.type === 'excel'
+        ? { excelHeaderRow: options.headerRow, excelHeader: options.hasHeader, excelFillMerged: options.fillMerged }
+        : { csvDelimiter: options.delimiter, csvHeader: options.hasHeader, csvEncoding: options.encoding };
+    Object.entries(controls).forEach(([id, value]) => {
+        const el = document.getElementById(id);
+        if (!el || value === undefined) return;
+        if (el.type === 'checkbox') el.checked = value;
+        else el.value = value;
+    });
+    
+    if (!source.path) return false;
+    
+    try {
+        const fs = require('uxp').storage.localFileSystem;
+        AppState.currentFile = await fs.getEntryWithUrl('file:' + source.path);
+        
+        if (source.type === 'excel') {
+            await updateExcelSheetOptions(AppState.currentFile);
+            const sheetEl = document.getElementById('excelSheet');
+            if (sheetEl && typeof options.sheet === 'string') sheetEl.value = options.sheet;
+        }
+        
+        const importBtn = document.getElementById('importBtn');
+        if (importBtn) importBtn.disabled = false;
+    } catch (error) {
+        console.warn('Linked source file not reachable:', source.path, error.message);
+        if (selectedFileEl) selectedFileEl.textContent = `${source.name} (not found - select it again)`;
+        return false;
+    }
+    
+    try {
+        const data = source.type === 'excel'
+            ? await AppState.dataImporter.importExcel(AppState.currentFile, options)
+            : await AppState.dataImporter.importCSV(AppState.currentFile, options);
+        AppState.data = data;
+        displayDataPreview(data);
+        updateSourceFields(data.fields);
+        updateAdvancedFieldDropdowns(data.fields);
+        return true;
+    } catch (error) {
+        console.warn('Linked source file could not be imported:', source.path, error.message);
+        return false;
+    }
+}
+
+/**
+ * Drop the project state restored from a previously active catalog document
+ */
+function resetProjectState() {
+    AppState.data = null;
+    AppState.filteredData = null;
+    AppState.groupedData = null;
+    AppState.mappings = [];
+    AppState.template = null;
+    AppState.importSource = null;
+    AppState.currentFile = null;
+    
+    AppState.filterEngine.clearFilters();
+    AppState.filterEngine.clearSortRules();
+    AppState.formulaEngine.reset();
+    AppState.groupingEngine.reset();
+    updateFiltersListUI();
+    updateSortRulesListUI();
+    updateFormulasListUI();
+    updateLookupTablesUI();
+    updateGroupLevelsListUI();
+    updateAggregationsListUI();
+    updateHistoryUI();
+    
+    const statsEl = document.getElementById('filterStatsText');
+    if (statsEl) statsEl.textContent = 'No filters applied';
+    const selectedFileEl = document.getElementById('selectedFile');
+    if (selectedFileEl) selectedFileEl.textContent = 'No file selected';
+    const previewPanel = document.getElementById('dataPreview');
+    if (previewPanel) previewPanel.style.display = 'none';
+    const importBtn = document.getElementById('importBtn');
+    if (importBtn) importBtn.disabled = true;
+    
+    showStatus('No catalog project linked to this document');
+}
+
 /**
  * Initialize the plugin
  */
@@ -5796,6 +12332,14 @@ function initialize() {
         setupTabs();
         setupEventHandlers();
         
+        // Restore the project linked to the open document, and follow document switches
+        restoreProjectState();
+        try {
+            require('indesign').app.addEventListener('afterActivate', () => restoreProjectState());
+        } catch (error) {
+            console.warn('Document activation events unavailable:', error.message);
+        }
+        
         console.log('=== PLUGIN INITIALIZED SUCCESSFULLY ===');
         showStatus('Ready');
         
@@ -3,7 +3,7 @@
  * Handles importing data from various file formats (CSV, Excel, JSON, XML)
  */
 
-import { Logger, validateFileExtension, parseCSVLine, detectDataType } from './utils.js';
+import { Logger, validateFileExtension, CSVParser, sniffDelimiter, TextChunkDecoder, detectDataType } from './utils.js';
 
 const logger = new Logger('DataImporter');
 
@@ -89,49 +89,78 @@ export default class DataImporter {
 
     /**
      * Import CSV file
+     * @param {Object} options - { delimiter: character or 'auto', hasHeader, encoding }
      */
     async importCSV(file, options = {}) {
         try {
             logger.info('Importing CSV file');
             
-            const delimiter = options.delimiter || ',';
             const hasHeader = options.hasHeader !== false;
             const encoding = options.encoding || 'utf-8';
             
-            // Read file content
-            const content = await file.read({ format: require('uxp').storage.formats.utf8 });
+            // Read raw bytes so the chosen encoding can be honoured
+            const buffer = await file.read({ format: require('uxp').storage.formats.binary });
+            const bytes = new Uint8Array(buffer);
             
-            // Split into lines
-            const lines = content.split(/\r?\n/).filter(line => line.trim());
+            // Bytes are decoded a chunk at a time as the parser needs them,
+            // so the file is never held as one string
+            const chunkSize = 64 * 1024;
+            const decoder = new TextChunkDecoder(encoding);
+            const readChunk = offset => decoder.decode(bytes.subarray(offset, offset + chunkSize), offset + chunkSize >= bytes.length);
+            const firstChunk = readChunk(0);
             
-            if (lines.length === 0) {
-                throw new Error('File is empty');
+            let delimiter = options.delimiter || 'auto';
+            if (delimiter === '\\t') {
+                delimiter = '\t';
+            }
+            if (delimiter === 'auto') {
+                delimiter = sniffDelimiter(firstChunk);
+                logger.info(`Detected delimiter: ${JSON.stringify(delimiter)}`);
             }
             
-            // Parse header
-            const headerLine = lines[0];
-            const headers = hasHeader 
-                ? parseCSVLine(headerLine, delimiter)
-                : Array.from({ length: parseCSVLine(headerLine, delimiter).length }, (_, i) => `Column${i + 1}`);
-            
-            // Parse records
+            let headers = null;
             const records = [];
-            const startIndex = hasHeader ? 1 : 0;
+            const rowErrors = [];
+            
+            const parser = new CSVParser({
+                delimiter,
+                onRow: (values, line) => {
+                    if (!headers) {
+                        headers = hasHeader
+                            ? this.normalizeHeaders(values, values.length)
+                            : values.map((_, index) => `Column${index + 1}`);
+                        if (hasHeader) return;
+                    }
+                    
+                    if (values.length !== headers.length) {
+                        rowErrors.push({
+                            row: records.length + (hasHeader ? 2 : 1),
+                            line,
+                            message: `Expected ${headers.length} fields but found ${values.length}`
+                        });
+                    }
+                    
+                    const record = {};
+                    headers.forEach((header, index) => {
+                        record[header] = values[index] || '';
+                    });
+                    records.push(record);
+                }
+            });
             
-            for (let i = startIndex; i < lines.length; i++) {
-                const line = lines[i];
-                if (!line.trim()) continue;
-                
-                const values = parseCSVLine(line, delimiter);
-                const record = {};
-                
-                headers.forEach((header, index) => {
-                    record[header] = values[index] || '';
-                });
-                
-                records.push(record);
+            parser.push(firstChunk);
+            for (let offset = chunkSize; offset < bytes.length; offset += chunkSize) {
+                parser.push(readChunk(offset));
+            }
+            const { errors } = parser.end();
+            
+            if (!headers) {
+                throw new Error('File is empty');
             }
             
+            const allErrors = [...errors, ...rowErrors].sort((a, b) => a.line - b.line);
+            allErrors.forEach(error => logger.warn(`CSV line ${error.line}: ${error.message}`));
+            
             // Detect data types
             const fieldTypes = this.detectFieldTypes(records, headers);
             
@@ -142,6 +171,7 @@ export default class DataImporter {
                 fields: headers,
                 fieldTypes: fieldTypes,
                 records: records,
+                errors: allErrors,
                 metadata: {
                     filename: file.name,
                     recordCount: records.length,
@@ -156,27 +186,180 @@ export default class DataImporter {
         }
     }
 
+    /**
+     * Get the SheetJS library
+     * index.html loads it from src/vendor before the plugin; UXP's require
+     * does not search node_modules.
+     */
+    getSheetJS() {
+        if (typeof XLSX !== 'undefined' && XLSX.read) {
+            return XLSX;
+        }
+        throw new Error('SheetJS is not loaded - src/vendor/xlsx.full.min.js is missing from the plugin');
+    }
+
+    /**
+     * Read an Excel workbook from file
+     */
+    async readWorkbook(file, parseOptions = {}) {
+        const buffer = await file.read({ format: require('uxp').storage.formats.binary });
+        return this.getSheetJS().read(new Uint8Array(buffer), { type: 'array', ...parseOptions });
+    }
+
+    /**
+     * Get the sheet names of an Excel file
+     */
+    async getExcelSheetNames(file) {
+        try {
+            const workbook = await this.readWorkbook(file, { bookSheets: true });
+            return workbook.SheetNames;
+        } catch (error) {
+            logger.error('Failed to read Excel sheet names:', error);
+            throw new Error('Failed to read Excel file: ' + error.message);
+        }
+    }
+
     /**
      * Import Excel file
+     * @param {Object} options - { sheet: name or index, headerRow: 1-based row of the header, hasHeader, fillMerged }
      */
     async importExcel(file, options = {}) {
         try {
             logger.info('Importing Excel file');
             
-            // Read file as binary
-            const arrayBuffer = await file.read({ format: require('uxp').storage.formats.binary });
+            const XLSX = this.getSheetJS();
+            const hasHeader = options.hasHeader !== false;
+            const headerRow = Math.max(parseInt(options.headerRow, 10) || 1, 1);
+            
+            // Keep dates as Date objects; numbers stay numbers with raw values
+            const workbook = await this.readWorkbook(file, { cellDates: true });
+            const sheetName = this.resolveSheetName(workbook, options.sheet);
+            const sheet = workbook.Sheets[sheetName];
+            
+            if (!sheet || !sheet['!ref']) {
+                throw new Error(`Sheet "${sheetName}" is empty`);
+            }
             
-            // Parse using a library (would need to bundle XLSX library)
-            // For now, we'll use a simplified approach
-            logger.warn('Excel import requires XLSX library - falling back to CSV-like parsing');
+            if (options.fillMerged !== false) {
+                this.fillMergedCells(sheet, XLSX);
+            }
             
-            // This is a placeholder - in production, use SheetJS (xlsx) library
-            throw new Error('Excel import not fully implemented - please export as CSV');
+            const rows = XLSX.utils.sheet_to_json(sheet, {
+                header: 1,
+                range: headerRow - 1,
+                raw: true,
+                defval: '',
+                blankrows: false
+            });
             
+            if (rows.length === 0) {
+                throw new Error('No rows found below the header row');
+            }
+            
+            // reduce rather than Math.max(...widths), which overflows the stack on big sheets
+            const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+            const headers = this.normalizeHeaders(hasHeader ? rows[0] : [], width);
+            const dataRows = hasHeader ? rows.slice(1) : rows;
+            
+            const records = dataRows.map(row => {
+                const record = {};
+                headers.forEach((header, index) => {
+                    const value = row[index];
+                    record[header] = value === undefined ? '' : value;
+                });
+                return record;
+            });
+            
+            // Detect data types
+            const fieldTypes = this.detectFieldTypes(records, headers);
+            
+            logger.info(`Imported ${records.length} records with ${headers.length} fields from sheet "${sheetName}"`);
+            
+            return {
+                type: 'excel',
+                fields: headers,
+                fieldTypes: fieldTypes,
+                records: records,
+                metadata: {
+                    filename: file.name,
+                    recordCount: records.length,
+                    fieldCount: headers.length,
+                    sheet: sheetName,
+                    sheetNames: workbook.SheetNames,
+                    headerRow: headerRow
+                }
+            };
         } catch (error) {
             logger.error('Excel import failed:', error);
-            throw error;
+            throw new Error('Failed to import Excel: ' + error.message);
+        }
+    }
+
+    /**
+     * Resolve a sheet option (name or index) to a sheet name
+     */
+    resolveSheetName(workbook, sheet) {
+        if (sheet === undefined || sheet === null || sheet === '') {
+            return workbook.SheetNames[0];
         }
+        
+        if (workbook.SheetNames.includes(String(sheet))) {
+            return String(sheet);
+        }
+        
+        const index = parseInt(sheet, 10);
+        if (!isNaN(index) && workbook.SheetNames[index]) {
+            return workbook.SheetNames[index];
+        }
+        
+        throw new Error(`Sheet not found: ${sheet}`);
+    }
+
+    /**
+     * Copy the value of each merged range's top-left cell into the whole range
+     */
+    fillMergedCells(sheet, XLSX) {
+        const merges = sheet['!merges'] || [];
+        
+        merges.forEach(merge => {
+            const source = sheet[XLSX.utils.encode_cell(merge.s)];
+            if (!source) return;
+            
+            for (let r = merge.s.r; r <= merge.e.r; r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    // Covered cells are hidden in Excel, so any stub value is overwritten
+                    if (r !== merge.s.r || c !== merge.s.c) {
+                        sheet[XLSX.utils.encode_cell({ r, c })] = { ...source };
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Turn a header row into unique, non-empty field names
+     */
+    normalizeHeaders(headerCells, width) {
+        const used = {};
+        const headers = [];
+        
+        for (let i = 0; i < width; i++) {
+            const cell = headerCells[i];
+            let name = cell === undefined || cell === null || String(cell).trim() === ''
+                ? `Column${i + 1}`
+                : String(cell).trim();
+            
+            if (used[name]) {
+                used[name]++;
+                name = `${name}_${used[name]}`;
+            } else {
+                used[name] = 1;
+            }
+            
+            headers.push(name);
+        }
+        
+        return headers;
     }
 
     /**
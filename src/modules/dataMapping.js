@@ -109,9 +109,9 @@ export default class DataMapper {
     /**
      * Save mappings to file
      */
-    async saveMapping(mappings) {
+    async saveMappingToFile(mappings) {
         try {
-            logger.info('Saving mappings');
+            logger.info('Saving mappings to file');
             
             const fs = require('uxp').storage.localFileSystem;
             const file = await fs.getFileForSaving('mappings.json', {
@@ -121,13 +121,13 @@ export default class DataMapper {
             if (file) {
                 const data = JSON.stringify(mappings, null, 2);
                 await file.write(data, { format: require('uxp').storage.formats.utf8 });
-                logger.info('Mappings saved successfully');
+                logger.info('Mappings saved successfully to file');
                 return true;
             }
             
             return false;
         } catch (error) {
-            logger.error('Failed to save mappings:', error);
+            logger.error('Failed to save mappings to file:', error);
             throw error;
         }
     }
@@ -135,9 +135,9 @@ export default class DataMapper {
     /**
      * Load mappings from file
      */
-    async loadMapping() {
+    async loadMappingFromFile() {
         try {
-            logger.info('Loading mappings');
+            logger.info('Loading mappings from file');
             
             const fs = require('uxp').storage.localFileSystem;
             const file = await fs.getFileForOpening({
@@ -148,13 +148,104 @@ export default class DataMapper {
                 const content = await file.read({ format: require('uxp').storage.formats.utf8 });
                 const mappings = JSON.parse(content);
                 
-                logger.info(`Loaded ${mappings.length} mappings`);
+                logger.info(`Loaded ${mappings.length} mappings from file`);
                 return mappings;
             }
             
             return null;
         } catch (error) {
-            logger.error('Failed to load mappings:', error);
+            logger.error('Failed to load mappings from file:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all saved mappings from localStorage
+     */
+    getSavedMappings() {
+        try {
+            const saved = localStorage.getItem('catalogBuilderMappings');
+            if (saved) {
+                const mappings = JSON.parse(saved);
+                // Validate that the result is an array
+                if (Array.isArray(mappings)) {
+                    logger.info(`Retrieved ${mappings.length} saved mappings`);
+                    return mappings;
+                } else {
+                    logger.warn('Saved mappings data is not an array, returning empty array');
+                    return [];
+                }
+            }
+            return [];
+        } catch (error) {
+            logger.error('Failed to get saved mappings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save mapping configuration to localStorage by name
+     */
+    saveMapping(name, mappingData) {
+        try {
+            const savedMappings = this.getSavedMappings();
+            
+            // Ensure mappingData has the name property
+            const dataToSave = { ...mappingData, name };
+            
+            // Check if mapping with this name already exists
+            const existingIndex = savedMappings.findIndex(m => m.name === name);
+            if (existingIndex !== -1) {
+                // Update existing
+                savedMappings[existingIndex] = dataToSave;
+            } else {
+                // Add new
+                savedMappings.push(dataToSave);
+            }
+            
+            localStorage.setItem('catalogBuilderMappings', JSON.stringify(savedMappings));
+            logger.info(`Mapping "${name}" saved to localStorage`);
+            return true;
+        } catch (error) {
+            logger.error('Failed to save mapping:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load mapping configuration from localStorage by name
+     */
+    loadMapping(name) {
+        try {
+            const savedMappings = this.getSavedMappings();
+            const mapping = savedMappings.find(m => m.name === name);
+            
+            if (mapping) {
+                logger.info(`Loaded mapping "${name}" from localStorage`);
+                return mapping;
+            }
+            
+            logger.info(`Mapping "${name}" not found`);
+            return null;
+        } catch (error) {
+            logger.error('Failed to load mapping:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a saved mapping by name
+     */
+    deleteMapping(name) {
+        try {
+            const savedMappings = this.getSavedMappings();
+            const filtered = savedMappings.filter(m => m.name !== name);
+            
+            localStorage.setItem('catalogBuilderMappings', JSON.stringify(filtered));
+            logger.info(`Mapping "${name}" deleted from localStorage`);
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete mapping:', error);
             throw error;
         }
     }
@@ -215,12 +306,17 @@ export default class DataMapper {
 
     /**
      * Apply formatter to value
+     * 'currency:EUR' formats in the given ISO currency.
      */
     applyFormatter(value, formatter) {
         if (typeof formatter === 'function') {
             return formatter(value);
         }
         
+        if (typeof formatter === 'string' && formatter.startsWith('currency:')) {
+            return this.formatCurrency(value, formatter.slice('currency:'.length));
+        }
+        
         // Built-in formatters
         switch (formatter) {
             case 'currency':
@@ -236,10 +332,18 @@ export default class DataMapper {
 
     /**
      * Format as currency
+     * Without a currency code the amount keeps the plain $0.00 form.
      */
-    formatCurrency(value) {
+    formatCurrency(value, currency = null) {
         const num = parseFloat(value);
         if (isNaN(num)) return value;
+        if (currency) {
+            try {
+                return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(num);
+            } catch (error) {
+                logger.warn(`Unknown currency ${currency}`);
+            }
+        }
         return `$${num.toFixed(2)}`;
     }
 
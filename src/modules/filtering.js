@@ -3,29 +3,137 @@
  * Comprehensive data filtering and sorting capabilities
  */
 
-import { Logger } from './utils.js';
+import { Logger, parseDate, tokenizeText, editDistance } from './utils.js';
 
 const logger = new Logger('Filtering');
 
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Operators that take no comparison value
+const VALUELESS_OPERATORS = ['isEmpty', 'isNotEmpty', 'isTrue', 'isFalse', 'thisMonth', 'thisSeason', 'thisYear'];
+
+// Operators whose value names a field rather than holding a value
+const FIELD_OPERATORS = ['beforeField', 'afterField'];
+
+/**
+ * Sort rule types
+ * natural orders "Item 2" before "Item 10"; locale uses the collation of
+ * the rule's language; custom follows the rule's order list (e.g. S, M, L, XL).
+ */
+export const SortTypes = ['auto', 'string', 'number', 'date', 'natural', 'locale', 'custom', 'relevance'];
+
+// Condition results kept for the live preview
+const PREVIEW_CACHE_SIZE = 100;
+
+// Score of a search term found as a whole word, as the start of a word, or with typos
+const SEARCH_SCORES = { exact: 1, prefix: 0.8, typo: [0.6, 0.4] };
+
+/**
+ * Season calendars for the thisSeason operator and season buckets
+ * Each season runs from its start (month 1-12, day) to the next one's.
+ */
+export const SeasonPresets = {
+    meteorological: [
+        { name: 'Spring', month: 3, day: 1 },
+        { name: 'Summer', month: 6, day: 1 },
+        { name: 'Autumn', month: 9, day: 1 },
+        { name: 'Winter', month: 12, day: 1 }
+    ],
+    retail: [
+        { name: 'Spring/Summer', month: 2, day: 1 },
+        { name: 'Autumn/Winter', month: 8, day: 1 }
+    ]
+};
+
+/**
+ * Validate a season calendar and sort it by start date
+ * @param {string|Array} seasons - Name of a SeasonPresets entry, or [{ name, month, day }]
+ */
+export function normalizeSeasons(seasons) {
+    const list = typeof seasons === 'string' ? SeasonPresets[seasons] : seasons;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Unknown seasons: ${seasons}`);
+    }
+    list.forEach(season => {
+        if (!(season.month >= 1 && season.month <= 12 && season.day >= 1 && season.day <= 31)) {
+            throw new Error(`Invalid season start: ${season.name}`);
+        }
+    });
+    return [...list].sort((a, b) => a.month - b.month || a.day - b.day);
+}
+
+/**
+ * Create a filter group
+ * Groups hold conditions ({ field, operator, value }) and other groups,
+ * combined with AND or OR; negate inverts the result (NOT).
+ */
+export function createFilterGroup(logic = 'AND', conditions = [], negate = false) {
+    return { type: 'group', logic, negate, conditions };
+}
+
+export function isFilterGroup(node) {
+    return Boolean(node) && node.type === 'group';
+}
+
 /**
  * Filter and Sort Engine Class
+ *
+ * Filters form a tree under this.filterTree. Nodes are addressed by paths of
+ * child indexes joined with dots: '' is the root group, '1.0' the first
+ * node of the root's second child.
+ *
+ * A condition compares a field to its value, or to another field of the
+ * same record when it has a valueField. The 'formula' operator keeps the
+ * records its FormulaEngine expression is TRUE for, and 'search' keeps
+ * records whose text fields contain the words of its value. Search
+ * conditions score the records they match; a 'relevance' sort rule orders
+ * by that score.
+ *
+ * Locale sorting uses the LocalizationEngine's collator when one is given.
  */
 export default class FilterEngine {
-    constructor() {
-        this.filters = [];
+    constructor(formulaEngine = null, localizationEngine = null) {
+        this.formulaEngine = formulaEngine;
+        this.localizationEngine = localizationEngine;
+        this.formulaFailures = 0;
+        this.relevance = new WeakMap();
+        this.previewCache = { records: null, masks: new Map() };
+        this.filterTree = createFilterGroup();
         this.sortRules = [];
         this.presets = [];
+        this.dateFormat = 'auto';
+        this.seasons = SeasonPresets.meteorological;
+    }
+
+    /**
+     * Set how date values of the data are read
+     * @param {string} format - 'auto' or a pattern such as 'DD/MM/YYYY' (see parseDate)
+     */
+    setDateFormat(format) {
+        this.dateFormat = format || 'auto';
+        this.clearPreviewCache();
+        logger.info(`Date format: ${this.dateFormat}`);
+    }
+
+    /**
+     * Set the season calendar of the thisSeason operator
+     * @param {string|Array} seasons - Name of a SeasonPresets entry, or [{ name, month, day }]
+     */
+    setSeasons(seasons) {
+        this.seasons = normalizeSeasons(seasons);
+        this.clearPreviewCache();
     }
 
     /**
      * Add a filter condition
      * @param {object} filter - Filter configuration
+     * @param {string} groupPath - Group to add it to (root by default)
      */
-    addFilter(filter) {
+    addFilter(filter, groupPath = '') {
         try {
             this.validateFilter(filter);
-            this.filters.push(filter);
-            logger.info(`Filter added: ${filter.field} ${filter.operator} ${filter.value}`);
+            this._getGroup(groupPath).conditions.push(filter);
+            logger.info(`Filter added: ${this.describeCondition(filter)}`);
             return filter;
         } catch (error) {
             logger.error(`Failed to add filter: ${error.message}`);
@@ -34,25 +142,138 @@ export default class FilterEngine {
     }
 
     /**
-     * Validate filter configuration
+     * Add an empty group inside another group
+     * @returns {string} Path of the new group
+     */
+    addFilterGroup(logic = 'AND', groupPath = '', negate = false) {
+        if (logic !== 'AND' && logic !== 'OR') {
+            throw new Error(`Group logic must be AND or OR, not ${logic}`);
+        }
+        const parent = this._getGroup(groupPath);
+        parent.conditions.push(createFilterGroup(logic, [], negate));
+        logger.info(`Filter group added: ${logic}${negate ? ' (NOT)' : ''}`);
+        return this._childPath(groupPath, parent.conditions.length - 1);
+    }
+
+    /**
+     * Validate filter configuration (a condition or a whole group)
      */
     validateFilter(filter) {
+        if (isFilterGroup(filter)) {
+            if (filter.logic !== 'AND' && filter.logic !== 'OR') {
+                throw new Error(`Group logic must be AND or OR, not ${filter.logic}`);
+            }
+            if (!Array.isArray(filter.conditions)) {
+                throw new Error('Filter group must have a conditions array');
+            }
+            filter.conditions.forEach(node => this.validateFilter(node));
+            return true;
+        }
+        if (filter.operator === 'formula') {
+            if (!filter.expression || !String(filter.expression).trim()) {
+                throw new Error('Formula filter must have an expression');
+            }
+            if (!this.formulaEngine) {
+                throw new Error('Formula filters need a formula engine');
+            }
+            this.formulaEngine.validateFormula(filter.expression);
+            return true;
+        }
+        if (filter.operator === 'search') {
+            if (tokenizeText(filter.value).length === 0) {
+                throw new Error('Search filter must have words to search for');
+            }
+            if (filter.match !== undefined && filter.match !== 'all' && filter.match !== 'any') {
+                throw new Error(`Search match must be all or any, not ${filter.match}`);
+            }
+            if (filter.fields !== undefined && !Array.isArray(filter.fields)) {
+                throw new Error('Search fields must be a list of field names');
+            }
+            return true;
+        }
         if (!filter.field) {
             throw new Error('Filter must have a field');
         }
         if (!filter.operator) {
             throw new Error('Filter must have an operator');
         }
+        if (filter.valueField && (VALUELESS_OPERATORS.includes(filter.operator) || FIELD_OPERATORS.includes(filter.operator)
+            || ['between', 'inLastDays', 'inNextDays', 'regex'].includes(filter.operator))) {
+            throw new Error(`${filter.operator} cannot compare with another field`);
+        }
+        if ((filter.operator === 'inLastDays' || filter.operator === 'inNextDays') && !/^\d+$/.test(String(filter.value ?? '').trim())) {
+            throw new Error(`${filter.operator} needs a number of days`);
+        }
+        if ((filter.operator === 'beforeField' || filter.operator === 'afterField') && !filter.value) {
+            throw new Error(`${filter.operator} needs the name of a date field`);
+        }
         return true;
     }
 
     /**
-     * Remove a filter
+     * Node at a path
+     */
+    getFilterNode(path = '') {
+        if (path === '' || path === null || path === undefined) {
+            return this.filterTree;
+        }
+        
+        let node = this.filterTree;
+        for (const index of String(path).split('.').map(Number)) {
+            node = isFilterGroup(node) ? node.conditions[index] : undefined;
+            if (!node) {
+                throw new Error(`No filter at ${path}`);
+            }
+        }
+        return node;
+    }
+
+    _getGroup(path) {
+        const node = this.getFilterNode(path);
+        if (!isFilterGroup(node)) {
+            throw new Error(`Filter at ${path} is not a group`);
+        }
+        return node;
+    }
+
+    _childPath(groupPath, index) {
+        return groupPath === '' || groupPath === null || groupPath === undefined ? String(index) : `${groupPath}.${index}`;
+    }
+
+    /**
+     * Set AND/OR of a group
+     */
+    setGroupLogic(path, logic) {
+        if (logic !== 'AND' && logic !== 'OR') {
+            throw new Error(`Group logic must be AND or OR, not ${logic}`);
+        }
+        this._getGroup(path).logic = logic;
+    }
+
+    /**
+     * Negate (NOT) a group or a single condition
+     */
+    setNegate(path, negate) {
+        this.getFilterNode(path).negate = Boolean(negate);
+    }
+
+    /**
+     * Remove a filter or a group
+     * @param {number|string} path - Path, or index in the root group
      */
-    removeFilter(index) {
-        if (index >= 0 && index < this.filters.length) {
-            this.filters.splice(index, 1);
-            logger.info(`Filter removed at index ${index}`);
+    removeFilter(path) {
+        const parts = String(path).split('.');
+        const index = Number(parts.pop());
+        let parent;
+        try {
+            parent = this._getGroup(parts.join('.'));
+        } catch (error) {
+            return false;
+        }
+        
+        if (index >= 0 && index < parent.conditions.length) {
+            parent.conditions.splice(index, 1);
+            logger.info(`Filter removed at ${path}`);
             return true;
         }
         return false;
@@ -62,40 +283,140 @@ export default class FilterEngine {
      * Clear all filters
      */
     clearFilters() {
-        this.filters = [];
+        this.filterTree = createFilterGroup(this.filterTree.logic);
         logger.info('All filters cleared');
     }
 
+    /**
+     * Number of conditions in the tree
+     */
+    countFilters(node = this.filterTree) {
+        return isFilterGroup(node)
+            ? node.conditions.reduce((count, child) => count + this.countFilters(child), 0)
+            : 1;
+    }
+
+    /**
+     * Readable form of a filter tree, e.g.
+     * (category equals "Tools" AND price lessThan "50") OR featured isTrue
+     */
+    describeFilters(node = this.filterTree, nested = false) {
+        if (!isFilterGroup(node)) {
+            const text = this.describeCondition(node);
+            return node.negate ? `NOT (${text})` : text;
+        }
+        
+        const parts = node.conditions.map(child => this.describeFilters(child, true));
+        if (parts.length === 0) {
+            return node.negate ? 'NOT (all records)' : 'all records';
+        }
+        const text = parts.join(` ${node.logic} `);
+        if (node.negate) {
+            return `NOT (${text})`;
+        }
+        return nested && parts.length > 1 ? `(${text})` : text;
+    }
+
+    /**
+     * Readable form of a single condition, without its NOT
+     * e.g. price lessThan "50", sale_price lessThan {price}, formula: {stock} > 0
+     */
+    describeCondition(filter) {
+        if (filter.operator === 'formula') {
+            return `formula: ${filter.expression}`;
+        }
+        if (filter.operator === 'search') {
+            const fields = this._searchFields(filter);
+            const where = fields ? ` in ${fields.join(', ')}` : '';
+            return `search ${filter.match === 'any' ? 'any of' : 'all of'} "${filter.value}"${where}`;
+        }
+        let value;
+        if (VALUELESS_OPERATORS.includes(filter.operator)) {
+            value = '';
+        } else if (filter.operator === 'between') {
+            value = ` ${filter.min} and ${filter.max}`;
+        } else if (filter.valueField || FIELD_OPERATORS.includes(filter.operator)) {
+            value = ` {${filter.valueField || filter.value}}`;
+        } else {
+            value = ` "${filter.value ?? ''}"`;
+        }
+        return `${filter.field} ${filter.operator}${value}`;
+    }
+
+    /**
+     * Filter tree from a configuration or preset
+     * Accepts { filterTree } and the flat { filters, logic } of older versions.
+     */
+    normalizeFilters(config) {
+        if (isFilterGroup(config?.filterTree)) {
+            return config.filterTree;
+        }
+        if (Array.isArray(config?.filters)) {
+            return createFilterGroup(config.logic === 'OR' ? 'OR' : 'AND', config.filters);
+        }
+        return createFilterGroup();
+    }
+
     /**
      * Apply filters to dataset
      * @param {array} records - Data records
-     * @param {string} logic - 'AND' or 'OR' for combining filters
+     * @param {string} logic - Optional 'AND' or 'OR' overriding the root group's logic
      */
-    applyFilters(records, logic = 'AND') {
-        if (this.filters.length === 0) {
+    applyFilters(records, logic = null) {
+        this.relevance = new WeakMap();
+        if (this.countFilters() === 0) {
             return records;
         }
 
-        logger.info(`Applying ${this.filters.length} filters with ${logic} logic`);
+        const root = logic ? { ...this.filterTree, logic } : this.filterTree;
+        logger.info(`Applying filters: ${this.describeFilters(root)}`);
 
-        const filtered = records.filter(record => {
-            if (logic === 'AND') {
-                return this.filters.every(filter => this._matchesFilter(record, filter));
-            } else {
-                return this.filters.some(filter => this._matchesFilter(record, filter));
-            }
-        });
+        this.formulaFailures = 0;
+        const filtered = records.filter(record => this._matchesNode(record, root));
+        if (this.formulaFailures > 0) {
+            logger.warn(`Formula filters failed for ${this.formulaFailures} record(s); those records do not match`);
+        }
+        this.formulaEngine?.reportMissingFields('Formula filters');
 
         logger.info(`Filtered ${records.length} records to ${filtered.length} records`);
         return filtered;
     }
 
+    /**
+     * Check if a record matches a condition or group
+     * An empty group matches every record.
+     */
+    _matchesNode(record, node) {
+        let matches;
+        if (isFilterGroup(node)) {
+            matches = node.logic === 'OR'
+                ? node.conditions.length === 0 || node.conditions.some(child => this._matchesNode(record, child))
+                : node.conditions.every(child => this._matchesNode(record, child));
+        } else {
+            matches = this._matchesFilter(record, node);
+        }
+        return node.negate ? !matches : matches;
+    }
+
     /**
      * Check if a record matches a filter
      */
     _matchesFilter(record, filter) {
+        if (filter.operator === 'formula') {
+            return this._matchesFormula(record, filter.expression);
+        }
+        if (filter.operator === 'search') {
+            return this._matchesSearch(record, filter);
+        }
+        
         const value = record[filter.field];
-        const filterValue = filter.value;
+        const filterValue = filter.valueField ? record[filter.valueField] : filter.value;
+        
+        // Two fields only compare when both have a value
+        const isBlank = v => v === null || v === undefined || String(v).trim() === '';
+        if (filter.valueField && (isBlank(value) || isBlank(filterValue))) {
+            return false;
+        }
 
         switch (filter.operator) {
             case 'equals':
@@ -117,20 +438,45 @@ export default class FilterEngine {
                 return String(value).toLowerCase().endsWith(String(filterValue).toLowerCase());
             
             case 'greaterThan':
-                return this._toNumber(value) > this._toNumber(filterValue);
+                return this._compare(value, filterValue) > 0;
             
             case 'lessThan':
-                return this._toNumber(value) < this._toNumber(filterValue);
+                return this._compare(value, filterValue) < 0;
             
             case 'greaterOrEqual':
-                return this._toNumber(value) >= this._toNumber(filterValue);
+                return this._compare(value, filterValue) >= 0;
             
             case 'lessOrEqual':
-                return this._toNumber(value) <= this._toNumber(filterValue);
+                return this._compare(value, filterValue) <= 0;
             
             case 'between':
-                const num = this._toNumber(value);
-                return num >= this._toNumber(filter.min) && num <= this._toNumber(filter.max);
+                return this._compare(value, filter.min) >= 0 && this._compare(value, filter.max) <= 0;
+            
+            case 'inLastDays':
+            case 'inNextDays': {
+                const day = this._toDay(value);
+                const days = parseInt(filterValue, 10);
+                if (!day || isNaN(days)) return false;
+                const offset = Math.round((day - this._today()) / ONE_DAY_MS);
+                return filter.operator === 'inLastDays' ? offset <= 0 && offset >= -days : offset >= 0 && offset <= days;
+            }
+            
+            case 'thisMonth':
+            case 'thisSeason':
+            case 'thisYear': {
+                const day = this._toDay(value);
+                if (!day) return false;
+                const { start, end } = this._currentPeriod(filter.operator);
+                return day >= start && day < end;
+            }
+            
+            case 'beforeField':
+            case 'afterField': {
+                const date = this._toDate(value);
+                const other = this._toDate(record[filterValue]);
+                if (!date || !other) return false;
+                return filter.operator === 'beforeField' ? date < other : date > other;
+            }
             
             case 'isEmpty':
                 return value === null || value === undefined || value === '';
@@ -159,10 +505,204 @@ export default class FilterEngine {
         }
     }
 
+    /**
+     * Evaluate a formula filter; only TRUE matches, so NULL and errors drop
+     * the record
+     */
+    _matchesFormula(record, expression) {
+        if (!this.formulaEngine) {
+            throw new Error('Formula filters need a formula engine');
+        }
+        try {
+            return this.formulaEngine.evaluate(expression, record) === true;
+        } catch (error) {
+            this.formulaFailures++;
+            return false;
+        }
+    }
+
+    /**
+     * Evaluate a search condition and add its score to the record's relevance
+     */
+    _matchesSearch(record, filter) {
+        const score = this.searchScore(record, filter.value, {
+            fields: this._searchFields(filter),
+            match: filter.match,
+            fuzzy: filter.fuzzy
+        });
+        if (score > 0) {
+            this.relevance.set(record, (this.relevance.get(record) || 0) + score);
+        }
+        return score > 0;
+    }
+
+    _searchFields(filter) {
+        if (Array.isArray(filter.fields) && filter.fields.length > 0) {
+            return filter.fields;
+        }
+        return filter.field ? [filter.field] : null;
+    }
+
+    /**
+     * Full-text score of a record for a query
+     *
+     * Words are compared without case and diacritics. A query word matches a
+     * word of the record (or two neighbouring words written together) exactly, as its start (3 letters or more) or, with
+     * fuzzy on, with one typo (4 letters or more) or two (8 or more).
+     * @param {object} record - Data record
+     * @param {string} query - Words to search for
+     * @param {object} options - { fields: names (all fields by default),
+     *   match: 'all' (default) or 'any', fuzzy: true by default }
+     * @returns {number} 0 when the record does not match, otherwise up to 1
+     */
+    searchScore(record, query, options = {}) {
+        const terms = [...new Set(tokenizeText(query))];
+        if (terms.length === 0) {
+            return 0;
+        }
+        
+        const fields = options.fields || Object.keys(record);
+        const words = new Set();
+        fields.forEach(field => {
+            const value = record[field];
+            if (value !== null && value !== undefined && typeof value !== 'object') {
+                // Neighbouring words also count joined, so "water-proof" matches "waterproof"
+                tokenizeText(value).forEach((word, i, all) => {
+                    words.add(word);
+                    if (i > 0) words.add(all[i - 1] + word);
+                });
+            }
+        });
+        
+        const scores = terms.map(term => this._termScore(term, words, options.fuzzy !== false));
+        const matched = scores.filter(score => score > 0).length;
+        if (matched === 0 || (options.match !== 'any' && matched < terms.length)) {
+            return 0;
+        }
+        return scores.reduce((sum, score) => sum + score, 0) / terms.length;
+    }
+
+    _termScore(term, words, fuzzy) {
+        if (words.has(term)) {
+            return SEARCH_SCORES.exact;
+        }
+        
+        const maxTypos = !fuzzy || term.length < 4 ? 0 : term.length < 8 ? 1 : 2;
+        let best = 0;
+        for (const word of words) {
+            if (term.length >= 3 && word.startsWith(term)) {
+                return SEARCH_SCORES.prefix;
+            }
+            if (maxTypos > 0 && best < SEARCH_SCORES.typo[0]) {
+                const distance = editDistance(term, word, maxTypos);
+                if (distance <= maxTypos) {
+                    best = Math.max(best, SEARCH_SCORES.typo[distance - 1]);
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Summed search score of a record in the last applyFilters run
+     */
+    getRelevance(record) {
+        return this.relevance.get(record) || 0;
+    }
+
+    /**
+     * Order two values: numerically when both are numbers, as dates when
+     * the filter value is a date. NaN (never matches) when a date filter
+     * meets a value that is not a date.
+     */
+    _compare(value, filterValue) {
+        if (!(this._isNumber(value) && this._isNumber(filterValue))) {
+            const filterDate = this._toFilterDate(filterValue);
+            if (filterDate) {
+                const date = this._toDate(value);
+                return date ? date - filterDate : NaN;
+            }
+        }
+        return this._toNumber(value) - this._toNumber(filterValue);
+    }
+
+    _isNumber(value) {
+        if (typeof value === 'number') return true;
+        return typeof value === 'string' && value.trim() !== '' && isFinite(Number(value));
+    }
+
+    /**
+     * Date of a record value, read with the configured date format
+     */
+    _toDate(value) {
+        return this._isNumber(value) ? null : parseDate(value, this.dateFormat);
+    }
+
+    /**
+     * Date typed in a filter: the data's format or an ISO date
+     */
+    _toFilterDate(value) {
+        return this._toDate(value) || (this._isNumber(value) ? null : parseDate(value, 'auto'));
+    }
+
+    _toDay(value) {
+        const date = this._toDate(value);
+        return date ? new Date(date.getFullYear(), date.getMonth(), date.getDate()) : null;
+    }
+
+    _today() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    /**
+     * Month, season or year containing a day as { start, end } (end exclusive)
+     */
+    _currentPeriod(operator, today = this._today()) {
+        const year = today.getFullYear();
+        
+        if (operator === 'thisMonth') {
+            return { start: new Date(year, today.getMonth(), 1), end: new Date(year, today.getMonth() + 1, 1) };
+        }
+        if (operator === 'thisYear') {
+            return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+        }
+        
+        // Latest season start on or before today; before the first one, last year's last season
+        const startOf = (season, y) => new Date(y, season.month - 1, season.day);
+        let index = this.seasons.length - 1;
+        let startYear = year - 1;
+        for (let i = this.seasons.length - 1; i >= 0; i--) {
+            if (startOf(this.seasons[i], year) <= today) {
+                index = i;
+                startYear = year;
+                break;
+            }
+        }
+        const next = (index + 1) % this.seasons.length;
+        const endYear = next === 0 ? startYear + 1 : startYear;
+        return { start: startOf(this.seasons[index], startYear), end: startOf(this.seasons[next], endYear) };
+    }
+
+    /**
+     * Name of the season a date falls in
+     */
+    getSeason(date = this._today()) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const { start } = this._currentPeriod('thisSeason', day);
+        return this.seasons.find(season => season.month - 1 === start.getMonth() && season.day === start.getDate()).name;
+    }
+
     /**
      * Compare values for equality
      */
     _equals(value1, value2) {
+        // Dates from Excel match the same day written in the filter
+        if (value1 instanceof Date) {
+            const date = this._toFilterDate(value2);
+            return Boolean(date) && this._toDay(value1).getTime() === new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        }
+        
         // Case-insensitive string comparison
         if (typeof value1 === 'string' && typeof value2 === 'string') {
             return value1.toLowerCase() === value2.toLowerCase();
@@ -180,14 +720,45 @@ export default class FilterEngine {
 
     /**
      * Add a sort rule
+     * @param {string} field - Field to sort by (not used by 'relevance' rules)
+     * @param {string} direction - 'asc' or 'desc'
+     * @param {string} type - One of SortTypes
+     * @param {object} options - { nulls: 'first' | 'last', locale, order }
+     *   nulls: where empty values go whatever the direction (by default
+     *   they sort as the smallest value); locale: language of 'locale' and
+     *   'natural' rules (current language by default); order: values of a
+     *   'custom' rule, first to last
      */
-    addSortRule(field, direction = 'asc', type = 'auto') {
-        const rule = { field, direction, type };
+    addSortRule(field, direction = 'asc', type = 'auto', options = {}) {
+        const rule = { field, direction, type, ...options };
+        this.validateSortRule(rule);
         this.sortRules.push(rule);
-        logger.info(`Sort rule added: ${field} ${direction}`);
+        logger.info(`Sort rule added: ${field} ${direction} (${type})`);
         return rule;
     }
 
+    /**
+     * Validate a sort rule
+     */
+    validateSortRule(rule) {
+        if (!rule.field && rule.type !== 'relevance') {
+            throw new Error('Sort rule must have a field');
+        }
+        if (rule.direction !== 'asc' && rule.direction !== 'desc') {
+            throw new Error(`Sort direction must be asc or desc, not ${rule.direction}`);
+        }
+        if (!SortTypes.includes(rule.type)) {
+            throw new Error(`Unknown sort type: ${rule.type}`);
+        }
+        if (rule.nulls !== undefined && rule.nulls !== 'first' && rule.nulls !== 'last') {
+            throw new Error(`Nulls must be first or last, not ${rule.nulls}`);
+        }
+        if (rule.type === 'custom' && !(Array.isArray(rule.order) && rule.order.length > 0)) {
+            throw new Error('Custom sort needs a list of values');
+        }
+        return true;
+    }
+
     /**
      * Remove a sort rule
      */
@@ -218,14 +789,15 @@ export default class FilterEngine {
 
         logger.info(`Applying ${this.sortRules.length} sort rules`);
 
+        // Collators and custom orders are built once per run
+        const comparators = this.sortRules.map(rule => this._createComparator(rule));
+
         const sorted = [...records].sort((a, b) => {
-            for (const rule of this.sortRules) {
-                const result = this._compareValues(
-                    a[rule.field],
-                    b[rule.field],
-                    rule.type,
-                    rule.direction
-                );
+            for (let i = 0; i < this.sortRules.length; i++) {
+                const rule = this.sortRules[i];
+                const result = rule.type === 'relevance'
+                    ? comparators[i](this.getRelevance(a), this.getRelevance(b))
+                    : comparators[i](a[rule.field], b[rule.field]);
                 
                 if (result !== 0) {
                     return result;
@@ -238,26 +810,90 @@ export default class FilterEngine {
     }
 
     /**
-     * Compare two values for sorting
+     * Comparator of a sort rule: applies the direction, and places empty
+     * values (and dates that do not parse) by the rule's nulls option
      */
-    _compareValues(a, b, type, direction) {
-        let result = 0;
+    _createComparator(rule) {
+        const { direction, type } = rule;
+        const sign = direction === 'desc' ? -1 : 1;
+        const collator = type === 'locale' || type === 'natural' || type === 'custom'
+            ? this._getCollator(rule.locale, type !== 'locale')
+            : null;
+        const rank = type === 'custom' ? this._createOrderRank(rule.order) : null;
+        
+        const key = value => {
+            if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+                return null;
+            }
+            if (type === 'date') {
+                return value instanceof Date ? value : this._toDate(value);
+            }
+            return value;
+        };
+        
+        return (a, b) => {
+            const keyA = key(a);
+            const keyB = key(b);
+            
+            if (keyA === null || keyB === null) {
+                if (keyA === keyB) return 0;
+                // Without a nulls option, empty values sort as the smallest
+                const first = rule.nulls ? rule.nulls === 'first' : direction !== 'desc';
+                return (keyA === null) === first ? -1 : 1;
+            }
+            
+            let result;
+            if (type === 'date' || type === 'relevance') {
+                result = keyA - keyB;
+            } else if (type === 'custom') {
+                // Values missing from the list follow the listed ones in both directions
+                const rankA = rank(keyA);
+                const rankB = rank(keyB);
+                const unlisted = rule.order.length;
+                if ((rankA === unlisted) !== (rankB === unlisted)) {
+                    return rankA === unlisted ? 1 : -1;
+                }
+                result = rankA - rankB || collator.compare(String(keyA), String(keyB));
+            } else if (collator) {
+                result = collator.compare(String(keyA), String(keyB));
+            } else {
+                result = this._compareValues(keyA, keyB, type);
+            }
+            return sign * result;
+        };
+    }
+
+    _getCollator(locale, numeric) {
+        const options = { sensitivity: 'base', numeric };
+        if (this.localizationEngine) {
+            return this.localizationEngine.getCollator(locale || null, options);
+        }
+        return new Intl.Collator(locale || undefined, options);
+    }
+
+    _createOrderRank(order) {
+        const positions = new Map();
+        order.forEach((value, index) => {
+            const normalized = String(value).trim().toLowerCase();
+            if (!positions.has(normalized)) positions.set(normalized, index);
+        });
+        return value => {
+            const position = positions.get(String(value).trim().toLowerCase());
+            return position === undefined ? order.length : position;
+        };
+    }
 
-        // Handle null/undefined
-        if (a === null || a === undefined) return direction === 'asc' ? -1 : 1;
-        if (b === null || b === undefined) return direction === 'asc' ? 1 : -1;
+    /**
+     * Compare two values in ascending order ('auto', 'string' and 'number' rules)
+     */
+    _compareValues(a, b, type) {
+        let result = 0;
 
         switch (type) {
             case 'number':
                 result = this._toNumber(a) - this._toNumber(b);
                 break;
             
-            case 'date':
-                const dateA = new Date(a);
-                const dateB = new Date(b);
-                result = dateA - dateB;
-                break;
-            
             case 'string':
             case 'auto':
             default:
@@ -273,13 +909,13 @@ export default class FilterEngine {
                 break;
         }
 
-        return direction === 'asc' ? result : -result;
+        return result;
     }
 
     /**
      * Apply both filters and sorting
      */
-    apply(records, filterLogic = 'AND') {
+    apply(records, filterLogic = null) {
         let result = this.applyFilters(records, filterLogic);
         result = this.applySort(result);
         return result;
@@ -292,7 +928,7 @@ export default class FilterEngine {
         const preset = {
             name,
             description,
-            filters: [...this.filters],
+            filterTree: JSON.parse(JSON.stringify(this.filterTree)),
             sortRules: [...this.sortRules],
             createdAt: new Date().toISOString()
         };
@@ -309,8 +945,8 @@ export default class FilterEngine {
     loadPreset(name) {
         const preset = this.presets.find(p => p.name === name);
         if (preset) {
-            this.filters = [...preset.filters];
-            this.sortRules = [...preset.sortRules];
+            this.filterTree = JSON.parse(JSON.stringify(this.normalizeFilters(preset)));
+            this.sortRules = [...(preset.sortRules || [])];
             logger.info(`Preset loaded: ${name}`);
             return preset;
         }
@@ -350,6 +986,190 @@ export default class FilterEngine {
         };
     }
 
+    /**
+     * Live preview of the filter tree with a breakdown per condition
+     *
+     * The result of each condition is cached for the records array, so
+     * after an edit only new or changed conditions are evaluated again and
+     * the groups are combined from the cached results.
+     * @param {array} records - Data records
+     * @returns {Object} { total, matched, conditions: [{ path, description,
+     *   matches, eliminates, adds }] } where matches counts the records the
+     *   condition (with its NOT) accepts on its own, eliminates the records
+     *   only this condition keeps out and adds the records only this
+     *   condition lets in (conditions in OR groups)
+     */
+    getFilterBreakdown(records) {
+        const final = this._nodeMask(records, this.filterTree, '');
+        const conditions = [];
+        
+        this._forEachCondition(this.filterTree, '', (node, path) => {
+            const alone = this._nodeMask(records, node, path);
+            const without = this._nodeMask(records, this.filterTree, '', path);
+            let matches = 0;
+            let eliminates = 0;
+            let adds = 0;
+            for (let i = 0; i < records.length; i++) {
+                matches += alone[i];
+                if (without[i] && !final[i]) eliminates++;
+                if (!without[i] && final[i]) adds++;
+            }
+            conditions.push({ path, description: this.describeCondition(node), matches, eliminates, adds });
+        });
+        
+        return { total: records.length, matched: this._countMask(final), conditions };
+    }
+
+    /**
+     * Counts for a condition that is still being edited
+     * @param {array} records - Data records
+     * @param {object} filter - Condition, validated like addFilter
+     * @param {string} groupPath - Group it would be added to
+     * @returns {Object} { matches, matched } - records the condition accepts
+     *   on its own / records the filters would keep with it added
+     */
+    previewCondition(records, filter, groupPath = '') {
+        this.validateFilter(filter);
+        const group = this._getGroup(groupPath);
+        
+        group.conditions.push(filter);
+        try {
+            return {
+                matches: this._countMask(this._nodeMask(records, filter, null)),
+                matched: this._countMask(this._nodeMask(records, this.filterTree, ''))
+            };
+        } finally {
+            group.conditions.pop();
+        }
+    }
+
+    /**
+     * Distinct values of a field with their number of records, most
+     * frequent first, for picking filter values
+     * @param {array} records - Data records
+     * @param {string} field - Field name
+     * @param {number} limit - Maximum number of values returned
+     * @returns {Object} { field, total, empty, distinct, values: [{ value, count }] }
+     */
+    getValueHistogram(records, field, limit = 50) {
+        const counts = new Map();
+        let empty = 0;
+        
+        records.forEach(record => {
+            let value = record[field];
+            if (value === null || value === undefined || String(value).trim() === '') {
+                empty++;
+                return;
+            }
+            if (value instanceof Date) {
+                value = `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+            }
+            const key = String(value).trim();
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        
+        const collator = this._getCollator(null, true);
+        const values = [...counts.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || collator.compare(a.value, b.value));
+        
+        return { field, total: records.length, empty, distinct: counts.size, values: values.slice(0, limit) };
+    }
+
+    /**
+     * Forget cached condition results, e.g. after formulas or lookup
+     * tables changed
+     */
+    clearPreviewCache() {
+        this.previewCache = { records: null, masks: new Map() };
+    }
+
+    /**
+     * Records a node accepts, as a 0/1 array; skipPath leaves one node out
+     * of its group as if it were removed
+     */
+    _nodeMask(records, node, path, skipPath = null) {
+        let mask;
+        if (isFilterGroup(node)) {
+            const children = node.conditions
+                .map((child, index) => ({ child, childPath: this._childPath(path, index) }))
+                .filter(({ childPath }) => childPath !== skipPath);
+            
+            // An empty group matches every record, like _matchesNode
+            mask = new Uint8Array(records.length).fill(node.logic === 'OR' && children.length > 0 ? 0 : 1);
+            children.forEach(({ child, childPath }) => {
+                const childMask = this._nodeMask(records, child, childPath, skipPath);
+                for (let i = 0; i < records.length; i++) {
+                    mask[i] = node.logic === 'OR' ? mask[i] | childMask[i] : mask[i] & childMask[i];
+                }
+            });
+        } else {
+            mask = Uint8Array.from(this._conditionMask(records, node));
+        }
+        
+        if (node.negate) {
+            for (let i = 0; i < mask.length; i++) {
+                mask[i] = 1 - mask[i];
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Cached result of a condition without its NOT
+     */
+    _conditionMask(records, filter) {
+        if (this.previewCache.records !== records) {
+            this.previewCache = { records, masks: new Map() };
+        }
+        
+        const { negate, ...condition } = filter;
+        const key = JSON.stringify(condition);
+        const masks = this.previewCache.masks;
+        let mask = masks.get(key);
+        if (mask) {
+            // Most recently used last, so the oldest entries go first
+            masks.delete(key);
+            masks.set(key, mask);
+            return mask;
+        }
+        
+        // The preview must not change the relevance and failures of the last applyFilters run
+        const { relevance, formulaFailures } = this;
+        this.relevance = new WeakMap();
+        try {
+            mask = Uint8Array.from(records, record => this._matchesFilter(record, condition) ? 1 : 0);
+        } finally {
+            this.relevance = relevance;
+            this.formulaFailures = formulaFailures;
+        }
+        
+        masks.set(key, mask);
+        if (masks.size > PREVIEW_CACHE_SIZE) {
+            masks.delete(masks.keys().next().value);
+        }
+        return mask;
+    }
+
+    _countMask(mask) {
+        let count = 0;
+        for (let i = 0; i < mask.length; i++) {
+            count += mask[i];
+        }
+        return count;
+    }
+
+    _forEachCondition(node, path, visit) {
+        node.conditions.forEach((child, index) => {
+            const childPath = this._childPath(path, index);
+            if (isFilterGroup(child)) {
+                this._forEachCondition(child, childPath, visit);
+            } else {
+                visit(child, childPath);
+            }
+        });
+    }
+
     /**
      * Save presets to storage
      */
@@ -381,9 +1201,11 @@ export default class FilterEngine {
      */
     exportConfig() {
         return {
-            version: '1.0',
-            filters: this.filters,
+            version: '2.0',
+            filterTree: this.filterTree,
             sortRules: this.sortRules,
+            dateFormat: this.dateFormat,
+            seasons: this.seasons,
             presets: this.presets,
             exportedAt: new Date().toISOString()
         };
@@ -394,8 +1216,15 @@ export default class FilterEngine {
      */
     importConfig(config) {
         try {
-            if (config.filters) this.filters = config.filters;
+            if (config.filterTree || config.filters) {
+                const tree = this.normalizeFilters(config);
+                this.validateFilter(tree);
+                this.filterTree = tree;
+            }
             if (config.sortRules) this.sortRules = config.sortRules;
+            // Through the setters, which drop preview results read with the old calendar
+            if (config.dateFormat) this.setDateFormat(config.dateFormat);
+            if (config.seasons) this.setSeasons(config.seasons);
             if (config.presets) this.presets = config.presets;
             logger.info('Configuration imported');
         } catch (error) {
@@ -424,5 +1253,14 @@ export const FilterOperators = [
     { value: 'isNotEmpty', label: 'Is Not Empty', types: ['string', 'number'] },
     { value: 'isTrue', label: 'Is True', types: ['boolean'] },
     { value: 'isFalse', label: 'Is False', types: ['boolean'] },
-    { value: 'regex', label: 'Regular Expression', types: ['string'] }
+    { value: 'regex', label: 'Regular Expression', types: ['string'] },
+    { value: 'inLastDays', label: 'In the Last N Days', types: ['date'] },
+    { value: 'inNextDays', label: 'In the Next N Days', types: ['date'] },
+    { value: 'thisMonth', label: 'This Month', types: ['date'] },
+    { value: 'thisSeason', label: 'This Season', types: ['date'] },
+    { value: 'thisYear', label: 'This Year', types: ['date'] },
+    { value: 'beforeField', label: 'Before Date in Field', types: ['date'] },
+    { value: 'afterField', label: 'After Date in Field', types: ['date'] },
+    { value: 'formula', label: 'Formula Is True', types: ['string', 'number', 'date', 'boolean'] },
+    { value: 'search', label: 'Search Words', types: ['string'] }
 ];
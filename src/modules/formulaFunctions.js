@@ -0,0 +1,185 @@
+/**
+ * Formula Functions Module
+ * Built-in function library for the formula engine
+ *
+ * Every function is described by a signature such as
+ * 'LEFT(text: text, count?: number): text'. Parameter types (number, text,
+ * date, boolean, any) tell the engine how to convert arguments; '?' marks
+ * optional parameters and '...' a variadic last parameter. Functions run
+ * with the FormulaEngine as `this`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a function signature
+ * @returns {Object} { name, params: [{ name, type, optional, variadic }], returns }
+ */
+export function parseSignature(signature) {
+    const match = /^\s*([A-Za-z_][A-Za-z0-9_.]*)\s*\((.*)\)\s*(?::\s*(\w+))?\s*$/.exec(signature);
+    if (!match) {
+        throw new Error(`Invalid function signature: ${signature}`);
+    }
+
+    const params = match[2].trim()
+        ? match[2].split(',').map(part => {
+            const param = /^\s*(\.\.\.)?(\w+)(\?)?\s*(?::\s*(\w+))?\s*$/.exec(part);
+            if (!param) {
+                throw new Error(`Invalid parameter "${part.trim()}" in signature: ${signature}`);
+            }
+            return {
+                name: param[2],
+                type: param[4] || 'any',
+                optional: Boolean(param[3] || param[1]),
+                variadic: Boolean(param[1])
+            };
+        })
+        : [];
+
+    return { name: match[1].toUpperCase(), params, returns: match[3] || 'any' };
+}
+
+/**
+ * Number of arguments a function accepts
+ */
+export function getArity(definition) {
+    const last = definition.params[definition.params.length - 1];
+    return {
+        min: definition.params.filter(p => !p.optional).length,
+        max: last && last.variadic ? Infinity : definition.params.length
+    };
+}
+
+function define(category, signature, description, fn) {
+    return { ...parseSignature(signature), signature, category, description, fn };
+}
+
+function toTitleCase(text) {
+    return text.toLowerCase().replace(/(^|[^\p{L}\p{N}'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+}
+
+// Calendar days, unaffected by daylight saving changes
+function daysBetween(start, end) {
+    return Math.round((Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) - Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / DAY_MS);
+}
+
+function monthsBetween(start, end) {
+    let months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+    // Only count a month once its day has been reached
+    if (months > 0 && end.getDate() < start.getDate()) months--;
+    if (months < 0 && end.getDate() > start.getDate()) months++;
+    return months;
+}
+
+/**
+ * Built-in functions, in the order the formula editor lists them
+ * IF is evaluated lazily by the engine; its entry documents the signature.
+ */
+export const BuiltinFunctions = [
+    // Math
+    define('Math', 'ROUND(value: number, decimals?: number): number', 'Round to a number of decimal places', (value, decimals = 0) => {
+        const multiplier = Math.pow(10, decimals);
+        return Math.round(value * multiplier) / multiplier;
+    }),
+    define('Math', 'CEIL(value: number): number', 'Round up to the next integer', value => Math.ceil(value)),
+    define('Math', 'FLOOR(value: number): number', 'Round down to the previous integer', value => Math.floor(value)),
+    define('Math', 'ABS(value: number): number', 'Absolute value', value => Math.abs(value)),
+    define('Math', 'MIN(...values: number): number', 'Smallest value', (...values) => Math.min(...values)),
+    define('Math', 'MAX(...values: number): number', 'Largest value', (...values) => Math.max(...values)),
+
+    // Logic
+    define('Logic', 'IF(condition: boolean, then: any, else?: any): any', 'Value depending on a condition', (condition, then, otherwise = null) => condition ? then : otherwise),
+    define('Logic', 'AND(...conditions: boolean): boolean', 'True when every condition is true', (...conditions) => conditions.every(Boolean)),
+    define('Logic', 'OR(...conditions: boolean): boolean', 'True when any condition is true', (...conditions) => conditions.some(Boolean)),
+    define('Logic', 'NOT(condition: boolean): boolean', 'Negate a condition', condition => !condition),
+    define('Logic', 'ISBLANK(value: any): boolean', 'True for missing, null or whitespace-only values', value => {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+    }),
+    define('Logic', 'COALESCE(...values: any): any', 'First value that is not blank', function (...values) {
+        const value = values.find(v => !this.functions.ISBLANK.fn(v));
+        return value === undefined ? null : value;
+    }),
+    define('Logic', 'SWITCH(value: any, ...cases: any): any', 'Match value against case/result pairs; an odd last argument is the default', function (value, ...cases) {
+        for (let i = 0; i + 1 < cases.length; i += 2) {
+            if (this._valuesEqual(value, cases[i])) {
+                return cases[i + 1];
+            }
+        }
+        return cases.length % 2 === 1 ? cases[cases.length - 1] : null;
+    }),
+
+    // Text
+    define('Text', 'CONCAT(...values: text): text', 'Join values into one text', (...values) => values.join('')),
+    define('Text', 'UPPER(text: text): text', 'Convert to upper case', text => text.toUpperCase()),
+    define('Text', 'LOWER(text: text): text', 'Convert to lower case', text => text.toLowerCase()),
+    define('Text', 'PROPER(text: text): text', 'Capitalize the first letter of each word', text => toTitleCase(text)),
+    define('Text', 'TRIM(text: text): text', 'Remove leading and trailing spaces', text => text.trim()),
+    define('Text', 'LEN(text: text): number', 'Number of characters', text => text.length),
+    define('Text', 'LEFT(text: text, count?: number): text', 'First characters (1 by default)', (text, count = 1) => text.slice(0, Math.max(count, 0))),
+    define('Text', 'RIGHT(text: text, count?: number): text', 'Last characters (1 by default)', (text, count = 1) => count > 0 ? text.slice(-count) : ''),
+    define('Text', 'MID(text: text, start: number, count: number): text', 'Characters from a 1-based position', (text, start, count) => {
+        if (start < 1) throw new Error('start must be 1 or more');
+        return text.substr(start - 1, Math.max(count, 0));
+    }),
+    define('Text', 'SUBSTITUTE(text: text, search: text, replacement: text, instance?: number): text', 'Replace occurrences of a text (only the nth when instance is given)', (text, search, replacement, instance) => {
+        if (!search) return text;
+        if (instance === undefined) return text.split(search).join(replacement);
+        let index = -1;
+        for (let n = 0; n < instance; n++) {
+            index = text.indexOf(search, index + 1);
+            if (index === -1) return text;
+        }
+        return text.slice(0, index) + replacement + text.slice(index + search.length);
+    }),
+    define('Text', 'REPLACE(text: text, start: number, count: number, replacement: text): text', 'Replace characters at a 1-based position', (text, start, count, replacement) => {
+        if (start < 1) throw new Error('start must be 1 or more');
+        return text.slice(0, start - 1) + replacement + text.slice(start - 1 + Math.max(count, 0));
+    }),
+    define('Text', 'PAD(text: text, length: number, padding?: text, side?: text): text', "Pad to a length; side is 'left' (default) or 'right'", (text, length, padding = ' ', side = 'left') => {
+        if (side !== 'left' && side !== 'right') throw new Error(`side must be 'left' or 'right', not '${side}'`);
+        return side === 'left' ? text.padStart(length, padding || ' ') : text.padEnd(length, padding || ' ');
+    }),
+    define('Text', 'FORMAT_NUMBER(value: number, decimals?: number, locale?: text): text', 'Number with grouping and fixed decimals (2 by default)', function (value, decimals = 2, locale) {
+        return new Intl.NumberFormat(locale || this.locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(value);
+    }),
+    define('Text', 'FORMAT_CURRENCY(value: number, currency?: text, locale?: text): text', 'Amount in a currency (ISO code, USD by default)', function (value, currency = 'USD', locale) {
+        return new Intl.NumberFormat(locale || this.locale, { style: 'currency', currency }).format(value);
+    }),
+
+    // Date
+    define('Date', 'DATE(year: number, month: number, day: number): date', 'Date from its parts (month 1-12)', (year, month, day) => new Date(year, month - 1, day)),
+    define('Date', 'TODAY(): date', "Today's date", () => {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }),
+    define('Date', 'DATEDIFF(start: date, end: date, unit?: text): number', "Whole units from start to end; unit is 'days' (default), 'weeks', 'months' or 'years'", (start, end, unit = 'days') => {
+        switch (String(unit).toLowerCase()) {
+            case 'days':
+                return daysBetween(start, end);
+            case 'weeks':
+                return Math.trunc(daysBetween(start, end) / 7);
+            case 'months':
+                return monthsBetween(start, end);
+            case 'years':
+                return Math.trunc(monthsBetween(start, end) / 12);
+            default:
+                throw new Error(`Unknown unit '${unit}'`);
+        }
+    }),
+    define('Date', 'YEAR(date: date): number', 'Year of a date', date => date.getFullYear()),
+    define('Date', 'MONTH(date: date): number', 'Month of a date (1-12)', date => date.getMonth() + 1),
+    define('Date', 'DAY(date: date): number', 'Day of the month', date => date.getDate()),
+
+    // Lookup
+    define('Lookup', 'LOOKUP(field: text, table: text, key: any): any', 'Field of the row whose key matches, in a lookup table', function (field, table, key) {
+        const lookup = this.lookupTables.get(table);
+        if (!lookup) {
+            throw new Error(`Unknown lookup table '${table}'`);
+        }
+        const row = lookup.index.get(this._lookupKey(key));
+        return row && row[field] !== undefined ? row[field] : null;
+    })
+];
@@ -0,0 +1,283 @@
+/**
+ * Formula Parser Module
+ * Tokenizer and Pratt parser turning formula expressions into an AST
+ */
+
+/**
+ * Error raised for invalid formulas
+ * column is 1-based and points at the failing token.
+ */
+export class FormulaError extends Error {
+    constructor(message, column = null, expression = null) {
+        super(column ? `${message} at column ${column}` : message);
+        this.name = 'FormulaError';
+        this.reason = message;
+        this.column = column;
+        this.expression = expression;
+    }
+
+    /**
+     * The expression with a caret under the failing column
+     */
+    pointer() {
+        if (!this.expression || !this.column) {
+            return '';
+        }
+        return `${this.expression}\n${' '.repeat(this.column - 1)}^`;
+    }
+}
+
+// Binding power of binary operators; higher binds tighter
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '==': 3, '!=': 3,
+    '<': 4, '>': 4, '<=': 4, '>=': 4,
+    '+': 5, '-': 5,
+    '*': 6, '/': 6, '%': 6
+};
+
+const UNARY_PRECEDENCE = 7;
+
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', ','];
+
+const KEYWORDS = {
+    TRUE: { type: 'boolean', value: true },
+    FALSE: { type: 'boolean', value: false },
+    NULL: { type: 'null', value: null },
+    AND: { type: 'operator', value: '&&' },
+    OR: { type: 'operator', value: '||' },
+    NOT: { type: 'operator', value: '!' }
+};
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"', "'": "'" };
+
+export default class FormulaParser {
+    /**
+     * Split an expression into tokens
+     *
+     * Token types: number, string, boolean, null, field, identifier,
+     * operator and end. Every token keeps its 1-based start column.
+     */
+    tokenize(expression) {
+        const tokens = [];
+        let i = 0;
+
+        const fail = (message, at = i) => {
+            throw new FormulaError(message, at + 1, expression);
+        };
+
+        while (i < expression.length) {
+            const char = expression[i];
+            const start = i;
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Field reference: {field name}
+            if (char === '{') {
+                const end = expression.indexOf('}', i);
+                if (end === -1) fail('Unclosed field reference');
+                const name = expression.slice(i + 1, end).trim();
+                if (!name) fail('Empty field reference');
+                tokens.push({ type: 'field', value: name, column: start + 1 });
+                i = end + 1;
+                continue;
+            }
+
+            if (char === '}') {
+                fail("Unexpected '}'");
+            }
+
+            // Number: 12, 1.5, .5, 1e3
+            const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(expression.slice(i));
+            if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), column: start + 1 });
+                i += number[0].length;
+                continue;
+            }
+
+            // String literal in single or double quotes, with backslash escapes
+            if (char === '"' || char === "'") {
+                let value = '';
+                i++;
+                while (i < expression.length && expression[i] !== char) {
+                    if (expression[i] === '\\') {
+                        const next = expression[i + 1];
+                        if (next === undefined) break;
+                        if (next === 'u') {
+                            const hex = expression.slice(i + 2, i + 6);
+                            if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid \\u escape');
+                            value += String.fromCharCode(parseInt(hex, 16));
+                            i += 6;
+                            continue;
+                        }
+                        if (!(next in ESCAPES)) fail(`Unknown escape '\\${next}'`);
+                        value += ESCAPES[next];
+                        i += 2;
+                        continue;
+                    }
+                    value += expression[i++];
+                }
+                if (i >= expression.length) fail('Unterminated string', start);
+                i++;
+                tokens.push({ type: 'string', value, column: start + 1 });
+                continue;
+            }
+
+            // Identifier: function name or keyword
+            // AND, OR and NOT are function calls when they start an operand
+            // and are followed by '(', e.g. AND({a}, {b})
+            const word = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(expression.slice(i));
+            if (word) {
+                const keyword = KEYWORDS[word[0].toUpperCase()];
+                const last = tokens[tokens.length - 1];
+                const startsOperand = !last || (last.type === 'operator' && last.value !== ')');
+                const isCall = startsOperand && /^\s*\(/.test(expression.slice(i + word[0].length));
+                tokens.push(keyword && !(keyword.type === 'operator' && isCall)
+                    ? { ...keyword, column: start + 1 }
+                    : { type: 'identifier', value: word[0], column: start + 1 });
+                i += word[0].length;
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => expression.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator, column: start + 1 });
+                i += operator.length;
+                continue;
+            }
+
+            if (char === '=' || (char === '<' && expression[i + 1] === '>')) {
+                fail(char === '=' ? "Use '==' to compare values" : "Use '!=' to compare values");
+            }
+            if (char === '&' || char === '|') {
+                fail(`Use '${char}${char}' for logical operators`);
+            }
+            fail(`Unexpected character '${char}'`);
+        }
+
+        tokens.push({ type: 'end', value: null, column: expression.length + 1 });
+        return tokens;
+    }
+
+    /**
+     * Parse an expression into an AST
+     *
+     * Nodes: number, string, boolean, null, field, unary, binary and call,
+     * each with the column it starts at.
+     */
+    parse(expression) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new FormulaError('Formula is empty');
+        }
+
+        const tokens = this.tokenize(expression);
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const fail = (message, token) => {
+            throw new FormulaError(message, token.column, expression);
+        };
+        const describe = token => {
+            if (token.type === 'end') return 'end of formula';
+            if (token.type === 'string') return JSON.stringify(token.value);
+            if (token.type === 'field') return `{${token.value}}`;
+            return `'${token.value}'`;
+        };
+        const isOperator = (token, value) => token.type === 'operator' && token.value === value;
+        const expect = (value, message) => {
+            const token = next();
+            if (!isOperator(token, value)) fail(`${message}, found ${describe(token)}`, token);
+            return token;
+        };
+
+        const parsePrefix = () => {
+            const token = next();
+
+            switch (token.type) {
+                case 'number':
+                case 'string':
+                case 'boolean':
+                case 'null':
+                    return { type: token.type, value: token.value, column: token.column };
+                case 'field':
+                    return { type: 'field', name: token.value, column: token.column };
+                case 'identifier': {
+                    if (!isOperator(peek(), '(')) {
+                        fail(`Unknown name '${token.value}' - wrap field names in braces, e.g. {${token.value}}`, token);
+                    }
+                    next();
+                    const args = [];
+                    if (!isOperator(peek(), ')')) {
+                        do {
+                            args.push(parseExpression(0));
+                        } while (isOperator(peek(), ',') && next());
+                    }
+                    expect(')', `Expected ',' or ')' in call to ${token.value.toUpperCase()}`);
+                    return { type: 'call', name: token.value.toUpperCase(), args, column: token.column };
+                }
+                case 'operator':
+                    if (token.value === '(') {
+                        const inner = parseExpression(0);
+                        expect(')', "Expected ')'");
+                        return inner;
+                    }
+                    if (token.value === '-' || token.value === '+' || token.value === '!') {
+                        return { type: 'unary', operator: token.value, operand: parseExpression(UNARY_PRECEDENCE), column: token.column };
+                    }
+                    break;
+            }
+
+            return fail(`Unexpected ${describe(token)}`, token);
+        };
+
+        const parseExpression = minPrecedence => {
+            let left = parsePrefix();
+
+            for (;;) {
+                const token = peek();
+                const precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+                if (precedence === undefined || precedence <= minPrecedence) {
+                    break;
+                }
+                next();
+                // Left-associative: the right side only takes tighter operators
+                const right = parseExpression(precedence);
+                left = { type: 'binary', operator: token.value, left, right, column: token.column };
+            }
+
+            return left;
+        };
+
+        const ast = parseExpression(0);
+        const rest = peek();
+        if (rest.type !== 'end') {
+            fail(`Unexpected ${describe(rest)} - missing operator?`, rest);
+        }
+
+        return ast;
+    }
+
+    /**
+     * Visit every node of an AST, depth first
+     */
+    walk(node, visit) {
+        visit(node);
+        switch (node.type) {
+            case 'unary':
+                this.walk(node.operand, visit);
+                break;
+            case 'binary':
+                this.walk(node.left, visit);
+                this.walk(node.right, visit);
+                break;
+            case 'call':
+                node.args.forEach(arg => this.walk(arg, visit));
+                break;
+        }
+    }
+}
@@ -4,9 +4,17 @@
  */
 
 import { Logger } from './utils.js';
+import FormulaParser, { FormulaError } from './formulaParser.js';
+import { BuiltinFunctions, getArity, parseSignature } from './formulaFunctions.js';
 
 const logger = new Logger('Formulas');
 
+// Result types a formula can declare; 'auto' keeps whatever the expression returns
+export const FormulaTypes = ['auto', 'number', 'text', 'boolean', 'date'];
+
+// Number of failing rows kept per error in the report
+const REPORT_SAMPLE_ROWS = 5;
+
 /**
  * Formula Engine Class
  */
@@ -14,50 +22,167 @@ export default class FormulaEngine {
     constructor() {
         this.formulas = [];
         this.functions = this._initializeFunctions();
+        this.locale = 'en-US';
+        this.lookupTables = new Map();
+        this.parser = new FormulaParser();
+        this.parsedFormulas = new Map();
+        this.lastReport = null;
+        // Field name -> lookups of a field the record lacked, since the last report
+        this.missingFields = new Map();
     }
 
     /**
      * Initialize built-in functions
+     * Maps each name to its definition: { name, params, returns, signature, category, description, fn }
      */
     _initializeFunctions() {
-        return {
-            ROUND: (value, decimals = 0) => {
-                const multiplier = Math.pow(10, decimals);
-                return Math.round(value * multiplier) / multiplier;
-            },
-            CEIL: (value) => Math.ceil(value),
-            FLOOR: (value) => Math.floor(value),
-            ABS: (value) => Math.abs(value),
-            MIN: (...args) => Math.min(...args),
-            MAX: (...args) => Math.max(...args),
-            IF: (condition, valueIfTrue, valueIfFalse) => {
-                return condition ? valueIfTrue : valueIfFalse;
-            },
-            CONCAT: (...args) => args.join(''),
-            UPPER: (str) => String(str).toUpperCase(),
-            LOWER: (str) => String(str).toLowerCase(),
-            TRIM: (str) => String(str).trim(),
-            LEN: (str) => String(str).length
+        return Object.fromEntries(BuiltinFunctions.map(definition => [definition.name, definition]));
+    }
+
+    /**
+     * Function signatures for the formula editor, in library order
+     */
+    getFunctionSignatures() {
+        return Object.values(this.functions).map(({ fn, ...signature }) => signature);
+    }
+
+    /**
+     * Register a user-defined function
+     * Arguments are converted to the parameter types of the signature and
+     * the function is called with the engine as `this`.
+     * @param {string} name - Function name, case-insensitive
+     * @param {Function} fn - Implementation
+     * @param {string} signature - e.g. 'PRICE_ENDING(price: number, ending?: number): number'
+     *                             (defaults to any number of arguments of any type)
+     * @param {Object} options - { category, description, source }
+     */
+    registerFunction(name, fn, signature = null, options = {}) {
+        const upperName = String(name).toUpperCase();
+        if (!/^[A-Z_][A-Z0-9_.]*$/.test(upperName) || ['TRUE', 'FALSE', 'NULL'].includes(upperName)) {
+            throw new Error(`Invalid function name: ${name}`);
+        }
+        if (typeof fn !== 'function') {
+            throw new Error(`${upperName} must be a function`);
+        }
+        if (BuiltinFunctions.some(definition => definition.name === upperName)) {
+            throw new Error(`${upperName} is a built-in function and cannot be replaced`);
+        }
+        
+        const fullSignature = signature || `${upperName}(...values: any): any`;
+        const parsed = parseSignature(fullSignature);
+        if (parsed.name !== upperName) {
+            throw new Error(`Signature ${fullSignature} does not match function name ${upperName}`);
+        }
+        
+        this.functions[upperName] = {
+            ...parsed,
+            signature: fullSignature,
+            category: options.category || 'Custom',
+            description: options.description || '',
+            source: options.source || null,
+            fn
         };
+        logger.info(`Function registered: ${fullSignature}`);
+        return upperName;
+    }
+
+    /**
+     * Remove a user-defined function
+     */
+    unregisterFunction(name) {
+        const upperName = String(name).toUpperCase();
+        if (BuiltinFunctions.some(definition => definition.name === upperName)) {
+            throw new Error(`${upperName} is a built-in function and cannot be removed`);
+        }
+        if (!this.functions[upperName]) {
+            return false;
+        }
+        delete this.functions[upperName];
+        return true;
+    }
+
+    /**
+     * Set the default locale of FORMAT_NUMBER and FORMAT_CURRENCY
+     */
+    setLocale(locale) {
+        this.locale = locale || 'en-US';
+    }
+
+    /**
+     * Register a secondary dataset for LOOKUP(field, table, key)
+     * @param {string} name - Table name used in formulas
+     * @param {object} data - DataObject or array of records
+     * @param {string} keyField - Field matched against the lookup key (defaults to the first field)
+     */
+    addLookupTable(name, data, keyField = null) {
+        const records = Array.isArray(data) ? data : (data?.records || []);
+        const fields = data?.fields || Object.keys(records[0] || {});
+        const key = keyField || fields[0];
+        if (!key) {
+            throw new Error(`Lookup table ${name} has no fields`);
+        }
+        
+        // First row wins for duplicate keys
+        const index = new Map();
+        records.forEach(record => {
+            const value = this._lookupKey(record[key]);
+            if (!index.has(value)) {
+                index.set(value, record);
+            }
+        });
+        
+        this.lookupTables.set(name, { name, keyField: key, fields, records, index });
+        logger.info(`Lookup table added: ${name} (${records.length} rows, key ${key})`);
+        return { name, keyField: key, fields, rowCount: records.length };
+    }
+
+    removeLookupTable(name) {
+        return this.lookupTables.delete(name);
+    }
+
+    /**
+     * Registered lookup tables: { name, keyField, fields, rowCount }
+     */
+    getLookupTables() {
+        return [...this.lookupTables.values()].map(({ name, keyField, fields, records }) => ({
+            name, keyField, fields, rowCount: records.length
+        }));
+    }
+
+    _lookupKey(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        return String(value).trim();
     }
 
     /**
      * Add a formula
      * @param {string} name - Formula name/field name
      * @param {string} expression - Formula expression
+     * @param {object} options - { type }: result type from FormulaTypes (default 'auto')
      */
-    addFormula(name, expression) {
+    addFormula(name, expression, options = {}) {
         try {
             // Validate formula
             this.validateFormula(expression);
             
+            const type = options.type || 'auto';
+            if (!FormulaTypes.includes(type)) {
+                throw new Error(`Unknown result type: ${type}`);
+            }
+            
             const formula = {
                 name,
                 expression,
+                type,
                 createdAt: new Date().toISOString()
             };
             
-            this.formulas.push(formula);
+            // A formula with the same name is replaced; reject it if that closes a cycle
+            const formulas = this.formulas.filter(f => f.name !== name).concat(formula);
+            this.getEvaluationOrder(formulas);
+            
+            this.formulas = formulas;
             logger.info(`Formula added: ${name} = ${expression}`);
             
             return formula;
@@ -76,11 +201,26 @@ export default class FormulaEngine {
         if (index !== -1) {
             this.formulas.splice(index, 1);
             logger.info(`Formula removed: ${name}`);
+            
+            const dependents = this.formulas.filter(f => this.getDependencies(f.expression).includes(name));
+            if (dependents.length > 0) {
+                logger.warn(`Formulas still referencing ${name}: ${dependents.map(f => f.name).join(', ')}`);
+            }
             return true;
         }
         return false;
     }
 
+    /**
+     * Drop all formulas and lookup tables; registered functions stay
+     */
+    reset() {
+        this.formulas = [];
+        this.lookupTables.clear();
+        this.lastReport = null;
+        this.missingFields.clear();
+    }
+
     /**
      * Get all formulas
      */
@@ -89,30 +229,153 @@ export default class FormulaEngine {
     }
 
     /**
-     * Validate formula syntax
+     * Parse an expression into an AST (cached per expression)
      * @param {string} expression - Formula expression
      */
-    validateFormula(expression) {
-        try {
-            // Check for balanced braces
-            const openBraces = (expression.match(/{/g) || []).length;
-            const closeBraces = (expression.match(/}/g) || []).length;
-            if (openBraces !== closeBraces) {
-                throw new Error('Unbalanced braces in formula');
+    parse(expression) {
+        let ast = this.parsedFormulas.get(expression);
+        if (!ast) {
+            ast = this.parser.parse(expression);
+            this.parsedFormulas.set(expression, ast);
+        }
+        return ast;
+    }
+
+    /**
+     * Fields referenced by an expression, in order of first use
+     * @param {string} expression - Formula expression
+     */
+    getDependencies(expression) {
+        const fields = [];
+        this.parser.walk(this.parse(expression), node => {
+            if (node.type === 'field' && !fields.includes(node.name)) {
+                fields.push(node.name);
             }
+        });
+        return fields;
+    }
 
-            // Check for balanced parentheses
-            const openParens = (expression.match(/\(/g) || []).length;
-            const closeParens = (expression.match(/\)/g) || []).length;
-            if (openParens !== closeParens) {
-                throw new Error('Unbalanced parentheses in formula');
+    /**
+     * Dependency graph of the formulas
+     *
+     * @returns {Object} name → { fields, formulas, dependents }: the data fields
+     * and formulas it reads, and the formulas reading it
+     */
+    getDependencyGraph(formulas = this.formulas) {
+        const names = new Set(formulas.map(f => f.name));
+        const graph = {};
+        
+        formulas.forEach(formula => {
+            let dependencies = [];
+            try {
+                dependencies = this.getDependencies(formula.expression);
+            } catch (error) {
+                // Invalid formulas have no dependencies; evaluating them reports the error
             }
+            graph[formula.name] = {
+                fields: dependencies.filter(field => !names.has(field)),
+                formulas: dependencies.filter(field => names.has(field)),
+                dependents: []
+            };
+        });
+        
+        Object.entries(graph).forEach(([name, node]) => {
+            node.formulas.forEach(dependency => graph[dependency].dependents.push(name));
+        });
+        
+        return graph;
+    }
 
-            // Check for invalid characters
-            const validPattern = /^[\w\s+\-*/%(){}.,<>=!&|"']+$/;
-            if (!validPattern.test(expression)) {
-                throw new Error('Invalid characters in formula');
+    /**
+     * Order formulas so each one comes after the formulas it references
+     * Throws when formulas reference each other in a cycle.
+     */
+    getEvaluationOrder(formulas = this.formulas) {
+        const graph = this.getDependencyGraph(formulas);
+        const byName = new Map(formulas.map(f => [f.name, f]));
+        const order = [];
+        const state = new Map(); // name → 'visiting' | 'done'
+        
+        // Depth-first, keeping the declared order among independent formulas
+        const visit = (name, path) => {
+            if (state.get(name) === 'done') return;
+            if (state.get(name) === 'visiting') {
+                const cycle = path.slice(path.indexOf(name)).concat(name);
+                throw new Error(`Circular reference: ${cycle.join(' → ')}`);
             }
+            
+            state.set(name, 'visiting');
+            graph[name].formulas.forEach(dependency => visit(dependency, path.concat(name)));
+            state.set(name, 'done');
+            order.push(byName.get(name));
+        };
+        
+        formulas.forEach(formula => visit(formula.name, []));
+        return order;
+    }
+
+    /**
+     * Result type an expression is expected to produce, from its operators
+     * and function signatures: number, text, boolean, date, null or any
+     * @param {string} expression - Formula expression
+     */
+    inferType(expression) {
+        const infer = node => {
+            switch (node.type) {
+                case 'number':
+                case 'boolean':
+                case 'null':
+                    return node.type;
+                case 'string':
+                    return 'text';
+                case 'unary':
+                    return node.operator === '!' ? 'boolean' : 'number';
+                case 'binary':
+                    if (['&&', '||', '==', '!=', '<', '>', '<=', '>='].includes(node.operator)) {
+                        return 'boolean';
+                    }
+                    if (node.operator === '+') {
+                        return infer(node.left) === 'number' && infer(node.right) === 'number' ? 'number' : 'any';
+                    }
+                    return 'number';
+                case 'call': {
+                    if (node.name === 'IF') {
+                        const branches = node.args.slice(1).map(infer).filter(type => type !== 'null');
+                        return branches.length > 0 && branches.every(type => type === branches[0]) ? branches[0] : 'any';
+                    }
+                    return this.functions[node.name]?.returns || 'any';
+                }
+            }
+            return 'any';
+        };
+        return infer(this.parse(expression));
+    }
+
+    /**
+     * Type of a formula result: number, text, boolean, date or null
+     */
+    typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (value instanceof Date) return 'date';
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'boolean') return 'boolean';
+        return 'text';
+    }
+
+    /**
+     * Validate formula syntax
+     * Throws a FormulaError pointing at the failing column.
+     * @param {string} expression - Formula expression
+     */
+    validateFormula(expression) {
+        try {
+            const ast = this.parse(expression);
+            
+            this.parser.walk(ast, node => {
+                if (node.type === 'call') {
+                    this._checkCall(node, expression);
+                }
+            });
 
             logger.debug(`Formula validated: ${expression}`);
             return true;
@@ -129,173 +392,388 @@ export default class FormulaEngine {
      */
     evaluate(expression, record) {
         try {
-            // Replace field references with actual values
-            let processedExpression = this._replaceFieldReferences(expression, record);
-            
-            // Process function calls
-            processedExpression = this._processFunctions(processedExpression, record);
-            
-            // Evaluate the final expression
-            const result = this._evaluateExpression(processedExpression);
+            const ast = this.parse(expression);
+            const result = this._evaluateNode(ast, record, expression);
+            if (typeof result === 'number' && !isFinite(result)) {
+                throw new FormulaError('Result is not a finite number', null, expression);
+            }
             
             logger.debug(`Evaluated: ${expression} => ${result}`);
             return result;
         } catch (error) {
-            logger.error(`Formula evaluation failed: ${error.message}`);
-            throw new Error(`Formula error: ${error.message}`);
+            // Callers evaluating many records count the failures and report them once
+            logger.debug(`Formula evaluation failed: ${error.message}`);
+            throw error instanceof FormulaError ? error : new FormulaError(error.message, null, expression);
         }
     }
 
     /**
-     * Replace field references with values
-     * @param {string} expression - Formula expression
-     * @param {object} record - Data record
-     */
-    _replaceFieldReferences(expression, record) {
-        return expression.replace(/{([^}]+)}/g, (match, fieldName) => {
-            const value = record[fieldName.trim()];
-            if (value === undefined || value === null) {
-                logger.warn(`Field not found: ${fieldName}`);
-                return '0';
+     * Evaluate an AST node against a record
+     *
+     * NULL (a missing field or an empty cell) propagates like SQL NULL:
+     * arithmetic, ordering comparisons and typed function arguments with a
+     * NULL operand give NULL. == and != treat NULL as equal only to NULL.
+     */
+    _evaluateNode(node, record, expression) {
+        const fail = message => {
+            throw new FormulaError(message, node.column, expression);
+        };
+
+        switch (node.type) {
+            case 'number':
+            case 'string':
+            case 'boolean':
+            case 'null':
+                return node.value;
+
+            case 'field': {
+                const value = record[node.name];
+                if (value === undefined) {
+                    this.missingFields.set(node.name, (this.missingFields.get(node.name) || 0) + 1);
+                    return null;
+                }
+                return typeof value === 'string' && value.trim() === '' ? null : value;
             }
-            // Handle strings vs numbers
-            if (typeof value === 'string' && isNaN(value)) {
-                return `"${value}"`;
+
+            case 'unary': {
+                const operand = this._evaluateNode(node.operand, record, expression);
+                if (operand === null) {
+                    return null;
+                }
+                if (node.operator === '!') {
+                    return !this._isTruthy(operand);
+                }
+                const number = this._toNumber(operand, fail);
+                return node.operator === '-' ? -number : number;
             }
-            return value;
-        });
-    }
 
-    /**
-     * Process function calls
-     * @param {string} expression - Expression with functions
-     * @param {object} record - Data record
-     */
-    _processFunctions(expression, record) {
-        let result = expression;
-        
-        // Process each known function
-        for (const funcName in this.functions) {
-            const regex = new RegExp(`${funcName}\\(([^)]*)\\)`, 'gi');
-            result = result.replace(regex, (match, args) => {
+            case 'binary':
+                return this._evaluateBinary(node, record, expression, fail);
+
+            case 'call': {
+                // IF only evaluates the branch it returns
+                if (node.name === 'IF') {
+                    this._checkCall(node, expression);
+                    const condition = this._evaluateNode(node.args[0], record, expression);
+                    if (condition === null) {
+                        return null;
+                    }
+                    const branch = this._isTruthy(condition) ? node.args[1] : node.args[2];
+                    return branch ? this._evaluateNode(branch, record, expression) : null;
+                }
+
+                const definition = this._checkCall(node, expression);
+                const args = [];
+                for (let i = 0; i < node.args.length; i++) {
+                    const param = definition.params[Math.min(i, definition.params.length - 1)];
+                    const value = this._evaluateNode(node.args[i], record, expression);
+                    // Only 'any' parameters handle NULL themselves (ISBLANK, COALESCE...)
+                    if (value === null && param.type !== 'any') {
+                        return null;
+                    }
+                    args.push(this._coerceArgument(value, param.type, fail));
+                }
                 try {
-                    // Parse arguments
-                    const argList = this._parseArguments(args);
-                    
-                    // Evaluate each argument first
-                    const evaluatedArgs = argList.map(arg => {
-                        // If it's a string literal, keep it as is
-                        if (arg.startsWith('"') && arg.endsWith('"')) {
-                            return arg.slice(1, -1);
-                        }
-                        // If it's a number, parse it
-                        if (!isNaN(arg)) {
-                            return parseFloat(arg);
-                        }
-                        // Otherwise evaluate as expression
-                        return this._evaluateExpression(arg);
-                    });
-                    
-                    // Call the function
-                    const funcResult = this.functions[funcName](...evaluatedArgs);
-                    return funcResult;
+                    return definition.fn.apply(this, args);
                 } catch (error) {
-                    logger.error(`Function ${funcName} failed: ${error.message}`);
-                    throw error;
+                    return fail(`${node.name}: ${error.message}`);
                 }
-            });
+            }
         }
-        
-        return result;
+
+        return fail(`Unsupported expression '${node.type}'`);
     }
 
     /**
-     * Parse function arguments
-     * @param {string} argsString - Comma-separated arguments
+     * Evaluate a binary operator
+     *
+     * + adds numbers and concatenates anything else; comparisons are numeric
+     * when both sides are numbers (or numeric text) and textual otherwise.
      */
-    _parseArguments(argsString) {
-        const args = [];
-        let current = '';
-        let depth = 0;
-        let inString = false;
-        
-        for (let i = 0; i < argsString.length; i++) {
-            const char = argsString[i];
-            
-            if (char === '"' && (i === 0 || argsString[i - 1] !== '\\')) {
-                inString = !inString;
-                current += char;
-            } else if (char === '(' && !inString) {
-                depth++;
-                current += char;
-            } else if (char === ')' && !inString) {
-                depth--;
-                current += char;
-            } else if (char === ',' && depth === 0 && !inString) {
-                args.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+    _evaluateBinary(node, record, expression, fail) {
+        const evaluate = child => this._evaluateNode(child, record, expression);
+
+        // Logical operators short-circuit; NULL is unknown (three-valued logic)
+        if (node.operator === '&&' || node.operator === '||') {
+            const decisive = node.operator === '||';
+            const left = evaluate(node.left);
+            if (left !== null && this._isTruthy(left) === decisive) {
+                return decisive;
+            }
+            const right = evaluate(node.right);
+            if (right !== null && this._isTruthy(right) === decisive) {
+                return decisive;
             }
+            return left === null || right === null ? null : !decisive;
+        }
+
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (left === null || right === null) {
+            if (node.operator === '==') return left === right;
+            if (node.operator === '!=') return left !== right;
+            return null;
+        }
+        const numeric = this._isNumeric(left) && this._isNumeric(right);
+
+        switch (node.operator) {
+            case '+':
+                if (numeric) {
+                    return this._toNumber(left, fail) + this._toNumber(right, fail);
+                }
+                return this._toText(left) + this._toText(right);
+            case '-':
+                return this._toNumber(left, fail) - this._toNumber(right, fail);
+            case '*':
+                return this._toNumber(left, fail) * this._toNumber(right, fail);
+            case '/':
+            case '%': {
+                const divisor = this._toNumber(right, fail);
+                if (divisor === 0) {
+                    fail('Division by zero');
+                }
+                const dividend = this._toNumber(left, fail);
+                return node.operator === '/' ? dividend / divisor : dividend % divisor;
+            }
+        }
+
+        // Comparison
+        const a = numeric ? this._toNumber(left, fail) : this._toText(left);
+        const b = numeric ? this._toNumber(right, fail) : this._toText(right);
+        switch (node.operator) {
+            case '==': return a === b;
+            case '!=': return a !== b;
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            case '>=': return a >= b;
+        }
+
+        return fail(`Unknown operator '${node.operator}'`);
+    }
+
+    /**
+     * Check a call against its function's signature
+     * @returns {Object} The function definition
+     */
+    _checkCall(node, expression) {
+        const definition = this.functions[node.name];
+        if (!definition) {
+            throw new FormulaError(`Unknown function ${node.name}`, node.column, expression);
         }
         
-        if (current.trim()) {
-            args.push(current.trim());
+        const { min, max } = getArity(definition);
+        const count = node.args.length;
+        if (count < min || count > max) {
+            const expected = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min} to ${max}`);
+            throw new FormulaError(`${node.name} expects ${expected} argument${expected === '1' ? '' : 's'}, got ${count}`, node.column, expression);
         }
         
-        return args;
+        return definition;
     }
 
     /**
-     * Safely evaluate mathematical expression
-     * @param {string} expression - Expression to evaluate
+     * Convert an argument to the type its parameter declares
      */
-    _evaluateExpression(expression) {
-        try {
-            // Remove quotes from strings
-            if (expression.startsWith('"') && expression.endsWith('"')) {
-                return expression.slice(1, -1);
-            }
-            
-            // Check if it's a simple number
-            if (!isNaN(expression)) {
-                return parseFloat(expression);
-            }
-            
-            // For safety, only allow mathematical operators and numbers
-            const safeExpression = expression.replace(/[^0-9+\-*/.()%<>=!& ]/g, '');
-            
-            // Use Function constructor for safe evaluation (limited scope)
-            const func = new Function('return ' + safeExpression);
-            return func();
-        } catch (error) {
-            logger.error(`Expression evaluation failed: ${error.message}`);
-            throw error;
+    _coerceArgument(value, type, fail) {
+        switch (type) {
+            case 'number':
+                return this._toNumber(value, fail);
+            case 'text':
+                return this._toText(value);
+            case 'boolean':
+                return this._isTruthy(value);
+            case 'date':
+                return this._toDate(value, fail);
+            default:
+                return value;
         }
     }
 
+    _toDate(value, fail) {
+        if (value instanceof Date) {
+            return value;
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+            // Date-only ISO text is a local date, not UTC midnight
+            const [year, month, day] = value.trim().split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+        const date = new Date(typeof value === 'string' ? value.trim() : value);
+        if (value === null || value === '' || isNaN(date.getTime())) {
+            fail(`Cannot use ${JSON.stringify(value)} as a date`);
+        }
+        return date;
+    }
+
+    _valuesEqual(a, b) {
+        if (a === null || b === null) {
+            return a === b;
+        }
+        if (this._isNumeric(a) && this._isNumeric(b)) {
+            return this._toNumber(a) === this._toNumber(b);
+        }
+        return this._toText(a) === this._toText(b);
+    }
+
+    _isNumeric(value) {
+        if (typeof value === 'number' || typeof value === 'boolean' || value instanceof Date) {
+            return true;
+        }
+        return typeof value === 'string' && value.trim() !== '' && isFinite(Number(value));
+    }
+
+    _toNumber(value, fail) {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (!this._isNumeric(value)) {
+            fail(`Cannot use ${JSON.stringify(value)} as a number`);
+        }
+        return Number(value);
+    }
+
+    _toText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        return String(value);
+    }
+
+    _isTruthy(value) {
+        if (typeof value === 'string') return value.trim() !== '';
+        return Boolean(value);
+    }
+
     /**
      * Apply formulas to a dataset
+     * A record a formula fails for gets NULL for it; the failures are
+     * collected in the report returned by getErrorReport().
      * @param {array} records - Array of data records
      * @param {array} formulasToApply - Array of formulas to apply
      */
     applyFormulas(records, formulasToApply = null) {
-        const formulas = formulasToApply || this.formulas;
+        // Formulas read the results of the formulas they depend on
+        const formulas = this.getEvaluationOrder(formulasToApply || this.formulas);
+        const report = this._createReport(formulas, records.length);
+        this.missingFields.clear();
         
-        return records.map(record => {
+        const enriched = records.map((record, index) => {
             const enrichedRecord = { ...record };
+            const failed = new Set();
             
             formulas.forEach(formula => {
+                const entry = report.formulas.find(f => f.name === formula.name);
                 try {
-                    enrichedRecord[formula.name] = this.evaluate(formula.expression, record);
+                    // A failed formula is an error for its dependents, not a NULL
+                    const upstream = this.getDependencies(formula.expression).find(name => failed.has(name));
+                    if (upstream) {
+                        throw new FormulaError(`Depends on failed formula ${upstream}`, null, formula.expression);
+                    }
+                    
+                    const value = this._convertResult(this.evaluate(formula.expression, enrichedRecord), formula.type, formula.expression);
+                    enrichedRecord[formula.name] = value;
+                    entry.types[this.typeOf(value)]++;
                 } catch (error) {
-                    logger.error(`Failed to apply formula ${formula.name}: ${error.message}`);
+                    failed.add(formula.name);
                     enrichedRecord[formula.name] = null;
+                    this._reportError(entry, error, index);
                 }
             });
             
+            if (failed.size > 0) {
+                report.failedRecords++;
+            }
             return enrichedRecord;
         });
+        
+        this.lastReport = report;
+        if (report.failedRecords > 0) {
+            logger.warn(`Formulas failed for ${report.failedRecords} of ${records.length} records`);
+        }
+        this.reportMissingFields();
+        
+        return enriched;
+    }
+
+    /**
+     * Log the fields formulas referenced but records lacked, once for all
+     * evaluations since the last report, and start counting afresh
+     * @param {string} context - What was evaluated, for the message
+     */
+    reportMissingFields(context = 'Formulas') {
+        if (this.missingFields.size > 0) {
+            const fields = [...this.missingFields].map(([name, count]) => `${name} (${count} lookup${count === 1 ? '' : 's'})`);
+            logger.warn(`${context} referenced fields the records do not have: ${fields.join(', ')}`);
+        }
+        this.missingFields.clear();
+    }
+
+    /**
+     * Report of the last applyFormulas run
+     *
+     * @returns {Object|null} { recordCount, failedRecords, createdAt, formulas: [{ name, type, failed,
+     * types: { number, text, boolean, date, null }, errors: [{ reason, example, count, rows }] }] }
+     * where example is the first full message and rows the first 1-based
+     * record numbers the error occurred for
+     */
+    getErrorReport() {
+        return this.lastReport;
+    }
+
+    _createReport(formulas, recordCount) {
+        return {
+            recordCount,
+            failedRecords: 0,
+            createdAt: new Date().toISOString(),
+            formulas: formulas.map(formula => ({
+                name: formula.name,
+                type: formula.type || 'auto',
+                failed: 0,
+                types: { number: 0, text: 0, boolean: 0, date: 0, null: 0 },
+                errors: []
+            }))
+        };
+    }
+
+    _reportError(entry, error, index) {
+        const message = error.reason || error.message;
+        // Group by message pattern, so "abc" and "xyz" used as a number count as one error
+        const reason = message.replace(/"(?:[^"\\]|\\.)*"/g, '"…"');
+        let group = entry.errors.find(e => e.reason === reason);
+        if (!group) {
+            group = { reason, example: message, count: 0, rows: [] };
+            entry.errors.push(group);
+        }
+        
+        entry.failed++;
+        group.count++;
+        if (group.rows.length < REPORT_SAMPLE_ROWS) {
+            group.rows.push(index + 1);
+        }
+    }
+
+    /**
+     * Convert a result to the formula's declared type; NULL stays NULL
+     */
+    _convertResult(value, type, expression) {
+        if (value === null || value === undefined || !type || type === 'auto') {
+            return value ?? null;
+        }
+        
+        const fail = () => {
+            throw new FormulaError(`Result ${JSON.stringify(value)} is not a ${type}`, null, expression);
+        };
+        switch (type) {
+            case 'number':
+                return this._toNumber(value, fail);
+            case 'text':
+                return this._toText(value);
+            case 'boolean':
+                return this._isTruthy(value);
+            case 'date':
+                return this._toDate(value, fail);
+            default:
+                return value;
+        }
     }
 
     /**
@@ -346,6 +824,7 @@ export default class FormulaEngine {
         return {
             version: '1.0',
             formulas: this.formulas,
+            lookupTables: [...this.lookupTables.values()].map(({ name, keyField, fields, records }) => ({ name, keyField, fields, records })),
             exportedAt: new Date().toISOString()
         };
     }
@@ -359,6 +838,9 @@ export default class FormulaEngine {
                 this.formulas = data.formulas;
                 logger.info(`Imported ${this.formulas.length} formulas`);
             }
+            if (Array.isArray(data.lookupTables)) {
+                data.lookupTables.forEach(table => this.addLookupTable(table.name, table, table.keyField));
+            }
         } catch (error) {
             logger.error('Failed to import formulas:', error);
             throw error;
@@ -0,0 +1,231 @@
+/**
+ * Function Packs Module
+ * Loads user-defined formula functions from a folder of pack files
+ *
+ * A pack is a .json file listing functions whose bodies are formulas over
+ * their parameters:
+ *
+ *   { "functions": [{
+ *       "signature": "PRICE_ENDING(price: number, market?: text): number",
+ *       "description": "Round up to the market's price ending",
+ *       "formula": "CEIL({price} - SWITCH({market}, \"DE\", 0.95, 0.99)) + SWITCH({market}, \"DE\", 0.95, 0.99)"
+ *   }] }
+ *
+ * Pack functions run on the formula evaluator like any other formula: they
+ * can only call formula functions, and no code from disk is executed, so
+ * packs have no access to the DOM, the file system or the plugin.
+ */
+
+import { Logger } from './utils.js';
+import { parseSignature } from './formulaFunctions.js';
+
+const logger = new Logger('FunctionPacks');
+
+export default class FunctionPackLoader {
+    constructor(formulaEngine) {
+        this.formulaEngine = formulaEngine;
+        this.packs = new Map();
+        this.folderPath = null;
+    }
+
+    /**
+     * Read a pack into function definitions without registering them
+     * @param {string} source - Pack file content (JSON)
+     * @param {string} packName - Used as the category of its functions
+     * @returns {Array} [{ signature, description, formula, fn, category }]
+     */
+    compile(source, packName) {
+        let pack;
+        try {
+            pack = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid pack file: ${error.message}`);
+        }
+        if (!pack || !Array.isArray(pack.functions) || pack.functions.length === 0) {
+            throw new Error('Pack defines no functions');
+        }
+
+        return pack.functions.map(entry => {
+            const { signature, description, formula } = entry || {};
+            if (typeof signature !== 'string' || typeof formula !== 'string' || !formula.trim()) {
+                throw new Error('Each pack function needs a signature and a formula');
+            }
+
+            const { params } = parseSignature(signature);
+            const variadic = params.find(param => param.variadic);
+            if (variadic) {
+                throw new Error(`${signature}: variable argument lists (...${variadic.name}) are not supported in packs`);
+            }
+
+            // The formula only sees the arguments, never the record
+            const names = params.map(param => param.name);
+            const unknown = this.formulaEngine.getDependencies(formula).find(field => !names.includes(field));
+            if (unknown) {
+                throw new Error(`${signature}: {${unknown}} is not a parameter`);
+            }
+
+            return {
+                signature,
+                description: String(description || ''),
+                formula,
+                fn: this.createFunction(formula, names),
+                category: packName
+            };
+        });
+    }
+
+    /**
+     * Formula function evaluating a pack formula with the call's arguments
+     * as its fields. Missing optional arguments are NULL.
+     */
+    createFunction(formula, names) {
+        return function (...args) {
+            const values = Object.fromEntries(names.map((name, index) => [name, args[index] === undefined ? null : args[index]]));
+            return this.evaluate(formula, values);
+        };
+    }
+
+    /**
+     * Pack functions a formula calls
+     * @param {Map} formulas - Function name -> formula of the pack functions
+     */
+    _calledPackFunctions(formula, formulas) {
+        const called = new Set();
+        this.formulaEngine.parser.walk(this.formulaEngine.parse(formula), node => {
+            if (node.type === 'call' && formulas.has(node.name)) {
+                called.add(node.name);
+            }
+        });
+        return called;
+    }
+
+    /**
+     * Throw when pack functions call each other in a cycle. Formulas have no
+     * loops, so this keeps every pack function call finite.
+     * @param {Map} formulas - Function name -> formula of all loaded pack functions
+     */
+    _checkRecursion(formulas) {
+        const done = new Set();
+        const visit = (name, path) => {
+            if (path.includes(name)) {
+                throw new Error(`Pack functions call themselves: ${[...path.slice(path.indexOf(name)), name].join(' -> ')}`);
+            }
+            if (done.has(name)) {
+                return;
+            }
+            this._calledPackFunctions(formulas.get(name), formulas).forEach(called => visit(called, [...path, name]));
+            done.add(name);
+        };
+        formulas.forEach((formula, name) => visit(name, []));
+    }
+
+    /**
+     * Read a pack and register its functions, replacing an earlier
+     * version of the same pack
+     * @returns {Object} { name, functions }
+     */
+    loadPack(source, packName, path = null) {
+        try {
+            const definitions = this.compile(source, packName);
+
+            this.unloadPack(packName);
+            const functions = [];
+            try {
+                definitions.forEach(definition => {
+                    const name = definition.signature.slice(0, definition.signature.indexOf('(')).trim();
+                    this.formulaEngine.registerFunction(name, definition.fn, definition.signature, {
+                        category: definition.category,
+                        description: definition.description,
+                        source: packName
+                    });
+                    functions.push(name.toUpperCase());
+                });
+                // Checked once all are registered, as pack functions may call each other
+                definitions.forEach(definition => this.formulaEngine.validateFormula(definition.formula));
+                const allFormulas = new Map([...this.packs.values()].flatMap(pack => Object.entries(pack.formulas)));
+                definitions.forEach((definition, index) => allFormulas.set(functions[index], definition.formula));
+                this._checkRecursion(allFormulas);
+            } catch (error) {
+                // All or nothing: a pack never stays half registered
+                functions.forEach(name => this.formulaEngine.unregisterFunction(name));
+                throw error;
+            }
+
+            const formulas = Object.fromEntries(definitions.map((definition, index) => [functions[index], definition.formula]));
+            this.packs.set(packName, { name: packName, path, functions, formulas });
+            logger.info(`Function pack loaded: ${packName} (${functions.join(', ')})`);
+            return { name: packName, functions };
+        } catch (error) {
+            logger.error(`Failed to load function pack ${packName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Unregister the functions of a pack
+     */
+    unloadPack(packName) {
+        const pack = this.packs.get(packName);
+        if (!pack) {
+            return false;
+        }
+        pack.functions.forEach(name => this.formulaEngine.unregisterFunction(name));
+        this.packs.delete(packName);
+        return true;
+    }
+
+    unloadAll() {
+        [...this.packs.keys()].forEach(name => this.unloadPack(name));
+        this.folderPath = null;
+    }
+
+    /**
+     * Load every .json file of a folder as a pack, replacing the packs of
+     * the previously loaded folder. A broken pack does not stop the others.
+     * @param {string} folderPath - Native path of the folder
+     * @returns {Promise<Object>} { packs: [{ name, functions }], errors: [{ file, message }] }
+     */
+    async loadFolder(folderPath) {
+        try {
+            logger.info('Loading function packs from:', folderPath);
+
+            const fs = require('uxp').storage.localFileSystem;
+            const folder = await fs.getEntryWithUrl('file:' + folderPath);
+            if (!folder || !folder.isFolder) {
+                throw new Error(`Not a folder: ${folderPath}`);
+            }
+
+            this.unloadAll();
+            this.folderPath = folderPath;
+
+            const files = (await folder.getEntries())
+                .filter(entry => entry.isFile && /\.json$/i.test(entry.name))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            const packs = [];
+            const errors = [];
+            for (const file of files) {
+                const packName = file.name.replace(/\.json$/i, '');
+                try {
+                    const source = await file.read({ format: require('uxp').storage.formats.utf8 });
+                    packs.push(this.loadPack(source, packName, file.nativePath));
+                } catch (error) {
+                    errors.push({ file: file.name, message: error.message });
+                }
+            }
+
+            logger.info(`Loaded ${packs.length} function pack(s), ${errors.length} failed`);
+            return { packs, errors };
+        } catch (error) {
+            logger.error('Failed to load function packs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Loaded packs: { name, path, functions }
+     */
+    getPacks() {
+        return [...this.packs.values()].map(({ formulas, ...pack }) => ({ ...pack, functions: [...pack.functions] }));
+    }
+}
@@ -3,40 +3,274 @@
  * Data grouping and categorization with layout support
  */
 
-import { Logger } from './utils.js';
+import { Logger, foldText, parseDate } from './utils.js';
+import DataMapper from './dataMapping.js';
+import { SeasonPresets, normalizeSeasons } from './filtering.js';
 
 const logger = new Logger('Grouping');
 
+// Aggregations skip missing and whitespace-only values
+function isEmptyValue(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// Numeric value of an aggregated value, null when it is not a number
+function toAggregateNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Directory letter of a text: its folded first letter, '#' for digits and symbols
+ */
+function initialLetter(text) {
+    const initial = foldText(String(text).trim()).charAt(0).toUpperCase();
+    return /\p{L}/u.test(initial) ? initial : '#';
+}
+
+// Bucket of records without a value; always sorted last
+const EMPTY_BUCKET = { key: null, label: null, order: null };
+
+/**
+ * Compare two group buckets by their order
+ */
+function compareBuckets(a, b, sortDirection) {
+    if (a.key === b.key) return 0;
+    if (a.order === null) return 1;
+    if (b.order === null) return -1;
+    
+    const comparison = typeof a.order === 'number' && typeof b.order === 'number'
+        ? a.order - b.order
+        : String(a.order).localeCompare(String(b.order), undefined, { numeric: true });
+    return sortDirection === 'desc' ? -comparison : comparison;
+}
+
+/**
+ * Page range of a TOC entry: '4' or '4–7'
+ * first and last are { name, offset } page numbers from PageGenerator.
+ */
+function formatPageRange(first, last) {
+    return first.offset === last.offset ? first.name : `${first.name}\u2013${last.name}`;
+}
+
+/**
+ * Pages of an index entry, consecutive pages joined into ranges: '3, 7–9'
+ */
+function formatPageList(pages) {
+    const sorted = [...pages].sort((a, b) => a.offset - b.offset);
+    const ranges = [];
+    sorted.forEach(page => {
+        const range = ranges[ranges.length - 1];
+        if (range && page.offset === range.last.offset + 1) {
+            range.last = page;
+        } else {
+            ranges.push({ first: page, last: page });
+        }
+    });
+    return ranges.map(range => formatPageRange(range.first, range.last)).join(', ');
+}
+
 /**
  * Grouping Engine Class
+ *
+ * groupRecords returns a flat list PageGenerator lays out: 'record' items
+ * and, around each group, 'group-header' and 'group-footer' items with the
+ * text, paragraph style and page break / separator to place them with.
+ *
+ * A level can instead use a header design: a labelled prototype frame
+ * and/or a master spread whose <<token>> placeholders are filled per group.
+ *
+ * Levels group by exact field value or by bucket: numeric ranges, date
+ * periods, first letters or the result of a formula.
+ *
+ * Formula buckets and aggregations need the formula engine.
  */
 export default class GroupingEngine {
-    constructor() {
+    constructor(formulaEngine = null) {
+        this.formulaEngine = formulaEngine;
+        this.dataMapper = new DataMapper();
+        this.formulaFailures = { aggregation: 0, group: 0 };
+        this.dateFormat = 'auto';
+        this.seasons = SeasonPresets.meteorological;
+        this.reset();
+    }
+
+    /**
+     * Drop the group levels and aggregations and restore the default options
+     */
+    reset() {
         this.groupLevels = [];
+        this.aggregations = [];
         this.groupOptions = {
             showHeaders: true,
             showFooters: false,
             showItemCount: true,
             pageBreakPerGroup: false,
             headerStyle: 'heading1',
+            customHeaderStyle: '',
             separatorType: 'line'
         };
     }
 
+    /**
+     * Set how date bucket values are read; the panel keeps it in line with
+     * the filters' date format
+     * @param {string} format - 'auto' or a pattern such as 'DD/MM/YYYY' (see parseDate)
+     */
+    setDateFormat(format) {
+        this.dateFormat = format || 'auto';
+    }
+
+    /**
+     * Set the season calendar of season buckets; the panel uses the filters' calendar
+     * @param {string|Array} seasons - Name of a SeasonPresets entry, or [{ name, month, day }]
+     */
+    setSeasons(seasons) {
+        this.seasons = normalizeSeasons(seasons);
+    }
+
+    /**
+     * Add an aggregation shown in group footers
+     * @param {string} field - Field to aggregate, or the name of an expression
+     * @param {string} fn - One of AggregationFunctions
+     * @param {Object} options - Optional settings:
+     *   - expression: formula evaluated per record instead of reading field
+     *   - formatter: DataMapper formatter of the result, e.g. 'currency:EUR'
+     *   - template: footer text with {value}, e.g. 'from {value}'
+     */
+    addAggregation(field, fn = 'sum', options = {}) {
+        const aggregation = { field, function: fn };
+        ['expression', 'formatter', 'template'].forEach(key => {
+            if (options[key]) aggregation[key] = options[key];
+        });
+        this.validateAggregation(aggregation);
+        
+        this.aggregations.push(aggregation);
+        logger.info(`Aggregation added: ${fn} of ${field}`);
+        return aggregation;
+    }
+
+    /**
+     * Validate an aggregation config
+     * Throws when the function is unknown or the expression is invalid.
+     */
+    validateAggregation(aggregation) {
+        if (!aggregation.field) {
+            throw new Error('Aggregation field is required');
+        }
+        if (!AggregationFunctions.some(f => f.value === aggregation.function)) {
+            throw new Error(`Unknown aggregation: ${aggregation.function}`);
+        }
+        if (aggregation.expression) {
+            if (!this.formulaEngine) {
+                throw new Error('Formula aggregations need a formula engine');
+            }
+            this.formulaEngine.validateFormula(aggregation.expression);
+        }
+        if (aggregation.template && !aggregation.template.includes('{value}')) {
+            throw new Error('Aggregation template must contain {value}');
+        }
+        return true;
+    }
+
+    removeAggregation(index) {
+        if (index >= 0 && index < this.aggregations.length) {
+            this.aggregations.splice(index, 1);
+            return true;
+        }
+        return false;
+    }
+
     /**
      * Add a group level
-     * @param {string} field - Field to group by
+     * @param {string} field - Field to group by; the level name for formula buckets
      * @param {string} sortDirection - 'asc' or 'desc'
+     * @param {Object|null} bucket - Group by bucket instead of exact value:
+     *   - { type: 'range', bounds: [10, 20, 50], formatter }: numeric bands
+     *     'Under 10', '10–20', '20–50' and '50 and over', labels formatted
+     *     with a DataMapper formatter
+     *   - { type: 'date', unit }: unit 'month', 'quarter', 'season' or 'year';
+     *     dates are read with setDateFormat() and seasons follow setSeasons()
+     *   - { type: 'letter' }: first letter, A–Z directory style
+     *   - { type: 'formula', expression }: result of a formula
+     *   includeEmpty: true also lists bands, periods and letters without
+     *   records (not formula buckets).
      */
-    addGroupLevel(field, sortDirection = 'asc') {
+    addGroupLevel(field, sortDirection = 'asc', bucket = null) {
         const level = {
             field,
             sortDirection,
             level: this.groupLevels.length
         };
+        if (bucket) {
+            this.validateBucket(bucket);
+            level.bucket = bucket.type === 'range'
+                ? { ...bucket, bounds: [...bucket.bounds].sort((a, b) => a - b) }
+                : { ...bucket };
+        }
         
         this.groupLevels.push(level);
-        logger.info(`Group level added: ${field} (${sortDirection})`);
+        logger.info(`Group level added: ${field} (${sortDirection}${bucket ? `, by ${bucket.type}` : ''})`);
+        return level;
+    }
+
+    /**
+     * Validate a group level bucket
+     * Throws when the type is unknown or its settings are invalid.
+     */
+    validateBucket(bucket) {
+        switch (bucket.type) {
+            case 'range':
+                if (!Array.isArray(bucket.bounds) || bucket.bounds.length === 0 || !bucket.bounds.every(Number.isFinite)) {
+                    throw new Error('Range buckets need one or more numeric bounds');
+                }
+                if (new Set(bucket.bounds).size !== bucket.bounds.length) {
+                    throw new Error('Range bounds must be different');
+                }
+                break;
+            case 'date':
+                if (!['month', 'quarter', 'season', 'year'].includes(bucket.unit)) {
+                    throw new Error(`Unknown date bucket: ${bucket.unit}`);
+                }
+                break;
+            case 'letter':
+                break;
+            case 'formula':
+                if (!this.formulaEngine) {
+                    throw new Error('Formula buckets need a formula engine');
+                }
+                if (bucket.includeEmpty) {
+                    throw new Error('Formula buckets cannot include empty buckets');
+                }
+                this.formulaEngine.validateFormula(bucket.expression);
+                break;
+            default:
+                throw new Error(`Unknown bucket type: ${bucket.type}`);
+        }
+        return true;
+    }
+
+    /**
+     * Design the headers of a group level
+     * @param {number} index - Group level index
+     * @param {Object|null} header - { prototype, master }: label of the
+     *   header prototype frame(s) and name of an opener master spread, e.g.
+     *   'B-Opener'; null goes back to text headers
+     */
+    setLevelHeader(index, header) {
+        const level = this.groupLevels[index];
+        if (!level) {
+            throw new Error(`No group level ${index + 1}`);
+        }
+        
+        const prototype = header?.prototype?.trim() || null;
+        const master = header?.master?.trim() || null;
+        if (prototype || master) {
+            level.header = { prototype, master };
+        } else {
+            delete level.header;
+        }
+        logger.info(`Header design of level ${index + 1}: ${prototype || master ? [prototype, master].filter(Boolean).join(' on ') : 'text'}`);
         return level;
     }
 
@@ -84,14 +318,31 @@ export default class GroupingEngine {
 
         logger.info(`Grouping ${records.length} records by ${this.groupLevels.length} levels`);
 
+        this.formulaFailures = { aggregation: 0, group: 0 };
+
+        // Bucket levels: the bucket of every record, evaluated once
+        const buckets = this.groupLevels.some(level => level.bucket)
+            ? new Map(records.map(record => [record, this.groupLevels.map(level => level.bucket ? this._bucketOf(record, level) : null)]))
+            : null;
+
         // Sort records by group fields first
-        const sortedRecords = this._sortByGroupLevels(records);
+        const sortedRecords = this._sortByGroupLevels(records, buckets);
 
         // Build hierarchical groups
-        const groups = this._buildGroups(sortedRecords, 0);
+        const groups = this._buildGroups(sortedRecords, 0, buckets);
+        if (this.groupOptions.showFooters && this.aggregations.length > 0) {
+            this.calculateAggregations(groups, this.aggregations);
+        }
 
         // Create flat list with group markers
         const flatList = this._flattenGroups(groups);
+        if (this.formulaFailures.group > 0) {
+            logger.warn(`${this.formulaFailures.group} group formula evaluation(s) failed - those records are grouped as empty`);
+        }
+        if (this.formulaFailures.aggregation > 0) {
+            logger.warn(`${this.formulaFailures.aggregation} aggregation formula evaluation(s) failed - those records were skipped`);
+        }
+        this.formulaEngine?.reportMissingFields('Group formulas');
 
         logger.info(`Created ${this._countGroups(groups)} groups`);
 
@@ -100,10 +351,17 @@ export default class GroupingEngine {
 
     /**
      * Sort records by group levels
+     * Bucket levels sort by bucket order, with records without a value last.
      */
-    _sortByGroupLevels(records) {
+    _sortByGroupLevels(records, buckets = null) {
         return [...records].sort((a, b) => {
-            for (const level of this.groupLevels) {
+            for (const [index, level] of this.groupLevels.entries()) {
+                if (level.bucket) {
+                    const comparison = compareBuckets(buckets.get(a)[index], buckets.get(b)[index], level.sortDirection);
+                    if (comparison !== 0) return comparison;
+                    continue;
+                }
+                
                 const aVal = a[level.field];
                 const bVal = b[level.field];
                 
@@ -118,8 +376,9 @@ export default class GroupingEngine {
 
     /**
      * Build hierarchical group structure
+     * Groups of a bucket level take the bucket label as value.
      */
-    _buildGroups(records, levelIndex) {
+    _buildGroups(records, levelIndex, buckets = null) {
         if (levelIndex >= this.groupLevels.length) {
             return records;
         }
@@ -127,18 +386,22 @@ export default class GroupingEngine {
         const level = this.groupLevels[levelIndex];
         const groups = [];
         let currentGroup = null;
+        let currentKey;
 
         records.forEach(record => {
-            const groupValue = record[level.field];
+            const bucket = level.bucket ? buckets.get(record)[levelIndex] : null;
+            const groupKey = bucket ? bucket.key : record[level.field];
             
-            if (!currentGroup || currentGroup.value !== groupValue) {
+            if (!currentGroup || currentKey !== groupKey) {
                 currentGroup = {
                     level: levelIndex,
                     field: level.field,
-                    value: groupValue,
+                    value: bucket ? bucket.label : groupKey,
                     records: [],
                     subgroups: null
                 };
+                if (bucket) currentGroup.bucket = bucket;
+                currentKey = groupKey;
                 groups.push(currentGroup);
             }
             
@@ -148,25 +411,177 @@ export default class GroupingEngine {
         // Recursively build subgroups
         if (levelIndex < this.groupLevels.length - 1) {
             groups.forEach(group => {
-                group.subgroups = this._buildGroups(group.records, levelIndex + 1);
+                group.subgroups = this._buildGroups(group.records, levelIndex + 1, buckets);
                 group.records = []; // Clear records as they're now in subgroups
             });
         }
 
-        return groups;
+        return level.bucket?.includeEmpty ? this._addEmptyBuckets(groups, levelIndex) : groups;
+    }
+
+    /**
+     * Bucket of a record on a bucket level
+     * @returns {Object} { key, label, order }; EMPTY_BUCKET without a value
+     */
+    _bucketOf(record, level) {
+        const bucket = level.bucket;
+        const value = bucket.type === 'formula'
+            ? this._evaluateFormula(bucket.expression, record, 'group')
+            : record[level.field];
+        if (isEmptyValue(value)) {
+            return EMPTY_BUCKET;
+        }
+        
+        switch (bucket.type) {
+            case 'range': {
+                const number = toAggregateNumber(value);
+                if (number === null) return EMPTY_BUCKET;
+                const index = bucket.bounds.findIndex(bound => number < bound);
+                return this._rangeBucket(bucket, index === -1 ? bucket.bounds.length : index);
+            }
+            case 'date': {
+                const date = parseDate(value, this.dateFormat);
+                if (!date) return EMPTY_BUCKET;
+                const year = date.getFullYear();
+                const month = date.getMonth();
+                const periods = {
+                    month: year * 12 + month,
+                    quarter: year * 4 + Math.floor(month / 3),
+                    season: this._seasonPeriod(date),
+                    year
+                };
+                return this._dateBucket(bucket.unit, periods[bucket.unit]);
+            }
+            case 'letter': {
+                const letter = initialLetter(value);
+                // '#' before the letters, as in the index
+                return { key: letter, label: letter, order: letter === '#' ? '' : letter };
+            }
+            case 'formula': {
+                if (value instanceof Date) {
+                    return { key: value.getTime(), label: value.toLocaleDateString(), order: value.getTime() };
+                }
+                return { key: value, label: String(value), order: value };
+            }
+        }
+        return EMPTY_BUCKET;
+    }
+
+    /**
+     * Numeric band of a range bucket: index 0 is below the first bound
+     */
+    _rangeBucket(bucket, index) {
+        const format = value => bucket.formatter ? String(this.dataMapper.applyFormatter(value, bucket.formatter)) : String(value);
+        const bounds = bucket.bounds;
+        let label;
+        if (index === 0) {
+            label = `Under ${format(bounds[0])}`;
+        } else if (index === bounds.length) {
+            label = `${format(bounds[index - 1])} and over`;
+        } else {
+            label = `${format(bounds[index - 1])}\u2013${format(bounds[index])}`;
+        }
+        return { key: index, label, order: index };
+    }
+
+    /**
+     * Season period of a date: year * seasons + index of the season in the
+     * calendar, counting a season from the year it starts in
+     */
+    _seasonPeriod(date) {
+        const count = this.seasons.length;
+        const day = (date.getMonth() + 1) * 100 + date.getDate();
+        const index = this.seasons.reduce((found, season, i) => season.month * 100 + season.day <= day ? i : found, -1);
+        // Before the first start of the year: the previous year's last season
+        return index === -1 ? (date.getFullYear() - 1) * count + count - 1 : date.getFullYear() * count + index;
+    }
+
+    /**
+     * Date period bucket from its number, e.g. year * 12 + month for months
+     */
+    _dateBucket(unit, period) {
+        let label;
+        switch (unit) {
+            case 'month':
+                label = new Date(Math.floor(period / 12), period % 12, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+                break;
+            case 'quarter':
+                label = `Q${period % 4 + 1} ${Math.floor(period / 4)}`;
+                break;
+            case 'season': {
+                const count = this.seasons.length;
+                const year = Math.floor(period / count);
+                const index = period % count;
+                // The last season spans the turn of the year unless the first starts on 1 January: 'Winter 2024/25'
+                const first = this.seasons[0];
+                const spansYears = index === count - 1 && !(first.month === 1 && first.day === 1);
+                label = `${this.seasons[index].name} ${spansYears ? `${year}/${String(year + 1).slice(-2)}` : year}`;
+                break;
+            }
+            default:
+                label = String(period);
+        }
+        return { key: period, label, order: period };
+    }
+
+    /**
+     * Add the groups of buckets without records: every band of a range,
+     * every letter A–Z and every period between the first and last date
+     */
+    _addEmptyBuckets(groups, levelIndex) {
+        const level = this.groupLevels[levelIndex];
+        const bucket = level.bucket;
+        const keys = groups.filter(group => group.bucket && group.bucket.key !== null).map(group => group.bucket.key);
+        
+        let all = [];
+        if (bucket.type === 'range') {
+            all = Array.from({ length: bucket.bounds.length + 1 }, (_, index) => this._rangeBucket(bucket, index));
+        } else if (bucket.type === 'letter') {
+            all = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => ({ key: letter, label: letter, order: letter }));
+        } else if (bucket.type === 'date' && keys.length > 0) {
+            const first = keys.reduce((min, key) => Math.min(min, key));
+            const last = keys.reduce((max, key) => Math.max(max, key));
+            for (let period = first; period <= last; period++) {
+                all.push(this._dateBucket(bucket.unit, period));
+            }
+        }
+        
+        const missing = all.filter(candidate => !keys.includes(candidate.key));
+        if (missing.length === 0) {
+            return groups;
+        }
+        
+        const lastLevel = levelIndex === this.groupLevels.length - 1;
+        const empty = missing.map(candidate => ({
+            level: levelIndex,
+            field: level.field,
+            value: candidate.label,
+            bucket: candidate,
+            records: [],
+            subgroups: lastLevel ? null : []
+        }));
+        
+        return groups.concat(empty)
+            .sort((a, b) => compareBuckets(a.bucket || EMPTY_BUCKET, b.bucket || EMPTY_BUCKET, level.sortDirection));
     }
 
     /**
      * Flatten groups to a linear list with markers
+     *
+     * Top-level headers carry the page break and the separator from the
+     * previous group; the generator skips a page break at the top of a page.
      */
     _flattenGroups(groups, parentPath = '') {
         const flatList = [];
+        const options = this.groupOptions;
 
         groups.forEach((group, index) => {
             const groupPath = parentPath ? `${parentPath}.${index}` : String(index);
+            const topLevel = group.level === 0;
+            const design = this.groupLevels[group.level]?.header;
             
             // Add group header
-            if (this.groupOptions.showHeaders) {
+            if (options.showHeaders) {
                 flatList.push({
                     type: 'group-header',
                     level: group.level,
@@ -174,7 +589,17 @@ export default class GroupingEngine {
                     value: group.value,
                     itemCount: this._getGroupItemCount(group),
                     path: groupPath,
-                    pageBreak: this.groupOptions.pageBreakPerGroup && group.level === 0
+                    title: this._headerTitle(group),
+                    style: this._headerStyle(group.level),
+                    pageBreak: Boolean(design?.master) || (topLevel && (options.pageBreakPerGroup || options.separatorType === 'pageBreak')),
+                    separator: topLevel && index > 0 && (options.separatorType === 'line' || options.separatorType === 'space')
+                        ? options.separatorType
+                        : 'none',
+                    ...(design && {
+                        prototype: design.prototype,
+                        master: design.master,
+                        resolveToken: name => this.resolveToken(group, name)
+                    })
                 });
             }
 
@@ -194,14 +619,17 @@ export default class GroupingEngine {
             }
 
             // Add group footer
-            if (this.groupOptions.showFooters) {
+            if (options.showFooters) {
                 flatList.push({
                     type: 'group-footer',
                     level: group.level,
                     field: group.field,
                     value: group.value,
                     itemCount: this._getGroupItemCount(group),
-                    path: groupPath
+                    path: groupPath,
+                    aggregations: group.aggregations || {},
+                    title: this._footerText(group),
+                    style: 'footer'
                 });
             }
         });
@@ -209,6 +637,126 @@ export default class GroupingEngine {
         return flatList;
     }
 
+    /**
+     * Header text: the group value, with the item count when enabled
+     */
+    _headerTitle(group) {
+        const value = this._groupLabel(group);
+        return this.groupOptions.showItemCount ? `${value} (${this._getGroupItemCount(group)})` : value;
+    }
+
+    _groupLabel(group) {
+        return group.value === null || group.value === undefined || String(group.value).trim() === ''
+            ? `(No ${group.field})`
+            : String(group.value);
+    }
+
+    /**
+     * Footer text: the group's aggregations, or its item count without any
+     * Aggregations with a template show it, e.g. '12 items, from $4.50';
+     * aggregations without a value (no prices in the group) are left out.
+     */
+    _footerText(group) {
+        if (this.aggregations.length === 0 || !group.aggregations) {
+            return `${group.value ?? ''}: ${this._getGroupItemCount(group)} items`;
+        }
+        const parts = [];
+        this.aggregations.forEach(agg => {
+            const value = this.formatAggregate(group.aggregations[this.aggregationKey(agg)], agg);
+            if (value === '') {
+                return;
+            }
+            if (agg.template) {
+                parts.push(agg.template.replace(/\{value\}/g, value));
+            } else {
+                const label = AggregationFunctions.find(f => f.value === agg.function).label;
+                parts.push(`${label} ${agg.field}: ${value}`);
+            }
+        });
+        return parts.join(', ');
+    }
+
+    /**
+     * Key of an aggregation in group.aggregations: '<field>.<function>'
+     */
+    aggregationKey(aggregation) {
+        return `${aggregation.field}.${aggregation.function}`;
+    }
+
+    /**
+     * Format an aggregate for display
+     *
+     * Uses the aggregation's DataMapper formatter when it has one; numbers
+     * otherwise get 2 decimals unless whole. A range formats both ends.
+     * @param {Object} aggregation - Config with an optional formatter
+     */
+    formatAggregate(value, aggregation = {}) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'object' && !(value instanceof Date) && 'min' in value) {
+            const min = this.formatAggregate(value.min, aggregation);
+            return value.min === value.max ? min : `${min}\u2013${this.formatAggregate(value.max, aggregation)}`;
+        }
+        if (aggregation.formatter) {
+            return String(this.dataMapper.applyFormatter(value, aggregation.formatter));
+        }
+        return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value);
+    }
+
+    /**
+     * Value of a header design token for a group
+     *
+     * Tokens: value, field, title, itemCount, level (1-based) and
+     * agg.<field>.<function>, e.g. agg.price.min for the lowest price of
+     * the group.
+     * @returns {string|null} null for unknown tokens
+     */
+    resolveToken(group, name) {
+        const aggregate = /^agg\.(.+)\.(\w+)$/.exec(name);
+        if (aggregate) {
+            const fn = aggregate[2].toLowerCase();
+            if (!AggregationFunctions.some(f => f.value === fn)) {
+                return null;
+            }
+            // A matching footer aggregation lends its expression and formatter
+            const configured = this.aggregations.find(agg => agg.field === aggregate[1] && agg.function === fn) || {};
+            return this.formatAggregate(this.aggregate(this._getAllRecordsInGroup(group), aggregate[1], fn, configured), configured);
+        }
+        
+        switch (name) {
+            case 'value':
+                return group.value === null || group.value === undefined ? '' : String(group.value);
+            case 'field':
+                return group.field;
+            case 'title':
+                return this._headerTitle(group);
+            case 'itemCount':
+                return String(this._getGroupItemCount(group));
+            case 'level':
+                return String(group.level + 1);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Header style key of a group level
+     * Heading styles step down one level per nesting (heading1, heading2,
+     * heading3); 'custom' is the name of a paragraph style in the document.
+     */
+    _headerStyle(level) {
+        const { headerStyle, customHeaderStyle } = this.groupOptions;
+        const heading = /^heading(\d)$/.exec(headerStyle);
+        if (heading) {
+            return `heading${Math.min(Number(heading[1]) + level, 3)}`;
+        }
+        if (headerStyle === 'custom') {
+            return customHeaderStyle || 'bold';
+        }
+        return headerStyle;
+    }
+
     /**
      * Get total item count in a group
      */
@@ -244,7 +792,8 @@ export default class GroupingEngine {
     /**
      * Calculate group aggregations
      * @param {array} groups - Group structure
-     * @param {array} aggregations - Aggregation configs [{field, function}]
+     * @param {array} aggregations - Aggregation configs [{field, function, expression}]
+     *   Results are stored in group.aggregations by aggregationKey, e.g. 'price.min'.
      */
     calculateAggregations(groups, aggregations) {
         groups.forEach(group => {
@@ -253,26 +802,7 @@ export default class GroupingEngine {
             const allRecords = this._getAllRecordsInGroup(group);
             
             aggregations.forEach(agg => {
-                const values = allRecords.map(r => r[agg.field]).filter(v => v != null);
-                
-                switch (agg.function) {
-                    case 'count':
-                        group.aggregations[agg.field] = values.length;
-                        break;
-                    case 'sum':
-                        group.aggregations[agg.field] = values.reduce((sum, v) => sum + parseFloat(v || 0), 0);
-                        break;
-                    case 'avg':
-                        const sum = values.reduce((s, v) => s + parseFloat(v || 0), 0);
-                        group.aggregations[agg.field] = values.length > 0 ? sum / values.length : 0;
-                        break;
-                    case 'min':
-                        group.aggregations[agg.field] = Math.min(...values.map(v => parseFloat(v || 0)));
-                        break;
-                    case 'max':
-                        group.aggregations[agg.field] = Math.max(...values.map(v => parseFloat(v || 0)));
-                        break;
-                }
+                group.aggregations[this.aggregationKey(agg)] = this.aggregate(allRecords, agg.field, agg.function, agg);
             });
 
             // Recursively calculate for subgroups
@@ -284,6 +814,87 @@ export default class GroupingEngine {
         return groups;
     }
 
+    /**
+     * Aggregate a field over records
+     *
+     * Empty values are skipped by every function; the numeric ones (sum,
+     * avg, median, min, max, range) also skip values that are not numbers.
+     * Without values, count, distinct and sum give 0 and the others null.
+     * @param {string} fn - One of AggregationFunctions
+     * @param {Object} options - { expression } to aggregate a formula instead of the field
+     * @returns {*} range gives { min, max }; list the distinct values joined by ', '
+     */
+    aggregate(records, field, fn, options = {}) {
+        const values = [];
+        for (const record of records) {
+            const value = options.expression ? this._evaluateFormula(options.expression, record, 'aggregation') : record[field];
+            if (!isEmptyValue(value)) {
+                values.push(value);
+            }
+        }
+        
+        const numbers = () => values.map(toAggregateNumber).filter(n => n !== null);
+        const distinct = () => [...new Set(values.map(v => (v instanceof Date ? v.toISOString() : String(v).trim())))];
+        
+        switch (fn) {
+            case 'count':
+                return values.length;
+            case 'distinct':
+                return distinct().length;
+            case 'sum':
+                return numbers().reduce((sum, n) => sum + n, 0);
+            case 'avg': {
+                const list = numbers();
+                return list.length > 0 ? list.reduce((sum, n) => sum + n, 0) / list.length : null;
+            }
+            case 'median': {
+                const list = numbers().sort((a, b) => a - b);
+                if (list.length === 0) return null;
+                const middle = Math.floor(list.length / 2);
+                return list.length % 2 === 1 ? list[middle] : (list[middle - 1] + list[middle]) / 2;
+            }
+            case 'min':
+            case 'max':
+            case 'range': {
+                // A loop rather than Math.min(...list), which overflows the stack on big groups
+                const list = numbers();
+                if (list.length === 0) return null;
+                let min = list[0];
+                let max = list[0];
+                for (const n of list) {
+                    if (n < min) min = n;
+                    if (n > max) max = n;
+                }
+                return fn === 'min' ? min : fn === 'max' ? max : { min, max };
+            }
+            case 'first':
+                return values.length > 0 ? values[0] : null;
+            case 'last':
+                return values.length > 0 ? values[values.length - 1] : null;
+            case 'list':
+                return distinct().join(', ');
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Value of a group or aggregation formula for a record
+     * Failures count as empty and are reported once per groupRecords() run.
+     * @param {string} kind - 'group' or 'aggregation'
+     */
+    _evaluateFormula(expression, record, kind) {
+        if (!this.formulaEngine) {
+            throw new Error('Formulas need a formula engine');
+        }
+        try {
+            return this.formulaEngine.evaluate(expression, record);
+        } catch (error) {
+            this.formulaFailures[kind]++;
+            return null;
+        }
+    }
+
     /**
      * Get all records in a group (including subgroups)
      */
@@ -301,21 +912,30 @@ export default class GroupingEngine {
 
     /**
      * Generate table of contents from groups
+     * @param {array} groups - Groups from groupRecords
+     * @param {Object} pageNumbers - Pages of each group by path, from a
+     *   generation run (PageGenerator result pageNumbers.groups)
+     * @returns {array} [{ level, path, title, itemCount, pageNumber, pageRange }];
+     *   groups that were not placed show '?'
      */
     generateTableOfContents(groups, pageNumbers = {}) {
         const toc = [];
         
-        const processGroups = (grps, level = 0) => {
-            grps.forEach(group => {
+        const processGroups = (grps, level = 0, parentPath = '') => {
+            grps.forEach((group, index) => {
+                const path = parentPath ? `${parentPath}.${index}` : String(index);
+                const pages = pageNumbers[path];
                 toc.push({
                     level,
-                    title: `${group.field}: ${group.value}`,
+                    path,
+                    title: this._groupLabel(group),
                     itemCount: this._getGroupItemCount(group),
-                    pageNumber: pageNumbers[group.value] || '?'
+                    pageNumber: pages ? pages.first.name : '?',
+                    pageRange: pages ? formatPageRange(pages.first, pages.last) : '?'
                 });
                 
                 if (group.subgroups) {
-                    processGroups(group.subgroups, level + 1);
+                    processGroups(group.subgroups, level + 1, path);
                 }
             });
         };
@@ -324,13 +944,58 @@ export default class GroupingEngine {
         return toc;
     }
 
+    /**
+     * Generate an alphabetical index of records
+     *
+     * Records with the same value (ignoring case) share an entry listing
+     * all their pages.
+     * @param {array} records - Generated records, in generation order
+     * @param {array} pageNumbers - Page of each record, from a generation
+     *   run (PageGenerator result pageNumbers.records)
+     * @param {string} field - Field the index lists, e.g. name or SKU
+     * @param {string} locale - Sort order locale, the system's by default
+     * @returns {array} [{ term, letter, pages }], pages like '3, 7–9'; letter
+     *   is the folded first letter, '#' for digits and symbols
+     */
+    generateIndex(records, pageNumbers, field, locale = undefined) {
+        const terms = new Map();
+        
+        records.forEach((record, index) => {
+            const value = record[field];
+            const page = pageNumbers[index];
+            if (value === null || value === undefined || String(value).trim() === '' || !page) {
+                return;
+            }
+            
+            const term = String(value).trim();
+            const key = term.toLocaleLowerCase();
+            if (!terms.has(key)) {
+                terms.set(key, { term, pages: new Map() });
+            }
+            terms.get(key).pages.set(page.offset, page);
+        });
+        
+        const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+        return [...terms.values()]
+            .sort((a, b) => collator.compare(a.term, b.term))
+            .map(entry => ({
+                term: entry.term,
+                letter: initialLetter(entry.term),
+                pages: formatPageList(entry.pages.values())
+            }));
+    }
+
     /**
      * Group by formula/calculated value
      * @param {array} records - Data records
-     * @param {function} formulaFn - Function that returns group value
+     * @param {function|string} formula - Function that returns group value,
+     *   or a formula expression; records it fails on get a null value
      */
-    groupByFormula(records, formulaFn) {
+    groupByFormula(records, formula) {
         const groups = new Map();
+        const formulaFn = typeof formula === 'function'
+            ? formula
+            : record => this._evaluateFormula(formula, record, 'group');
         
         records.forEach(record => {
             const groupValue = formulaFn(record);
@@ -355,7 +1020,8 @@ export default class GroupingEngine {
     saveConfiguration() {
         const config = {
             groupLevels: this.groupLevels,
-            groupOptions: this.groupOptions
+            groupOptions: this.groupOptions,
+            aggregations: this.aggregations
         };
         
         try {
@@ -377,6 +1043,7 @@ export default class GroupingEngine {
                 const config = JSON.parse(saved);
                 this.groupLevels = config.groupLevels || [];
                 this.groupOptions = { ...this.groupOptions, ...config.groupOptions };
+                this.aggregations = config.aggregations || [];
                 logger.info('Group configuration loaded');
             }
         } catch (error) {
@@ -392,6 +1059,7 @@ export default class GroupingEngine {
             version: '1.0',
             groupLevels: this.groupLevels,
             groupOptions: this.groupOptions,
+            aggregations: this.aggregations,
             exportedAt: new Date().toISOString()
         };
     }
@@ -403,6 +1071,7 @@ export default class GroupingEngine {
         try {
             if (config.groupLevels) this.groupLevels = config.groupLevels;
             if (config.groupOptions) this.groupOptions = { ...this.groupOptions, ...config.groupOptions };
+            if (config.aggregations) this.aggregations = config.aggregations;
             logger.info('Group configuration imported');
         } catch (error) {
             logger.error('Failed to import configuration:', error);
@@ -416,10 +1085,16 @@ export default class GroupingEngine {
  */
 export const AggregationFunctions = [
     { value: 'count', label: 'Count' },
+    { value: 'distinct', label: 'Distinct count' },
     { value: 'sum', label: 'Sum' },
     { value: 'avg', label: 'Average' },
+    { value: 'median', label: 'Median' },
     { value: 'min', label: 'Minimum' },
-    { value: 'max', label: 'Maximum' }
+    { value: 'max', label: 'Maximum' },
+    { value: 'range', label: 'Range' },
+    { value: 'first', label: 'First' },
+    { value: 'last', label: 'Last' },
+    { value: 'list', label: 'List' }
 ];
 
 /**
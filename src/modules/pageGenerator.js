@@ -3,14 +3,54 @@
  * Handles automatic page generation and content placement
  */
 
-import { Logger, getActiveDocument, ensureDocument, batchProcess, mmToPoints } from './utils.js';
+import { Logger, getActiveDocument, ensureDocument, batchProcess, mmToPoints, CatalogLabelKeys } from './utils.js';
+import DataMapper from './dataMapping.js';
 
 const logger = new Logger('PageGenerator');
 
+/**
+ * Paragraph styles of group headers and footers (GroupingEngine style keys),
+ * tables of contents and indexes
+ * Missing styles are created with these settings; any other key names an
+ * existing paragraph style.
+ */
+const GROUP_STYLES = {
+    heading1: { name: 'Heading 1', pointSize: 18, fontStyle: 'Bold' },
+    heading2: { name: 'Heading 2', pointSize: 14, fontStyle: 'Bold' },
+    heading3: { name: 'Heading 3', pointSize: 12, fontStyle: 'Bold' },
+    bold: { name: 'Bold Text', fontStyle: 'Bold' },
+    footer: { name: 'Group Footer', pointSize: 9 },
+    toc1: { name: 'TOC Level 1', fontStyle: 'Bold', spaceBefore: mmToPoints(2) },
+    toc2: { name: 'TOC Level 2', leftIndent: mmToPoints(4) },
+    toc3: { name: 'TOC Level 3', leftIndent: mmToPoints(8) },
+    indexLetter: { name: 'Index Letter', fontStyle: 'Bold', spaceBefore: mmToPoints(3), keepWithNext: 1 },
+    indexEntry: { name: 'Index Entry' }
+};
+
+// Lines of the next paragraph a group header stays with
+const HEADER_KEEP_WITH_NEXT = 2;
+
+// <<token>> placeholders of group header designs
+const HEADER_TOKEN_PATTERN = /<<[^<>\r]+>>/g;
+
+/**
+ * Whether a generation entry is a GroupingEngine flat list item rather
+ * than a plain record
+ */
+function isFlatListItem(entry) {
+    if (!entry) return false;
+    if (entry.type === 'group-header' || entry.type === 'group-footer') {
+        return 'path' in entry && 'level' in entry;
+    }
+    return entry.type === 'record' && 'groupPath' in entry && typeof entry.data === 'object';
+}
+
 export default class PageGenerator {
     constructor() {
+        this.dataMapper = new DataMapper();
         this.defaultOptions = {
             layoutType: 'flow',
+            flowMode: 'paragraph',
             itemsPerPage: 6,
             gridRows: 3,
             gridCols: 2,
@@ -21,8 +61,13 @@ export default class PageGenerator {
 
     /**
      * Generate catalog pages
+     *
+     * data.records holds plain records or a GroupingEngine flat list, whose
+     * group headers and footers are placed between the records.
      */
     async generate(options) {
+        // Prototypes parked for the run, moved back in the end
+        const parked = [];
         try {
             logger.info('Starting catalog generation');
             
@@ -37,27 +82,73 @@ export default class PageGenerator {
                 throw new Error('No mappings defined');
             }
             
-            // Clear existing content if requested
+            // Collect the labelled prototype frames before anything is cleared
+            const prototype = await this.collectPrototypes(mappings);
+            this.parkPrototypes(doc, prototype);
+            parked.push(prototype);
+            const headerPrototypes = await this.collectHeaderPrototypes(doc, data.records, prototype, parked);
+            
+            // Clear existing content if requested; the pages prototypes come from stay
             if (options.clearExisting) {
-                await this.clearDocument(doc);
+                await this.clearDocument(doc, options.keepLabels, this.getPrototypeHomePages(parked), options.startPage);
             }
             
             // Calculate layout
-            const layout = this.calculateLayout(doc, template || this.defaultOptions);
+            const settings = template || this.defaultOptions;
+            const layout = this.calculateLayout(doc, settings, prototype);
+            const cursor = this.createCursor(doc, settings, options.startPage);
+            const placement = {
+                prototype,
+                cursor,
+                imageHandling: options.imageHandling,
+                keyField: options.keyField || null,
+                flowMode: settings.flowMode || 'paragraph',
+                flow: { story: null, lastFrame: null, overset: false },
+                groupStyles: new Map(),
+                headerPrototypes,
+                headerMasters: new Map(),
+                unknownTokens: new Set(),
+                landings: []
+            };
             
             // Process records in batches
             const batchSize = options.batchSize || 10;
             let processedCount = 0;
+            let groupItemCount = 0;
+            let itemCount = 0;
             
             for (let i = 0; i < data.records.length; i += batchSize) {
                 const batch = data.records.slice(i, i + batchSize);
                 
-                for (const record of batch) {
-                    await this.placeRecord(doc, record, mappings, layout);
+                for (const entry of batch) {
+                    itemCount++;
+                    const grouped = isFlatListItem(entry);
+                    const landing = {
+                        path: grouped ? entry.path ?? entry.groupPath : undefined,
+                        characterIndex: layout.type === 'flow' ? this.getFlowCharacterIndex(placement.flow) : undefined
+                    };
+                    placement.landings.push(landing);
+                    
+                    if (grouped && entry.type !== 'record') {
+                        landing.page = await this.placeGroupItem(doc, entry, layout, placement);
+                        groupItemCount++;
+                        continue;
+                    }
+                    
+                    const record = grouped ? entry.data : entry;
+                    placement.recordIndex = processedCount;
+                    landing.recordIndex = processedCount;
+                    if (layout.type === 'flow') {
+                        await this.placeFlowRecord(doc, record, mappings, layout, placement);
+                    } else {
+                        const position = await this.nextSlot(doc, layout, cursor);
+                        await this.placeRecord(doc, record, mappings, layout, { ...placement, ...position });
+                        landing.page = position.page;
+                    }
                     processedCount++;
                     
                     if (onProgress) {
-                        onProgress(processedCount, data.records.length, `Placed ${processedCount} of ${data.records.length} items`);
+                        onProgress(itemCount, data.records.length, `Placed ${itemCount} of ${data.records.length} items`);
                     }
                 }
                 
@@ -65,18 +156,222 @@ export default class PageGenerator {
                 await new Promise(resolve => setTimeout(resolve, 10));
             }
             
-            logger.info(`Generated catalog with ${data.records.length} items`);
-            return true;
+            if (placement.unknownTokens.size > 0) {
+                logger.warn(`Unknown header tokens left in place: ${[...placement.unknownTokens].join(', ')}`);
+            }
+            
+            logger.info(`Generated catalog with ${data.records.length} items on ${cursor.pagesUsed} pages`);
+            return {
+                recordsPlaced: processedCount,
+                groupItemsPlaced: groupItemCount,
+                pagesCreated: cursor.pagesCreated,
+                pagesUsed: cursor.pagesUsed,
+                oversetText: placement.flow.overset,
+                pageNumbers: this.resolvePageNumbers(placement.landings, placement.flow.story)
+            };
         } catch (error) {
             logger.error('Catalog generation failed:', error);
             throw error;
+        } finally {
+            this.restorePrototypes(parked);
+        }
+    }
+
+    /**
+     * Collect the prototype frames referenced by the mappings
+     *
+     * Prototypes are the labelled frames found by DataMapper.detectFrames.
+     * Frames created by a previous generation run are skipped.
+     */
+    async collectPrototypes(mappings) {
+        try {
+            const detected = await this.dataMapper.detectFrames();
+            const targets = new Set(mappings.map(mapping => this.getMappingTarget(mapping)));
+            const frames = [];
+            
+            for (const frame of detected) {
+                const item = frame.originalFrame;
+                if (!targets.has(frame.label) || frames.some(f => f.label === frame.label)) {
+                    continue;
+                }
+                if (item.extractLabel(CatalogLabelKeys.generated)) {
+                    continue;
+                }
+                
+                frames.push({
+                    label: frame.label,
+                    type: frame.type,
+                    item: item,
+                    bounds: item.geometricBounds.slice()
+                });
+            }
+            
+            if (frames.length === 0) {
+                throw new Error('No prototype frames found - label the template frames in InDesign and map fields to them');
+            }
+            
+            logger.info(`Collected ${frames.length} prototype frames`);
+            
+            return this.createPrototype(frames);
+        } catch (error) {
+            logger.error('Failed to collect prototype frames:', error);
+            throw error;
         }
     }
 
+    /**
+     * Prototype block of a set of frames
+     * bounds is the bounding box of the whole block: [top, left, bottom, right]
+     */
+    createPrototype(frames) {
+        const bounds = [
+            Math.min(...frames.map(f => f.bounds[0])),
+            Math.min(...frames.map(f => f.bounds[1])),
+            Math.max(...frames.map(f => f.bounds[2])),
+            Math.max(...frames.map(f => f.bounds[3]))
+        ];
+        
+        return {
+            frames,
+            bounds,
+            width: bounds[3] - bounds[1],
+            height: bounds[2] - bounds[0]
+        };
+    }
+
+    /**
+     * Collect the prototype frames of the group header designs in a flat list
+     *
+     * Every frame carrying a design's label belongs to its block, so a header
+     * can combine text frames with background rectangles. The blocks are
+     * parked on the pasteboard below the record prototype.
+     * @param {Array} parked - Receives the parked blocks, to restore them
+     * @returns {Promise<Map<string, Prototype>>} Keyed by label
+     */
+    async collectHeaderPrototypes(doc, entries, recordPrototype, parked = []) {
+        const labels = new Set(entries.filter(entry => entry && entry.type === 'group-header' && entry.prototype).map(entry => entry.prototype));
+        const prototypes = new Map();
+        if (labels.size === 0) {
+            return prototypes;
+        }
+        
+        try {
+            const detected = await this.dataMapper.detectFrames();
+            let parkTop = recordPrototype.height + mmToPoints(20);
+            
+            for (const label of labels) {
+                const frames = detected
+                    .filter(frame => frame.label === label && !frame.originalFrame.extractLabel(CatalogLabelKeys.generated))
+                    .map((frame, index) => ({
+                        label: `${label}:${index}`,
+                        type: frame.type,
+                        item: frame.originalFrame,
+                        bounds: frame.originalFrame.geometricBounds.slice()
+                    }));
+                
+                if (frames.length === 0) {
+                    logger.warn(`No header prototype frames labelled "${label}" - its groups get text headers`);
+                    continue;
+                }
+                
+                const prototype = this.createPrototype(frames);
+                this.parkPrototypes(doc, prototype, parkTop);
+                parked.push(prototype);
+                parkTop += prototype.height + mmToPoints(20);
+                prototypes.set(label, prototype);
+            }
+            
+            logger.info(`Collected ${prototypes.size} header prototypes`);
+            return prototypes;
+        } catch (error) {
+            logger.error('Failed to collect header prototypes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move the prototype frames onto the pasteboard of the first spread
+     *
+     * Parked prototypes survive clearDocument and do not print.
+     * restorePrototypes moves them back to where they were.
+     * @param {number} top - Offset from the top of the page, to park several blocks
+     */
+    parkPrototypes(doc, prototype, top = 0) {
+        const page = doc.pages[0] || doc.pages.add();
+        const [pageTop, pageLeft] = page.bounds;
+        const offsetTop = pageTop + top - prototype.bounds[0];
+        const offsetLeft = pageLeft - prototype.width - mmToPoints(20) - prototype.bounds[1];
+        
+        for (const frame of prototype.frames) {
+            const [top, left, bottom, right] = frame.bounds;
+            // Frames on the pasteboard have no parent page
+            frame.home = { page: frame.item.parentPage || null, bounds: frame.bounds.slice() };
+            frame.item.move(page);
+            frame.item.geometricBounds = [top + offsetTop, left + offsetLeft, bottom + offsetTop, right + offsetLeft];
+            frame.bounds = frame.item.geometricBounds.slice();
+        }
+        
+        prototype.bounds = [
+            prototype.bounds[0] + offsetTop,
+            prototype.bounds[1] + offsetLeft,
+            prototype.bounds[2] + offsetTop,
+            prototype.bounds[3] + offsetLeft
+        ];
+    }
+
+    /**
+     * Move parked prototype frames back to their page and position
+     * A frame whose page is gone stays on the pasteboard.
+     */
+    restorePrototypes(prototypes) {
+        for (const prototype of prototypes) {
+            for (const frame of prototype.frames) {
+                if (!frame.home || !frame.item.isValid) {
+                    continue;
+                }
+                try {
+                    const { page, bounds } = frame.home;
+                    if (page && page.isValid !== false) {
+                        frame.item.move(page);
+                    } else if (page) {
+                        logger.warn(`Page of prototype frame "${frame.label}" no longer exists - it stays on the pasteboard`);
+                        continue;
+                    }
+                    frame.item.geometricBounds = bounds;
+                    frame.bounds = bounds.slice();
+                    delete frame.home;
+                } catch (error) {
+                    logger.warn(`Could not move prototype frame "${frame.label}" back:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Ids of the pages the parked prototype frames were taken from
+     */
+    getPrototypeHomePages(prototypes) {
+        const ids = new Set();
+        prototypes.forEach(prototype => prototype.frames.forEach(frame => {
+            if (frame.home && frame.home.page) ids.add(frame.home.page.id);
+        }));
+        return ids;
+    }
+
+    /**
+     * Get the frame label a mapping points at
+     */
+    getMappingTarget(mapping) {
+        return mapping.frameLabel || mapping.frameId;
+    }
+
     /**
      * Calculate layout for pages
+     *
+     * Slots are the record positions on a page, relative to the page origin.
+     * A flow layout has a single slot: the text frame area of each page.
      */
-    calculateLayout(doc, options) {
+    calculateLayout(doc, options, prototype = null) {
         const page = doc.pages[0] || doc.pages.add();
         const bounds = page.bounds;
         
@@ -84,7 +379,7 @@ export default class PageGenerator {
         const pageHeight = bounds[2] - bounds[0];
         
         const margin = mmToPoints(options.margin || 10);
-        const gutter = mmToPoints(options.gutter || 5);
+        const gutter = mmToPoints(options.gridGutter || options.gutter || 5);
         
         const contentWidth = pageWidth - (2 * margin);
         const contentHeight = pageHeight - (2 * margin);
@@ -96,6 +391,18 @@ export default class PageGenerator {
             const cellWidth = (contentWidth - ((cols - 1) * gutter)) / cols;
             const cellHeight = (contentHeight - ((rows - 1) * gutter)) / rows;
             
+            const slots = [];
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    slots.push({
+                        top: margin + row * (cellHeight + gutter),
+                        left: margin + col * (cellWidth + gutter),
+                        width: cellWidth,
+                        height: cellHeight
+                    });
+                }
+            }
+            
             return {
                 type: 'grid',
                 rows,
@@ -104,6 +411,7 @@ export default class PageGenerator {
                 cellHeight,
                 margin,
                 gutter,
+                slots,
                 itemsPerPage: rows * cols
             };
         }
@@ -113,30 +421,78 @@ export default class PageGenerator {
             margin,
             gutter,
             contentWidth,
-            contentHeight
+            contentHeight,
+            slots: [{ top: margin, left: margin, width: contentWidth, height: contentHeight }],
+            itemsPerPage: null
+        };
+    }
+
+    /**
+     * Create a slot cursor for a generation run
+     *
+     * startPage is 1-based; the master spread comes from the template.
+     */
+    createCursor(doc, template, startPage = 1) {
+        let master = null;
+        if (template && template.masterPageId) {
+            const spread = doc.masterSpreads.itemByID(template.masterPageId);
+            if (spread && spread.isValid) {
+                master = spread;
+            } else {
+                logger.warn(`Master spread ${template.masterPageId} not found - new pages keep the default master`);
+            }
+        }
+        
+        return {
+            pageIndex: Math.max(parseInt(startPage, 10) || 1, 1) - 1,
+            slotIndex: 0,
+            master,
+            pagesCreated: 0,
+            pagesUsed: 0
         };
     }
 
+    /**
+     * Get the next free slot, moving to a new page when the current one is full
+     */
+    async nextSlot(doc, layout, cursor) {
+        if (cursor.slotIndex >= layout.slots.length) {
+            cursor.pageIndex++;
+            cursor.slotIndex = 0;
+        }
+        
+        const page = await this.getOrCreatePage(doc, cursor);
+        if (cursor.slotIndex === 0) {
+            cursor.pagesUsed++;
+        }
+        
+        const slotIndex = cursor.slotIndex;
+        cursor.slotIndex++;
+        
+        return { page, slot: layout.slots[slotIndex], slotIndex };
+    }
+
     /**
      * Place a single record on the page
      */
-    async placeRecord(doc, record, mappings, layout) {
+    async placeRecord(doc, record, mappings, layout, placement) {
         try {
-            // Create or get appropriate page
-            const page = await this.getOrCreatePage(doc);
+            const page = placement.page;
             
             // Create frames for this record based on layout
-            const frames = await this.createFramesForRecord(page, layout);
+            const frames = await this.createFramesForRecord(page, layout, placement.slot, placement.prototype);
             
             // Apply mappings to frames
             for (const mapping of mappings) {
-                const frame = frames[mapping.type];
-                if (frame && record[mapping.field]) {
-                    await this.fillFrame(frame, record[mapping.field], mapping);
+                const frame = frames[this.getMappingTarget(mapping)];
+                const value = record[mapping.field];
+                if (frame && value !== undefined && value !== null && value !== '') {
+                    await this.fillFrame(frame, value, mapping, placement);
                 }
             }
             
-            return true;
+            this.tagRecordFrames(frames, record, mappings, placement);
+            return frames;
         } catch (error) {
             logger.error('Failed to place record:', error);
             throw error;
@@ -144,15 +500,657 @@ export default class PageGenerator {
     }
 
     /**
-     * Get or create a page for placing content
+     * Place a single record into the flow story
+     *
+     * In 'paragraph' mode every mapped text field becomes a paragraph styled
+     * like its prototype frame; in 'anchored' mode the prototype frames are
+     * grouped and anchored inline. Threaded frames are added while the story
+     * oversets.
+     */
+    async placeFlowRecord(doc, record, mappings, layout, placement) {
+        try {
+            const flow = placement.flow;
+            if (!flow.story) {
+                await this.addFlowFrame(doc, layout, placement.cursor, flow);
+            }
+            
+            if (placement.flowMode === 'anchored') {
+                await this.insertAnchoredRecord(record, mappings, layout, placement);
+            } else {
+                this.insertParagraphRecord(doc, record, mappings, placement);
+            }
+            
+            await this.resolveOverset(doc, layout, placement.cursor, flow);
+            return true;
+        } catch (error) {
+            logger.error('Failed to place flow record:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start a new paragraph at the end of the flow story
+     *
+     * A paragraph typed after a group header or footer would inherit its
+     * style, keep options and page break; it gets the body style back.
+     */
+    newFlowParagraph(story, flow) {
+        if (story.characters.length > 0) {
+            story.insertionPoints.item(-1).contents = '\r';
+        }
+        if (flow.bodyStyle) {
+            story.paragraphs.item(-1).applyParagraphStyle(flow.bodyStyle, true);
+            flow.bodyStyle = null;
+        }
+    }
+
+    /**
+     * Append a record to the story as a block of styled paragraphs
+     */
+    insertParagraphRecord(doc, record, mappings, placement) {
+        const story = placement.flow.story;
+        
+        for (const mapping of mappings) {
+            const value = record[mapping.field];
+            if (mapping.type === 'image' || value === undefined || value === null || value === '') {
+                continue;
+            }
+            
+            this.newFlowParagraph(story, placement.flow);
+            story.insertionPoints.item(-1).contents = String(this.formatValue(value, mapping));
+            
+            const style = this.getParagraphStyle(doc, mapping, placement.prototype);
+            if (style) {
+                story.paragraphs.item(-1).appliedParagraphStyle = style;
+            }
+        }
+    }
+
+    /**
+     * Append a record to the story as an inline anchored group of prototype frames
+     */
+    async insertAnchoredRecord(record, mappings, layout, placement) {
+        const { AnchorPosition } = require('indesign');
+        const { story, lastFrame } = placement.flow;
+        const page = lastFrame.parentPage;
+        
+        const frames = await this.createFramesForRecord(page, layout, layout.slots[0], placement.prototype);
+        for (const mapping of mappings) {
+            const frame = frames[this.getMappingTarget(mapping)];
+            const value = record[mapping.field];
+            if (frame && value !== undefined && value !== null && value !== '') {
+                await this.fillFrame(frame, value, mapping, placement);
+            }
+        }
+        
+        this.tagRecordFrames(frames, record, mappings, placement);
+        
+        const items = Object.values(frames);
+        const block = items.length > 1 ? page.groups.add(items) : items[0];
+        if (block !== items[0]) {
+            block.insertLabel(CatalogLabelKeys.generated, 'true');
+            block.insertLabel(CatalogLabelKeys.recordKey, this.getRecordKey(record, placement));
+        }
+        
+        this.newFlowParagraph(story, placement.flow);
+        block.anchoredObjectSettings.insertAnchoredObject(story.insertionPoints.item(-1), AnchorPosition.INLINE_POSITION);
+    }
+
+    /**
+     * Character index the next record or group item starts at in the flow
+     * story; one past the paragraph return inserted before it
+     */
+    getFlowCharacterIndex(flow) {
+        const length = flow.story ? flow.story.characters.length : 0;
+        return length === 0 ? 0 : length + 1;
+    }
+
+    /**
+     * Page numbers of a generation run, for tables of contents and indexes
+     *
+     * Flow positions are looked up once the story is complete, since keep
+     * options can still move earlier paragraphs to the next frame.
+     * @param {Array} landings - [{ path, recordIndex, page | characterIndex }]
+     * @returns {Object} { groups: { [path]: { first, last } }, records: [page] }
+     *   with pages as { name, offset }; a group counts the pages of its subgroups
+     */
+    resolvePageNumbers(landings, story = null) {
+        const groups = {};
+        const records = [];
+        
+        for (const landing of landings) {
+            let page = landing.page || null;
+            if (!page && story && landing.characterIndex !== undefined) {
+                const index = Math.min(landing.characterIndex, story.characters.length - 1);
+                const frames = index >= 0 ? story.characters.item(index).parentTextFrames : [];
+                page = frames.length > 0 ? frames[0].parentPage : null;
+            }
+            if (!page) continue;
+            
+            const number = { name: page.name, offset: page.documentOffset };
+            if (landing.recordIndex !== undefined) {
+                records[landing.recordIndex] = number;
+            }
+            if (landing.path === undefined) continue;
+            
+            const parts = String(landing.path).split('.');
+            parts.forEach((_, i) => {
+                const path = parts.slice(0, i + 1).join('.');
+                const range = groups[path];
+                if (!range) {
+                    groups[path] = { first: number, last: number };
+                } else if (number.offset < range.first.offset) {
+                    range.first = number;
+                } else if (number.offset > range.last.offset) {
+                    range.last = number;
+                }
+            });
+        }
+        
+        return { groups, records };
+    }
+
+    /**
+     * Place a group header or footer from a GroupingEngine flat list
+     *
+     * Headers of a level with a header design are placed from its prototype
+     * frames and/or start a page with its master spread; the others are a
+     * line of text in the item's paragraph style.
+     * @returns {Promise<Page|null>} The page of a grid item; flow pages are
+     *   only known once the story is complete
+     */
+    async placeGroupItem(doc, item, layout, placement) {
+        try {
+            const design = this.getHeaderDesign(doc, item, placement);
+            
+            if (layout.type === 'flow') {
+                const flow = placement.flow;
+                if (!flow.story) {
+                    await this.addFlowFrame(doc, layout, placement.cursor, flow);
+                }
+                if (design && design.prototype) {
+                    await this.insertAnchoredHeader(doc, item, design.prototype, layout, placement);
+                } else {
+                    this.insertGroupParagraph(doc, item, placement);
+                }
+                await this.resolveOverset(doc, layout, placement.cursor, flow);
+                
+                if (design && design.master) {
+                    const frames = flow.story.paragraphs.item(-1).parentTextFrames;
+                    const page = frames.length > 0 ? frames[0].parentPage : flow.lastFrame.parentPage;
+                    this.applyOpenerMaster(page, item, design.master, placement);
+                }
+                return null;
+            }
+            return await this.placeGridGroupItem(doc, item, layout, placement, design);
+        } catch (error) {
+            logger.error(`Failed to place ${item.type}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Header design of a group header: { prototype, master }, or null for
+     * a text header
+     *
+     * Missing prototypes were reported when collecting them; a missing
+     * master spread is reported once.
+     */
+    getHeaderDesign(doc, item, placement) {
+        if (item.type !== 'group-header' || !(item.prototype || item.master)) {
+            return null;
+        }
+        
+        const prototype = item.prototype ? placement.headerPrototypes.get(item.prototype) || null : null;
+        let master = null;
+        if (item.master) {
+            if (!placement.headerMasters.has(item.master)) {
+                const spread = doc.masterSpreads.itemByName(item.master);
+                if (!spread || !spread.isValid) {
+                    logger.warn(`Master spread "${item.master}" not found - its groups do not get opener pages`);
+                }
+                placement.headerMasters.set(item.master, spread && spread.isValid ? spread : null);
+            }
+            master = placement.headerMasters.get(item.master);
+        }
+        
+        return prototype || master ? { prototype, master } : null;
+    }
+
+    /**
+     * Start a group paragraph at the end of the flow story
+     *
+     * Remembers the body style the following record paragraphs go back to.
+     * @returns {boolean} Whether the paragraph starts the story
+     */
+    startGroupParagraph(doc, story, flow) {
+        const startsStory = story.characters.length === 0;
+        
+        if (!flow.bodyStyle) {
+            flow.bodyStyle = startsStory
+                ? doc.paragraphStyles.itemByName('[Basic Paragraph]')
+                : story.paragraphs.item(-1).appliedParagraphStyle;
+        }
+        if (!startsStory) {
+            story.insertionPoints.item(-1).contents = '\r';
+        }
+        
+        return startsStory;
+    }
+
+    /**
+     * Append a group header or footer paragraph to the flow story
+     */
+    insertGroupParagraph(doc, item, placement) {
+        const flow = placement.flow;
+        const story = flow.story;
+        const startsStory = this.startGroupParagraph(doc, story, flow);
+        story.insertionPoints.item(-1).contents = String(item.title ?? item.value ?? '');
+        
+        const paragraph = story.paragraphs.item(-1);
+        const style = this.getGroupStyle(doc, item.style, placement.groupStyles) || flow.bodyStyle;
+        if (style) {
+            paragraph.applyParagraphStyle(style, true);
+        }
+        
+        if (item.type === 'group-header') {
+            this.formatHeaderParagraph(paragraph, item, startsStory);
+        }
+    }
+
+    /**
+     * Append a group header built from its design prototype to the flow
+     * story, as an inline anchored block in a paragraph of its own
+     */
+    async insertAnchoredHeader(doc, item, prototype, layout, placement) {
+        const { AnchorPosition } = require('indesign');
+        const flow = placement.flow;
+        const story = flow.story;
+        const page = flow.lastFrame.parentPage;
+        
+        const frames = await this.createHeaderFrames(page, layout, layout.slots[0], prototype, item, placement);
+        const block = frames.length > 1 ? page.groups.add(frames) : frames[0];
+        if (block !== frames[0]) {
+            this.tagGroupFrame(block, item);
+        }
+        
+        const startsStory = this.startGroupParagraph(doc, story, flow);
+        block.anchoredObjectSettings.insertAnchoredObject(story.insertionPoints.item(-1), AnchorPosition.INLINE_POSITION);
+        
+        const paragraph = story.paragraphs.item(-1);
+        if (flow.bodyStyle) {
+            paragraph.applyParagraphStyle(flow.bodyStyle, true);
+        }
+        this.formatHeaderParagraph(paragraph, item, startsStory);
+    }
+
+    /**
+     * Keep a header paragraph with the next one, so it never ends a frame,
+     * and apply its page break and separator
+     */
+    formatHeaderParagraph(paragraph, item, startsStory) {
+        paragraph.keepWithNext = HEADER_KEEP_WITH_NEXT;
+        paragraph.keepLinesTogether = true;
+        if (startsStory) {
+            return;
+        }
+        if (item.pageBreak) {
+            paragraph.startParagraph = require('indesign').StartParagraph.NEXT_PAGE;
+        }
+        if (item.separator === 'line') {
+            paragraph.ruleAbove = true;
+            paragraph.ruleAboveLineWeight = 0.5;
+            paragraph.ruleAboveOffset = mmToPoints(-1);
+        }
+        if (item.separator === 'line' || item.separator === 'space') {
+            paragraph.spaceBefore = mmToPoints(5);
+        }
+    }
+
+    /**
+     * Place a group header or footer in a grid layout
+     *
+     * The item starts on a new row and takes whole rows: one for text, as
+     * many as its height needs for a design prototype. A header never
+     * takes the last rows of a page, so it stays with its first records.
+     * A header design with only a master spread takes a whole opener page.
+     * @returns {Promise<Page>} The page the item was placed on
+     */
+    async placeGridGroupItem(doc, item, layout, placement, design = null) {
+        const cursor = placement.cursor;
+        const cols = layout.cols;
+        const slotCount = layout.slots.length;
+        const isHeader = item.type === 'group-header';
+        const prototype = design ? design.prototype : null;
+        
+        const rows = prototype
+            ? Math.min(Math.max(Math.ceil((prototype.height + layout.gutter) / (layout.cellHeight + layout.gutter)), 1), layout.rows)
+            : 1;
+        const rowSlots = rows * cols;
+        
+        cursor.slotIndex = Math.ceil(cursor.slotIndex / cols) * cols;
+        const pageStarted = cursor.slotIndex > 0 && cursor.slotIndex < slotCount;
+        
+        if (isHeader && pageStarted && item.pageBreak) {
+            cursor.slotIndex = slotCount;
+        } else if (isHeader && pageStarted && item.separator === 'space') {
+            cursor.slotIndex += cols;
+        }
+        if (isHeader && layout.rows > rows && cursor.slotIndex < slotCount && cursor.slotIndex + rowSlots >= slotCount) {
+            cursor.slotIndex = slotCount;
+        }
+        if (cursor.slotIndex < slotCount && cursor.slotIndex + rowSlots > slotCount) {
+            cursor.slotIndex = slotCount;
+        }
+        
+        const { page, slot, slotIndex } = await this.nextSlot(doc, layout, cursor);
+        
+        if (design && design.master) {
+            this.applyOpenerMaster(page, item, design.master, placement);
+            if (!prototype) {
+                cursor.slotIndex = slotCount;
+                return page;
+            }
+        }
+        cursor.slotIndex = slotIndex + rowSlots;
+        
+        const [pageTop, pageLeft] = page.bounds;
+        const top = pageTop + slot.top;
+        const left = pageLeft + slot.left;
+        const right = left + cols * layout.cellWidth + (cols - 1) * layout.gutter;
+        const slots = Array.from({ length: rowSlots }, (_, i) => slotIndex + i);
+        
+        if (prototype) {
+            const frames = await this.createHeaderFrames(page, layout, slot, prototype, item, placement);
+            frames.forEach(frame => this.tagGroupFrame(frame, item, slots));
+        } else {
+            const frame = page.textFrames.add();
+            frame.geometricBounds = [top, left, top + layout.cellHeight, right];
+            frame.contents = String(item.title ?? item.value ?? '');
+            const style = this.getGroupStyle(doc, item.style, placement.groupStyles);
+            if (style && frame.paragraphs.length > 0) {
+                frame.paragraphs.item(0).appliedParagraphStyle = style;
+            }
+            this.tagGroupFrame(frame, item, slots);
+        }
+        
+        if (isHeader && item.separator === 'line' && slotIndex > 0) {
+            const lineTop = top - layout.gutter / 2;
+            const line = page.graphicLines.add();
+            line.geometricBounds = [lineTop, left, lineTop, right];
+            this.tagGroupFrame(line, item, slots);
+        }
+        
+        return page;
+    }
+
+    /**
+     * Duplicate a header design prototype into a slot and fill its tokens
+     * @returns {Promise<Array>} The created frames
+     */
+    async createHeaderFrames(page, layout, slot, prototype, item, placement) {
+        const frames = Object.values(await this.createFramesForRecord(page, layout, slot, prototype));
+        if (item.resolveToken) {
+            frames.forEach(frame => this.fillTokens(frame, item.resolveToken, placement.unknownTokens));
+        }
+        return frames;
+    }
+
+    /**
+     * Turn a page into a group opener: apply the header's master spread and
+     * fill the tokens of its master text frames, overridden on the page
+     */
+    applyOpenerMaster(page, item, master, placement) {
+        page.appliedMaster = master;
+        
+        for (const masterItem of page.masterPageItems) {
+            const story = masterItem.parentStory;
+            if (!story || !String(story.contents).match(HEADER_TOKEN_PATTERN)) {
+                continue;
+            }
+            const frame = masterItem.override(page);
+            this.tagGroupFrame(frame, item);
+            if (item.resolveToken) {
+                this.fillTokens(frame, item.resolveToken, placement.unknownTokens);
+            }
+        }
+    }
+
+    /**
+     * Replace the <<token>> placeholders in a frame, or in the text frames
+     * of a group
+     *
+     * Text is changed with find/change so every token keeps its formatting.
+     * Unknown tokens stay in place and are collected in unknown.
+     * @param {Function} resolve - Token name to text, null when unknown
+     */
+    fillTokens(item, resolve, unknown = new Set()) {
+        const { app, NothingEnum } = require('indesign');
+        const frames = [item, ...(item.allPageItems || [])].filter(frame => frame.parentStory);
+        
+        try {
+            for (const frame of frames) {
+                const tokens = new Set(String(frame.parentStory.contents).match(HEADER_TOKEN_PATTERN) || []);
+                for (const token of tokens) {
+                    const value = resolve(token.slice(2, -2).trim());
+                    if (value === null || value === undefined) {
+                        unknown.add(token);
+                        continue;
+                    }
+                    app.findTextPreferences = NothingEnum.NOTHING;
+                    app.changeTextPreferences = NothingEnum.NOTHING;
+                    app.findTextPreferences.findWhat = token;
+                    // '^' starts a special character in InDesign's change text
+                    app.changeTextPreferences.changeTo = String(value).replace(/\^/g, '^^');
+                    frame.parentStory.changeText();
+                }
+            }
+        } finally {
+            app.findTextPreferences = NothingEnum.NOTHING;
+            app.changeTextPreferences = NothingEnum.NOTHING;
+        }
+    }
+
+    /**
+     * Label a group header or footer frame: generated, its group and the
+     * grid slots it covers
+     */
+    tagGroupFrame(frame, item, slots = null) {
+        frame.insertLabel(CatalogLabelKeys.generated, 'true');
+        frame.insertLabel(CatalogLabelKeys.group, `${item.type}:${item.path}`);
+        if (slots) {
+            frame.insertLabel(CatalogLabelKeys.slot, slots.join(','));
+        }
+    }
+
+    /**
+     * Paragraph style of a group header or footer, created when it is one
+     * of GROUP_STYLES and missing from the document
+     * @param {Map} cache - Styles already resolved during this run
+     * @param {Object} settings - Extra settings of a created style
+     */
+    getGroupStyle(doc, key, cache = new Map(), settings = {}) {
+        if (!key) {
+            return null;
+        }
+        if (cache.has(key)) {
+            return cache.get(key);
+        }
+        
+        const preset = GROUP_STYLES[key];
+        const name = preset ? preset.name : key;
+        let style = doc.paragraphStyles.itemByName(name);
+        if (!style || !style.isValid) {
+            if (preset) {
+                logger.info(`Creating paragraph style "${name}"`);
+                style = doc.paragraphStyles.add({ ...preset, ...settings });
+            } else {
+                logger.warn(`Paragraph style "${name}" not found`);
+                style = null;
+            }
+        }
+        
+        cache.set(key, style);
+        return style;
+    }
+
+    /**
+     * Write a table of contents into its designated text frame
+     * @param {string} frameLabel - Label of the frame
+     * @param {Array} entries - From GroupingEngine.generateTableOfContents
+     * @returns {Promise<number>} Lines written
+     */
+    async writeTableOfContents(frameLabel, entries) {
+        const lines = entries.map(entry => ({
+            text: entry.title,
+            pages: entry.pageRange,
+            style: `toc${Math.min(entry.level + 1, 3)}`
+        }));
+        return this.writeListFrame(frameLabel, lines);
+    }
+
+    /**
+     * Write an alphabetical index into its designated text frame, with a
+     * heading line per letter
+     * @param {string} frameLabel - Label of the frame
+     * @param {Array} entries - From GroupingEngine.generateIndex
+     * @returns {Promise<number>} Lines written
+     */
+    async writeIndex(frameLabel, entries) {
+        const lines = [];
+        entries.forEach((entry, index) => {
+            if (index === 0 || entry.letter !== entries[index - 1].letter) {
+                lines.push({ text: entry.letter, style: 'indexLetter' });
+            }
+            lines.push({ text: entry.term, pages: entry.pages, style: 'indexEntry' });
+        });
+        return this.writeListFrame(frameLabel, lines);
+    }
+
+    /**
+     * Replace the story of a labelled text frame with list lines
+     *
+     * A line is a paragraph 'text<tab>pages'; its list style right-aligns
+     * the pages on a dot leader at the frame's width. Writing again after
+     * a regeneration replaces the previous list.
+     * @param {Array} lines - [{ text, pages, style }]
+     */
+    async writeListFrame(frameLabel, lines) {
+        try {
+            const doc = await ensureDocument();
+            const frame = doc.allPageItems.find(item => item.label === frameLabel && item.parentStory && !item.extractLabel(CatalogLabelKeys.generated));
+            if (!frame) {
+                throw new Error(`No text frame labelled "${frameLabel}"`);
+            }
+            
+            const story = frame.parentStory;
+            story.contents = lines.map(line => line.pages ? `${line.text}\t${line.pages}` : line.text).join('\r');
+            
+            const [, left, , right] = frame.geometricBounds;
+            const inset = frame.textFramePreferences ? frame.textFramePreferences.insetSpacing : 0;
+            const width = right - left - (Array.isArray(inset) ? inset[1] + inset[3] : 2 * (inset || 0));
+            const tabList = [{ alignment: require('indesign').TabStopAlignment.RIGHT_ALIGN, position: width, leader: '.' }];
+            
+            const styles = new Map();
+            lines.forEach((line, index) => {
+                const style = this.getGroupStyle(doc, line.style, styles, { tabList });
+                if (style) {
+                    story.paragraphs.item(index).applyParagraphStyle(style, true);
+                }
+            });
+            
+            if (story.overflows) {
+                logger.warn(`The text of frame "${frameLabel}" overflows - enlarge or thread it`);
+            }
+            logger.info(`Wrote ${lines.length} lines into frame "${frameLabel}"`);
+            return lines.length;
+        } catch (error) {
+            logger.error(`Failed to write frame "${frameLabel}":`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the paragraph style for a mapped field in flow mode
+     *
+     * An explicit mapping.paragraphStyle wins over the style of the prototype frame.
      */
-    async getOrCreatePage(doc) {
+    getParagraphStyle(doc, mapping, prototype) {
+        if (mapping.paragraphStyle) {
+            const style = doc.paragraphStyles.itemByName(mapping.paragraphStyle);
+            if (style && style.isValid) {
+                return style;
+            }
+            logger.warn(`Paragraph style "${mapping.paragraphStyle}" not found`);
+        }
+        
+        const proto = prototype && prototype.frames.find(f => f.label === this.getMappingTarget(mapping));
+        if (proto && proto.type === 'text' && proto.item.paragraphs.length > 0) {
+            return proto.item.paragraphs.item(0).appliedParagraphStyle;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Add a text frame on the cursor's page and thread it to the story
+     */
+    async addFlowFrame(doc, layout, cursor, flow) {
+        const page = await this.getOrCreatePage(doc, cursor);
+        const area = layout.slots[0];
+        const [pageTop, pageLeft] = page.bounds;
+        
+        const frame = page.textFrames.add();
+        frame.geometricBounds = [pageTop + area.top, pageLeft + area.left, pageTop + area.top + area.height, pageLeft + area.left + area.width];
+        frame.insertLabel(CatalogLabelKeys.generated, 'true');
+        frame.insertLabel(CatalogLabelKeys.flow, 'true');
+        
+        if (flow.lastFrame) {
+            flow.lastFrame.nextTextFrame = frame;
+        } else {
+            flow.story = frame.parentStory;
+        }
+        
+        flow.lastFrame = frame;
+        cursor.pagesUsed++;
+        cursor.pageIndex++;
+        
+        return frame;
+    }
+
+    /**
+     * Thread new frames (and pages) onto the story until it no longer oversets
+     *
+     * Once a block is taller than an empty frame the story cannot be resolved:
+     * flow.overset is set and later records add no more frames.
+     */
+    async resolveOverset(doc, layout, cursor, flow) {
+        while (!flow.overset && flow.lastFrame.overflows) {
+            const frame = await this.addFlowFrame(doc, layout, cursor, flow);
+            
+            // An empty frame that still oversets means a single block is taller than the frame
+            if (frame.overflows && frame.characters.length === 0) {
+                logger.warn('Record block does not fit in an empty text frame - the rest of the story stays overset');
+                flow.overset = true;
+            }
+        }
+    }
+
+    /**
+     * Get or create the page the cursor points at
+     *
+     * Pages added to reach the cursor get the template's master spread.
+     */
+    async getOrCreatePage(doc, cursor) {
         try {
-            // Simple implementation - just use the last page
-            if (doc.pages.length === 0) {
-                return doc.pages.add();
+            while (doc.pages.length <= cursor.pageIndex) {
+                const page = await this.addPage(doc, doc.pages.length > 0 ? doc.pages[doc.pages.length - 1] : null);
+                if (cursor.master) {
+                    page.appliedMaster = cursor.master;
+                }
+                cursor.pagesCreated++;
             }
-            return doc.pages[doc.pages.length - 1];
+            return doc.pages[cursor.pageIndex];
         } catch (error) {
             logger.error('Failed to get/create page:', error);
             throw error;
@@ -161,23 +1159,26 @@ export default class PageGenerator {
 
     /**
      * Create frames for a record
+     *
+     * Duplicates every prototype frame onto the page and moves it into the
+     * slot, keeping its position relative to the record block.
      */
-    async createFramesForRecord(page, layout) {
+    async createFramesForRecord(page, layout, slot, prototype) {
         try {
             const frames = {};
+            const [pageTop, pageLeft] = page.bounds;
             
-            // This is a simplified implementation
-            // In production, would create actual InDesign frames based on template
-            
-            frames.text = {
-                type: 'text',
-                contents: ''
-            };
-            
-            frames.image = {
-                type: 'image',
-                path: null
-            };
+            for (const proto of prototype.frames) {
+                const [top, left, bottom, right] = proto.bounds;
+                const newTop = pageTop + slot.top + (top - prototype.bounds[0]);
+                const newLeft = pageLeft + slot.left + (left - prototype.bounds[1]);
+                
+                const item = proto.item.duplicate(page);
+                item.geometricBounds = [newTop, newLeft, newTop + (bottom - top), newLeft + (right - left)];
+                item.insertLabel(CatalogLabelKeys.generated, 'true');
+                
+                frames[proto.label] = item;
+            }
             
             return frames;
         } catch (error) {
@@ -186,16 +1187,54 @@ export default class PageGenerator {
         }
     }
 
+    /**
+     * Key a record is bound to in the document
+     *
+     * The key field value when one is set, otherwise the record's position in the run.
+     */
+    getRecordKey(record, placement) {
+        if (placement.keyField) {
+            return String(record[placement.keyField] ?? '');
+        }
+        return String(placement.recordIndex ?? '');
+    }
+
+    /**
+     * Bind a record's frames to it with script labels
+     *
+     * Every frame gets the record key and its slot; mapped frames also get
+     * the field they show and the frame label of their mapping, so
+     * UpdateEngine can patch them later.
+     */
+    tagRecordFrames(frames, record, mappings, placement) {
+        const key = this.getRecordKey(record, placement);
+        
+        for (const [label, frame] of Object.entries(frames)) {
+            frame.insertLabel(CatalogLabelKeys.recordKey, key);
+            if (placement.slotIndex !== undefined) {
+                frame.insertLabel(CatalogLabelKeys.slot, String(placement.slotIndex));
+            }
+            
+            const mapping = mappings.find(m => this.getMappingTarget(m) === label);
+            if (mapping) {
+                frame.insertLabel(CatalogLabelKeys.field, mapping.field);
+                frame.insertLabel(CatalogLabelKeys.target, label);
+            }
+        }
+    }
+
     /**
      * Fill a frame with content
      */
-    async fillFrame(frame, value, mapping) {
+    async fillFrame(frame, value, mapping, options = {}) {
         try {
-            if (mapping.type === 'text') {
-                frame.contents = value;
-            } else if (mapping.type === 'image') {
-                frame.path = value;
-                // In actual implementation, would use frame.place(value)
+            const content = this.formatValue(value, mapping);
+            
+            if (mapping.type === 'image') {
+                frame.place(String(content));
+                this.fitImage(frame, options.imageHandling || 'fit');
+            } else {
+                frame.contents = String(content);
             }
             
             return true;
@@ -205,25 +1244,72 @@ export default class PageGenerator {
         }
     }
 
+    /**
+     * Apply the mapping's transform and formatter to a value
+     */
+    formatValue(value, mapping) {
+        // Missing values and failed formulas print nothing rather than "null" or "0.00"
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (value instanceof Date && !mapping.formatter) {
+            return this.dataMapper.formatDate(value);
+        }
+        
+        let content = value;
+        if (mapping.transform) {
+            content = this.dataMapper.applyTransform(content, mapping.transform);
+        }
+        if (mapping.formatter) {
+            content = this.dataMapper.applyFormatter(content, mapping.formatter);
+        }
+        return content;
+    }
+
+    /**
+     * Fit placed image according to the image handling option
+     */
+    fitImage(frame, imageHandling) {
+        const { FitOptions } = require('indesign');
+        
+        switch (imageHandling) {
+            case 'fill':
+                frame.fit(FitOptions.FILL_PROPORTIONALLY);
+                break;
+            case 'center':
+                frame.fit(FitOptions.CENTER_CONTENT);
+                break;
+            default:
+                frame.fit(FitOptions.PROPORTIONALLY);
+        }
+    }
+
     /**
      * Clear document content
+     *
+     * Frames labelled with one of keepLabels, such as the table of contents
+     * and index frames, are kept along with their pages.
+     * Pages before startPage, such as front matter, are left untouched.
      */
-    async clearDocument(doc) {
+    async clearDocument(doc, keepLabels = [], keepPages = new Set(), startPage = 1) {
         try {
-            logger.info('Clearing document content');
+            logger.info(`Clearing document content from page ${startPage}`);
+            const keep = item => keepLabels.includes(item.label);
+            const first = Math.max(startPage, 1) - 1;
             
-            // Remove all pages except the first one
-            while (doc.pages.length > 1) {
-                doc.pages[doc.pages.length - 1].remove();
+            // Remove the pages after the start page, except those holding kept frames
+            for (let i = doc.pages.length - 1; i > first; i--) {
+                const page = doc.pages[i];
+                if (keepPages.has(page.id) || Array.from(page.pageItems).some(keep)) {
+                    this.clearPage(page, keep);
+                } else {
+                    page.remove();
+                }
             }
             
-            // Clear content from first page
-            if (doc.pages.length > 0) {
-                const page = doc.pages[0];
-                // Remove all page items
-                while (page.pageItems.length > 0) {
-                    page.pageItems[0].remove();
-                }
+            // Clear content from the start page
+            if (doc.pages.length > first) {
+                this.clearPage(doc.pages[first], keep);
             }
             
             logger.info('Document cleared');
@@ -234,6 +1320,21 @@ export default class PageGenerator {
         }
     }
 
+    /**
+     * Remove the page items of a page, except those keep() accepts
+     */
+    clearPage(page, keep) {
+        let index = 0;
+        while (index < page.pageItems.length) {
+            const item = page.pageItems[index];
+            if (keep(item)) {
+                index++;
+            } else {
+                item.remove();
+            }
+        }
+    }
+
     /**
      * Add a new page to the document
      */
@@ -248,4 +1349,59 @@ export default class PageGenerator {
             throw error;
         }
     }
+
+    /**
+     * Generate catalog with data, options, and progress callback
+     * This is the main entry point called by the UI handlers
+     */
+    async generateCatalog(data, options, onProgress) {
+        try {
+            logger.info('Starting catalog generation via generateCatalog');
+            
+            // Convert data array to the format expected by generate()
+            const dataObj = Array.isArray(data) ? { records: data } : data;
+            
+            // Prepare options for the generate method
+            const generateOptions = {
+                data: dataObj,
+                mappings: options.mappings || [],
+                template: options.template || this.defaultOptions,
+                onProgress: onProgress,
+                clearExisting: options.clearExisting !== false,
+                batchSize: options.batchSize || 10,
+                startPage: options.startPage || 1,
+                keyField: options.keyField || null,
+                imageHandling: options.imageHandling || 'fit',
+                keepLabels: options.keepLabels || []
+            };
+            
+            const summary = await this.generate(generateOptions);
+            
+            // Return result with summary
+            const result = {
+                success: true,
+                pagesCreated: summary.pagesCreated,
+                pagesUsed: summary.pagesUsed,
+                recordsProcessed: summary.recordsPlaced,
+                pageNumbers: summary.pageNumbers,
+                log: [
+                    `Processed ${summary.recordsPlaced} records`,
+                    `Filled ${summary.pagesUsed} page(s) from page ${generateOptions.startPage}, ${summary.pagesCreated} new`
+                ]
+            };
+            if (summary.groupItemsPlaced > 0) {
+                result.log.splice(1, 0, `Placed ${summary.groupItemsPlaced} group headers and footers`);
+            }
+            if (summary.oversetText) {
+                result.oversetText = true;
+                result.log.push('A record is taller than the flow text frame - the story is overset from there on');
+            }
+            
+            logger.info('Catalog generation completed successfully');
+            return result;
+        } catch (error) {
+            logger.error('Catalog generation failed in generateCatalog:', error);
+            throw error;
+        }
+    }
 }
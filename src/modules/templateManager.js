@@ -24,6 +24,7 @@ export default class TemplateManager {
                 id: generateId(),
                 name: options.name || `Template ${Date.now()}`,
                 layoutType: options.layoutType || 'flow',
+                flowMode: options.flowMode || 'paragraph',
                 gridRows: options.gridRows || 3,
                 gridCols: options.gridCols || 2,
                 gridGutter: options.gridGutter || 5,
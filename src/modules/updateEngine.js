@@ -3,34 +3,60 @@
  * Handles dynamic updates when data changes
  */
 
-import { Logger, getActiveDocument } from './utils.js';
+import { Logger, getActiveDocument, hashString, CatalogLabelKeys } from './utils.js';
+import PageGenerator from './pageGenerator.js';
 
 const logger = new Logger('UpdateEngine');
 
 export default class UpdateEngine {
     constructor() {
+        this.pageGenerator = new PageGenerator();
         this.linkedData = null;
         this.updateHistory = [];
+        this.historyRetention = { maxVersions: 20, maxAgeDays: null };
+        this.keyField = null;
+        this.pendingChanges = null;
+    }
+
+    /**
+     * Set the primary-key field used to match old and new records
+     * Pass null to detect it automatically.
+     */
+    setKeyField(field) {
+        this.keyField = field || null;
+        logger.info(`Key field set to: ${this.keyField || '(auto)'}`);
     }
 
     /**
      * Link data source to document
+     *
+     * Options: template and keyField used by the generation run, so
+     * updates lay out added records and match frames the same way, plus
+     * the project state restored on reopen: source ({ path, name, type,
+     * options, hash }), formulas, filters and grouping.
      */
-    async linkDataSource(data, mappings) {
+    async linkDataSource(data, mappings, options = {}) {
         try {
             logger.info('Linking data source to document');
             
             this.linkedData = {
                 data: data,
                 mappings: mappings,
+                template: options.template || null,
+                keyField: options.keyField || null,
+                source: options.source || null,
+                formulas: options.formulas || null,
+                filters: options.filters || null,
+                grouping: options.grouping || null,
                 linkedAt: new Date().toISOString(),
                 version: 1
             };
             
+            // A new link starts a new history
+            this.updateHistory = [this._historyEntry(1, data, null, null)];
+            
             // Store in document metadata
-            const doc = getActiveDocument();
-            if (doc) {
-                // In actual implementation, would store in document's customData
+            if (this.saveLink()) {
                 logger.info('Data source linked successfully');
             }
             
@@ -41,10 +67,148 @@ export default class UpdateEngine {
         }
     }
 
+    /**
+     * Write the link into the document's script labels
+     *
+     * The generated records go into a label of their own, fingerprinted
+     * so a damaged snapshot is noticed on restore.
+     */
+    saveLink(doc = getActiveDocument()) {
+        if (!doc || !this.linkedData) {
+            return false;
+        }
+        
+        try {
+            const { data, ...link } = this.linkedData;
+            const snapshot = JSON.stringify(data || null);
+            link.snapshotHash = hashString(snapshot);
+            this.linkedData.snapshotHash = link.snapshotHash;
+            
+            doc.insertLabel(CatalogLabelKeys.link, JSON.stringify(link));
+            doc.insertLabel(CatalogLabelKeys.snapshot, snapshot);
+            doc.insertLabel(CatalogLabelKeys.history, JSON.stringify(this.updateHistory));
+            return true;
+        } catch (error) {
+            logger.error('Failed to store link in document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore the link stored in a document
+     * Replaces the current link; returns null when the document has none.
+     */
+    restoreLink(doc = getActiveDocument()) {
+        try {
+            this.linkedData = null;
+            this.updateHistory = [];
+            this.pendingChanges = null;
+            
+            const stored = doc ? doc.extractLabel(CatalogLabelKeys.link) : '';
+            if (!stored) {
+                return null;
+            }
+            
+            const link = JSON.parse(stored);
+            const snapshot = doc.extractLabel(CatalogLabelKeys.snapshot);
+            if (hashString(snapshot) !== link.snapshotHash) {
+                logger.warn('Stored data snapshot does not match its fingerprint - the next update may report extra changes');
+            }
+            
+            this.linkedData = { ...link, data: snapshot ? JSON.parse(snapshot) : null };
+            
+            const history = doc.extractLabel(CatalogLabelKeys.history);
+            this.updateHistory = history
+                ? JSON.parse(history)
+                : [this._historyEntry(link.version, this.linkedData.data, null, null)];
+            logger.info(`Restored link (version ${link.version}, ${this.linkedData.data?.records?.length || 0} records)`);
+            return this.linkedData;
+        } catch (error) {
+            logger.error('Failed to restore link from document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether freshly imported records differ from the import the link was made from
+     */
+    isSourceChanged(records) {
+        const hash = this.linkedData?.source?.hash;
+        return !hash || hash !== hashString(JSON.stringify(records));
+    }
+
+    /**
+     * Compute the change set for new data without touching the document
+     * The result is kept and reused by the next update() call with the
+     * same records, so the preview is exactly what gets applied.
+     *
+     * changeSet.needsRegeneration lists the changes an update cannot apply
+     * in place with the given template (default: the linked one).
+     */
+    previewUpdate(data, options = {}) {
+        const match = this._matchOptions();
+        this.pendingChanges = this.detectChanges(this.linkedData?.data, data, match);
+        this.pendingChanges.basis = this._changeBasis(data, match.keyField);
+        this.pendingChanges.needsRegeneration = this.getRegenerationChanges(
+            this.pendingChanges,
+            options.template || this.linkedData?.template
+        );
+        return this.pendingChanges;
+    }
+
+    /**
+     * Changes that only a regeneration applies
+     *
+     * Moves always; in the paragraph flow mode also modifications and
+     * removals, as record paragraphs carry no record key to find them by.
+     */
+    getRegenerationChanges(changeSet, template) {
+        return changeSet.changes.filter(change => change.type === 'move'
+            || (change.type !== 'add' && this.isParagraphFlow(template)));
+    }
+
+    /**
+     * Whether a template lays records out as paragraphs of the flow story
+     */
+    isParagraphFlow(template) {
+        const options = template || this.pageGenerator.defaultOptions;
+        return options.layoutType !== 'grid' && (options.flowMode || 'paragraph') === 'paragraph';
+    }
+
+    /**
+     * How records are matched to the linked data
+     *
+     * A catalog generated without a unique key has its frames bound to
+     * record positions, so it is matched by position whatever key is set.
+     */
+    _matchOptions() {
+        if (this.linkedData && !this.linkedData.keyField) {
+            if (this.keyField) {
+                logger.info(`Catalog is bound by position - key field "${this.keyField}" is not used`);
+            }
+            return { keyField: null, byPosition: true };
+        }
+        return { keyField: this.keyField || this.linkedData?.keyField || null };
+    }
+
+    /**
+     * Fingerprint of what a change set was computed from: the linked
+     * version, the key field and the content of the new records
+     */
+    _changeBasis(data, keyField) {
+        return `${this.linkedData?.version ?? 0}:${keyField || ''}:${hashString(JSON.stringify(data?.records || []))}`;
+    }
+
     /**
      * Update catalog with new data
+     *
+     * Patches the frames bound to each changed record instead of regenerating.
+     * Options: template, imageHandling, removeMode ('delete' or 'hide'),
+     * revertedTo (set by revertToVersion, recorded in the history).
+     *
+     * @returns {Object} The change set, with applied and skipped counts
      */
-    async update(data, mappings) {
+    async update(data, mappings, options = {}) {
         try {
             logger.info('Updating catalog with new data');
             
@@ -53,129 +217,708 @@ export default class UpdateEngine {
                 throw new Error('No active document');
             }
             
-            // Compare with existing data to find changes
-            const changes = this.detectChanges(this.linkedData?.data, data);
+            if (!this.linkedData) {
+                throw new Error('No linked data source - generate the catalog first');
+            }
+            
+            // Reuse the previewed change set when it was computed for the same records
+            const match = this._matchOptions();
+            const changeSet = this.pendingChanges && this.pendingChanges.basis === this._changeBasis(data, match.keyField)
+                ? this.pendingChanges
+                : this.detectChanges(this.linkedData.data, data, match);
+            const changes = changeSet.changes;
+            this.pendingChanges = null;
             
             logger.info(`Found ${changes.length} changes`);
             
             // Apply updates
+            const context = this.createUpdateContext(doc, mappings, changeSet, options);
+            changeSet.applied = 0;
+            changeSet.skipped = 0;
+            const skipped = new Set();
             for (const change of changes) {
-                await this.applyUpdate(change, mappings);
+                if (await this.applyUpdate(change, mappings, context)) {
+                    changeSet.applied++;
+                } else {
+                    changeSet.skipped++;
+                    skipped.add(change);
+                }
             }
             
-            // Update linked data
-            if (this.linkedData) {
-                this.linkedData.data = data;
-                this.linkedData.version++;
-                this.linkedData.lastUpdated = new Date().toISOString();
+            if (changeSet.skipped > 0) {
+                logger.warn(`${changeSet.skipped} change(s) could not be applied in place - regenerate to apply them`);
             }
+            changeSet.oversetText = Boolean(context.placement?.flow.overset);
             
-            // Record in history
-            this.updateHistory.push({
-                timestamp: new Date().toISOString(),
-                changesCount: changes.length,
-                version: this.linkedData?.version || 1
-            });
+            // The snapshot holds what the document shows: skipped changes stay pending
+            const snapshot = this._appliedSnapshot(this.linkedData.data, data, changeSet, skipped);
+            const appliedSet = snapshot === data
+                ? changeSet
+                : this.detectChanges(this.linkedData.data, snapshot, { keyField: changeSet.keyField, byPosition: !changeSet.keyField });
+            
+            // Record in history, with the delta that restores the previous data
+            const reverse = this.createReverseDelta(this.linkedData.data, appliedSet);
+            const entry = this._historyEntry(this.linkedData.version + 1, snapshot, appliedSet, reverse);
+            if (options.revertedTo) {
+                entry.revertedTo = options.revertedTo;
+            }
+            this.updateHistory.push(entry);
+            this.pruneHistory();
+            
+            // Update linked data
+            this.linkedData.data = snapshot;
+            this.linkedData.mappings = mappings;
+            this.linkedData.keyField = changeSet.keyField;
+            this.linkedData.version++;
+            this.linkedData.lastUpdated = new Date().toISOString();
+            this.saveLink(doc);
             
             logger.info('Catalog updated successfully');
-            return true;
+            return changeSet;
         } catch (error) {
             logger.error('Failed to update catalog:', error);
             throw error;
         }
     }
 
+    /**
+     * Data the document shows after an update: the old records in their
+     * old order, with the applied removals, modifications and additions
+     *
+     * Skipped changes (moves, records without frames) are left out, so the
+     * next update finds them again instead of losing them.
+     * @param {Set} skipped - Changes of changeSet that were not applied
+     */
+    _appliedSnapshot(oldData, newData, changeSet, skipped) {
+        if (skipped.size === 0) {
+            return newData;
+        }
+        
+        const keyOf = (record, index) => changeSet.keyField ? String(record[changeSet.keyField] ?? '') : String(index);
+        const applied = new Map();
+        changeSet.changes
+            .filter(change => !skipped.has(change))
+            .forEach(change => applied.set(`${change.type}:${change.key}`, change));
+        
+        const entries = [];
+        (oldData?.records || []).forEach((record, index) => {
+            const key = keyOf(record, index);
+            if (applied.has(`remove:${key}`)) return;
+            const modify = applied.get(`modify:${key}`);
+            entries.push({ key, record: modify ? modify.newRecord : record });
+        });
+        
+        // Additions go after the record that precedes them in the new data
+        changeSet.added
+            .filter(change => !skipped.has(change))
+            .sort((a, b) => a.index - b.index)
+            .forEach(change => {
+                let position = 0;
+                for (let i = change.index - 1; i >= 0; i--) {
+                    const previousKey = keyOf(newData.records[i], i);
+                    const previous = entries.findIndex(entry => entry.key === previousKey);
+                    if (previous !== -1) {
+                        position = previous + 1;
+                        break;
+                    }
+                }
+                entries.splice(position, 0, { key: change.key, record: change.record });
+            });
+        
+        return { ...newData, records: entries.map(entry => entry.record) };
+    }
+
     /**
      * Detect changes between old and new data
+     *
+     * Records are matched on the key field, so inserting a record does not
+     * mark the following ones as modified. Records whose relative order
+     * changed are reported as moves (the fewest needed to reach the new order).
+     *
+     * With options.byPosition, records are matched by index instead of key.
+     *
+     * @returns {Object} Change set: { keyField, added, removed, modified, moved, duplicates, unchanged, changes, summary }
+     */
+    detectChanges(oldData, newData, options = {}) {
+        const newRecords = newData?.records || [];
+        const oldRecords = oldData?.records || [];
+        let keyField = options.byPosition ? null : options.keyField || this.keyField;
+        if (!keyField && !options.byPosition) {
+            try {
+                keyField = this.resolveKeyField(oldData, newData);
+            } catch (error) {
+                // Without previous data every record is an addition, so positions will do as keys
+                if (oldRecords.length > 0) throw error;
+                keyField = null;
+            }
+        }
+        
+        const duplicates = [];
+        const oldIndex = this._indexByKey(oldRecords, keyField, duplicates);
+        const newIndex = this._indexByKey(newRecords, keyField, duplicates);
+        
+        const added = [];
+        const removed = [];
+        const modified = [];
+        const common = [];
+        let unchanged = 0;
+        
+        newIndex.forEach((entry, key) => {
+            const old = oldIndex.get(key);
+            if (!old) {
+                added.push({ type: 'add', key, index: entry.index, record: entry.record });
+                return;
+            }
+            
+            common.push({ key, oldIndex: old.index, index: entry.index });
+            
+            const fields = this.diffRecords(old.record, entry.record);
+            if (fields.length > 0) {
+                modified.push({
+                    type: 'modify',
+                    key,
+                    index: entry.index,
+                    oldIndex: old.index,
+                    oldRecord: old.record,
+                    newRecord: entry.record,
+                    fields
+                });
+            } else {
+                unchanged++;
+            }
+        });
+        
+        oldIndex.forEach((entry, key) => {
+            if (!newIndex.has(key)) {
+                removed.push({ type: 'remove', key, index: entry.index, record: entry.record });
+            }
+        });
+        
+        // Records outside the longest run that kept its relative order have moved
+        const stable = this._longestIncreasingRun(common.map(c => c.oldIndex));
+        const moved = common
+            .filter((c, i) => !stable.has(i))
+            .map(c => ({ type: 'move', key: c.key, oldIndex: c.oldIndex, index: c.index }));
+        
+        return {
+            keyField,
+            added,
+            removed,
+            modified,
+            moved,
+            duplicates,
+            unchanged,
+            changes: [...removed, ...modified, ...moved, ...added],
+            summary: {
+                added: added.length,
+                removed: removed.length,
+                modified: modified.length,
+                moved: moved.length,
+                unchanged
+            }
+        };
+    }
+
+    /**
+     * Pick a key field when none is configured
+     * Prefers common id-like names, then the first field whose values are unique in both datasets.
      */
-    detectChanges(oldData, newData) {
-        const changes = [];
-        
-        if (!oldData || !oldData.records) {
-            // All records are new
-            return newData.records.map((record, index) => ({
-                type: 'add',
-                index: index,
-                record: record
-            }));
-        }
-        
-        const oldRecords = oldData.records;
-        const newRecords = newData.records;
-        
-        // Simple comparison by index
-        for (let i = 0; i < Math.max(oldRecords.length, newRecords.length); i++) {
-            const oldRecord = oldRecords[i];
-            const newRecord = newRecords[i];
-            
-            if (!oldRecord && newRecord) {
-                changes.push({ type: 'add', index: i, record: newRecord });
-            } else if (oldRecord && !newRecord) {
-                changes.push({ type: 'remove', index: i, record: oldRecord });
-            } else if (oldRecord && newRecord) {
-                if (JSON.stringify(oldRecord) !== JSON.stringify(newRecord)) {
-                    changes.push({ type: 'modify', index: i, oldRecord: oldRecord, newRecord: newRecord });
+    resolveKeyField(oldData, newData) {
+        const fields = newData?.fields || Object.keys(newData?.records?.[0] || {});
+        const preferred = ['id', 'sku', 'key', 'code', 'reference', 'ref', 'ean', 'productid', 'product_id'];
+        const candidates = [
+            ...fields.filter(f => preferred.includes(String(f).toLowerCase())),
+            ...fields.filter(f => !preferred.includes(String(f).toLowerCase()))
+        ];
+        
+        const isUnique = (records, field) => {
+            const seen = new Set();
+            for (const record of records) {
+                const value = record[field];
+                if (value === undefined || value === null || value === '' || seen.has(String(value))) {
+                    return false;
                 }
+                seen.add(String(value));
+            }
+            return true;
+        };
+        
+        const keyField = candidates.find(field =>
+            isUnique(newData?.records || [], field) && isUnique(oldData?.records || [], field)
+        );
+        
+        if (!keyField) {
+            throw new Error('No unique key field found - choose the primary-key field for updates');
+        }
+        
+        logger.info(`Using "${keyField}" as key field`);
+        return keyField;
+    }
+
+    /**
+     * Field-level differences between two versions of a record
+     */
+    diffRecords(oldRecord, newRecord) {
+        const fields = new Set([...Object.keys(oldRecord || {}), ...Object.keys(newRecord || {})]);
+        const diffs = [];
+        
+        fields.forEach(field => {
+            const oldValue = oldRecord ? oldRecord[field] : undefined;
+            const newValue = newRecord ? newRecord[field] : undefined;
+            if (this._normalizeValue(oldValue) !== this._normalizeValue(newValue)) {
+                diffs.push({ field, oldValue, newValue });
+            }
+        });
+        
+        return diffs;
+    }
+
+    _normalizeValue(value) {
+        if (value === undefined || value === null) return '';
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    _indexByKey(records, keyField, duplicates) {
+        const index = new Map();
+        records.forEach((record, i) => {
+            const key = keyField ? String(record[keyField] ?? '') : String(i);
+            if (index.has(key)) {
+                duplicates.push(key);
+                return;
+            }
+            index.set(key, { index: i, record });
+        });
+        return index;
+    }
+
+    /**
+     * Positions of a longest strictly increasing subsequence
+     */
+    _longestIncreasingRun(values) {
+        const tails = [];
+        const previous = new Array(values.length);
+        
+        values.forEach((value, i) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (values[tails[mid]] < value) low = mid + 1;
+                else high = mid;
+            }
+            previous[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
+        });
+        
+        const run = new Set();
+        let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+        while (i >= 0) {
+            run.add(i);
+            i = previous[i];
+        }
+        return run;
+    }
+
+    /**
+     * Build the state shared by the changes of one update run
+     *
+     * The layout used for added records is computed on the first addition.
+     */
+    createUpdateContext(doc, mappings, changeSet, options = {}) {
+        return {
+            doc,
+            keyField: changeSet.keyField,
+            template: options.template || this.linkedData?.template || this.pageGenerator.defaultOptions,
+            imageHandling: options.imageHandling || 'fit',
+            removeMode: options.removeMode || 'delete',
+            frames: this.indexBoundFrames(doc),
+            placement: null
+        };
+    }
+
+    /**
+     * Index the generated page items by the record key they are bound to
+     *
+     * @returns {Map<string, Array<{item, field, target, slot}>>}
+     */
+    indexBoundFrames(doc) {
+        const index = new Map();
+        
+        for (const item of doc.allPageItems) {
+            const key = item.extractLabel(CatalogLabelKeys.recordKey);
+            if (!key) continue;
+            
+            if (!index.has(key)) {
+                index.set(key, []);
             }
+            index.get(key).push({
+                item,
+                field: item.extractLabel(CatalogLabelKeys.field),
+                target: item.extractLabel(CatalogLabelKeys.target),
+                slot: item.extractLabel(CatalogLabelKeys.slot)
+            });
         }
         
-        return changes;
+        return index;
     }
 
     /**
      * Apply a single update
+     *
+     * @returns {boolean} false when the change could not be applied in place
      */
-    async applyUpdate(change, mappings) {
+    async applyUpdate(change, mappings, context) {
         try {
-            logger.debug(`Applying ${change.type} change at index ${change.index}`);
-            
-            // In actual implementation, would locate the corresponding frames
-            // and update their content
+            logger.debug(`Applying ${change.type} change for key ${change.key} at index ${change.index}`);
             
             switch (change.type) {
                 case 'add':
-                    // Create new frames and place content
-                    break;
+                    return await this.addRecord(change, mappings, context);
                 case 'remove':
-                    // Remove frames
-                    break;
+                    return this.removeRecord(change, context);
                 case 'modify':
-                    // Update existing frames
-                    break;
+                    return await this.modifyRecord(change, mappings, context);
+                default:
+                    // Moved records keep their position until the catalog is regenerated
+                    return false;
             }
-            
-            return true;
         } catch (error) {
             logger.error('Failed to apply update:', error);
             throw error;
         }
     }
 
+    /**
+     * Rewrite the frames of the fields that changed
+     *
+     * Every frame showing a changed field is rewritten with its own mapping,
+     * so a field mapped to several frames keeps each frame's formatting.
+     * Records laid out as flow paragraphs have no frames of their own and are
+     * skipped; previewUpdate lists them as needing a regeneration.
+     */
+    async modifyRecord(change, mappings, context) {
+        const entries = context.frames.get(change.key);
+        if (!entries) {
+            return false;
+        }
+        
+        for (const diff of change.fields) {
+            for (const entry of entries.filter(e => e.field === diff.field && e.item.isValid)) {
+                // Frames generated before target labels existed use the field's first mapping
+                const mapping = mappings.find(m => m.field === diff.field && this.pageGenerator.getMappingTarget(m) === entry.target)
+                    || mappings.find(m => m.field === diff.field);
+                if (!mapping) continue;
+                
+                const value = diff.newValue;
+                if (value === undefined || value === null || value === '') {
+                    if (mapping.type !== 'image') {
+                        entry.item.contents = '';
+                    }
+                } else {
+                    await this.pageGenerator.fillFrame(entry.item, value, mapping, context);
+                }
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Delete or hide the frames of a removed record
+     *
+     * Deleting frees the record's slot for records added in the same run.
+     */
+    removeRecord(change, context) {
+        const entries = context.frames.get(change.key);
+        if (!entries) {
+            return false;
+        }
+        
+        for (const entry of entries) {
+            // Frames inside a removed group are already gone
+            if (!entry.item.isValid) continue;
+            
+            if (context.removeMode === 'hide') {
+                entry.item.visible = false;
+            } else {
+                entry.item.remove();
+            }
+        }
+        
+        if (context.removeMode !== 'hide') {
+            context.frames.delete(change.key);
+        }
+        return true;
+    }
+
+    /**
+     * Place an added record into the first free grid slot or at the end of the flow
+     */
+    async addRecord(change, mappings, context) {
+        const placement = await this.getAddPlacement(mappings, context);
+        const layout = placement.layout;
+        const generator = this.pageGenerator;
+        
+        if (layout.type === 'flow') {
+            if (!placement.flow.story) {
+                return false;
+            }
+            await generator.placeFlowRecord(context.doc, change.record, mappings, layout, placement);
+        } else {
+            const position = placement.freeSlots.shift() || await generator.nextSlot(context.doc, layout, placement.cursor);
+            await generator.placeRecord(context.doc, change.record, mappings, layout, { ...placement, ...position });
+        }
+        
+        return true;
+    }
+
+    /**
+     * Lay out the template once per run and find where added records go
+     */
+    async getAddPlacement(mappings, context) {
+        if (context.placement) {
+            return context.placement;
+        }
+        
+        const doc = context.doc;
+        const generator = this.pageGenerator;
+        const prototype = await generator.collectPrototypes(mappings);
+        const layout = generator.calculateLayout(doc, context.template, prototype);
+        
+        // New pages are appended after the last page of the document
+        const cursor = generator.createCursor(doc, context.template, doc.pages.length + 1);
+        
+        const placement = {
+            layout,
+            prototype,
+            cursor,
+            imageHandling: context.imageHandling,
+            keyField: context.keyField,
+            flowMode: context.template.flowMode || 'paragraph',
+            flow: { story: null, lastFrame: null, overset: false },
+            freeSlots: []
+        };
+        
+        if (layout.type === 'flow') {
+            const frame = doc.allPageItems.find(item => item.extractLabel(CatalogLabelKeys.flow));
+            if (frame) {
+                const containers = frame.parentStory.textContainers;
+                placement.flow.story = frame.parentStory;
+                placement.flow.lastFrame = containers[containers.length - 1];
+                cursor.pageIndex = placement.flow.lastFrame.parentPage.documentOffset + 1;
+            } else {
+                logger.warn('No generated flow story found - added records cannot be placed');
+            }
+        } else {
+            placement.freeSlots = this.findFreeSlots(doc, layout, context.frames);
+        }
+        
+        context.placement = placement;
+        return placement;
+    }
+
+    /**
+     * Empty grid slots on the pages that already hold catalog records
+     * Group header and footer frames take every slot of their row.
+     */
+    findFreeSlots(doc, layout, frames) {
+        const occupied = new Map();
+        const occupy = (item, slots) => {
+            const page = item.isValid ? item.parentPage : null;
+            if (!page || !slots) return;
+            if (!occupied.has(page.id)) {
+                occupied.set(page.id, new Set());
+            }
+            slots.split(',').forEach(slot => occupied.get(page.id).add(parseInt(slot, 10)));
+        };
+        
+        frames.forEach(entries => {
+            entries.forEach(entry => occupy(entry.item, entry.slot));
+        });
+        for (const item of doc.allPageItems) {
+            if (item.extractLabel(CatalogLabelKeys.group)) {
+                occupy(item, item.extractLabel(CatalogLabelKeys.slot));
+            }
+        }
+        
+        const free = [];
+        for (const page of doc.pages) {
+            const used = occupied.get(page.id);
+            if (!used) continue;
+            layout.slots.forEach((slot, slotIndex) => {
+                if (!used.has(slotIndex)) {
+                    free.push({ page, slot, slotIndex });
+                }
+            });
+        }
+        
+        return free;
+    }
+
     /**
      * Get update history
+     *
+     * @returns {Array} Oldest first: { version, timestamp, recordCount, summary, changes }
      */
     getUpdateHistory() {
-        return this.updateHistory;
+        return this.updateHistory.map(({ reverse, ...entry }) => entry);
+    }
+
+    /**
+     * Configure how much history is kept
+     * maxVersions counts the current version; maxAgeDays null keeps versions of any age.
+     */
+    setHistoryRetention(retention = {}) {
+        this.historyRetention = { ...this.historyRetention, ...retention };
+        this.pruneHistory();
+        logger.info(`History retention: ${this.historyRetention.maxVersions} versions, max age ${this.historyRetention.maxAgeDays ?? 'unlimited'} days`);
+    }
+
+    /**
+     * Drop the oldest versions beyond the retention limits
+     * The current version is always kept.
+     */
+    pruneHistory() {
+        const { maxVersions, maxAgeDays } = this.historyRetention;
+        const history = this.updateHistory;
+        
+        if (maxVersions > 0 && history.length > maxVersions) {
+            history.splice(0, history.length - maxVersions);
+        }
+        
+        if (maxAgeDays) {
+            const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+            while (history.length > 1 && Date.parse(history[0].timestamp) < cutoff) {
+                history.shift();
+            }
+        }
+    }
+
+    /**
+     * Build the delta that turns the data after an update back into the data before it
+     *
+     * Stores the removed records, the old values of modified fields and the
+     * old key order. Data with duplicate keys is kept as a full snapshot.
+     */
+    createReverseDelta(oldData, changeSet) {
+        const records = oldData?.records || [];
+        
+        if (changeSet.duplicates.length > 0) {
+            return { snapshot: oldData };
+        }
+        
+        const keyField = changeSet.keyField;
+        return {
+            keyField,
+            fields: oldData?.fields || null,
+            order: records.map((record, i) => keyField ? String(record[keyField] ?? '') : String(i)),
+            removed: changeSet.removed.map(change => ({ key: change.key, record: change.record })),
+            // Missing fields come back as null, which compares equal to missing
+            modified: changeSet.modified.map(change => ({
+                key: change.key,
+                values: Object.fromEntries(change.fields.map(diff => [diff.field, diff.oldValue ?? null]))
+            }))
+        };
+    }
+
+    /**
+     * Apply a reverse delta to the data it was recorded against
+     */
+    applyReverseDelta(data, delta) {
+        if (delta.snapshot) {
+            return delta.snapshot;
+        }
+        
+        const byKey = new Map();
+        (data?.records || []).forEach((record, i) => {
+            byKey.set(delta.keyField ? String(record[delta.keyField] ?? '') : String(i), record);
+        });
+        
+        for (const change of delta.modified) {
+            byKey.set(change.key, { ...byKey.get(change.key), ...change.values });
+        }
+        
+        for (const change of delta.removed) {
+            byKey.set(change.key, change.record);
+        }
+        
+        return {
+            ...data,
+            fields: delta.fields || data?.fields,
+            records: delta.order.map(key => byKey.get(key))
+        };
+    }
+
+    /**
+     * Reconstruct the data of a past version
+     */
+    getVersion(version) {
+        const current = this.linkedData?.version;
+        if (!current) {
+            throw new Error('No linked data source');
+        }
+        
+        const oldest = this.updateHistory.length > 0 ? this.updateHistory[0].version : current;
+        if (version > current || version < oldest) {
+            throw new Error(`Version ${version} is not in the history (available: ${oldest}-${current})`);
+        }
+        
+        let data = this.linkedData.data;
+        for (let i = this.updateHistory.length - 1; i >= 0 && this.updateHistory[i].version > version; i--) {
+            data = this.applyReverseDelta(data, this.updateHistory[i].reverse);
+        }
+        return data;
+    }
+
+    /**
+     * Change set between two versions (from → to)
+     */
+    diffVersions(fromVersion, toVersion = this.linkedData?.version) {
+        const keyField = this.linkedData.keyField;
+        return this.detectChanges(this.getVersion(fromVersion), this.getVersion(toVersion), { keyField, byPosition: !keyField });
     }
 
     /**
      * Revert to previous version
+     *
+     * Updates the document to the data of that version. The revert is
+     * recorded as a new version, so it can be undone the same way.
      */
-    async revertToVersion(version) {
+    async revertToVersion(version, mappings = this.linkedData?.mappings, options = {}) {
         try {
             logger.info(`Reverting to version ${version}`);
             
-            // In actual implementation, would restore previous data state
-            // This would require storing version history
+            const data = this.getVersion(version);
+            this.pendingChanges = null;
+            const changeSet = await this.update(data, mappings, { ...options, revertedTo: version });
             
             logger.info('Reverted successfully');
-            return true;
+            return changeSet;
         } catch (error) {
             logger.error('Failed to revert:', error);
             throw error;
         }
     }
 
+    _historyEntry(version, data, changeSet, reverse) {
+        return {
+            version,
+            timestamp: new Date().toISOString(),
+            recordCount: data?.records?.length || 0,
+            summary: changeSet ? changeSet.summary : null,
+            changes: changeSet
+                ? changeSet.changes.map(change => ({
+                    type: change.type,
+                    key: change.key,
+                    ...(change.fields ? { fields: change.fields.map(diff => diff.field) } : {})
+                }))
+                : [],
+            reverse
+        };
+    }
+
     /**
      * Check if data is linked
      */
@@ -189,6 +932,14 @@ export default class UpdateEngine {
     unlinkDataSource() {
         logger.info('Unlinking data source');
         this.linkedData = null;
+        this.updateHistory = [];
+        
+        const doc = getActiveDocument();
+        if (doc) {
+            doc.insertLabel(CatalogLabelKeys.link, '');
+            doc.insertLabel(CatalogLabelKeys.snapshot, '');
+            doc.insertLabel(CatalogLabelKeys.history, '');
+        }
         return true;
     }
 
@@ -205,7 +956,8 @@ export default class UpdateEngine {
             fieldCount: this.linkedData.data?.fields?.length || 0,
             linkedAt: this.linkedData.linkedAt,
             lastUpdated: this.linkedData.lastUpdated,
-            version: this.linkedData.version
+            version: this.linkedData.version,
+            source: this.linkedData.source?.name || null
         };
     }
 }
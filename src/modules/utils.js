@@ -129,6 +129,14 @@ export function detectDataType(value) {
         return 'empty';
     }
     
+    // Typed values (e.g. Excel cells)
+    if (value instanceof Date) {
+        return 'date';
+    }
+    if (typeof value === 'number') {
+        return 'number';
+    }
+    
     // Check for number
     if (!isNaN(value) && !isNaN(parseFloat(value))) {
         return 'number';
@@ -155,7 +163,7 @@ export function detectDataType(value) {
     
     // Check for image path
     const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.tif', '.tiff', '.psd', '.ai', '.eps'];
-    if (imageExtensions.some(ext => value.toLowerCase().endsWith(ext))) {
+    if (imageExtensions.some(ext => String(value).toLowerCase().endsWith(ext))) {
         return 'image';
     }
     
@@ -164,34 +172,352 @@ export function detectDataType(value) {
 }
 
 /**
- * Parse CSV line (simple implementation)
+ * Streaming RFC 4180 CSV parser
+ *
+ * Feed text with push() in chunks of any size and call end() when done.
+ * Quoted fields may contain delimiters, escaped quotes ("") and newlines.
+ * Malformed input is parsed leniently and reported in `errors` with the
+ * line it occurred on.
  */
-export function parseCSVLine(line, delimiter = ',') {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
+export class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.trim = options.trim !== false;
+        this.onRow = options.onRow || null;
+        this.rows = [];
+        this.errors = [];
+        
+        this.row = [];
+        this.field = '';
+        this.quoted = false;
+        this.inQuotes = false;
+        this.afterQuote = false;
+        this.skipLF = false;
+        this.started = false;
+        this.line = 1;
+        this.rowLine = 1;
+        this.rowCount = 0;
+    }
+
+    /**
+     * Parse the next chunk of text
+     */
+    push(chunk) {
+        let text = String(chunk);
         
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-                current += '"';
-                i++; // Skip next quote
+        if (!this.started && text.length > 0) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+            }
+        }
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (this.skipLF) {
+                this.skipLF = false;
+                if (char === '\n') continue;
+            }
+            
+            if (this.inQuotes) {
+                if (this.afterQuote) {
+                    this.afterQuote = false;
+                    if (char === '"') {
+                        this.field += '"';
+                        continue;
+                    }
+                    // The previous quote closed the field
+                    this.inQuotes = false;
+                } else if (char === '"') {
+                    this.afterQuote = true;
+                    continue;
+                } else {
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                        this.line++;
+                    }
+                    this.field += char;
+                    continue;
+                }
+            }
+            
+            if (char === this.delimiter) {
+                this._endField();
+            } else if (char === '\r' || char === '\n') {
+                this._endRow();
+                this.line++;
+                this.rowLine = this.line;
+                this.skipLF = char === '\r';
+            } else if (char === '"') {
+                // Whitespace before an opening quote is tolerated
+                if (this.field.trim() === '' && !this.quoted) {
+                    this.field = '';
+                    this.inQuotes = true;
+                    this.quoted = true;
+                } else {
+                    this._error('Unexpected quote in unquoted field');
+                    this.field += char;
+                }
+            } else if (this.quoted) {
+                // Whitespace after a closing quote is dropped
+                if (!/\s/.test(char)) {
+                    this._error('Unexpected character after closing quote');
+                    this.field += char;
+                }
             } else {
-                inQuotes = !inQuotes;
+                this.field += char;
             }
-        } else if (char === delimiter && !inQuotes) {
-            result.push(current.trim());
-            current = '';
+        }
+    }
+
+    /**
+     * Flush the last row
+     */
+    end() {
+        if (this.inQuotes && !this.afterQuote) {
+            this._error('Unterminated quoted field');
+        }
+        this.inQuotes = false;
+        this.afterQuote = false;
+        
+        if (this.field !== '' || this.quoted || this.row.length > 0) {
+            this._endRow();
+        }
+        
+        return { rows: this.rows, errors: this.errors };
+    }
+
+    _endField() {
+        this.row.push(this.trim && !this.quoted ? this.field.trim() : this.field);
+        this.field = '';
+        this.quoted = false;
+    }
+
+    _endRow() {
+        this._endField();
+        
+        // Skip blank lines
+        if (this.row.length === 1 && this.row[0] === '') {
+            this.row = [];
+            return;
+        }
+        
+        const row = this.row;
+        this.row = [];
+        this.rowCount++;
+        
+        if (this.onRow) {
+            this.onRow(row, this.rowLine);
         } else {
-            current += char;
+            this.rows.push(row);
+        }
+    }
+
+    _error(message) {
+        this.errors.push({ row: this.rowCount + 1, line: this.line, message });
+    }
+}
+
+/**
+ * Guess the delimiter of CSV text (comma, semicolon, tab or pipe)
+ *
+ * Picks the candidate that splits the first lines into the most
+ * consistent number of fields, preferring more fields on a tie.
+ */
+export function sniffDelimiter(sample, candidates = [',', ';', '\t', '|']) {
+    const text = String(sample).slice(0, 64 * 1024);
+    let best = ',';
+    let bestScore = 0;
+    
+    candidates.forEach(delimiter => {
+        const parser = new CSVParser({ delimiter });
+        parser.push(text);
+        // The last row may be cut off by the sample
+        const rows = parser.end().rows.slice(0, 20);
+        if (rows.length > 1) rows.pop();
+        if (rows.length === 0) return;
+        
+        const counts = {};
+        rows.forEach(row => {
+            counts[row.length] = (counts[row.length] || 0) + 1;
+        });
+        
+        const [width, frequency] = Object.entries(counts)
+            .map(([w, f]) => [parseInt(w, 10), f])
+            .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+        
+        if (width < 2) return;
+        
+        const score = (frequency / rows.length) * 1000 + width;
+        if (score > bestScore) {
+            bestScore = score;
+            best = delimiter;
         }
+    });
+    
+    return best;
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {Object} options - { delimiter: character or 'auto', trim }
+ * @returns {{ rows: Array<Array<string>>, errors: Array, delimiter: string }}
+ */
+export function parseCSVText(content, options = {}) {
+    let delimiter = options.delimiter || 'auto';
+    if (delimiter === '\\t') {
+        delimiter = '\t';
     }
+    if (delimiter === 'auto') {
+        delimiter = sniffDelimiter(content);
+    }
+    
+    const parser = new CSVParser({ ...options, delimiter });
+    parser.push(content);
+    const { rows, errors } = parser.end();
     
-    result.push(current.trim());
-    return result;
+    return { rows, errors, delimiter };
+}
+
+/**
+ * Parse a single CSV line
+ */
+export function parseCSVLine(line, delimiter = ',') {
+    const { rows } = parseCSVText(line, { delimiter });
+    return rows[0] || [''];
+}
+
+/**
+ * Decode file bytes to text
+ * Supports UTF-8, UTF-16 (LE/BE, BOM detected) and Windows-1252/ISO-8859-1.
+ */
+export function decodeText(buffer, encoding = 'utf-8') {
+    return new TextChunkDecoder(encoding).decode(buffer, true);
+}
+
+/**
+ * Incremental decodeText for bytes read in chunks
+ *
+ * A character split between two chunks is kept back until the next one;
+ * pass final = true with the last chunk.
+ */
+export class TextChunkDecoder {
+    constructor(encoding = 'utf-8') {
+        this.encoding = encoding;
+        this.label = null;
+        this.decoder = null;
+        this.pending = new Uint8Array(0);
+    }
+
+    /**
+     * Decode the next chunk of bytes
+     */
+    decode(buffer, final = false) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (this.label === null) {
+            this.start(bytes);
+        }
+        
+        if (this.decoder) {
+            return this.decoder.decode(bytes, { stream: !final });
+        }
+        
+        let all = bytes;
+        if (this.pending.length > 0) {
+            all = new Uint8Array(this.pending.length + bytes.length);
+            all.set(this.pending);
+            all.set(bytes, this.pending.length);
+        }
+        const end = final ? all.length : this.completeLength(all);
+        this.pending = all.slice(end);
+        return this.decodeBytes(all.subarray(0, end));
+    }
+
+    /**
+     * Pick the encoding from the option and the first bytes
+     */
+    start(bytes) {
+        let label = String(this.encoding).toLowerCase().replace(/_/g, '-');
+        
+        if (label === 'utf8') {
+            label = 'utf-8';
+        } else if (label === 'utf-16' || label === 'utf16' || label === 'ucs-2') {
+            label = bytes[0] === 0xFE && bytes[1] === 0xFF ? 'utf-16be' : 'utf-16le';
+        } else if (['windows-1252', 'cp1252', 'iso-8859-1', 'latin1', 'latin-1'].includes(label)) {
+            // Like browsers, treat ISO-8859-1 as its Windows-1252 superset
+            label = 'windows-1252';
+        }
+        this.label = label;
+        
+        // Some hosts decode windows-1252 as plain Latin-1, so it is always decoded by hand
+        if (typeof TextDecoder !== 'undefined' && label !== 'windows-1252') {
+            try {
+                this.decoder = new TextDecoder(label);
+            } catch (e) {
+                // Encoding not supported by this host - decode by hand
+            }
+        }
+        if (!this.decoder && !['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'].includes(label)) {
+            throw new Error('Unsupported encoding: ' + this.encoding);
+        }
+    }
+
+    /**
+     * Length of the bytes that end on a whole character
+     */
+    completeLength(bytes) {
+        if (this.label === 'utf-16le' || this.label === 'utf-16be') {
+            return bytes.length - (bytes.length % 2);
+        }
+        if (this.label === 'utf-8') {
+            // A lead byte among the last three may start an unfinished sequence
+            for (let i = bytes.length - 1; i >= 0 && i >= bytes.length - 3; i--) {
+                const byte = bytes[i];
+                if (byte < 0x80) break;
+                if (byte >= 0xC0) {
+                    const size = byte >= 0xF0 ? 4 : byte >= 0xE0 ? 3 : 2;
+                    return i + size > bytes.length ? i : bytes.length;
+                }
+            }
+        }
+        return bytes.length;
+    }
+
+    /**
+     * Decode whole characters by hand, for hosts without TextDecoder
+     */
+    decodeBytes(bytes) {
+        let text = '';
+        if (this.label === 'utf-16le' || this.label === 'utf-16be') {
+            const littleEndian = this.label === 'utf-16le';
+            for (let i = 0; i + 1 < bytes.length; i += 2) {
+                text += String.fromCharCode(littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+            }
+        } else if (this.label === 'windows-1252') {
+            const high = [
+                0x20AC, 0x81, 0x201A, 0x192, 0x201E, 0x2026, 0x2020, 0x2021, 0x2C6, 0x2030, 0x160, 0x2039, 0x152, 0x8D, 0x17D, 0x8F,
+                0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x2DC, 0x2122, 0x161, 0x203A, 0x153, 0x9D, 0x17E, 0x178
+            ];
+            for (let i = 0; i < bytes.length; i++) {
+                const byte = bytes[i];
+                text += String.fromCharCode(byte >= 0x80 && byte <= 0x9F ? high[byte - 0x80] : byte);
+            }
+        } else {
+            for (let i = 0; i < bytes.length; i++) {
+                const byte = bytes[i];
+                let codePoint = byte;
+                if (byte >= 0xF0) {
+                    codePoint = ((byte & 0x07) << 18) | ((bytes[++i] & 0x3F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F);
+                } else if (byte >= 0xE0) {
+                    codePoint = ((byte & 0x0F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F);
+                } else if (byte >= 0xC0) {
+                    codePoint = ((byte & 0x1F) << 6) | (bytes[++i] & 0x3F);
+                }
+                text += String.fromCodePoint(codePoint);
+            }
+        }
+        return text;
+    }
 }
 
 /**
@@ -233,6 +559,26 @@ export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Generate unique timestamp for naming
+ */
+export function generateTimestampName() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Hash a string (32-bit FNV-1a, hex)
+ * Used to fingerprint data snapshots, not for security.
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
 /**
  * Sanitize filename
  */
@@ -268,6 +614,123 @@ export function formatDate(value, format = 'short', locale = 'en-US') {
     }
 }
 
+/**
+ * Date input formats offered for imported data
+ */
+export const DateFormats = ['auto', 'YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYY/MM/DD'];
+
+/**
+ * Parse a date value
+ * format is 'auto' or a pattern of YYYY, YY, MM, M, DD and D with any
+ * separators, e.g. 'DD/MM/YYYY'; a time after the date is ignored. 'auto'
+ * reads Date values, ISO dates and dates with month names, but not
+ * ambiguous numeric dates such as 01/05/2024.
+ * @returns {Date|null} Local date, or null when the value is not a date
+ */
+export function parseDate(value, format = 'auto') {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+    
+    const text = String(value).trim();
+    if (format && format !== 'auto') {
+        return parseDateWithFormat(text, format);
+    }
+    
+    const iso = parseDateWithFormat(text, 'YYYY-MM-DD') || parseDateWithFormat(text, 'YYYY/MM/DD');
+    if (iso) {
+        return /\d[T ]\d/.test(text) ? new Date(text) : iso;
+    }
+    
+    // "May 1, 2024", "1 May 2024"...
+    if (/[a-z]{3}/i.test(text) && /\d/.test(text)) {
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    return null;
+}
+
+function parseDateWithFormat(text, format) {
+    const order = [];
+    const pattern = format
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/YYYY|YY|MM|M|DD|D/g, token => {
+            order.push(token[0]);
+            if (token === 'YYYY') return '(\\d{4})';
+            if (token === 'YY') return '(\\d{2})';
+            return '(\\d{1,2})';
+        });
+    
+    const match = new RegExp(`^${pattern}(?:[ T].*)?$`).exec(text);
+    if (!match) {
+        return null;
+    }
+    
+    const parts = {};
+    order.forEach((part, i) => {
+        parts[part] = Number(match[i + 1]);
+    });
+    if (parts.Y < 100) {
+        parts.Y += parts.Y < 50 ? 2000 : 1900;
+    }
+    
+    // Reject overflowing dates such as 31/02
+    const date = new Date(parts.Y, parts.M - 1, parts.D);
+    if (date.getFullYear() !== parts.Y || date.getMonth() !== parts.M - 1 || date.getDate() !== parts.D) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Lower-case text without diacritics, e.g. 'Crème Brûlée' -> 'creme brulee'
+ */
+export function foldText(text) {
+    return String(text ?? '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into folded words (letters and digits)
+ */
+export function tokenizeText(text) {
+    return foldText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Edit distance between two words; swapping two neighbouring letters
+ * counts as one edit. Stops early and returns max + 1 once the distance
+ * exceeds max.
+ */
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
 /**
  * Validate image path
  */
@@ -390,6 +853,22 @@ export async function ensureDocument() {
     }
 }
 
+/**
+ * Script label keys used to tag catalog content in the InDesign document
+ */
+export const CatalogLabelKeys = {
+    generated: 'catalogBuilder.generated',
+    recordKey: 'catalogBuilder.recordKey',
+    field: 'catalogBuilder.field',
+    target: 'catalogBuilder.target',
+    slot: 'catalogBuilder.slot',
+    flow: 'catalogBuilder.flow',
+    group: 'catalogBuilder.group',
+    link: 'catalogBuilder.link',
+    snapshot: 'catalogBuilder.snapshot',
+    history: 'catalogBuilder.history'
+};
+
 export default {
     Logger,
     showStatus,
@@ -398,13 +877,25 @@ export default {
     validateFileExtension,
     formatFileSize,
     detectDataType,
+    CSVParser,
+    sniffDelimiter,
+    parseCSVText,
     parseCSVLine,
+    decodeText,
+    TextChunkDecoder,
     debounce,
     deepClone,
     generateId,
+    generateTimestampName,
+    hashString,
     sanitizeFilename,
     formatCurrency,
     formatDate,
+    DateFormats,
+    parseDate,
+    foldText,
+    tokenizeText,
+    editDistance,
     isValidImagePath,
     pointsToMM,
     mmToPoints,
@@ -413,5 +904,6 @@ export default {
     retry,
     getInDesignApp,
     getActiveDocument,
-    ensureDocument
+    ensureDocument,
+    CatalogLabelKeys
 };